@@ -6,8 +6,14 @@ import { Progress } from "@/components/ui/progress";
 import { Tabs, TabsList, TabsTrigger, TabsContent } from "@/components/ui/tabs";
 import { Badge } from "@/components/ui/badge";
 import { Toggle } from "@/components/ui/toggle";
-import { Play, Pause, Maximize, Minimize, Brain, TimerReset, Trophy, Sparkles, Shield, Smartphone, TrendingUp, Repeat, Bug, XCircle, ListOrdered, Sun, Moon } from "lucide-react";
-import { AreaChart, Area, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from "recharts";
+import { Play, Pause, Maximize, Minimize, Brain, TimerReset, Trophy, Sparkles, Shield, Smartphone, TrendingUp, Repeat, Bug, XCircle, ListOrdered, Sun, Moon, Download, Upload, HardDriveDownload, ImagePlus, User, Accessibility, Languages, WifiOff, RefreshCw, CloudUpload, Calculator, Shapes, Type, Puzzle, Zap, ArrowUp, ArrowDown, LayoutGrid, ListChecks, Plus, Pencil, Trash2 } from "lucide-react";
+import { AreaChart, Area, LineChart, Line, Legend, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from "recharts";
+import { WORDLIST_EN } from "./brain_gym_words";
+import { WORDLIST_ES } from "./brain_gym_words_es";
+import { WORDLIST_DE } from "./brain_gym_words_de";
+import { MESSAGES } from "./brain_gym_i18n";
+import { neighborsOf, slideHint } from "./brain_gym_slide";
+import { parseAnswer } from "./brain_gym_numbers";
 
 // =====================================
 // THEME & HELPERS
@@ -20,6 +26,7 @@ const COLORS = {
   pattern:{ light: "#9333ea", dark: "#d8b4fe" },       // purple
   words:  { light: "#dc2626", dark: "#fca5a5" },       // red
   puzzle: { light: "#f59e0b", dark: "#fcd34d" },       // amber
+  reaction:{ light: "#db2777", dark: "#f9a8d4" },      // pink
   chart:  { light: "#0ea5e9", dark: "#38bdf8" },       // cyan
 };
 const accent = (game) => prefersDark ? COLORS[game].dark : COLORS[game].light;
@@ -28,125 +35,1275 @@ const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
 const fmtDate = (d) => d.toISOString().slice(0,10);
 const todayKey = () => fmtDate(new Date());
 
+// Seeded PRNG (mulberry32 over an FNV-1a hash of the seed string). Every generator takes an
+// `rng` from here so a session can be replayed exactly from its seed. Question makers work on a `fork`:
+// a question costs its game's stream one draw, however many its stage needs, so later questions line up
+// on replay even when the ratings, and so the stages, have moved since.
+function hashSeed(str){
+  let h = 0x811c9dc5;
+  for(let i=0;i<str.length;i++){ h ^= str.charCodeAt(i); h = Math.imul(h, 0x01000193); }
+  return h >>> 0;
+}
+function makeRng(seed){
+  let a = hashSeed(String(seed));
+  const rng = ()=>{
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  rng.int = (lo, hi) => Math.floor(rng()*(hi-lo+1))+lo;
+  rng.pick = (arr) => arr[Math.floor(rng()*arr.length)];
+  rng.shuffle = (arr) => { const a=[...arr]; for(let i=a.length-1;i>0;i--){ const j=Math.floor(rng()*(i+1)); [a[i],a[j]]=[a[j],a[i]]; } return a; };
+  rng.fork = () => makeRng(rng());
+  return rng;
+}
+// New seeds are the only thing not derived from a seed
+const newSeed = () => {
+  const n = typeof crypto !== 'undefined' && crypto.getRandomValues ? crypto.getRandomValues(new Uint32Array(1))[0] : Date.now();
+  return n.toString(36).slice(-6).padStart(6, '0');
+};
+// Random hex ids (sync codes, devices, misses)
+const randomId = (bytes = 8) => [...(typeof crypto !== 'undefined' && crypto.getRandomValues ? crypto.getRandomValues(new Uint8Array(bytes)) : Array.from({length: bytes}, ()=> Math.random()*256))].map(b=> (b|0).toString(16).padStart(2,'0')).join('');
+const fmtDuration = (ms) => { const sec = Math.round(ms/1000); return `${Math.floor(sec/60)}:${String(sec%60).padStart(2,'0')}`; };
+const normSeed = (s) => String(s||'').trim().toLowerCase().replace(/[^a-z0-9-]/g, '').slice(0, 24);
+
+const median = (xs) => { if(!xs.length) return null; const s = [...xs].sort((a,b)=> a-b), m = s.length >> 1; return s.length % 2 ? s[m] : (s[m-1]+s[m])/2; };
+// ms since `dep` last changed (i.e. since the current question was shown)
+function useAnswerClock(dep){
+  const shownAt = useRef(performance.now());
+  useEffect(()=>{ shownAt.current = performance.now(); }, [dep]);
+  return ()=> Math.round(performance.now() - shownAt.current);
+}
+// Arrow keys move focus between the buttons of a grid with `cols` columns
+function gridArrowKeys(e, cols){
+  const delta = { ArrowLeft:-1, ArrowRight:1, ArrowUp:-cols, ArrowDown:cols }[e.key];
+  if(!delta) return;
+  const cells = [...e.currentTarget.querySelectorAll('button')];
+  const i = cells.indexOf(document.activeElement);
+  e.preventDefault(); cells[clamp(i < 0 ? 0 : i + delta, 0, cells.length-1)]?.focus();
+}
+const mediaQuery = (q) => typeof window !== 'undefined' && !!window.matchMedia && window.matchMedia(q).matches;
+const DEFAULT_A11Y = { colorBlind:false, reducedMotion: mediaQuery('(prefers-reduced-motion: reduce)'), highContrast: mediaQuery('(prefers-contrast: more)') };
 function groupMisses(list){
   if(!Array.isArray(list)) return {};
   return list.reduce((acc,m)=>{ const k=m?.game||'unknown'; (acc[k]=acc[k]||[]).push(m); return acc; },{});
 }
 
-// Recall difficulty: keep colors constant, grow SEQUENCE LENGTH by streak
-const recallSeqLenForStreakRound = (streak, round) => {
-  if (streak >= 12) return clamp(6 + Math.floor((streak - 12)/3), 6, 10);
-  if (streak >= 6) return (round % 2 === 0 ? 4 : 5);
-  return 3;
-};
+// =====================================
+// I18N — message catalogs live in brain_gym_i18n.js; numbers and dates go through Intl
+// =====================================
+const LOCALES = { en:'English', es:'Español', de:'Deutsch' };
+let locale = 'en'; // module-level so helpers outside components can format; the wrapper remounts on change
+function detectLocale(){
+  const prefs = typeof navigator !== 'undefined' ? (navigator.languages?.length ? navigator.languages : [navigator.language]) : [];
+  return prefs.map(l=> String(l||'').slice(0,2).toLowerCase()).find(l=> LOCALES[l]) || 'en';
+}
+function setLocale(l){
+  locale = LOCALES[l] ? l : 'en';
+  if(typeof document !== 'undefined') document.documentElement.lang = locale;
+  return locale;
+}
+const fmtNumber = (n, opts) => new Intl.NumberFormat(locale, opts).format(n);
+const fmtPct = (x) => fmtNumber(x, { style:'percent' });
+const fmtList = (items) => new Intl.ListFormat(locale, { type:'conjunction' }).format(items);
+// Day keys are local calendar days; noon keeps DST shifts from moving them
+const fmtDay = (day, opts = { dateStyle:'medium' }) => new Intl.DateTimeFormat(locale, opts).format(new Date(`${day}T12:00:00`));
+const fmtTime = (ms) => new Intl.DateTimeFormat(locale, { hour:'2-digit', minute:'2-digit' }).format(ms);
+const decimalSep = () => fmtNumber(1.5).charAt(1);
+// t('key', vars): {name} placeholders, numbers formatted for the locale, plural objects picked by vars.n.
+// Returns a string, or a fragment list when any var is a React element.
+function t(key, vars = {}){
+  let msg = MESSAGES[locale]?.[key] ?? MESSAGES.en[key] ?? key;
+  if(typeof msg === 'object') msg = msg[new Intl.PluralRules(locale).select(vars.n ?? 0)] ?? msg.other;
+  const parts = msg.split(/\{(\w+)\}/);
+  const val = (p) => (typeof vars[p] === 'number' ? fmtNumber(vars[p]) : vars[p] ?? `{${p}}`);
+  if(!Object.values(vars).some(v=> React.isValidElement(v))) return parts.map((p,i)=> (i%2 ? val(p) : p)).join('');
+  return parts.map((p,i)=> <React.Fragment key={i}>{i%2 ? val(p) : p}</React.Fragment>);
+}
+
+// Rough 0–4 stage from a game's xp + streak; seeds the skill rating of players who trained before ratings existed
+const stageFromStats = (stats) => { const xp = stats?.xp||0; const st = stats?.streak||0; return (st>=12||xp>=350)?4 : (st>=8||xp>=200)?3 : (st>=6||xp>=120)?2 : (st>=3||xp>=50)?1 : 0; };
 
 // LocalStorage keys
 const LS = {
   XP: "braingym_xp_by_day",
-  STREAK: "braingym_streak",
-  LAST_DAY: "braingym_last_day",
+  STREAK: "braingym_streak", // consecutive training days
+  LAST_DAY: "braingym_last_day", // last day any XP was earned
+  STREAK_FREEZES: "braingym_streak_freezes", // banked freezes, each covers one missed day
+  ACHIEVEMENTS: "braingym_achievements", // { unlocked: { id: ISO time }, facts }
   SETTINGS: "braingym_settings",
   MISSES: "braingym_misses_by_day",
+  GAME_XP: "braingym_game_xp_by_day", // { day: { game: xp } }
   GAME_STATS: "braingym_game_stats", // per-game stats → isolates difficulty
   THEME: "braingym_theme",
+  REVIEW: "braingym_review", // spaced-repetition items built from misses
+  FOCUS: "braingym_focus", // running Focus Block timer (timestamps, survives reloads)
+  SESSIONS: "braingym_sessions_by_day", // completed focus blocks
+  DAILY: "braingym_daily_by_day", // Daily Challenge results
+  ANSWERS: "braingym_answers_by_day", // every answer: { t, game, stage, ok, ms }
+  INSTALL_DISMISSED: "braingym_install_dismissed", // install banner snooze
+  RATINGS: "braingym_ratings", // { game: { player: { r, rd, n, day }, items: { key: { r, rd, n } } } }
+  SYNC: "braingym_sync", // sync server, code, this device's id and what it last saw on the server
+  SCHEMA: "braingym_schema_version",
 };
 
 const DEFAULT_SESSION_MIN = 25;
+const DEFAULT_TIMING = { sessionLen: DEFAULT_SESSION_MIN, breakLen: 5, longBreakLen: 15, longEvery: 4 };
+// Only the timing keys of settings: the rest of settings belongs to other cards and must not be written back from here
+const pickTiming = (s) => Object.fromEntries(Object.keys(DEFAULT_TIMING).map(k=> [k, Number.isFinite(s?.[k]) ? s[k] : DEFAULT_TIMING[k]]));
+
+// =====================================
+// GAMES — registry: one entry per game drives tabs, stats, Daily, Review, summary and analytics
+// =====================================
+// id: key in stored data • label: catalog key • icon: lucide icon • accent: { light, dark }
+// component: rendered with { rng, stats, dark, colorBlind, accent, onScore, onMiss, onModeStats }
+// defaultStats(): the game's stats record • defaultMode(mode): per-mode record under stats.modes (games with modes)
+// difficulty: range of the `stage` logged with each answer (null = unstaged) • reviewable: misses feed Review
+// rating: levels [lo, hi] the skill engine picks from, or (variant)=> [lo, hi]; parMs: answer time that still scores 1
+const GAMES = [
+  { id:'math',     label:'game.math',     icon:Calculator, accent:COLORS.math,     component:MathBlitz,      difficulty:{ min:0, max:4 },  reviewable:true,
+    rating:{ levels:[0, 4], parMs:8000 } },
+  { id:'recall',   label:'game.recall',   icon:Brain,      accent:COLORS.recall,   component:RecallSequence, difficulty:{ min:1, max:12 },
+    rating:{ levels:(mode)=> (RECALL_MODES[mode]?.kind === 'nback' ? [1, 9] : [2, 12]) },
+    defaultStats: ()=> ({ ...defaultGameStats(), modes:{} }), defaultMode: ()=> defaultRecallMode() },
+  { id:'pattern',  label:'game.pattern',  icon:Shapes,     accent:COLORS.pattern,  component:PatternFinder,  difficulty:{ min:0, max:4 },  reviewable:true,
+    rating:{ levels:[0, 4], parMs:15000 } },
+  { id:'anagram',  label:'game.anagram',  icon:Type,       accent:COLORS.words,    component:WordAnagram,    difficulty:{ min:0, max:3 },  reviewable:true,
+    rating:{ levels:()=> [0, WORD_TIERS.length-1], parMs:15000 } },
+  { id:'puzzle',   label:'game.puzzle',   icon:Puzzle,     accent:COLORS.puzzle,   component:TilePuzzle,     difficulty:{ min:3, max:10 },
+    rating:{ levels:(mode)=> (mode === 'slide' ? [3, 5] : [0, SWAP_PIECES.length-1]) } },
+  { id:'reaction', label:'game.reaction', icon:Zap,        accent:COLORS.reaction, component:ReactionGame,   difficulty:null,
+    rating:{ levels:[0, 0] },
+    defaultStats: ()=> ({ ...defaultGameStats(), modes:{} }), defaultMode: ()=> ({ best:null, played:0 }) },
+];
+const GAME_BY_ID = Object.fromEntries(GAMES.map(g=> [g.id, g]));
+const GAME_IDS = GAMES.map(g=> g.id);
+const gameLabel = (id) => (GAME_BY_ID[id] ? t(GAME_BY_ID[id].label) : id);
+const gameColor = (id, dark) => { const a = GAME_BY_ID[id]?.accent || COLORS.chart; return dark ? a.dark : a.light; };
+const newGameStats = (id) => GAME_BY_ID[id]?.defaultStats?.() ?? defaultGameStats();
+// Registry order for lists keyed by game id; unknown ids (old data) go last
+const byGameOrder = (entries) => [...entries].sort(([a], [b])=> (GAME_IDS.indexOf(a)+1 || 99) - (GAME_IDS.indexOf(b)+1 || 99));
+// Player's tab layout from settings: saved order first (unknown ids dropped), newly registered games appended;
+// at least one game always stays visible
+function normGameLayout(saved){
+  const order = [...new Set([...(Array.isArray(saved?.order) ? saved.order : []).filter(id=> GAME_BY_ID[id]), ...GAME_IDS])];
+  const hidden = (Array.isArray(saved?.hidden) ? saved.hidden : []).filter(id=> GAME_BY_ID[id]);
+  return { order, hidden: hidden.length >= order.length ? [] : hidden };
+}
+
+// =====================================
+// DIFFICULTY — one Glicko-style skill engine for every game
+// =====================================
+// The player has a rating per game and every item ("basic:2" = math family + level, "colors:5", …) has one
+// too; each rated answer is a match between the two. Games ask `skill.pick` for the level the player should
+// get right about RATING_TARGET of the time, so a single slip costs a little rating instead of a whole level.
+const RATING_START = 1500, RATING_RD = 350, RATING_RD_MIN = 40;
+const RATING_DRIFT = 35; // RD regained per idle day: the longer the break, the faster the rating moves again
+const RATING_TARGET = 0.8;
+const ITEM_STEP = 120; // prior rating gap between neighbouring levels, until answers rate the items themselves
+const GLICKO_Q = Math.LN10 / 400;
+const glickoG = (rd) => 1 / Math.sqrt(1 + 3 * GLICKO_Q**2 * rd**2 / Math.PI**2);
+// Expected score of `a` against `b` (a = player, b = item → chance of success)
+const expectedScore = (a, b) => 1 / (1 + 10 ** (-glickoG(b.rd) * (a.r - b.r) / 400));
+// Glicko-1 update of `a` after one game against `b` with score s ∈ [0, 1]
+function glicko(a, b, s){
+  const g = glickoG(b.rd), e = expectedScore(a, b);
+  const inv = 1 / a.rd**2 + GLICKO_Q**2 * g**2 * e * (1-e);
+  return { ...a, r: a.r + GLICKO_Q / inv * g * (s - e), rd: Math.max(RATING_RD_MIN, Math.sqrt(1 / inv)), n: (a.n||0) + 1 };
+}
+// Misses score 0; right answers score 1 within par, sliding to 0.6 at 3× par. A graded `score` (n-back) wins.
+function answerScore(ok, answer, parMs){
+  if(Number.isFinite(answer.score)) return clamp(answer.score, 0, 1);
+  if(!ok) return 0;
+  const par = answer.par ?? parMs;
+  if(!par || !Number.isFinite(answer.ms) || answer.ms <= par) return 1;
+  return Math.max(0.6, 1 - 0.2 * (answer.ms - par) / par);
+}
+
+const newRating = (r = RATING_START) => ({ r, rd: RATING_RD, n:0 });
+const itemKey = (variant, level) => (variant ? `${variant}:${level}` : String(level));
+const levelRange = (game, variant) => { const l = GAME_BY_ID[game].rating.levels; return typeof l === 'function' ? l(variant) : l; };
+// Unplayed items start ITEM_STEP apart, the easiest a little below a new player
+function itemPrior(game, key){
+  const i = key.lastIndexOf(':');
+  const [lo] = levelRange(game, key.slice(0, Math.max(0, i)));
+  return newRating(RATING_START - 200 + ITEM_STEP * ((Number(key.slice(i+1)) || 0) - lo));
+}
+// Player rating with idle-day drift applied; players from before ratings start near their old stage
+function playerRating(all, game){
+  const p = all[game]?.player;
+  if(!p) return newRating(RATING_START + ITEM_STEP * stageFromStats(store.get(LS.GAME_STATS)[game]));
+  const idle = p.day ? Math.max(0, daysBetween(p.day, todayKey())) : 0;
+  return { ...p, rd: Math.min(RATING_RD, Math.sqrt(p.rd**2 + RATING_DRIFT**2 * idle)) };
+}
+
+const skill = {
+  player: (game) => playerRating(store.get(LS.RATINGS), game),
+  item: (game, key) => store.get(LS.RATINGS)[game]?.items?.[key] || itemPrior(game, key),
+  // Levels are coarse, so mix the two that bracket RATING_TARGET in the ratio that averages out to it
+  // Always draws exactly once, so a seed's stream stays aligned whatever the ratings are when it is replayed
+  pick(game, variant, rng){
+    const u = rng();
+    const [lo, hi] = levelRange(game, variant); const p = skill.player(game);
+    const odds = (l) => expectedScore(p, skill.item(game, itemKey(variant, l)));
+    let l = lo;
+    while(l < hi && odds(l+1) >= RATING_TARGET) l++;
+    if(l === hi || odds(l) <= RATING_TARGET) return l;
+    const easy = odds(l), hard = odds(l+1);
+    return u < (easy - RATING_TARGET) / (easy - hard) ? l+1 : l;
+  },
+  // answer = { item, ms?, par?, score? } from the game; returns every rating after the update
+  record(game, ok, answer){
+    const p = skill.player(game), it = skill.item(game, answer.item);
+    const s = answerScore(ok, answer, GAME_BY_ID[game]?.rating?.parMs);
+    return store.update(LS.RATINGS, (all)=> ({ ...all, [game]: {
+      player: { ...glicko(p, it, s), day: todayKey() },
+      items: { ...all[game]?.items, [answer.item]: glicko(it, p, 1 - s) },
+    } }));
+  },
+};
+const isRating = (x) => isObj(x) && Number.isFinite(x.r) && Number.isFinite(x.rd);
+const cleanRating = (x) => ({ ...x, r: clamp(x.r, 0, 4000), rd: clamp(x.rd, RATING_RD_MIN, RATING_RD), n: Math.floor(nonNeg(x.n)) });
+function validateRatings(v){
+  if(!isObj(v)) return undefined;
+  const out = {};
+  for(const [g, e] of Object.entries(v)){
+    if(!isObj(e)) continue;
+    const items = isObj(e.items) ? Object.fromEntries(Object.entries(e.items).filter(([, x])=> isRating(x)).map(([k, x])=> [k, cleanRating(x)])) : {};
+    out[g] = { player: isRating(e.player) ? { ...cleanRating(e.player), day: isDay(e.player.day) ? e.player.day : null } : null, items };
+  }
+  return out;
+}
+
+// =====================================
+// STORAGE — one module behind LS: schema version, migrations, validation,
+// IndexedDB archive for per-day history
+// =====================================
+const SCHEMA_VERSION = 1;
+const HOT_DAYS = 60; // per-day history newer than this stays in localStorage (a key's `hotDays` overrides it)
+
+const isObj = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+const isDay = (d) => typeof d === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(d);
+const nonNeg = (n) => (Number.isFinite(Number(n)) && Number(n) > 0 ? Number(n) : 0);
+const daysAgoKey = (n) => { const d = new Date(); d.setDate(d.getDate()-n); return fmtDate(d); };
+const addDays = (day, n) => { const d = new Date(`${day}T00:00:00Z`); d.setUTCDate(d.getUTCDate()+n); return fmtDate(d); };
+
+// Raw access; every localStorage call in the app goes through here
+const lsRaw = {
+  get: (k) => { try { return localStorage.getItem(k); } catch { return null; } },
+  set: (k, v) => { try { localStorage.setItem(k, v); return true; } catch { return false; } },
+  remove: (k) => { try { localStorage.removeItem(k); } catch {} },
+};
+
+// Keep what is valid in a { 'YYYY-MM-DD': value } map, drop the rest
+function dayMap(v, fix){
+  if(!isObj(v)) return undefined;
+  const out = {};
+  for(const [d, x] of Object.entries(v)){ if(!isDay(d)) continue; const y = fix(x); if(y !== undefined) out[d] = y; }
+  return out;
+}
+const defaultGameStats = () => ({ xp:0, streak:0, lastDay:null });
+function validateGameStats(v){
+  if(!isObj(v)) return undefined;
+  const out = {};
+  for(const [g, s] of Object.entries(v)){
+    if(!isObj(s)) continue;
+    out[g] = { ...s, xp: clamp(nonNeg(s.xp), 0, 1_000_000), streak: Math.floor(nonNeg(s.streak)), lastDay: isDay(s.lastDay) ? s.lastDay : null };
+  }
+  GAME_IDS.forEach(g=>{ out[g] = { ...newGameStats(g), ...(out[g]||{}) }; });
+  return out;
+}
+
+function validateReview(v){
+  if(!isObj(v)) return undefined;
+  const out = {};
+  for(const [id, it] of Object.entries(v)){
+    if(!isObj(it) || typeof it.game !== 'string' || it.prompt === undefined || it.answer === undefined) continue;
+    out[id] = { ...it, id, ease: clamp(Number(it.ease)||2.5, 1.3, 3), interval: nonNeg(it.interval), reps: Math.floor(nonNeg(it.reps)), due: isDay(it.due) ? it.due : todayKey() };
+  }
+  return out;
+}
+
+// Union two day maps, combining days present in both with `both(a, b)`
+function mergeDays(a, b, both){
+  const out = { ...a };
+  for(const [d, v] of Object.entries(b)) out[d] = d in out ? both(out[d], v) : v;
+  return out;
+}
+const sameMiss = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Shape of every key: fallback when missing/corrupt, validate → cleaned value or undefined if unusable,
+// merge(current, incoming) → value used when a backup is merged in (default: keep current)
+const SCHEMA = {
+  [LS.XP]:         { history:true, fallback: ()=>({}), validate: (v)=> dayMap(v, (n)=> (Number.isFinite(n) && n >= 0 ? n : undefined)),
+                     merge: (a, b)=> mergeDays(a, b, Math.max) },
+  [LS.MISSES]:     { history:true, fallback: ()=>({}), validate: (v)=> dayMap(v, (l)=> (Array.isArray(l) ? l.filter(isObj) : undefined)),
+                     merge: (a, b)=> mergeDays(a, b, (x, y)=> [...x, ...y.filter(m=> !x.some(n=> sameMiss(m, n)))]) },
+  [LS.GAME_XP]:    { history:true, fallback: ()=>({}), validate: (v)=> dayMap(v, (g)=> (isObj(g) ? Object.fromEntries(Object.entries(g).map(([k, n])=> [k, nonNeg(n)])) : undefined)),
+                     merge: (a, b)=> mergeDays(a, b, (x, y)=> mergeDays(x, y, Math.max)) },
+  [LS.GAME_STATS]: { fallback: ()=> validateGameStats({}), validate: validateGameStats,
+                     merge: (a, b)=> mergeDays(a, b, (x, y)=> ((y.lastDay||'') > (x.lastDay||'') ? { ...y, xp: Math.max(x.xp, y.xp) } : { ...x, xp: Math.max(x.xp, y.xp) })) },
+  [LS.SETTINGS]:   { fallback: ()=>({}), validate: (v)=> (isObj(v) ? v : undefined), merge: (a, b)=> ({ ...b, ...a }) },
+  [LS.THEME]:      { fallback: ()=> null, validate: (v)=> (v === null || v === 'dark' || v === 'light' ? v : undefined) },
+  [LS.STREAK]:     { fallback: ()=> 0, validate: (v)=> (Number.isFinite(v) ? Math.max(0, Math.floor(v)) : undefined), merge: Math.max },
+  [LS.STREAK_FREEZES]: { fallback: ()=> 0, validate: (v)=> (Number.isFinite(v) ? clamp(Math.floor(v), 0, FREEZE_MAX) : undefined), merge: Math.max },
+  [LS.LAST_DAY]:   { fallback: ()=> null, validate: (v)=> (v === null || isDay(v) ? v : undefined), merge: (a, b)=> ((b||'') > (a||'') ? b : a) },
+  [LS.REVIEW]:     { fallback: ()=>({}), validate: validateReview,
+                     merge: (a, b)=> mergeDays(a, b, (x, y)=> ((y.updated||'') > (x.updated||'') ? y : x)) },
+  [LS.FOCUS]:      { fallback: idleFocus, validate: (v)=> (isObj(v) && FOCUS_PHASES.includes(v.phase) ? { ...idleFocus(), ...v, routine: normRoutine(v.routine) } : undefined) },
+  [LS.SESSIONS]:   { history:true, fallback: ()=>({}), validate: (v)=> dayMap(v, (l)=> (Array.isArray(l) ? l.filter(s=> isObj(s) && Number.isFinite(s.start)) : undefined)),
+                     merge: (a, b)=> mergeDays(a, b, (x, y)=> [...x, ...y.filter(s=> !x.some(t=> t.start === s.start))]) },
+  [LS.DAILY]:      { history:true, fallback: ()=>({}), validate: (v)=> dayMap(v, (r)=> (isObj(r) && Number.isFinite(r.score) ? r : undefined)),
+                     merge: (a, b)=> mergeDays(a, b, (x)=> x) },
+  [LS.ANSWERS]:    { history:true, hotDays:7, fallback: ()=>({}), validate: (v)=> dayMap(v, (l)=> (Array.isArray(l) ? l.filter(a=> isObj(a) && Number.isFinite(a.t) && typeof a.game === 'string') : undefined)),
+                     merge: (a, b)=> mergeDays(a, b, (x, y)=> [...x, ...y.filter(e=> !x.some(f=> f.t === e.t && f.game === e.game))]) },
+  [LS.ACHIEVEMENTS]: { fallback: emptyAchievements, validate: (v)=> (isObj(v) && isObj(v.unlocked) && isObj(v.facts) ? { unlocked: v.unlocked, facts: { ...emptyAchievements().facts, ...v.facts } } : undefined),
+                     merge: (a, b)=> ({ unlocked: mergeDays(b.unlocked, a.unlocked, (x, y)=> (x < y ? x : y)), facts: a.facts }) },
+  [LS.RATINGS]:    { fallback: ()=>({}), validate: validateRatings,
+                     merge: (a, b)=> mergeDays(a, b, (x, y)=> ({ player: (y.player?.n||0) > (x.player?.n||0) ? y.player : x.player, items: mergeDays(x.items, y.items, (i, j)=> (j.n > i.n ? j : i)) })) },
+  [LS.INSTALL_DISMISSED]: { fallback: ()=> 0, validate: (v)=> (Number.isFinite(v) ? v : undefined) },
+  [LS.SYNC]:       { fallback: ()=> defaultSync(), validate: (v)=> (isObj(v) ? { ...defaultSync(), ...v, base: isObj(v.base) ? v.base : {} } : undefined) },
+};
+const HISTORY_KEYS = Object.keys(SCHEMA).filter(k=> SCHEMA[k].history);
+
+// Migrations: MIGRATIONS[n] upgrades data written by schema n-1 to schema n.
+// Raw values are snapshotted first and restored if a step throws.
+const MIGRATIONS = {
+  1: ()=>{
+    // v0 wrote the theme as a bare string (the install snooze was a bare number, which already parses)
+    const theme = lsRaw.get(LS.THEME);
+    if(theme === 'dark' || theme === 'light') lsRaw.set(LS.THEME, JSON.stringify(theme));
+  },
+};
+
+let migrated = false;
+function runMigrations(){
+  if(migrated) return; migrated = true;
+  let v = Number(lsRaw.get(LS.SCHEMA)) || 0;
+  // data from a newer build is read as-is
+  if(v > SCHEMA_VERSION) return;
+  if(v === SCHEMA_VERSION) return;
+  const keys = Object.values(LS);
+  const snapshot = Object.fromEntries(keys.map(k=> [k, lsRaw.get(k)]));
+  while(v < SCHEMA_VERSION){
+    try { MIGRATIONS[v+1]?.(); }
+    catch{
+      // restore the pre-migration data and keep a copy of it next to the schema key
+      keys.forEach(k=> snapshot[k] === null ? lsRaw.remove(k) : lsRaw.set(k, snapshot[k]));
+      lsRaw.set(`${LS.SCHEMA}_backup_v${v}`, JSON.stringify(snapshot));
+      return;
+    }
+    v++; lsRaw.set(LS.SCHEMA, String(v));
+  }
+}
+
+// Profiles: every key except device-level ones is stored per profile as `${key}@${id}`.
+// The default profile keeps the bare keys, so data written before profiles needs no migration.
+const PROFILES_KEY = 'braingym_profiles'; // { active, list: [{ id, name, pinHash? }] }
+const DEVICE_KEYS = [LS.INSTALL_DISMISSED, LS.SCHEMA];
+let profileId = null;
+function readProfiles(){
+  let v; try { v = JSON.parse(lsRaw.get(PROFILES_KEY) || 'null'); } catch { v = null; }
+  if(isObj(v) && Array.isArray(v.list) && v.list.some(p=> p?.id === 'default')) return { ...v, active: v.list.some(p=> p.id === v.active) ? v.active : 'default' };
+  return { active:'default', list:[{ id:'default', name:'Me' }] };
+}
+const currentProfile = () => (profileId ??= readProfiles().active);
+const nsKey = (key, id = currentProfile()) => (id === 'default' || DEVICE_KEYS.includes(key) ? key : `${key}@${id}`);
+
+// IndexedDB: full per-day history, one row per (profile key, day)
+const IDB_NAME = 'braingym';
+const IDB_VERSION = 2; // v2: `images` store for user puzzle photos
+let idbPromise = null;
+function openIDB(){
+  if(idbPromise) return idbPromise;
+  idbPromise = new Promise((resolve, reject)=>{
+    if(typeof indexedDB === 'undefined') return reject(new Error('IndexedDB unavailable'));
+    const req = indexedDB.open(IDB_NAME, IDB_VERSION);
+    req.onupgradeneeded = ()=>{
+      const db = req.result;
+      if(!db.objectStoreNames.contains('history')) db.createObjectStore('history', { keyPath:'id' }).createIndex('key', 'key');
+      if(!db.objectStoreNames.contains('images')) db.createObjectStore('images', { keyPath:'id', autoIncrement:true });
+    };
+    req.onsuccess = ()=> resolve(req.result);
+    req.onerror = ()=> reject(req.error);
+  });
+  return idbPromise;
+}
+function idbTx(name, mode, fn){
+  return openIDB().then(db=> new Promise((resolve, reject)=>{
+    const tx = db.transaction(name, mode);
+    const req = fn(tx.objectStore(name));
+    tx.oncomplete = ()=> resolve(req?.result);
+    tx.onerror = tx.onabort = ()=> reject(tx.error);
+  }));
+}
+const historyRow = (key, day, value, pid) => ({ id:`${nsKey(key, pid)}|${day}`, key: nsKey(key, pid), day, value });
+
+// `pid` (default: the active profile) pins a read or write to one profile, for work that spans awaits (SYNC)
+function readKey(key, pid = currentProfile()){
+  runMigrations();
+  const spec = SCHEMA[key];
+  const raw = lsRaw.get(nsKey(key, pid));
+  if(raw === null) return spec.fallback();
+  let parsed;
+  try { parsed = JSON.parse(raw); } catch { parsed = undefined; }
+  const clean = parsed === undefined ? undefined : spec.validate(parsed);
+  if(clean === undefined){
+    // quarantine the unreadable value once, then store the fallback so later reads are clean
+    const fallback = spec.fallback();
+    lsRaw.set(`${nsKey(key, pid)}_corrupt`, raw);
+    lsRaw.set(nsKey(key, pid), JSON.stringify(fallback));
+    return fallback;
+  }
+  return clean;
+}
+// Storage full: the answer log (one row per answer, the fastest-growing key) gives up every day but today.
+// updateDay mirrors each day into IndexedDB as it is written, so only the localStorage copy goes.
+const recentAnswers = (map) => Object.fromEntries(Object.entries(map).filter(([d])=> d >= todayKey()));
+function trimAnswers(pid){
+  const map = readKey(LS.ANSWERS, pid), recent = recentAnswers(map);
+  return Object.keys(recent).length < Object.keys(map).length && lsRaw.set(nsKey(LS.ANSWERS, pid), JSON.stringify(recent));
+}
+const writeListeners = new Set();
+function writeKey(key, value, pid = currentProfile()){
+  runMigrations();
+  let clean = SCHEMA[key].validate(value);
+  if(clean === undefined) throw new Error(`[storage] refusing to write invalid ${key}`);
+  let ok = lsRaw.set(nsKey(key, pid), JSON.stringify(clean));
+  if(!ok && trimAnswers(pid)){
+    if(key === LS.ANSWERS) clean = recentAnswers(clean);
+    ok = lsRaw.set(nsKey(key, pid), JSON.stringify(clean));
+  }
+  writeListeners.forEach(fn=> fn(key, pid, ok));
+  return clean;
+}
 
-// Key for install banner snooze
-const INSTALL_DISMISSED_KEY = 'braingym_install_dismissed';
+const store = {
+  get: readKey,
+  set: writeKey,
+  // read-modify-write against what is persisted now, not a stale React copy
+  update: (key, fn, pid = currentProfile()) => writeKey(key, fn(readKey(key, pid)), pid),
+  remove: (key) => lsRaw.remove(nsKey(key)),
+  // fn(key, pid, ok) after every write, ok = false when storage refused it; returns the unsubscribe
+  subscribe: (fn) => { writeListeners.add(fn); return ()=> writeListeners.delete(fn); },
+  getDay: (key, day) => readKey(key)[day],
+  updateDay(key, day, fn){
+    const map = store.update(key, (m)=> ({ ...m, [day]: fn(m[day]) }));
+    const row = historyRow(key, day, map[day]); // built now: the profile may change before IndexedDB opens
+    idbTx('history', 'readwrite', (os)=> os.put(row)).catch(()=>{});
+    return map[day];
+  },
+  // Whole history for a per-day key: archived days from IndexedDB + hot days from localStorage
+  async history(key, pid = currentProfile()){
+    const hot = readKey(key, pid);
+    try {
+      const rows = await idbTx('history', 'readonly', (os)=> os.index('key').getAll(nsKey(key, pid)));
+      const cold = SCHEMA[key].validate(Object.fromEntries((rows||[]).map(r=> [r.day, r.value]))) || {};
+      return { ...cold, ...hot };
+    } catch { return hot; }
+  },
+  // Replace a per-day key's whole history (archive included)
+  async setHistory(key, map, pid = currentProfile()){
+    const clean = writeKey(key, map, pid);
+    try {
+      await idbTx('history', 'readwrite', (os)=>{
+        os.index('key').openCursor(IDBKeyRange.only(nsKey(key, pid))).onsuccess = (e)=>{ const c = e.target.result; if(c){ c.delete(); c.continue(); } };
+      });
+      await idbTx('history', 'readwrite', (os)=>{ Object.entries(clean).forEach(([d, v])=> os.put(historyRow(key, d, v, pid))); });
+    } catch {}
+    await store.archive(pid);
+  },
+  // Copy per-day history into IndexedDB, then drop days older than HOT_DAYS (or the key's hotDays) from localStorage
+  async archive(pid = currentProfile()){
+    for(const key of HISTORY_KEYS){
+      const cutoff = daysAgoKey(SCHEMA[key].hotDays ?? HOT_DAYS);
+      const map = readKey(key, pid);
+      const days = Object.keys(map);
+      if(!days.length) continue;
+      try { await idbTx('history', 'readwrite', (os)=>{ days.forEach(d=> os.put(historyRow(key, d, map[d], pid))); }); }
+      catch { return; } // no IndexedDB: keep everything in localStorage
+      const cold = days.filter(d=> d < cutoff);
+      if(cold.length) store.update(key, (m)=>{ const next = { ...m }; cold.forEach(d=> delete next[d]); return next; }, pid);
+    }
+  },
+};
 
-// Small util wrappers
-const safeGet = (k, fallback) => {
-  try { return JSON.parse(localStorage.getItem(k) || fallback); } catch { return JSON.parse(fallback); }
+const hashPin = async (id, pin) => {
+  const buf = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`braingym:${id}:${pin}`));
+  return [...new Uint8Array(buf)].map(b=> b.toString(16).padStart(2,'0')).join('');
 };
-const safeSet = (k, v) => { try { localStorage.setItem(k, typeof v === 'string' ? v : JSON.stringify(v)); } catch {} };
+const profiles = {
+  read: readProfiles,
+  save: (v) => { lsRaw.set(PROFILES_KEY, JSON.stringify(v)); return v; },
+  switchTo: (id) => { profileId = id; return profiles.save({ ...readProfiles(), active: id }); },
+  create: (name) => {
+    const id = `p${Date.now().toString(36)}`;
+    profiles.save({ ...readProfiles(), list: [...readProfiles().list, { id, name }] });
+    return id;
+  },
+  edit: (id, fn) => { const v = readProfiles(); return profiles.save({ ...v, list: v.list.map(p=> (p.id === id ? fn(p) : p)) }); },
+  checkPin: async (p, pin) => !p.pinHash || p.pinHash === await hashPin(p.id, pin),
+  // Drop a (non-default, inactive) profile's keys and archived history
+  async remove(id){
+    if(id === 'default' || id === currentProfile()) return;
+    for(const key of Object.keys(SCHEMA)){ lsRaw.remove(nsKey(key, id)); lsRaw.remove(`${nsKey(key, id)}_corrupt`); }
+    try {
+      await idbTx('history', 'readwrite', (os)=>{
+        HISTORY_KEYS.forEach(k=>{ os.index('key').openCursor(IDBKeyRange.only(nsKey(k, id))).onsuccess = (e)=>{ const c = e.target.result; if(c){ c.delete(); c.continue(); } }; });
+      });
+    } catch {}
+    const v = readProfiles();
+    profiles.save({ ...v, list: v.list.filter(p=> p.id !== id) });
+  },
+};
+
+// =====================================
+// BACKUP — versioned JSON export/import, CSV of daily XP & misses
+// =====================================
+const BACKUP_FORMAT = 'braingym-backup';
+const BACKUP_VERSION = 1;
+const BACKUP_KEYS = Object.keys(SCHEMA).filter(k=> k !== LS.INSTALL_DISMISSED && k !== LS.SYNC);
+
+async function exportBackup(){
+  const data = {};
+  for(const key of BACKUP_KEYS) data[key] = SCHEMA[key].history ? await store.history(key) : store.get(key);
+  return { format: BACKUP_FORMAT, version: BACKUP_VERSION, schema: SCHEMA_VERSION, exportedAt: new Date().toISOString(), data };
+}
+
+// Parse + validate a backup file. Throws with a readable message; returns { data, skipped }.
+function parseBackup(text){
+  let file;
+  try { file = JSON.parse(text); } catch { throw new Error(t('backup.err.json')); }
+  if(!isObj(file) || file.format !== BACKUP_FORMAT) throw new Error(t('backup.err.format'));
+  if(!(file.version >= 1 && file.version <= BACKUP_VERSION)) throw new Error(t('backup.err.version', { version: String(file.version) }));
+  if(Number(file.schema) > SCHEMA_VERSION) throw new Error(t('backup.err.newer'));
+  if(!isObj(file.data)) throw new Error(t('backup.err.noData'));
+  const data = {}; const skipped = [];
+  for(const [key, value] of Object.entries(file.data)){
+    if(!BACKUP_KEYS.includes(key)) continue;
+    const clean = SCHEMA[key].validate(value);
+    if(clean === undefined) skipped.push(key); else data[key] = clean;
+  }
+  if(!Object.keys(data).length) throw new Error(t('backup.err.unreadable'));
+  return { data, skipped, exportedAt: file.exportedAt };
+}
+
+// mode: 'merge' keeps local data and folds the backup in; 'replace' overwrites everything it contains
+async function importBackup(data, mode){
+  for(const [key, value] of Object.entries(data)){
+    const spec = SCHEMA[key];
+    if(spec.history){
+      const cur = mode === 'merge' ? await store.history(key) : {};
+      await store.setHistory(key, mode === 'merge' ? spec.merge(cur, value) : value);
+    } else {
+      store.set(key, mode === 'merge' ? (spec.merge ? spec.merge(store.get(key), value) : store.get(key) ?? value) : value);
+    }
+  }
+}
+
+const csvCell = (v) => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+async function exportCsv(){
+  const [xp, gameXp, misses] = await Promise.all([store.history(LS.XP), store.history(LS.GAME_XP), store.history(LS.MISSES)]);
+  const rows = [['date','game','xp','misses']];
+  const days = [...new Set([...Object.keys(xp), ...Object.keys(gameXp), ...Object.keys(misses)])].sort();
+  for(const day of days){
+    const byGame = gameXp[day] || {};
+    const missed = groupMisses(misses[day]);
+    const games = [...new Set([...Object.keys(byGame), ...Object.keys(missed)])].sort();
+    games.forEach(g=> rows.push([day, g, byGame[g]||0, missed[g]?.length||0]));
+    // days recorded before per-game XP existed only have a total
+    const rest = (xp[day]||0) - Object.values(byGame).reduce((a, n)=> a+n, 0);
+    if(rest > 0) rows.push([day, 'unattributed', rest, 0]);
+  }
+  return rows.map(r=> r.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+function downloadFile(name, text, type){
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a'); a.href = url; a.download = name;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(()=> URL.revokeObjectURL(url), 1000);
+}
+
+// =====================================
+// SYNC — optional push/pull of this profile's data to a self-hosted server (brain_gym_sync_server.mjs)
+// =====================================
+// The server keeps one JSON document per sync code: { rev, keys: { lsKey: value } }. A sync pulls it, merges it
+// with local data and writes it back only if nobody else did in between (rev check; retried on 409).
+// Offline-first: every change is saved locally and only marks the profile dirty; the next sync (a few seconds
+// after a change, on reconnect, every few minutes, or on demand) merges whatever piled up.
+// Merge rules, chosen so any number of syncs in any order gives the same totals:
+//   • XP and per-game XP are counted per device ({ day: { device: n } } on the server) and summed, never added twice
+//   • misses (by id), answers, sessions, review, achievements, ratings and the streak use the backup merge
+//   • game stats: the record with the later updatedAt wins, the device id breaks ties; xp never goes down
+// Settings, theme and the running Focus Block stay per device.
+const SYNC_KEYS = BACKUP_KEYS.filter(k=> ![LS.SETTINGS, LS.THEME, LS.FOCUS].includes(k));
+const SYNC_COUNTERS = [LS.XP, LS.GAME_XP];
+const SYNC_DEBOUNCE_MS = 4000, SYNC_POLL_MS = 3 * 60_000;
+const defaultSync = () => ({ enabled:false, url:'', code:'', token:'', device:'', rev:0, base:{}, dirtyAt:null, lastSync:null, error:null });
+const syncDevice = (pid) => store.get(LS.SYNC, pid).device || store.update(LS.SYNC, (s)=> ({ ...s, device: randomId(6) }), pid).device;
+
+// XP maps ↔ flat counters keyed "day" (XP) or "day|game" (per-game XP)
+const flatCounts = (key, map) => (key === LS.XP ? { ...map } : Object.fromEntries(Object.entries(map).flatMap(([d, g])=> Object.entries(g).map(([game, n])=> [`${d}|${game}`, n]))));
+function unflatCounts(key, flat){
+  if(key === LS.XP) return flat;
+  const out = {};
+  for(const [k, n] of Object.entries(flat)){ const [d, game] = k.split('|'); (out[d] = out[d] || {})[game] = n; }
+  return out;
+}
+const cleanCounts = (v) => (isObj(v) ? Object.fromEntries(Object.entries(v).filter(([, c])=> isObj(c)).map(([k, c])=> [k, Object.fromEntries(Object.entries(c).map(([d, n])=> [d, nonNeg(n)]))])) : {});
+const sumDevices = (byDevice = {}, skip) => Object.entries(byDevice).reduce((a, [d, n])=> (d === skip ? a : a + n), 0);
+// This device's share of a local total is whatever the other devices had not contributed at the last sync (`base`)
+function mergeCounts(local, remote, base = {}, me){
+  const doc = { ...remote };
+  for(const [k, total] of Object.entries(local)){
+    const own = Math.max(0, total - sumDevices(base[k], me));
+    doc[k] = { ...doc[k], [me]: Math.max(own, doc[k]?.[me] || 0) };
+  }
+  return doc;
+}
+
+const newerStats = (a, b) => (((a.updatedAt||0) - (b.updatedAt||0) || String(a.device||'').localeCompare(String(b.device||''))) >= 0 ? a : b);
+const mergeGameStats = (a, b) => mergeDays(a, b, (x, y)=> ({ ...newerStats(x, y), xp: Math.max(x.xp||0, y.xp||0) }));
+const mergeSynced = (key, local, remote) => (key === LS.GAME_STATS ? mergeGameStats(local, remote) : SCHEMA[key].merge(local, remote));
+
+async function syncRequest(cfg, method, body){
+  const res = await fetch(`${cfg.url.replace(/\/+$/, '')}/v1/spaces/${encodeURIComponent(cfg.code)}`, {
+    method, body: body && JSON.stringify(body),
+    headers: { 'Content-Type': 'application/json', ...(cfg.token ? { Authorization: `Bearer ${cfg.token}` } : {}) },
+  });
+  if(res.status !== 200 && res.status !== 409) throw new Error(t('sync.err.http', { status: String(res.status) }));
+  return { conflict: res.status === 409, doc: await res.json() };
+}
+
+// One sync at a time; callers for the same profile share the running one, another profile's waits for it to end.
+// A sync is pinned to the profile it started on and stops before sending or writing if the player switched away.
+let syncRun = null; // { pid, promise }
+let syncApplying = null; // profile a sync is writing merged data to, so those writes don't mark it dirty
+const SYNC_ABORTED = 'sync aborted: profile switched';
+function syncNow(){
+  const pid = currentProfile();
+  if(syncRun?.pid === pid) return syncRun.promise;
+  const promise = (syncRun ? syncRun.promise.catch(()=>{}) : Promise.resolve()).then(()=> runSync(pid))
+    .finally(()=>{ if(syncRun?.promise === promise) syncRun = null; });
+  syncRun = { pid, promise };
+  return promise;
+}
+// Key order differs between localStorage and IndexedDB reads; compare content only
+const stableJson = (v) => JSON.stringify(v, (k, x)=> (isObj(x) ? Object.fromEntries(Object.entries(x).sort(([a], [b])=> (a < b ? -1 : a > b ? 1 : 0))) : x));
+const readSynced = async (pid) => { const out = {}; for(const key of SYNC_KEYS) out[key] = SCHEMA[key].history ? await store.history(key, pid) : store.get(key, pid); return out; };
+const checkProfile = (pid) => { if(currentProfile() !== pid) throw new Error(SYNC_ABORTED); };
+
+// → { changed } (whether anything arrived from other devices); throws on network/server errors
+async function runSync(pid = currentProfile()){
+  const cfg = store.get(LS.SYNC, pid);
+  if(!cfg.enabled || !cfg.url || !cfg.code) return { changed:false };
+  const me = syncDevice(pid), dirtyAt = cfg.dirtyAt;
+  try {
+    for(let attempt = 0; attempt < 3; attempt++){
+      const { doc: remote } = await syncRequest(cfg, 'GET');
+      const local = await readSynced(pid);
+      const keys = {}, next = {};
+      for(const key of SYNC_KEYS){
+        const theirs = remote.keys?.[key];
+        if(SYNC_COUNTERS.includes(key)){
+          keys[key] = mergeCounts(flatCounts(key, local[key]), cleanCounts(theirs), cfg.base[key], me);
+          next[key] = unflatCounts(key, Object.fromEntries(Object.entries(keys[key]).map(([k, c])=> [k, sumDevices(c)])));
+        } else {
+          const clean = theirs === undefined ? undefined : SCHEMA[key].validate(theirs);
+          keys[key] = next[key] = clean === undefined ? local[key] : mergeSynced(key, local[key], clean);
+        }
+      }
+      checkProfile(pid);
+      const put = await syncRequest(cfg, 'PUT', { baseRev: remote.rev || 0, keys });
+      if(put.conflict) continue; // another device synced in between: merge again on top of theirs
+      checkProfile(pid); // the server has this profile's merge; the next sync from it writes it locally
+      const changed = await applySync(local, next, pid);
+      store.update(LS.SYNC, (s)=> ({ ...s, rev: put.doc.rev, base: Object.fromEntries(SYNC_COUNTERS.map(k=> [k, keys[k]])), dirtyAt: s.dirtyAt === dirtyAt ? null : s.dirtyAt, lastSync: Date.now(), error: null }), pid);
+      return { changed };
+    }
+    throw new Error(t('sync.err.busy'));
+  } catch(e){
+    if(e.message !== SYNC_ABORTED) store.update(LS.SYNC, (s)=> ({ ...s, error: e.message }), pid);
+    throw e;
+  }
+}
+// Write merged values. Anything the player changed while the requests were in flight is kept: counters get
+// the remote increase added on top, everything else is merged again.
+async function applySync(before, next, pid){
+  let changed = false;
+  syncApplying = pid;
+  try {
+    for(const key of SYNC_KEYS){
+      if(stableJson(next[key]) === stableJson(before[key])) continue;
+      changed = true;
+      const now = SCHEMA[key].history ? await store.history(key, pid) : store.get(key, pid);
+      let value = next[key];
+      if(stableJson(now) !== stableJson(before[key])){
+        if(SYNC_COUNTERS.includes(key)){
+          const [n, b, c] = [next[key], before[key], now].map(m=> flatCounts(key, m));
+          value = unflatCounts(key, Object.fromEntries([...new Set([...Object.keys(n), ...Object.keys(c)])].map(k=> [k, (n[k]||0) + (c[k]||0) - (b[k]||0)])));
+        } else value = mergeSynced(key, now, value);
+      }
+      if(SCHEMA[key].history) await store.setHistory(key, value, pid); else store.set(key, value, pid);
+    }
+  } finally { syncApplying = null; }
+  return changed;
+}
+
+// Auto-sync while the Trainer is mounted: on start, a few seconds after a local change, on reconnect, and every few minutes
+function useSync(online){
+  const [cfg, setCfg] = useState(()=> store.get(LS.SYNC));
+  const [busy, setBusy] = useState(false);
+  const [fresh, setFresh] = useState(false); // progress from another device is in storage but not on screen yet
+  const sync = async ()=>{
+    const c = store.get(LS.SYNC);
+    if(!c.enabled || !c.url || !c.code || !navigator.onLine) return setCfg(c);
+    setBusy(true);
+    try { if((await syncNow()).changed) setFresh(true); } catch {}
+    setBusy(false); setCfg(store.get(LS.SYNC));
+  };
+  const syncRef = useRef(sync); syncRef.current = sync;
+  useEffect(()=>{
+    let timer = null;
+    const off = store.subscribe((key, pid, ok)=>{
+      if(!ok || syncApplying === pid || pid !== currentProfile() || !SYNC_KEYS.includes(key) || !store.get(LS.SYNC).enabled) return;
+      if(!store.get(LS.SYNC).dirtyAt) setCfg(store.update(LS.SYNC, (s)=> ({ ...s, dirtyAt: Date.now() })));
+      clearTimeout(timer); timer = setTimeout(()=> syncRef.current(), SYNC_DEBOUNCE_MS);
+    });
+    syncRef.current();
+    const poll = setInterval(()=>{ if(document.visibilityState === 'visible') syncRef.current(); }, SYNC_POLL_MS);
+    return ()=>{ off(); clearTimeout(timer); clearInterval(poll); };
+  }, []);
+  useEffect(()=>{ if(online && store.get(LS.SYNC).dirtyAt) syncRef.current(); }, [online]);
+  // `base` survives a change of server or code: it is what the other devices contributed to local totals,
+  // wherever they came from, so moving two devices to a new code does not count their XP twice
+  const configure = (patch)=> setCfg(store.update(LS.SYNC, (s)=> ({ ...s, ...patch, ...((patch.url ?? s.url) !== s.url || (patch.code ?? s.code) !== s.code ? { rev:0, lastSync:null, error:null } : {}) })));
+  return { cfg, busy, fresh, sync, configure };
+}
+
+// =====================================
+// REVIEW — SM-2 spaced repetition over recorded misses
+// =====================================
+const REVIEWABLE = GAMES.filter(g=> g.reviewable).map(g=> g.id);
+const REVIEW_GRADUATE = 3; // correct reviews in a row before an item leaves the queue
+const reviewId = (m) => `${m.game}:${m.prompt}`;
+
+// A miss (re)enters the queue due today; a relapse on a known item costs ease
+function addReviewItem(items, m){
+  if(!REVIEWABLE.includes(m?.game) || m.prompt === undefined || m.correct === undefined) return items;
+  const id = reviewId(m); const day = todayKey(); const cur = items[id];
+  const item = cur
+    ? { ...cur, answer: m.correct, reps:0, interval:0, due:day, retired:null, lapses:(cur.lapses||0)+1, ease: Math.max(1.3, cur.ease-0.2) }
+    : { id, game:m.game, prompt:m.prompt, answer:m.correct, ...(m.tolerance ? { tolerance:m.tolerance } : {}), ...(m.lang ? { lang:m.lang } : {}), ease:2.5, interval:0, reps:0, due:day, lapses:0, added:day };
+  return { ...items, [id]: { ...item, updated: new Date().toISOString() } };
+}
+
+// SM-2: quality 0–5; < 3 restarts the item, ≥ 3 stretches the interval by ease
+function gradeReview(item, quality){
+  const day = todayKey();
+  const ok = quality >= 3;
+  const reps = ok ? item.reps + 1 : 0;
+  const interval = !ok ? 1 : reps === 1 ? 1 : reps === 2 ? 6 : Math.round(item.interval * item.ease);
+  const ease = Math.max(1.3, item.ease + (0.1 - (5-quality) * (0.08 + (5-quality) * 0.02)));
+  return { ...item, reps, interval, ease, due: addDays(day, interval), last: day, retired: reps >= REVIEW_GRADUATE ? day : null, updated: new Date().toISOString() };
+}
+
+const dueReviews = (items, day = todayKey()) => Object.values(items).filter(it=> !it.retired && it.due <= day).sort((a, b)=> a.due.localeCompare(b.due));
+const normAnswer = (v) => String(v).trim().toLowerCase();
+function checkReview(item, given){
+  if(item.game === 'anagram') return isAnagramAnswer(given, String(item.answer), item.lang || 'en');
+  if(item.game === 'math') return checkMathAnswer({ answer: parseAnswer(String(item.answer).replace(/^≈/, '')), tolerance: item.tolerance }, given);
+  const a = normAnswer(item.answer), g = normAnswer(given);
+  if(g && Number.isFinite(Number(a)) && Number.isFinite(Number(g))) return Number(a) === Number(g);
+  return a === g;
+}
+
+// =====================================
+// FOCUS — Pomodoro cycle on wall-clock timestamps
+// =====================================
+// Running: `endsAt` is authoritative. Paused: `remainingMs` (null = full phase).
+// `block` accumulates XP/misses of the current work block. `routine` (see below) replaces the plain work length.
+const FOCUS_PHASES = ['work','break','long'];
+function idleFocus(){ return { phase:'work', running:false, endsAt:null, remainingMs:null, blocks:0, block:null, routine:null }; }
+const phaseMs = (phase, timing, routine) => 60_000 * (phase === 'work' ? (routine ? routineMinutes(routine) : timing.sessionLen) : phase === 'long' ? timing.longBreakLen : timing.breakLen);
+const focusRemaining = (f, timing, now) => (f.running ? Math.max(0, f.endsAt - now) : (f.remainingMs ?? phaseMs(f.phase, timing, f.routine)));
+const fmtClock = (ms) => { const s = Math.ceil(ms/1000); return `${String(Math.floor(s/60)).padStart(2,'0')}:${String(s%60).padStart(2,'0')}`; };
+
+function startFocus(f, timing, now){
+  if(f.running) return f;
+  const block = f.phase === 'work'
+    ? (f.block || { start: now, minutes: f.routine ? routineMinutes(f.routine) : timing.sessionLen, xp:{}, misses:[],
+        ...(f.routine ? { routine: f.routine.name, steps: f.routine.steps.map(s=> ({ ...s, xp:0, misses:0 })) } : {}) })
+    : f.block;
+  return { ...f, running:true, endsAt: now + focusRemaining(f, timing, now), remainingMs:null, block };
+}
+const pauseFocus = (f, timing, now) => (f.running ? { ...f, running:false, endsAt:null, remainingMs: focusRemaining(f, timing, now) } : f);
+
+// Move past every phase boundary that `now` has crossed. Work ends → break starts on its own;
+// a break ends → the next work block waits for Play. Returns the finished work block, if any.
+function advanceFocus(f, timing, now){
+  let completed = null;
+  while(f.running && f.endsAt <= now){
+    if(f.phase === 'work'){
+      const blocks = f.blocks + 1;
+      const phase = blocks % timing.longEvery === 0 ? 'long' : 'break';
+      completed = { ...f.block, end: f.endsAt };
+      f = { ...f, phase, blocks, endsAt: f.endsAt + phaseMs(phase, timing), block:null, routine:null };
+    } else {
+      f = { ...idleFocus(), blocks: f.phase === 'long' ? 0 : f.blocks };
+    }
+  }
+  return { focus: f, completed };
+}
+
+// Only a running work block collects XP and misses; in a routine block `step` also tallies the step on the clock
+function accrueFocus(f, fn, step, now = Date.now()){
+  if(!(f.running && f.phase === 'work' && f.block)) return f;
+  const block = fn(f.block);
+  if(step && f.routine && block.steps){ const { i } = routineStep(f.routine, f.endsAt - now); block.steps = block.steps.map((s, j)=> (j === i ? step(s) : s)); }
+  return { ...f, block };
+}
+
+// Routines: named, ordered steps ({ game, min }) run as one work block. The step on the clock is derived from
+// the time left in the block, so it pauses, resumes and survives a reload together with the timer.
+// Presets live in settings.routines; the running one is copied into focus.routine.
+const ROUTINE_MAX_STEPS = 12;
+const ROUTINE_STEP_MAX = 60; // minutes
+const defaultRoutines = () => [{ id:'warmup', name: t('routine.warmup'), steps:[{ game:'math', min:5 }, { game:'recall', min:3 }, { game:'anagram', min:2 }, { game:'puzzle', min:5 }] }];
+const routineMinutes = (r) => r.steps.reduce((a, s)=> a + s.min, 0);
+function normRoutine(r){
+  if(!isObj(r) || !Array.isArray(r.steps)) return null;
+  const steps = r.steps.filter(s=> isObj(s) && GAME_BY_ID[s.game]).slice(0, ROUTINE_MAX_STEPS).map(s=> ({ game: s.game, min: clamp(Math.round(Number(s.min))||1, 1, ROUTINE_STEP_MAX) }));
+  return steps.length ? { id: String(r.id || randomId()), name: String(r.name || '').slice(0, 40), steps } : null;
+}
+const normRoutines = (saved) => (Array.isArray(saved) ? saved.map(normRoutine).filter(Boolean) : defaultRoutines());
+// → { i, leftMs }: index of the step on the clock and its time left, from the block's time left
+function routineStep(routine, remainingMs){
+  const elapsed = routineMinutes(routine)*60_000 - Math.max(0, remainingMs);
+  let end = 0;
+  for(let i = 0; i < routine.steps.length; i++){ end += routine.steps[i].min*60_000; if(elapsed < end) return { i, leftMs: end - elapsed }; }
+  return { i: routine.steps.length-1, leftMs: 0 };
+}
+
+// =====================================
+// LEVEL, DAY STREAK & GOALS
+// =====================================
+// Reaching level L takes 25·L·(L−1) lifetime XP: 50 for L2, 150 for L3, 2250 for L10, 9500 for L20
+const xpForLevel = (L) => 25*L*(L-1);
+function levelFromXp(xp){
+  const level = Math.max(1, Math.floor((1 + Math.sqrt(1 + 4*Math.max(0, xp)/25)) / 2));
+  return { level, into: xp - xpForLevel(level), need: xpForLevel(level+1) - xpForLevel(level) };
+}
+const FREEZE_EVERY = 7; // streak days per earned freeze
+const FREEZE_MAX = 2;
+const daysBetween = (a, b) => Math.round((Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / 864e5);
+// Training on `today`: missed days are covered by banked freezes (if enabled), otherwise the streak restarts
+function trainDay(s, today, useFreezes){
+  if(s.lastDay === today) return s;
+  const missed = s.lastDay ? daysBetween(s.lastDay, today) - 1 : Infinity;
+  let { streak, freezes } = s;
+  if(missed === 0) streak++;
+  else if(useFreezes && missed <= freezes){ freezes -= missed; streak++; }
+  else streak = 1;
+  if(streak % FREEZE_EVERY === 0) freezes = Math.min(FREEZE_MAX, freezes+1);
+  return { streak, lastDay: today, freezes };
+}
+// Streak as it stands on `today` before training: 0 once the gap is too wide to freeze over
+function liveStreak(s, today, useFreezes){
+  if(!s.lastDay) return 0;
+  const missed = daysBetween(s.lastDay, today) - 1;
+  return missed <= 0 || (useFreezes && missed <= s.freezes) ? s.streak : 0;
+}
+const readDayStreak = () => ({ streak: store.get(LS.STREAK), lastDay: store.get(LS.LAST_DAY), freezes: store.get(LS.STREAK_FREEZES) });
+const DEFAULT_GOAL = { type:'xp', target:50 }; // type: 'xp' | 'minutes'
+
+// =====================================
+// ACHIEVEMENTS — declarative rules over facts collected from game events
+// =====================================
+// value(ctx) → number; a badge unlocks (once, dated) when value ≥ goal.
+// ctx = { facts, gameStats, streak, lifetimeXp }
+const spanBest = (stats) => Math.max(0, ...Object.entries(stats?.modes || {}).filter(([m])=> RECALL_MODES[m]?.kind === 'span').map(([, s])=> s.best || 0));
+const nbackBest = (stats) => Math.max(0, ...Object.entries(stats?.modes || {}).filter(([m])=> RECALL_MODES[m]?.kind === 'nback').map(([, s])=> s.best || 0));
+// Titles and descriptions come from the catalog as ach.<id> / ach.<id>.desc
+const ACHIEVEMENTS = [
+  { id:'first-xp',     icon:'🌱', goal:1,    value:(c)=> c.lifetimeXp },
+  { id:'xp-1000',      icon:'💎', goal:1000, value:(c)=> c.lifetimeXp },
+  { id:'level-10',     icon:'🏅', goal:10,   value:(c)=> levelFromXp(c.lifetimeXp).level },
+  { id:'streak-7',     icon:'🔥', goal:7,    value:(c)=> c.streak },
+  { id:'streak-30',    icon:'📅', goal:30,   value:(c)=> c.streak },
+  { id:'run-25',       icon:'🎯', goal:25,   value:(c)=> c.facts.bestRun },
+  { id:'math-stage-4', icon:'➗', goal:4,    value:(c)=> c.facts.maxStage.math ?? 0 },
+  { id:'pattern-4',    icon:'🧩', goal:4,    value:(c)=> c.facts.maxStage.pattern ?? 0 },
+  { id:'recall-8',     icon:'🧠', goal:8,    value:(c)=> spanBest(c.gameStats.recall) },
+  { id:'nback-3',      icon:'🎧', goal:3,    value:(c)=> nbackBest(c.gameStats.recall) },
+  { id:'words-long',   icon:'📚', goal:3,    value:(c)=> c.facts.maxStage.anagram ?? 0 },
+  { id:'puzzle-clean', icon:'🖼️', goal:10,   value:(c)=> c.facts.cleanPuzzle },
+];
+const achTitle = (a) => t(`ach.${a.id}`);
+const achDesc = (a) => t(`ach.${a.id}.desc`, { goal:a.goal });
+function emptyAchievements(){ return { unlocked:{}, facts:{ run:0, bestRun:0, maxStage:{}, cleanPuzzle:0 } }; }
+// Fold one game event ({ kind:'score'|'miss', game, answer }) into the facts rules read
+function trackFacts(f, e){
+  if(e.kind === 'miss') return { ...f, run:0 };
+  const stage = e.answer?.stage;
+  return {
+    ...f, run: f.run+1, bestRun: Math.max(f.bestRun, f.run+1),
+    maxStage: Number.isFinite(stage) ? { ...f.maxStage, [e.game]: Math.max(f.maxStage[e.game] ?? 0, stage) } : f.maxStage,
+    cleanPuzzle: e.game === 'puzzle' && e.answer?.wrongChecks === 0 ? Math.max(f.cleanPuzzle, stage) : f.cleanPuzzle,
+  };
+}
+const newlyUnlocked = (ach, ctx) => ACHIEVEMENTS.filter(a=> !ach.unlocked[a.id] && a.value({ ...ctx, facts: ach.facts }) >= a.goal);
+
+// Server, sync code (the same on every device) and status
+function SyncCard({ sync, online, accent, dark }){
+  const { cfg, busy, configure } = sync;
+  const [draft, setDraft] = useState(()=> ({ url: cfg.url, code: cfg.code, token: cfg.token }));
+  const edited = draft.url !== cfg.url || draft.code !== cfg.code || draft.token !== cfg.token;
+  const field = (k)=> ({ value: draft[k], onChange: (e)=> setDraft((d)=> ({ ...d, [k]: e.target.value.trim() })), className: 'h-8 text-sm', style: { background: dark ? '#17181a' : '#ffffff', borderColor: accent } });
+  const save = ()=>{ configure({ ...draft, enabled: true }); sync.sync(); };
+  const status = !cfg.enabled ? t('sync.off')
+    : !online ? t(cfg.dirtyAt ? 'sync.offlinePending' : 'sync.offline')
+    : busy ? t('sync.syncing')
+    : cfg.error ? t('sync.error', { error: cfg.error })
+    : cfg.lastSync ? `${t('sync.last', { time: fmtTime(cfg.lastSync) })}${cfg.dirtyAt ? ` • ${t('sync.pending')}` : ''}`
+    : t('sync.never');
+  return (
+    <Card>
+      <CardHeader><CardTitle className="flex items-center gap-2"><CloudUpload className="w-5 h-5 text-zinc-300"/> {t('sync.title')}</CardTitle></CardHeader>
+      <CardContent className="space-y-2 text-sm">
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={cfg.enabled} disabled={!cfg.url || !cfg.code} onChange={(e)=> configure({ enabled: e.target.checked })}/> {t('sync.enable')}
+        </label>
+        <Input {...field('url')} type="url" placeholder="https://sync.example.org" aria-label={t('sync.url')}/>
+        <div className="flex gap-2">
+          <Input {...field('code')} placeholder={t('sync.code')} aria-label={t('sync.code')} className="h-8 text-sm font-mono"/>
+          <Button variant="outline" className="h-8" onClick={()=> setDraft((d)=> ({ ...d, code: randomId(12) }))} style={{borderColor:accent}}>{t('sync.newCode')}</Button>
+        </div>
+        <Input {...field('token')} type="password" placeholder={t('sync.token')} aria-label={t('sync.token')}/>
+        <div className="flex gap-2">
+          <Button disabled={!draft.url || draft.code.length < 16} onClick={save} style={{backgroundColor:accent, color:'#0b0b0b'}}>{edited ? t('sync.save') : t('sync.now')}</Button>
+        </div>
+        <div className="text-xs text-zinc-400" aria-live="polite">{status}</div>
+        <div className="text-xs text-zinc-400">{t('sync.help')}</div>
+      </CardContent>
+    </Card>
+  );
+}
+
+// Skill rating above each game; ± is the rating deviation, wide until a few answers are in
+function SkillLine({ rating }){
+  return (
+    <div className="text-xs text-zinc-400 mb-2" title={t('skill.help', { pct: fmtPct(RATING_TARGET) })}>
+      {rating.n ? t('skill.line', { r: Math.round(rating.r), rd: Math.round(rating.rd) }) : t('skill.unrated')}
+    </div>
+  );
+}
+
+// Show/hide and reorder game tabs; `layout` = { order, hidden } from normGameLayout
+function GamesCard({ layout, onChange }){
+  const move = (i, d)=> onChange((l)=>{ const order = [...l.order]; [order[i], order[i+d]] = [order[i+d], order[i]]; return { ...l, order }; });
+  const toggle = (id, show)=> onChange((l)=> normGameLayout({ ...l, hidden: show ? l.hidden.filter(h=> h !== id) : [...l.hidden, id] }));
+  const lastShown = layout.order.length - layout.hidden.length === 1;
+  return (
+    <Card>
+      <CardHeader><CardTitle className="flex items-center gap-2"><LayoutGrid className="w-5 h-5 text-zinc-300"/> {t('games.title')}</CardTitle></CardHeader>
+      <CardContent className="space-y-1 text-sm">
+        {layout.order.map((id, i)=>{
+          const g = GAME_BY_ID[id], shown = !layout.hidden.includes(id);
+          return (
+            <div key={id} className="flex items-center gap-2">
+              <label className="flex items-center gap-2 flex-1">
+                <input type="checkbox" checked={shown} disabled={shown && lastShown} aria-label={t('games.show', { game: gameLabel(id) })} onChange={(e)=> toggle(id, e.target.checked)}/>
+                <g.icon className="w-4 h-4 text-zinc-400" aria-hidden/><span className={shown ? '' : 'text-zinc-500'}>{gameLabel(id)}</span>
+              </label>
+              <Button variant="ghost" className="h-6 w-6 p-0" disabled={i === 0} aria-label={t('games.up', { game: gameLabel(id) })} onClick={()=> move(i, -1)}><ArrowUp className="w-3 h-3"/></Button>
+              <Button variant="ghost" className="h-6 w-6 p-0" disabled={i === layout.order.length-1} aria-label={t('games.down', { game: gameLabel(id) })} onClick={()=> move(i, 1)}><ArrowDown className="w-3 h-3"/></Button>
+            </div>
+          );
+        })}
+        <div className="text-xs text-zinc-400">{t('games.help')}</div>
+      </CardContent>
+    </Card>
+  );
+}
+
+// Routine presets: list with start/edit/delete, and an editor for the name and ordered steps
+function RoutinesCard({ routines, onChange, onStart, canStart, games, accent, dark }){
+  const [draft, setDraft] = useState(null); // routine being edited (a new one gets its id up front)
+  const field = { background: dark ? '#17181a' : '#ffffff', borderColor: accent };
+  const setSteps = (fn)=> setDraft((d)=> ({ ...d, steps: fn(d.steps) }));
+  const setStep = (i, patch)=> setSteps((steps)=> steps.map((st, j)=> (j === i ? { ...st, ...patch } : st)));
+  const move = (i, d)=> setSteps((steps)=>{ const next = [...steps]; [next[i], next[i+d]] = [next[i+d], next[i]]; return next; });
+  const save = ()=>{
+    const r = normRoutine({ ...draft, name: draft.name.trim() || t('routine.untitled') }); if(!r) return;
+    onChange((list)=> (list.some(x=> x.id === r.id) ? list.map(x=> (x.id === r.id ? r : x)) : [...list, r])); setDraft(null);
+  };
+  const remove = (r)=>{ if(window.confirm(t('routine.deleteConfirm', { name: r.name }))) onChange((list)=> list.filter(x=> x.id !== r.id)); };
+
+  return (
+    <Card>
+      <CardHeader><CardTitle className="flex items-center gap-2"><ListChecks className="w-5 h-5 text-zinc-300"/> {t('routine.title')}</CardTitle></CardHeader>
+      <CardContent className="space-y-2 text-sm">
+        {!draft && routines.map(r=> (
+          <div key={r.id} className="flex items-center gap-2">
+            <div className="flex-1 min-w-0">
+              <div className="font-medium truncate">{r.name} <span className="text-xs text-zinc-400">{t('routine.total', { min: routineMinutes(r) })}</span></div>
+              <div className="text-xs text-zinc-400 truncate">{r.steps.map(st=> `${gameLabel(st.game)} ${st.min}`).join(' → ')}</div>
+            </div>
+            <Button className="h-7 w-7 p-0" disabled={!canStart} title={canStart ? undefined : t('routine.busy')} aria-label={t('routine.start', { name: r.name })} onClick={()=> onStart(r)} style={{backgroundColor:accent, color:'#0b0b0b'}}><Play className="w-3 h-3"/></Button>
+            <Button variant="ghost" className="h-7 w-7 p-0" aria-label={t('routine.edit', { name: r.name })} onClick={()=> setDraft(r)}><Pencil className="w-3 h-3"/></Button>
+            <Button variant="ghost" className="h-7 w-7 p-0" aria-label={t('routine.delete', { name: r.name })} onClick={()=> remove(r)}><Trash2 className="w-3 h-3"/></Button>
+          </div>
+        ))}
+        {!draft && routines.length === 0 && <div className="text-xs text-zinc-400">{t('routine.empty')}</div>}
+        {!draft && <Button variant="outline" className="h-8" onClick={()=> setDraft({ id: randomId(), name:'', steps:[{ game: games[0], min:5 }] })} style={{borderColor:accent}}><Plus className="w-4 h-4 mr-1"/>{t('routine.new')}</Button>}
+
+        {draft && (
+          <div className="space-y-2">
+            <Input value={draft.name} onChange={(e)=> setDraft((d)=> ({ ...d, name: e.target.value }))} maxLength={40} className="h-8" style={field} placeholder={t('routine.name')} aria-label={t('routine.name')}/>
+            {draft.steps.map((st, i)=> (
+              <div key={i} className="flex items-center gap-1">
+                <span className="w-4 text-xs text-zinc-400">{i+1}</span>
+                <select value={st.game} onChange={(e)=> setStep(i, { game: e.target.value })} aria-label={t('routine.game', { n: i+1 })} className={`h-8 flex-1 rounded-md border px-1 text-sm ${dark ? 'bg-zinc-900' : 'bg-white'}`} style={{ borderColor: accent }}>
+                  {games.map(id=> <option key={id} value={id}>{gameLabel(id)}</option>)}
+                </select>
+                <Input type="number" min={1} max={ROUTINE_STEP_MAX} value={st.min} onChange={(e)=> setStep(i, { min: clamp(Number(e.target.value)||1, 1, ROUTINE_STEP_MAX) })} aria-label={t('routine.minutes', { n: i+1 })} className="w-14 h-8 px-1" style={field}/>
+                <span className="text-xs text-zinc-400">{t('common.min')}</span>
+                <Button variant="ghost" className="h-6 w-6 p-0" disabled={i === 0} aria-label={t('routine.up', { n: i+1 })} onClick={()=> move(i, -1)}><ArrowUp className="w-3 h-3"/></Button>
+                <Button variant="ghost" className="h-6 w-6 p-0" disabled={i === draft.steps.length-1} aria-label={t('routine.down', { n: i+1 })} onClick={()=> move(i, 1)}><ArrowDown className="w-3 h-3"/></Button>
+                <Button variant="ghost" className="h-6 w-6 p-0" disabled={draft.steps.length === 1} aria-label={t('routine.remove', { n: i+1 })} onClick={()=> setSteps((steps)=> steps.filter((_, j)=> j !== i))}><XCircle className="w-3 h-3"/></Button>
+              </div>
+            ))}
+            <div className="flex items-center gap-2">
+              <Button variant="outline" className="h-8" disabled={draft.steps.length >= ROUTINE_MAX_STEPS} onClick={()=> setSteps((steps)=> [...steps, { ...steps[steps.length-1] }])} style={{borderColor:accent}}><Plus className="w-4 h-4 mr-1"/>{t('routine.addStep')}</Button>
+              <span className="ml-auto text-xs text-zinc-400">{t('routine.total', { min: routineMinutes(draft) })}</span>
+            </div>
+            <div className="flex gap-2">
+              <Button className="h-8" onClick={save} style={{backgroundColor:accent, color:'#0b0b0b'}}>{t('routine.save')}</Button>
+              <Button variant="outline" className="h-8" onClick={()=> setDraft(null)} style={{borderColor:accent}}>{t('common.cancel')}</Button>
+            </div>
+          </div>
+        )}
+        <div className="text-xs text-zinc-400">{t('routine.help')}</div>
+      </CardContent>
+    </Card>
+  );
+}
+
+// =====================================
+// DAILY CHALLENGE — same date-seeded workout for everyone, once per day
+// =====================================
+// `level` pins each round's difficulty so the challenge does not depend on the player's rating
+const DAILY_ROUNDS = [
+  { game:'math', level:2, families:['basic'] }, { game:'math', level:1, families:['percent','fractions'] }, { game:'math', level:2, families:['order','roots'] },
+  { game:'recall', level:3 }, { game:'recall', level:3 },
+  { game:'pattern', level:2 }, { game:'pattern', level:4 },
+  { game:'anagram', level:1 }, { game:'anagram', level:2 },
+  { game:'puzzle', level:0 },
+];
+const DAILY_PAR_MS = 5 * 60_000;
+const dailyPlan = (day) => makeRng(`daily:${day}`).shuffle(DAILY_ROUNDS).map((r, i)=> ({ ...r, seed:`daily:${day}:${i}` }));
+// 100 per correct round + up to 2 per second under par, scaled by accuracy so speed alone earns nothing
+const dailyScore = (correct, total, timeMs) => correct*100 + Math.round(2 * Math.max(0, (DAILY_PAR_MS - timeMs)/1000) * correct/total);
+function dailyShareText(day, r){
+  return [t('challenge.share', { day }), `${r.correct}/${r.total} • ${fmtDuration(r.timeMs)} • ${t('common.pts', { n:r.score })}`, r.rounds.map(x=> (x.ok ? '🟩' : '🟥')).join('')].join('\n');
+}
+
+// =====================================
+// PWA — service worker registration, update prompt, online state
+// =====================================
+// Registered once per page load: the Trainer remounts on profile/language switches and must not re-register.
+let swRegistration = null; // Promise<ServiceWorkerRegistration|null>
+let swUpdating = false; // set when the player accepts an update; only then does a controller change reload
+// The build id is a hash of the page's own bundle URLs: hashed filenames change with every build, so a
+// deploy registers a new worker URL, which installs fresh versioned caches and drops the old ones.
+function swBuildId(){
+  const urls = [...document.querySelectorAll('script[src], link[rel="stylesheet"][href]')]
+    .map((el)=> new URL(el.src || el.href, window.location.href))
+    .filter((u)=> u.origin === window.location.origin).map((u)=> u.pathname).sort();
+  return hashSeed(urls.join('|')).toString(36);
+}
+function registerServiceWorker(){
+  if(swRegistration || typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return swRegistration;
+  swRegistration = new Promise((resolve)=>{
+    const register = ()=> navigator.serviceWorker.register(`/sw.js?v=${swBuildId()}`).then(resolve, ()=> resolve(null));
+    if(document.readyState === 'complete') register();
+    else window.addEventListener('load', register, { once: true });
+  });
+  navigator.serviceWorker.addEventListener('controllerchange', ()=>{ if(swUpdating){ swUpdating = false; window.location.reload(); } });
+  return swRegistration;
+}
+// A new worker that has installed while an old one controls the page is an update waiting for the player
+function useServiceWorker(){
+  const [waiting, setWaiting] = useState(null);
+  useEffect(()=>{
+    let alive = true; let reg = null;
+    const track = (w)=>{
+      if(!w) return;
+      const check = ()=>{ if(alive && w.state === 'installed' && navigator.serviceWorker.controller) setWaiting(w); };
+      check(); w.addEventListener('statechange', check);
+    };
+    const recheck = ()=>{ if(document.visibilityState === 'visible') reg?.update().catch(()=>{}); };
+    registerServiceWorker()?.then((r)=>{
+      if(!r || !alive) return;
+      reg = r; track(r.waiting || r.installing);
+      r.addEventListener('updatefound', ()=> track(r.installing));
+    });
+    document.addEventListener('visibilitychange', recheck);
+    return ()=>{ alive = false; document.removeEventListener('visibilitychange', recheck); };
+  }, []);
+  const applyUpdate = ()=>{ if(!waiting) return; swUpdating = true; waiting.postMessage({ type:'SKIP_WAITING' }); };
+  return { updateReady: !!waiting, applyUpdate };
+}
+function useOnline(){
+  const [online, setOnline] = useState(()=> typeof navigator === 'undefined' || navigator.onLine !== false);
+  useEffect(()=>{
+    const on = ()=> setOnline(true), off = ()=> setOnline(false);
+    window.addEventListener('online', on); window.addEventListener('offline', off);
+    return ()=>{ window.removeEventListener('online', on); window.removeEventListener('offline', off); };
+  }, []);
+  return online;
+}
 
 // =====================================
 // MAIN APP
 // =====================================
+// Switching profile remounts the whole trainer so every piece of state is re-read from that profile's keys.
+// Switching language remounts it too, so every t() call and Intl format picks up the new locale.
+const readLocale = () => setLocale(store.get(LS.SETTINGS).locale || detectLocale());
+// A game with its own stream for `seed`, created on mount: a tab that was closed (inactive tabs unmount) or a
+// replayed seed starts the stream from the beginning, so the same seed deals the same questions again
+function SeededGame({ game: Game, seed, ...props }){
+  const [rng] = useState(()=> makeRng(seed));
+  return <Game rng={rng} {...props}/>;
+}
+
 export default function BrainGym(){
+  const [profile, setProfile] = useState(currentProfile);
+  const [lang, setLang] = useState(readLocale);
+  const switchProfile = (id)=>{ profiles.switchTo(id); setProfile(id); setLang(readLocale()); };
+  const changeLocale = (l)=>{ store.update(LS.SETTINGS, (s)=> ({ ...s, locale:l })); setLang(setLocale(l)); };
+  const [loads, setLoads] = useState(0); // bumped to re-read everything from storage (synced data)
+  return <Trainer key={`${profile}:${lang}:${loads}`} lang={lang} onLocale={changeLocale} onSwitchProfile={switchProfile} onReload={()=> setLoads((n)=> n+1)}/>;
+}
+
+function Trainer({ lang, onLocale, onSwitchProfile, onReload }){
   // Theme
-  const [theme, setTheme] = useState(()=>{
-    try { return localStorage.getItem(LS.THEME) || (prefersDark ? 'dark' : 'light'); } catch { return prefersDark ? 'dark' : 'light'; }
-  });
+  const [theme, setTheme] = useState(()=> store.get(LS.THEME) || (prefersDark ? 'dark' : 'light'));
   const isDark = theme === 'dark';
   const accentColor = (game) => (isDark ? COLORS[game].dark : COLORS[game].light);
-  useEffect(()=>{ try { localStorage.setItem(LS.THEME, theme); } catch {};
+  useEffect(()=>{ store.set(LS.THEME, theme);
     if (typeof document !== 'undefined') {
       document.documentElement.classList.toggle('dark', isDark);
     }
   }, [theme]);
 
-  // PWA: register service worker for offline/install (works with vite-plugin-pwa output `/sw.js`)
-  useEffect(() => {
-    if ('serviceWorker' in navigator) {
-      const register = () => navigator.serviceWorker.register('/sw.js').catch(() => {});
-      if (document.readyState === 'complete') register();
-      else window.addEventListener('load', register, { once: true });
-    }
-  }, []);
+  // PWA: offline service worker (`/sw.js`), update prompt, connectivity
+  const { updateReady, applyUpdate } = useServiceWorker();
+  const online = useOnline();
+  // Optional sync with a self-hosted server; progress from other devices shows after a reload of the Trainer
+  const sync = useSync(online);
+  // Move per-day history older than HOT_DAYS into IndexedDB
+  useEffect(()=>{ store.archive(); }, []);
+  // Keys whose last write storage refused, even after trimming the answer log: progress is not being saved
+  const [unsaved, setUnsaved] = useState([]);
+  useEffect(()=> store.subscribe((key, pid, ok)=>{
+    if(pid === currentProfile()) setUnsaved((u)=> (ok ? (u.includes(key) ? u.filter(k=> k !== key) : u) : (u.includes(key) ? u : [...u, key])));
+  }), []);
+
   // Timer + session
-  const [sessionLen, setSessionLen] = useState(()=>{
-    try{ const s = JSON.parse(localStorage.getItem(LS.SETTINGS)||'{}'); return s.sessionLen ?? DEFAULT_SESSION_MIN; }catch{return DEFAULT_SESSION_MIN;}
-  });
-  const [secondsLeft, setSecondsLeft] = useState(sessionLen*60);
-  const [running, setRunning] = useState(false);
+  const [timing, setTiming] = useState(()=> pickTiming(store.get(LS.SETTINGS)));
+  const [focus, setFocus] = useState(()=> store.get(LS.FOCUS));
+  const [now, setNow] = useState(()=> Date.now());
   const [focusMode, setFocusMode] = useState(false);
+  const running = focus.running;
 
-  // Register service worker (works with vite-plugin-pwa output `/sw.js`)
-  useEffect(() => {
-    if ('serviceWorker' in navigator) {
-      const register = () => navigator.serviceWorker.register('/sw.js').catch(() => {});
-      if (document.readyState === 'complete') register();
-      else window.addEventListener('load', register, { once: true });
-    }
-  }, []);
+  // Session seed → one independent PRNG stream per game (see SeededGame); replaying a seed remounts the games
+  const [seed, setSeed] = useState(newSeed);
+  const [run, setRun] = useState(0); // bumps on every replay, even of the same seed
+  const replaySeed = (s)=>{ setSeed(normSeed(s) || newSeed()); setRun((n)=> n+1); };
 
-  // Tabs & totals
-  const [tab, setTab] = useState('math');
-  const [xp, setXp] = useState(0);
-  const [streak, setStreak] = useState(0);
-  const [level, setLevel] = useState(1);
+  // Routine presets; a running routine lives in the Focus Block and picks the step on the clock (see FOCUS)
+  const [routines, setRoutines] = useState(()=> normRoutines(store.get(LS.SETTINGS).routines));
+  useEffect(()=>{ store.update(LS.SETTINGS, (s)=> ({ ...s, routines })); }, [routines]);
+  const step = focus.routine && focus.phase === 'work' ? routineStep(focus.routine, focusRemaining(focus, timing, now)) : null;
+  const stepGame = step && focus.routine.steps[step.i].game;
+
+  // Game tabs in the player's order, hidden ones left out (their stats and Daily rounds stay) unless a routine step needs them
+  const [layout, setLayout] = useState(()=> normGameLayout(store.get(LS.SETTINGS).games));
+  useEffect(()=>{ store.update(LS.SETTINGS, (s)=> ({ ...s, games: layout })); }, [layout]);
+  const shownGames = layout.order.filter(id=> !layout.hidden.includes(id) || id === stepGame).map(id=> GAME_BY_ID[id]);
+
+  // Tabs & totals; Alt+1…9, Alt+0 jump to a tab
+  const [tab, setTab] = useState(()=> shownGames[0].id);
+  const tabOrder = [...shownGames.map(g=> g.id), 'daily', 'review', 'stats', 'badges'];
+  useEffect(()=>{ if(GAME_BY_ID[tab] && !tabOrder.includes(tab)) setTab(tabOrder[0]); }, [tabOrder.join()]);
+  // A running routine opens each step's game as the step starts; the player may still look at other tabs in between
+  useEffect(()=>{ if(stepGame && focus.running) setTab(stepGame); }, [step?.i, focus.running, focus.block?.start]);
+  useEffect(()=>{
+    const onKey = (e)=>{ if(!e.altKey || !/^Digit\d$/.test(e.code)) return; const next = tabOrder[(Number(e.code.slice(5))+9) % 10]; if(next){ e.preventDefault(); setTab(next); } };
+    window.addEventListener('keydown', onKey); return ()=> window.removeEventListener('keydown', onKey);
+  },[tabOrder.join()]);
+  const altKey = (i)=> (i < 10 ? `Alt+${(i+1) % 10}` : undefined);
+
+  // Accessibility options + one polite live region for results
+  const [a11y, setA11y] = useState(()=> ({ ...DEFAULT_A11Y, ...store.get(LS.SETTINGS).a11y }));
+  useEffect(()=>{ store.update(LS.SETTINGS, (s)=> ({ ...s, a11y })); }, [a11y]);
+  const [announcement, setAnnouncement] = useState({ text:'', n:0 });
+  const announce = (text)=> setAnnouncement((a)=> ({ text, n: a.n+1 }));
+
+  // Level from lifetime XP (archived days included), day streak, daily goal
+  const [lifetimeXp, setLifetimeXp] = useState(()=> Object.values(store.get(LS.XP)).reduce((a, n)=> a+n, 0));
+  useEffect(()=>{ store.history(LS.XP).then((m)=> setLifetimeXp(Object.values(m).reduce((a, n)=> a+n, 0))); }, []);
+  const [dayStreak, setDayStreak] = useState(readDayStreak);
+  const [useFreezes, setUseFreezes] = useState(()=> store.get(LS.SETTINGS).streakFreezes ?? true);
+  const [goal, setGoal] = useState(()=> ({ ...DEFAULT_GOAL, ...store.get(LS.SETTINGS).goal }));
+  useEffect(()=>{ store.update(LS.SETTINGS, (s)=> ({ ...s, goal, streakFreezes: useFreezes })); }, [goal, useFreezes]);
+
+  // Achievements: game events update facts; unlocks are derived from facts + stats below
+  const [achievements, setAchievements] = useState(()=> store.get(LS.ACHIEVEMENTS));
+  const [toast, setToast] = useState(null);
+  const achievementEvent = (e)=> setAchievements(store.update(LS.ACHIEVEMENTS, (a)=> ({ ...a, facts: trackFacts(a.facts, e) })));
 
   // Per-game stats (XP/streak per domain)
-  const [gameStats, setGameStats] = useState(()=>{
-    try{
-      const parsed = JSON.parse(localStorage.getItem(LS.GAME_STATS)||'{}');
-      return {
-        math:   { xp:0, streak:0, lastDay:null, ...(parsed.math||{}) },
-        recall: { xp:0, streak:0, lastDay:null, ...(parsed.recall||{}) },
-        pattern:{ xp:0, streak:0, lastDay:null, ...(parsed.pattern||{}) },
-        anagram:{ xp:0, streak:0, lastDay:null, ...(parsed.anagram||{}) },
-        puzzle: { xp:0, streak:0, lastDay:null, ...(parsed.puzzle||{}) },
-      };
-    }catch{ return { math:{xp:0,streak:0,lastDay:null}, recall:{xp:0,streak:0,lastDay:null}, pattern:{xp:0,streak:0,lastDay:null}, anagram:{xp:0,streak:0,lastDay:null}, puzzle:{xp:0,streak:0,lastDay:null} }; }
-  });
-  const saveGameStats = (next)=>{ safeSet(LS.GAME_STATS, next); setGameStats(next); };
-  const addGameXP = (game, delta)=>{
-    const day = todayKey();
-    const cur = gameStats[game]||{xp:0, streak:0, lastDay:null};
-    saveGameStats({ ...gameStats, [game]: { xp: clamp((cur.xp||0)+Math.max(0,delta),0,1_000_000), streak:(cur.streak||0)+1, lastDay:day } });
-  };
-  const recordGameMiss = (game)=>{
-    const cur = gameStats[game]||{xp:0, streak:0, lastDay:null};
-    saveGameStats({ ...gameStats, [game]: { ...cur, streak:0 } });
+  const [gameStats, setGameStats] = useState(()=> store.get(LS.GAME_STATS));
+  // updatedAt/device order concurrent edits from two synced devices (see SYNC)
+  const updateGameStats = (game, fn)=> setGameStats(store.update(LS.GAME_STATS, (all)=> ({ ...all, [game]: { ...fn(all[game]||newGameStats(game)), updatedAt: Date.now(), device: syncDevice() } })));
+  // Skill ratings (see DIFFICULTY): answers carrying an `item` move the player's and the item's rating
+  const [ratings, setRatings] = useState(()=> store.get(LS.RATINGS));
+  const rate = (game, ok, answer)=>{ if(answer?.item) setRatings(skill.record(game, ok, answer)); };
+  // Answer log for analytics; `answer` = { stage, ms, item?, trials?, review? } from the game. A block of timed
+  // trials (Reaction) logs each trial ({ ok, rt, t }) with its own latency instead of one row for the block.
+  const answerRow = (game, ok, ms, answer, at)=> ({ t: at, game, stage: answer.stage ?? null, ok, ms: Number.isFinite(ms) ? Math.round(ms) : null, ...(answer.review ? { review:true } : {}) });
+  const logAnswer = (game, ok, answer = {})=> store.updateDay(LS.ANSWERS, todayKey(), (list=[])=> [...list,
+    ...(answer.trials ? answer.trials.map(tr=> answerRow(game, tr.ok, tr.rt, answer, tr.t)) : [answerRow(game, ok, answer.ms, answer, Date.now())])]);
+  const addGameXP = (game, delta, answer)=>{
+    logAnswer(game, true, answer); rate(game, true, answer); achievementEvent({ kind:'score', game, answer }); announce(t('announce.correct', { xp:Math.max(0,delta) }));
+    setFocus(store.update(LS.FOCUS, (f)=> accrueFocus(f, (b)=> ({ ...b, xp: { ...b.xp, [game]: (b.xp[game]||0)+Math.max(0,delta) } }), (st)=> ({ ...st, xp: st.xp+Math.max(0,delta) }))));
+    store.updateDay(LS.GAME_XP, todayKey(), (g={})=> ({ ...g, [game]: (g[game]||0)+Math.max(0,delta) }));
+    updateGameStats(game, (cur)=> ({ ...cur, xp: clamp((cur.xp||0)+Math.max(0,delta),0,1_000_000), streak:(cur.streak||0)+1, lastDay:todayKey() }));
   };
+  const recordGameMiss = (game, answer)=>{ logAnswer(game, false, answer); rate(game, false, answer); achievementEvent({ kind:'miss', game, answer }); updateGameStats(game, (cur)=> ({ ...cur, streak:0, lastDay:todayKey() })); };
 
   // Misses (by day) for feedback
-  const [misses, setMisses] = useState(()=>{
-    try{ const map = JSON.parse(localStorage.getItem(LS.MISSES)||'{}'); return Array.isArray(map[todayKey()])?map[todayKey()]:[]; }catch{return []}
-  });
-  const recordMiss = (m)=>{
-    const day = todayKey();
-    const map = safeGet(LS.MISSES, '{}');
-    const list = Array.isArray(map[day])?map[day]:[]; list.push(m);
-    map[day]=list; safeSet(LS.MISSES, map); setMisses(list);
+  const recordMiss = (miss)=>{
+    const m = { ...miss, id: randomId() }; // identical misses stay distinct when synced
+    announce(m.correct !== undefined ? t('announce.missedAnswer', { answer:String(m.correct) }) : t('announce.missed'));
+    store.updateDay(LS.MISSES, todayKey(), (list=[])=> [...list, m]);
+    setFocus(store.update(LS.FOCUS, (f)=> accrueFocus(f, (b)=> ({ ...b, misses: [...b.misses, m] }), (st)=> ({ ...st, misses: st.misses+1 }))));
+    setReview(store.update(LS.REVIEW, (items)=> addReviewItem(items, m)));
   };
 
+  // Spaced-repetition queue fed by misses
+  const [review, setReview] = useState(()=> store.get(LS.REVIEW));
+  const dueCount = dueReviews(review).length;
+  const answerReview = (id, quality)=> setReview(store.update(LS.REVIEW, (items)=> (items[id] ? { ...items, [id]: gradeReview(items[id], quality) } : items)));
+
   // XP totals for chart (last 30 days)
   const [chartData, setChartData] = useState(()=>{
-    const map = safeGet(LS.XP, '{}');
+    const map = store.get(LS.XP);
     const arr = [];
     for(let i=29;i>=0;i--){ const d = new Date(); d.setDate(d.getDate()-i); const k = fmtDate(d); arr.push({date:k, xp: (map[k]||0)}); }
     return arr;
@@ -154,22 +1311,67 @@ export default function BrainGym(){
 
   const addXP = (points)=>{
     const day = todayKey();
-    const map = safeGet(LS.XP, '{}');
-    map[day] = (map[day]||0)+points; safeSet(LS.XP, map);
-    setXp((x)=>x+points);
-    setLevel((L)=> clamp(L + points/50, 1, 99));
-    setStreak((s)=> s+1);
-    setChartData((data)=> data.map(d=> d.date===day?{...d, xp:(map[day]||0)}:d));
+    const dayXp = store.updateDay(LS.XP, day, (n=0)=> n+points);
+    setLifetimeXp((x)=> x+points);
+    if(points > 0){
+      const next = trainDay(readDayStreak(), day, useFreezes);
+      store.set(LS.STREAK, next.streak); store.set(LS.LAST_DAY, next.lastDay); store.set(LS.STREAK_FREEZES, next.freezes);
+      setDayStreak(next);
+    }
+    setChartData((data)=> data.map(d=> d.date===day?{...d, xp:dayXp}:d));
   };
 
-  // Timer engine
-  useEffect(()=>{ if(!running) return; const id=setInterval(()=> setSecondsLeft((s)=> Math.max(0, s-1)), 1000); return ()=>clearInterval(id); },[running]);
-  useEffect(()=>{ safeSet(LS.SETTINGS, { sessionLen }); },[sessionLen]);
+  // Timer engine: the interval only repaints; time left is always endsAt - now,
+  // so a throttled background tab or a reload cannot make it drift
+  useEffect(()=>{
+    if(!running) return;
+    const tick = ()=> setNow(Date.now());
+    const id = setInterval(tick, 500);
+    document.addEventListener('visibilitychange', tick);
+    return ()=>{ clearInterval(id); document.removeEventListener('visibilitychange', tick); };
+  },[running]);
+  useEffect(()=>{ store.update(LS.SETTINGS, (s)=> ({ ...s, ...timing })); },[timing]);
+
+  // Session log + summary of the block that just finished
+  const [summary, setSummary] = useState(null);
+  const [sessions, setSessions] = useState(()=> store.getDay(LS.SESSIONS, todayKey()) || []);
+  useEffect(()=>{
+    const { focus: next, completed } = advanceFocus(focus, timing, now);
+    if(next === focus) return;
+    setFocus(store.set(LS.FOCUS, next));
+    if(completed){
+      // logged on the day it ended; `sessions` is today's list, so a block from another day only touches storage
+      const day = fmtDate(new Date(completed.end));
+      const list = store.updateDay(LS.SESSIONS, day, (list=[])=> [...list, { ...completed, seed }]);
+      if(day === todayKey()) setSessions(list);
+      setSummary(completed);
+    }
+  },[now, focus, timing, seed]);
+
+  const saveFocus = (fn)=>{ const at = Date.now(); setNow(at); setFocus(store.update(LS.FOCUS, (f)=> fn(f, at))); };
+  const toggleTimer = ()=> saveFocus((f, at)=> (f.running ? pauseFocus(f, timing, at) : startFocus(f, timing, at)));
+  const resetTimer = ()=> saveFocus((f)=> ({ ...f, running:false, endsAt:null, remainingMs:null, block: f.phase === 'work' ? null : f.block, routine: f.phase === 'work' ? null : f.routine }));
+  // A routine starts a fresh work block; one already under way must be finished or reset first
+  const canStartRoutine = focus.phase === 'work' && !focus.block;
+  const startRoutine = (r)=>{ if(canStartRoutine) saveFocus((f, at)=> startFocus({ ...f, routine: r, remainingMs:null }, timing, at)); };
+  const skipBreak = ()=> saveFocus((f)=> ({ ...idleFocus(), blocks: f.phase === 'long' ? 0 : f.blocks }));
+  const setTimingField = (k, min, max)=> (e)=> setTiming((cur)=> ({ ...cur, [k]: clamp(Number(e.target.value)||DEFAULT_TIMING[k], min, max) }));
+  const secondsLeft = Math.ceil(focusRemaining(focus, timing, now)/1000);
 
-  const resetTimer = ()=> setSecondsLeft(sessionLen*60);
+  useEffect(()=>{
+    const fresh = newlyUnlocked(achievements, { gameStats, streak: dayStreak.streak, lifetimeXp });
+    if(!fresh.length) return;
+    const at = new Date().toISOString();
+    setAchievements(store.update(LS.ACHIEVEMENTS, (a)=> ({ ...a, unlocked: { ...a.unlocked, ...Object.fromEntries(fresh.map(x=> [x.id, at])) } })));
+    setToast(fresh); announce(t('announce.achievement', { list:fresh.map(achTitle).join(', ') }));
+  },[achievements, gameStats, dayStreak, lifetimeXp]);
+  useEffect(()=>{ if(!toast) return; const id = setTimeout(()=> setToast(null), 5000); return ()=> clearTimeout(id); },[toast]);
 
-  // Summary modal toggle
-  const [showSummary, setShowSummary] = useState(false);
+  const today = todayKey();
+  const lvl = levelFromXp(lifetimeXp);
+  const streakNow = liveStreak(dayStreak, today, useFreezes);
+  const minutesToday = sessions.reduce((a, s)=> a + (s.minutes||0), 0);
+  const goalDone = goal.type === 'xp' ? (chartData.find(d=> d.date === today)?.xp || 0) : minutesToday;
 
   // PWA install banner state
   const [installPrompt, setInstallPrompt] = useState(null);
@@ -178,7 +1380,7 @@ export default function BrainGym(){
   const isStandalone = (typeof window !== 'undefined' && window.matchMedia && window.matchMedia('(display-mode: standalone)').matches) || (typeof navigator !== 'undefined' && (navigator).standalone === true);
 
   useEffect(() => {
-    const dismissedAt = Number(localStorage.getItem(INSTALL_DISMISSED_KEY) || 0);
+    const dismissedAt = store.get(LS.INSTALL_DISMISSED);
     const weekMs = 7 * 24 * 60 * 60 * 1000;
     const recentlyDismissed = Date.now() - dismissedAt < weekMs;
 
@@ -199,7 +1401,7 @@ export default function BrainGym(){
       window.removeEventListener('appinstalled', onInstalled);
     };
   }, []);
-  const dismissInstall = () => { try { localStorage.setItem(INSTALL_DISMISSED_KEY, String(Date.now())); } catch {} setShowInstall(false); };
+  const dismissInstall = () => { store.set(LS.INSTALL_DISMISSED, Date.now()); setShowInstall(false); };
   const triggerInstall = async () => {
     if (installPrompt && typeof installPrompt.prompt === 'function') {
       installPrompt.prompt();
@@ -214,16 +1416,28 @@ export default function BrainGym(){
   };
 
   return (
-    <div className={`max-w-5xl mx-auto p-4 min-h-screen ${isDark ? 'bg-zinc-950 text-zinc-100' : 'bg-white text-zinc-900'}`}>
+    <div className={`max-w-5xl mx-auto p-4 min-h-screen [&_*:focus-visible]:outline [&_*:focus-visible]:outline-2 [&_*:focus-visible]:outline-offset-2
+      ${a11y.highContrast ? `${isDark ? 'bg-black text-white' : 'bg-white text-black'} [&_.text-zinc-400]:!text-current [&_.text-zinc-500]:!text-current [&_.border]:border-2` : isDark ? 'bg-zinc-950 text-zinc-100' : 'bg-white text-zinc-900'}
+      ${a11y.reducedMotion ? '[&_*]:!transition-none [&_*]:!animate-none' : ''}`}>
+      <div role="status" aria-live="polite" className="sr-only">{announcement.text}{announcement.n % 2 ? '\u00A0' : ''}</div>
       <header className="flex items-center justify-between mb-4">
         <div className="flex items-center gap-2">
           <Brain className="w-6 h-6" style={{color:accentColor('math')}}/>
-          <h1 className="text-xl font-bold">BrainGym — Focus & Recall Trainer</h1>
+          <h1 className="text-xl font-bold">{t('app.title')}</h1>
+          {!online && <Badge variant="outline" className="gap-1" title={t('pwa.offlineHint')}><WifiOff className="w-3 h-3"/> {t('pwa.offline')}</Badge>}
         </div>
         <div className="flex items-center gap-2">
+          <ProfilePicker onSwitch={onSwitchProfile} accent={accentColor('chart')} dark={isDark}/>
+          <SeedControl seed={seed} onReplay={replaySeed} accent={accentColor('chart')} dark={isDark}/>
+          <label className="flex items-center gap-1 text-sm">
+            <Languages className="w-4 h-4 text-zinc-400"/>
+            <select aria-label={t('app.language')} value={lang} onChange={(e)=> onLocale(e.target.value)} className={`h-8 rounded-md border px-1 text-sm ${isDark ? 'bg-zinc-900' : 'bg-white'}`} style={{ borderColor: accentColor('chart') }}>
+              {Object.entries(LOCALES).map(([id, name])=> <option key={id} value={id}>{name}</option>)}
+            </select>
+          </label>
           <div className="flex items-center gap-2 text-sm">
             <Smartphone className="w-4 h-4 text-zinc-400"/>
-            <span className="text-zinc-400 hidden sm:inline">Theme</span>
+            <span className="text-zinc-400 hidden sm:inline">{t('app.theme')}</span>
             <Button variant="outline" className="h-8 px-2" onClick={()=> setTheme(isDark ? 'light' : 'dark')} style={{ borderColor: accentColor('chart') }}>
               {isDark ? <Sun className="w-4 h-4"/> : <Moon className="w-4 h-4"/>}
             </Button>
@@ -231,23 +1445,51 @@ export default function BrainGym(){
         </div>
       </header>
 
+      {/* Sync banner — progress from another device arrived; showing it reloads the Trainer */}
+      {sync.fresh && (
+        <div className="mb-4">
+          <div className={`shadow-xl border rounded-2xl max-w-3xl mx-auto w-full p-3 flex items-center justify-between gap-3 ${isDark ? 'bg-zinc-900 border-zinc-700' : 'bg-white border-zinc-200'}`}>
+            <div className="text-sm">{t('sync.fresh')}</div>
+            <Button onClick={onReload} style={{ backgroundColor: accentColor('chart'), color: '#0b0b0b' }}><CloudUpload className="w-4 h-4 mr-1"/>{t('sync.show')}</Button>
+          </div>
+        </div>
+      )}
+      {/* Update banner — a new service worker is waiting */}
+      {updateReady && (
+        <div className="mb-4">
+          <div className={`shadow-xl border rounded-2xl max-w-3xl mx-auto w-full p-3 flex items-center justify-between gap-3 ${isDark ? 'bg-zinc-900 border-zinc-700' : 'bg-white border-zinc-200'}`}>
+            <div className="text-sm">{t('pwa.updateReady')}</div>
+            <Button onClick={applyUpdate} style={{ backgroundColor: accentColor('chart'), color: '#0b0b0b' }}><RefreshCw className="w-4 h-4 mr-1"/>{t('pwa.reload')}</Button>
+          </div>
+        </div>
+      )}
+      {/* Storage full — some progress could not be saved on this device */}
+      {unsaved.length > 0 && (
+        <div className="mb-4">
+          <div role="alert" className={`shadow-xl border rounded-2xl max-w-3xl mx-auto w-full p-3 flex items-center gap-3 ${isDark ? 'bg-zinc-900 border-zinc-700' : 'bg-white border-zinc-200'}`}>
+            <HardDriveDownload className="w-4 h-4 shrink-0 text-zinc-400"/>
+            <div className="text-sm">{t('storage.full')}</div>
+          </div>
+        </div>
+      )}
+
       {/* Install App Banner */}
       {showInstall && !isStandalone && (
         <div className="mb-4">
           <div className={`shadow-xl border rounded-2xl max-w-3xl mx-auto w-full p-3 ${prefersDark ? 'bg-zinc-900 border-zinc-700' : 'bg-white border-zinc-200'}`}>
             <div className="flex items-center justify-between gap-3">
               <div className="flex-1">
-                <div className="font-semibold">Install BrainGym</div>
+                <div className="font-semibold">{t('install.title')}</div>
                 {isiOS ? (
-                  <div className="text-sm opacity-80">On iPhone: tap <b>Share</b> → <b>Add to Home Screen</b> to install.</div>
+                  <div className="text-sm opacity-80">{t('install.ios', { share:<b>{t('install.iosShare')}</b>, add:<b>{t('install.iosAdd')}</b> })}</div>
                 ) : (
-                  <div className="text-sm opacity-80">Install for full-screen & offline use. No App Store needed.</div>
+                  <div className="text-sm opacity-80">{t('install.desktop')}</div>
                 )}
               </div>
               {!isiOS && (
-                <Button onClick={triggerInstall} style={{ backgroundColor: accent('chart'), color: '#0b0b0b' }}>Install</Button>
+                <Button onClick={triggerInstall} style={{ backgroundColor: accent('chart'), color: '#0b0b0b' }}>{t('install.install')}</Button>
               )}
-              <Button variant="outline" onClick={dismissInstall} style={{ borderColor: accent('words') }}>Not now</Button>
+              <Button variant="outline" onClick={dismissInstall} style={{ borderColor: accent('words') }}>{t('install.later')}</Button>
             </div>
           </div>
         </div>
@@ -260,34 +1502,55 @@ export default function BrainGym(){
             <CardHeader>
               <CardTitle className="flex items-center gap-2">
                 <TimerReset className="w-5 h-5 text-zinc-300"/>
-                Focus Block
+                {t('focus.title')}
               </CardTitle>
             </CardHeader>
             <CardContent className="space-y-3">
-              <div className="text-4xl font-semibold" style={{color:accentColor('pattern')}}>
-                {Math.floor(secondsLeft/60).toString().padStart(2,'0')}:{(secondsLeft%60).toString().padStart(2,'0')}
+              <div className="flex items-center justify-between text-sm text-zinc-400">
+                <span>{t(`focus.phase.${focus.phase}`)}</span>
+                <span>{t('focus.block', { n: focus.blocks % timing.longEvery + (focus.phase === 'work' ? 1 : 0) || timing.longEvery, total: timing.longEvery })}</span>
               </div>
+              <div className="text-4xl font-semibold" style={{color:accentColor(focus.phase === 'work' ? 'pattern' : 'recall')}}>
+                {fmtClock(secondsLeft*1000)}
+              </div>
+              {step && (
+                <div className="space-y-1 text-sm">
+                  <div className="flex items-center justify-between gap-2">
+                    <span aria-live="polite">{t('routine.step', { n: step.i+1, total: focus.routine.steps.length, game: gameLabel(stepGame) })}</span>
+                    <span className="text-zinc-400">{t('routine.left', { time: fmtClock(step.leftMs) })}</span>
+                  </div>
+                  <Progress value={100 - step.leftMs/(focus.routine.steps[step.i].min*600)}/>
+                  <div className="text-xs text-zinc-400">{focus.routine.name || t('routine.untitled')}{step.i+1 < focus.routine.steps.length && ` • ${t('routine.next', { game: gameLabel(focus.routine.steps[step.i+1].game) })}`}</div>
+                </div>
+              )}
               <div className="flex gap-2">
-                <Button onClick={()=>setRunning(!running)} style={{backgroundColor:accentColor('words'), color:'#0b0b0b'}}>
+                <Button onClick={toggleTimer} style={{backgroundColor:accentColor('words'), color:'#0b0b0b'}}>
                   {running? <Pause className="w-4 h-4"/> : <Play className="w-4 h-4"/>}
                 </Button>
-                <Button variant="outline" onClick={resetTimer} style={{borderColor:accentColor('words')}}>
-                  Reset
-                </Button>
-                <Input type="number" className="w-20" value={sessionLen} onChange={(e)=>setSessionLen(clamp(Number(e.target.value)||DEFAULT_SESSION_MIN, 5, 120))}/>
-                <span className="text-sm text-zinc-400">min</span>
+                {focus.phase === 'work'
+                  ? <Button variant="outline" onClick={resetTimer} style={{borderColor:accentColor('words')}}>{t('focus.reset')}</Button>
+                  : <Button variant="outline" onClick={skipBreak} style={{borderColor:accentColor('words')}}>{t('focus.skipBreak')}</Button>}
+                <Input type="number" className="w-20" value={focus.routine ? routineMinutes(focus.routine) : timing.sessionLen} disabled={!!focus.routine} onChange={setTimingField('sessionLen', 5, 120)}/>
+                <span className="text-sm text-zinc-400">{t('common.min')}</span>
+              </div>
+              <div className="flex items-center gap-2 text-xs text-zinc-400">
+                {t('focus.break')} <Input type="number" className="w-14 h-7 px-1" value={timing.breakLen} onChange={setTimingField('breakLen', 1, 30)}/>
+                {t('focus.long')} <Input type="number" className="w-14 h-7 px-1" value={timing.longBreakLen} onChange={setTimingField('longBreakLen', 5, 60)}/>
+                {t('focus.every')} <Input type="number" className="w-12 h-7 px-1" value={timing.longEvery} onChange={setTimingField('longEvery', 2, 8)}/>
               </div>
               <div className="flex items-center gap-2 text-sm text-zinc-400">
-                <Shield className="w-4 h-4"/> Require click to reset timer ✔︎
+                <Shield className="w-4 h-4"/> {t('focus.today', { n: sessions.length, min: minutesToday })}
               </div>
             </CardContent>
           </Card>
 
+          <RoutinesCard routines={routines} onChange={setRoutines} onStart={startRoutine} canStart={canStartRoutine} games={layout.order} accent={accentColor('words')} dark={isDark}/>
+
           <Card>
             <CardHeader>
               <CardTitle className="flex items-center gap-2">
                 <TrendingUp className="w-5 h-5" style={{ color: prefersDark ? '#FFF1C9' : '#7C4A00' }} />
-                <span style={{ color: prefersDark ? '#FFF1C9' : '#7C4A00' }}>Progress (last 30 days)</span>
+                <span style={{ color: prefersDark ? '#FFF1C9' : '#7C4A00' }}>{t('progress.title')}</span>
               </CardTitle>
             </CardHeader>
             <CardContent>
@@ -304,7 +1567,7 @@ export default function BrainGym(){
                     <XAxis dataKey="date" hide/>
                     <YAxis hide/>
                     <Tooltip contentStyle={{ background: isDark ? '#0b0b0c' : '#ffffff', border: isDark ? '1px solid #333' : '1px solid #e5e7eb', color: isDark ? '#fff' : '#111' }}/>
-                    <Area type="monotone" dataKey="xp" stroke={accentColor('chart')} fill="url(#xpFill)" strokeWidth={2}/>
+                    <Area type="monotone" dataKey="xp" stroke={accentColor('chart')} fill="url(#xpFill)" strokeWidth={2} isAnimationActive={!a11y.reducedMotion}/>
                   </AreaChart>
                 </ResponsiveContainer>
               </div>
@@ -314,49 +1577,107 @@ export default function BrainGym(){
           <Card>
             <CardHeader>
               <CardTitle className="flex items-center gap-2">
-                <ListOrdered className="w-5 h-5 text-zinc-300"/> Daily Stats
+                <ListOrdered className="w-5 h-5 text-zinc-300"/> {t('day.title')}
               </CardTitle>
             </CardHeader>
             <CardContent className="space-y-2 text-sm">
-              <div className="flex items-center gap-2"><Trophy className="w-4 h-4" style={{color:accentColor('puzzle')}}/> Level <b>{Math.floor(level)}</b></div>
-              <div className="flex items-center gap-2"><Sparkles className="w-4 h-4" style={{color:accentColor('recall')}}/> Streak <b>{streak}</b></div>
+              <div className="flex items-center gap-2"><Trophy className="w-4 h-4" style={{color:accentColor('puzzle')}}/> {t('day.level')} <b>{lvl.level}</b><span className="ml-auto text-xs text-zinc-400">{t('day.xpTotal', { xp: lifetimeXp })}</span></div>
+              <Progress value={lvl.into/lvl.need*100}/>
+              <div className="text-xs text-zinc-400">{t('day.toLevel', { xp: lvl.need - lvl.into, level: lvl.level+1 })}</div>
+              <div className="flex items-center gap-2">
+                <Sparkles className="w-4 h-4" style={{color:accentColor('recall')}}/> {t('day.streak')} <b>{streakNow}</b>
+                <span className="text-xs text-zinc-400">{dayStreak.lastDay === today ? t('day.trainedToday') : streakNow ? t('day.keepStreak') : ''}</span>
+              </div>
+              <label className="flex items-center gap-2 text-xs text-zinc-400">
+                <input type="checkbox" checked={useFreezes} onChange={(e)=> setUseFreezes(e.target.checked)}/> {t('day.freezes', { have: dayStreak.freezes, max: FREEZE_MAX, every: FREEZE_EVERY })}
+              </label>
+              <div className="flex items-center gap-2">
+                {t('day.goal')} <b>{goalDone}/{goal.target}</b> {goal.type === 'xp' ? t('day.xp') : t('common.min')}{goalDone >= goal.target && ' ✓'}
+                <span className="ml-auto flex items-center gap-1">
+                  {['xp','minutes'].map(type=> (
+                    <Toggle key={type} size="sm" pressed={goal.type===type} onPressedChange={()=> setGoal((g)=> ({ ...g, type }))} className="h-7 px-2 text-xs border" style={{ borderColor: accentColor('chart'), background: goal.type===type ? accentColor('chart') : 'transparent', color: goal.type===type ? '#0b0b0b' : undefined }}>{type === 'xp' ? t('day.xp') : t('day.min')}</Toggle>
+                  ))}
+                  <Input type="number" className="w-16 h-7 px-1" value={goal.target} onChange={(e)=> setGoal((g)=> ({ ...g, target: clamp(Number(e.target.value)||DEFAULT_GOAL.target, 1, 10000) }))}/>
+                </span>
+              </div>
+              <Progress value={Math.min(100, goalDone/goal.target*100)}/>
+              <button className="flex items-center gap-2" onClick={()=>setTab('review')}><Repeat className="w-4 h-4" style={{color:accentColor('pattern')}}/> {t('day.reviewDue')} <b>{dueCount}</b></button>
             </CardContent>
           </Card>
+
+          <BackupCard accent={accentColor('chart')} dark={isDark}/>
+          <SyncCard sync={sync} online={online} accent={accentColor('chart')} dark={isDark}/>
+          <AccessibilityCard a11y={a11y} onChange={setA11y}/>
+          <GamesCard layout={layout} onChange={setLayout}/>
         </div>
 
         {/* RIGHT: Games */}
         <div className="md:col-span-2">
           <Tabs value={tab} onValueChange={setTab}>
-            <TabsList className="grid grid-cols-5">
-              <TabsTrigger value="math">Math</TabsTrigger>
-              <TabsTrigger value="recall">Recall</TabsTrigger>
-              <TabsTrigger value="pattern">Pattern</TabsTrigger>
-              <TabsTrigger value="anagram">Words</TabsTrigger>
-              <TabsTrigger value="puzzle">Puzzle</TabsTrigger>
+            <TabsList className="grid" style={{ gridTemplateColumns: `repeat(${tabOrder.length}, minmax(0,1fr))` }}>
+              {shownGames.map((g, i)=> (
+                <TabsTrigger key={g.id} value={g.id} title={altKey(i)} className="gap-1"><g.icon className="w-4 h-4 shrink-0 hidden lg:inline" aria-hidden/>{gameLabel(g.id)}</TabsTrigger>
+              ))}
+              <TabsTrigger value="daily" title={altKey(shownGames.length)}>{t('tab.daily')}</TabsTrigger>
+              <TabsTrigger value="review" title={altKey(shownGames.length+1)}>{t('tab.review')}{dueCount>0 ? ` (${dueCount})` : ''}</TabsTrigger>
+              <TabsTrigger value="stats" title={altKey(shownGames.length+2)}>{t('tab.stats')}</TabsTrigger>
+              <TabsTrigger value="badges" title={altKey(shownGames.length+3)}>{t('tab.badges')}</TabsTrigger>
             </TabsList>
 
-            <TabsContent value="math"><MathBlitz dark={isDark} onScore={(p)=>{ addXP(p); addGameXP('math',p); }} onMiss={(m)=>{ recordMiss(m); recordGameMiss('math'); }} accent={accentColor('math')}/></TabsContent>
-            <TabsContent value="recall"><RecallSequence dark={isDark} onScore={(p)=>{ addXP(p); addGameXP('recall',p); }} onMiss={(m)=>{ recordMiss(m); recordGameMiss('recall'); }} accent={accentColor('recall')}/></TabsContent>
-            <TabsContent value="pattern"><PatternFinder dark={isDark} onScore={(p)=>{ addXP(p); addGameXP('pattern',p); }} onMiss={(m)=>{ recordMiss(m); recordGameMiss('pattern'); }} accent={accentColor('pattern')}/></TabsContent>
-            <TabsContent value="anagram"><WordAnagram dark={isDark} onScore={(p)=>{ addXP(p); addGameXP('anagram',p); }} onMiss={(m)=>{ recordMiss(m); recordGameMiss('anagram'); }} accent={accentColor('words')}/></TabsContent>
-            <TabsContent value="puzzle"><TilePuzzle dark={isDark} onScore={(p)=>{ addXP(p); addGameXP('puzzle',p); }} onMiss={(m)=>{ recordMiss(m); recordGameMiss('puzzle'); }} accent={accentColor('puzzle')}/></TabsContent>
+            {shownGames.map(({ id, component: Game, defaultMode })=> (
+              <TabsContent key={id} value={id}>
+                <SkillLine rating={playerRating(ratings, id)}/>
+                <SeededGame key={`${seed}-${run}`} game={Game} seed={`${seed}:${id}`} stats={gameStats[id]} dark={isDark} colorBlind={a11y.colorBlind} accent={gameColor(id, isDark)}
+                  onModeStats={defaultMode && ((mode, fn)=> updateGameStats(id, (cur)=> ({ ...cur, modes: { ...(cur.modes||{}), [mode]: fn(cur.modes?.[mode] || defaultMode(mode)) } })))}
+                  onScore={(p,a)=>{ addXP(p); addGameXP(id,p,a); }} onMiss={(m,a)=>{ recordMiss(m); recordGameMiss(id,a); }}/>
+              </TabsContent>
+            ))}
+            <TabsContent value="daily"><DailyChallenge dark={isDark} colorBlind={a11y.colorBlind} accentColor={accentColor} onScore={(g,p,a)=>{ addXP(p); addGameXP(g,p,a); }} onMiss={(g,m,a)=>{ recordMiss(m); recordGameMiss(g,a); }}/></TabsContent>
+            <TabsContent value="review"><ReviewQueue dark={isDark} items={review} onAnswer={(id, quality, ok, ms)=>{ logAnswer(review[id].game, ok, { ms, review:true }); answerReview(id, quality); if(ok) addXP(2); }} accent={accentColor('pattern')}/></TabsContent>
+            <TabsContent value="badges"><BadgeGallery achievements={achievements} ctx={{ gameStats, streak: dayStreak.streak, lifetimeXp }} accent={accentColor('puzzle')} dark={isDark}/></TabsContent>
+            <TabsContent value="stats"><AnalyticsView dark={isDark} accentColor={accentColor} reducedMotion={a11y.reducedMotion}/></TabsContent>
           </Tabs>
         </div>
       </div>
 
-      {/* Session Summary */}
-      {showSummary && (
+      {/* Achievement toast */}
+      {toast && (
+        <button className={`fixed bottom-4 right-4 shadow-xl border rounded-xl p-3 text-left ${isDark ? 'bg-zinc-900 border-zinc-700' : 'bg-white border-zinc-200'}`} onClick={()=>{ setToast(null); setTab('badges'); }}>
+          <div className="text-xs text-zinc-400">{t('toast.title')}</div>
+          {toast.slice(0, 3).map(a=> <div key={a.id} className="font-semibold">{a.icon} {achTitle(a)}</div>)}
+          {toast.length > 3 && <div className="text-xs text-zinc-400">{t('toast.more', { n: toast.length-3 })}</div>}
+        </button>
+      )}
+
+      {/* Session Summary — opens when a focus block ends */}
+      {summary && (
         <div className="fixed inset-0 bg-black/60 grid place-items-center">
           <div className="bg-zinc-900 p-4 rounded-xl max-w-md w-full">
-            <h3 className="text-lg font-semibold mb-2">Session Summary</h3>
-            <p className="text-sm text-zinc-400">Areas to improve:</p>
+            <h3 className="text-lg font-semibold mb-2">{summary.steps ? t('summary.routine', { name: summary.routine || t('routine.untitled') }) : t('summary.title')}</h3>
+            <p className="text-sm text-zinc-400">{t('summary.line', { min: summary.minutes, from: fmtTime(summary.start), to: fmtTime(summary.end), xp: Object.values(summary.xp).reduce((a, n)=> a+n, 0) })}</p>
+            {summary.steps ? (
+              <ol className="list-decimal ml-6 my-2 text-sm" aria-label={summary.routine || t('routine.untitled')}>
+                {summary.steps.map((st, i)=> (
+                  <li key={i}><b>{gameLabel(st.game)}</b> · {st.min} {t('common.min')}: +{st.xp} XP • {st.misses ? t('summary.issues', { n: st.misses }) : t('summary.noMisses')}</li>
+                ))}
+              </ol>
+            ) : (
+              <ul className="list-disc ml-6 my-2 text-sm">
+                {byGameOrder(Object.entries(summary.xp)).map(([k,v])=> (
+                  <li key={k}><b>{gameLabel(k)}</b>: +{v} XP</li>
+                ))}
+                {Object.keys(summary.xp).length === 0 && <li>{t('summary.noXp')}</li>}
+              </ul>
+            )}
+            <p className="text-sm text-zinc-400">{t('summary.improve')}</p>
             <ul className="list-disc ml-6 my-2 text-sm">
-              {Object.entries(groupMisses(misses)).map(([k,v])=> (
-                <li key={k}><b>{k}</b>: {v.length} issue(s)</li>
+              {byGameOrder(Object.entries(groupMisses(summary.misses))).map(([k,v])=> (
+                <li key={k}><b>{gameLabel(k)}</b>: {t('summary.issues', { n: v.length })}</li>
               ))}
+              {summary.misses.length === 0 && <li>{t('summary.clean')}</li>}
             </ul>
             <div className="text-right">
-              <Button onClick={()=>setShowSummary(false)} style={{backgroundColor:accentColor('words'), color:'#0b0b0b'}}>Close</Button>
+              <Button onClick={()=>setSummary(null)} style={{backgroundColor:accentColor('words'), color:'#0b0b0b'}}>{t('common.close')}</Button>
             </div>
           </div>
         </div>
@@ -366,52 +1687,565 @@ export default function BrainGym(){
 }
 
 // =====================================
-// MATH — adaptive by Math-only stats (now with on-screen keypad)
+// PROFILES — header picker: switch (PIN if set), add, rename, PIN, delete
 // =====================================
-function makeMathAdaptive(stats){
-  const xp = stats?.xp||0; const st = stats?.streak||0;
-  const stage = (st>=12||xp>=350)?4 : (st>=8||xp>=200)?3 : (st>=6||xp>=120)?2 : (st>=3||xp>=50)?1 : 0;
-  const r=(a,b)=>Math.floor(Math.random()*(b-a+1))+a; const pick=(a)=>a[Math.floor(Math.random()*a.length)];
-  if(stage===4){ const a=r(2,9), x=r(1,12), b=r(-15,15), c=a*x+b; return {text:`${a}x + ${b} = ${c} ; x = ?`, answer:x}; }
-  if(stage===3){ const form=pick(["x + b = c","x - b = c","a - x = c"]);
-    if(form==="x + b = c"){ const b=r(1,20), x=r(1,30), c=x+b; return {text:`x + ${b} = ${c} ; x = ?`, answer:x}; }
-    if(form==="x - b = c"){ const x=r(10,40), b=r(1,9), c=x-b; return {text:`x - ${b} = ${c} ; x = ?`, answer:x}; }
-    const a=r(10,40), x=r(1,9), c=a-x; return {text:`${a} - x = ${c} ; x = ?`, answer:x}; }
-  if(stage===2){ const op=pick(["×","÷"]); if(op==='×'){ const a=r(3,12), b=r(3,12); return {text:`${a} × ${b} = ?`, answer:a*b}; } else { const b=r(2,12), x=r(2,12); return {text:`${b*x} ÷ ${b} = ?`, answer:x}; } }
-  if(stage===1){ const a=r(-20,99), b=r(-20,99), op=pick(["+","-"]); const ans= op==='+'?a+b:a-b; return {text:`${a} ${op} ${b} = ?`, answer:ans}; }
-  { const a=r(0,9), b=r(0,9), op=pick(["+","-"]); const ans= op==='+'?a+b:a-b; return {text:`${a} ${op} ${b} = ?`, answer:ans}; }
-}
-
-function MathBlitz({ onScore, onMiss, accent, dark }){
-  // read/write Math-only stats
-  const readStats=()=>{ try{ const map=JSON.parse(localStorage.getItem(LS.GAME_STATS)||'{}'); const m=map.math||{xp:0,streak:0,lastDay:null}; return {xp:m.xp||0,streak:m.streak||0,lastDay:m.lastDay||null}; }catch{return {xp:0,streak:0,lastDay:null}} };
-  const writeStats=(next)=>{ try{ const map=JSON.parse(localStorage.getItem(LS.GAME_STATS)||'{}'); map.math=next; localStorage.setItem(LS.GAME_STATS, JSON.stringify(map)); }catch{} };
-
-  const [level, setLevel] = useState(1);
-  const [q, setQ] = useState(()=> makeMathAdaptive(readStats()));
-  const [ans, setAns] = useState("");
-  const [combo, setCombo] = useState(0);
-  const inputRef = useRef(null);
-  useEffect(()=>{ inputRef.current?.focus(); },[q]);
+function ProfilePicker({ onSwitch, accent, dark }){
+  const [open, setOpen] = useState(false);
+  const [state, setState] = useState(profiles.read);
+  const [pending, setPending] = useState(null); // { action:'switch'|'delete', profile } waiting for a PIN
+  const [pin, setPin] = useState("");
+  const [msg, setMsg] = useState("");
+  const [newName, setNewName] = useState("");
+  const [newPin, setNewPin] = useState("");
+  const current = state.list.find(p=> p.id === state.active) || state.list[0];
+  const [rename, setRename] = useState(current.name);
+  const refresh = ()=> setState(profiles.read());
 
-  const submit = ()=>{
-    const correct = Number(ans) === q.answer;
-    const base = 3 + Math.floor(level/2);
-    const bonus = Math.min(combo, 5);
-    const pts = correct ? base + bonus : 0;
-
-    const cur = readStats(); const day=todayKey();
-    const nextStats = correct ? { xp: clamp(cur.xp+pts,0,1_000_000), streak:(cur.streak||0)+1, lastDay:day } : { xp: cur.xp||0, streak:0, lastDay:day };
-    writeStats(nextStats);
-
-    if(correct){ onScore(pts); setCombo(combo+1); setLevel((L)=> Math.min(L + (combo>=3?1:0.5), 20)); }
-    else { onMiss({game:'math', prompt:q.text, correct:q.answer, given: ans}); setCombo(0); setLevel((L)=> Math.max(1, L-0.5)); }
-
-    setQ(makeMathAdaptive(nextStats)); setAns("");
+  const run = async (action, p)=>{
+    if(action === 'switch'){ setOpen(false); onSwitch(p.id); }
+    else { if(!window.confirm(t('profile.deleteConfirm', { name: p.name }))) return; await profiles.remove(p.id); refresh(); }
   };
-
+  const choose = (action, p)=>{ setMsg(""); setPin(""); if(p.pinHash) setPending({ action, profile: p }); else run(action, p); };
+  const submitPin = async ()=>{
+    if(!(await profiles.checkPin(pending.profile, pin))) return setMsg(t('profile.wrongPin'));
+    const { action, profile } = pending; setPending(null); setPin(""); run(action, profile);
+  };
+  const add = async ()=>{
+    const name = newName.trim(); if(!name) return;
+    const id = profiles.create(name);
+    // the hash is salted with the id, so the PIN is set once the profile exists
+    if(newPin){ const pinHash = await hashPin(id, newPin); profiles.edit(id, (p)=> ({ ...p, pinHash })); }
+    setNewName(""); setNewPin(""); setOpen(false); onSwitch(id);
+  };
+  const saveName = ()=>{ const name = rename.trim(); if(name){ profiles.edit(current.id, (p)=> ({ ...p, name })); refresh(); } };
+  const setOwnPin = async ()=>{
+    const pinHash = pin ? await hashPin(current.id, pin) : null;
+    profiles.edit(current.id, ({ pinHash: _, ...p })=> (pinHash ? { ...p, pinHash } : p)); setPin(""); setMsg(pinHash ? t('profile.pinSet') : t('profile.pinRemoved')); refresh();
+  };
+  const field = { background: dark ? '#17181a' : '#ffffff', borderColor: accent, color: dark ? '#fff' : '#111' };
+
+  return (
+    <div className="relative">
+      <Button variant="outline" className="h-8 px-2" onClick={()=>{ setOpen(!open); setPending(null); setMsg(""); refresh(); }} style={{ borderColor: accent }}>
+        <User className="w-4 h-4"/><span className="hidden sm:inline ml-1">{current.name}</span>
+      </Button>
+      {open && (
+        <div className={`absolute right-0 mt-1 z-20 w-72 rounded-xl border p-3 space-y-2 text-sm shadow-xl ${dark ? 'bg-zinc-900 border-zinc-700' : 'bg-white border-zinc-200'}`}>
+          {state.list.map(p=> (
+            <div key={p.id} className="flex items-center gap-2">
+              <button className="flex-1 text-left" disabled={p.id === current.id} onClick={()=>choose('switch', p)} style={{ color: p.id === current.id ? accent : undefined }}>
+                {p.name}{p.pinHash ? ' 🔒' : ''}{p.id === current.id ? ` ${t('profile.active')}` : ''}
+              </button>
+              {p.id !== current.id && p.id !== 'default' && <button onClick={()=>choose('delete', p)} aria-label={t('profile.deleteName', { name: p.name })}><XCircle className="w-4 h-4 text-zinc-400"/></button>}
+            </div>
+          ))}
+          {pending && (
+            <div className="flex gap-1">
+              <Input type="password" inputMode="numeric" autoFocus value={pin} onChange={(e)=>setPin(e.target.value)} onKeyDown={(e)=>{ if(e.key==='Enter') submitPin(); }} className="h-8" style={field} placeholder={t('profile.pinFor', { name: pending.profile.name })}/>
+              <Button className="h-8" onClick={submitPin} style={{ backgroundColor: accent, color:'#0b0b0b' }}>{pending.action === 'delete' ? t('common.delete') : t('profile.open')}</Button>
+            </div>
+          )}
+          <div className="border-t pt-2 flex gap-1" style={{ borderColor: dark ? '#27272a' : '#e4e4e7' }}>
+            <Input value={newName} onChange={(e)=>setNewName(e.target.value)} className="h-8" style={field} placeholder={t('profile.new')}/>
+            <Input type="password" inputMode="numeric" value={newPin} onChange={(e)=>setNewPin(e.target.value)} className="h-8 w-20" style={field} placeholder={t('profile.pin')}/>
+            <Button className="h-8" onClick={add} style={{ backgroundColor: accent, color:'#0b0b0b' }}>{t('common.add')}</Button>
+          </div>
+          <div className="flex gap-1">
+            <Input value={rename} onChange={(e)=>setRename(e.target.value)} onKeyDown={(e)=>{ if(e.key==='Enter') saveName(); }} className="h-8" style={field} placeholder={t('profile.name')}/>
+            <Button variant="outline" className="h-8" onClick={saveName} style={{ borderColor: accent }}>{t('profile.rename')}</Button>
+          </div>
+          {!pending && (
+            <div className="flex gap-1">
+              <Input type="password" inputMode="numeric" value={pin} onChange={(e)=>setPin(e.target.value)} className="h-8" style={field} placeholder={current.pinHash ? t('profile.newPin') : t('profile.setPin')}/>
+              <Button variant="outline" className="h-8" onClick={setOwnPin} style={{ borderColor: accent }}>{t('profile.pin')}</Button>
+            </div>
+          )}
+          {msg && <div className="text-xs text-zinc-400">{msg}</div>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// =====================================
+// SEED — show the session seed, replay any seed
+// =====================================
+function SeedControl({ seed, onReplay, accent, dark }){
+  const [editing, setEditing] = useState(false);
+  const [val, setVal] = useState(seed);
+  useEffect(()=>{ setVal(seed); }, [seed]);
+  const replay = (s)=>{ onReplay(s); setEditing(false); };
+  if(!editing) return (
+    <button className="text-xs font-mono px-2 h-8 rounded-md border" style={{borderColor:accent}} onClick={()=>setEditing(true)} title={t('seed.title')}>
+      {t('seed.label', { seed })}
+    </button>
+  );
+  return (
+    <div className="flex items-center gap-1">
+      <Input value={val} onChange={(e)=>setVal(e.target.value)} onKeyDown={(e)=>{ if(e.key==='Enter') replay(val); if(e.key==='Escape') setEditing(false); }} className="h-8 w-28 font-mono text-xs" style={{ background: dark ? '#17181a' : '#ffffff', borderColor: accent }} aria-label={t('seed.aria')} autoFocus/>
+      <Button className="h-8 px-2 text-xs" onClick={()=>replay(val)} style={{backgroundColor:accent, color:'#0b0b0b'}}>{t('seed.replay')}</Button>
+      <Button variant="outline" className="h-8 px-2 text-xs" onClick={()=>replay('')} style={{borderColor:accent}}>{t('seed.new')}</Button>
+    </div>
+  );
+}
+
+// =====================================
+// BACKUP CARD — export JSON/CSV, import with merge or replace
+// =====================================
+function BackupCard({ accent, dark }){
+  const [pending, setPending] = useState(null); // parsed backup waiting for merge/replace
+  const [msg, setMsg] = useState('');
+  const fileRef = useRef(null);
+
+  const exportJson = async ()=> downloadFile(`braingym-backup-${todayKey()}.json`, JSON.stringify(await exportBackup(), null, 2), 'application/json');
+  const exportSheet = async ()=> downloadFile(`braingym-xp-${todayKey()}.csv`, await exportCsv(), 'text/csv');
+  const pick = async (e)=>{
+    const file = e.target.files?.[0]; e.target.value = '';
+    if(!file) return;
+    try { setPending(parseBackup(await file.text())); setMsg(''); }
+    catch(err){ setPending(null); setMsg(err.message); }
+  };
+  const apply = async (mode)=>{
+    if(mode === 'replace' && !window.confirm(t('backup.replaceConfirm'))) return;
+    try { await importBackup(pending.data, mode); }
+    catch(err){ setPending(null); setMsg(err.message); return; }
+    setPending(null); setMsg(t('backup.imported'));
+    setTimeout(()=> window.location.reload(), 500);
+  };
+
+  const days = pending ? Object.keys(pending.data[LS.XP]||{}).length : 0;
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <HardDriveDownload className="w-5 h-5 text-zinc-300"/> {t('backup.title')}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-2 text-sm">
+        <div className="flex flex-wrap gap-2">
+          <Button variant="outline" onClick={exportJson} style={{borderColor:accent}}><Download className="w-4 h-4 mr-1"/>JSON</Button>
+          <Button variant="outline" onClick={exportSheet} style={{borderColor:accent}}><Download className="w-4 h-4 mr-1"/>CSV</Button>
+          <Button variant="outline" onClick={()=>fileRef.current?.click()} style={{borderColor:accent}}><Upload className="w-4 h-4 mr-1"/>{t('backup.import')}</Button>
+          <input ref={fileRef} type="file" accept="application/json,.json" className="hidden" onChange={pick}/>
+        </div>
+        {pending && (
+          <div className={`rounded-lg border p-2 space-y-2 ${dark ? 'border-zinc-700' : 'border-zinc-200'}`}>
+            <div>{t('backup.from', { date: pending.exportedAt ? new Intl.DateTimeFormat(locale, { dateStyle:'medium', timeStyle:'short' }).format(new Date(pending.exportedAt)) : t('backup.unknownDate'), n: days })}</div>
+            {pending.skipped.length > 0 && <div className="text-xs text-zinc-400">{t('backup.skipped', { keys: pending.skipped.join(', ') })}</div>}
+            <div className="flex gap-2">
+              <Button onClick={()=>apply('merge')} style={{backgroundColor:accent, color:'#0b0b0b'}}>{t('backup.merge')}</Button>
+              <Button variant="outline" onClick={()=>apply('replace')} style={{borderColor:accent}}>{t('backup.replace')}</Button>
+              <Button variant="outline" onClick={()=>setPending(null)}>{t('common.cancel')}</Button>
+            </div>
+          </div>
+        )}
+        {msg && <div className="text-xs text-zinc-400">{msg}</div>}
+      </CardContent>
+    </Card>
+  );
+}
+
+// =====================================
+// ACCESSIBILITY — colour-blind Recall, reduced motion, high contrast
+// =====================================
+function AccessibilityCard({ a11y, onChange }){
+  const opts = ['colorBlind', 'reducedMotion', 'highContrast'];
+  return (
+    <Card>
+      <CardHeader><CardTitle className="flex items-center gap-2"><Accessibility className="w-5 h-5 text-zinc-300"/> {t('a11y.title')}</CardTitle></CardHeader>
+      <CardContent className="space-y-2 text-sm">
+        {opts.map((k)=> (
+          <label key={k} className="flex items-start gap-2">
+            <input type="checkbox" className="mt-1" checked={!!a11y[k]} onChange={(e)=> onChange((a)=> ({ ...a, [k]: e.target.checked }))}/>
+            <span>{t(`a11y.${k}`)}<span className="block text-xs text-zinc-400">{t(`a11y.${k}.help`)}</span></span>
+          </label>
+        ))}
+        <div className="text-xs text-zinc-400">{t('a11y.keys')}</div>
+      </CardContent>
+    </Card>
+  );
+}
+
+// =====================================
+// DAILY CHALLENGE — runs the real game components one round at a time
+// =====================================
+function DailyChallenge({ onScore, onMiss, accentColor, dark, colorBlind }){
+  const day = todayKey();
+  const plan = useMemo(()=> dailyPlan(day), [day]);
+  const rngs = useMemo(()=> plan.map(r=> makeRng(r.seed)), [plan]);
+  const [history, setHistory] = useState(()=> store.get(LS.DAILY));
+  useEffect(()=>{ store.history(LS.DAILY).then(setHistory); }, []);
+  const [copied, setCopied] = useState(false);
+  // Today's record is written at Start and after every round, so a reload resumes
+  // the attempt (clock still running) instead of granting a fresh one
+  const today = history[day];
+  const result = today?.finishedAt ? today : null;
+  const marks = today ? today.rounds : null;
+  const accent = accentColor('chart');
+  const save = (fn)=>{ const rec = store.updateDay(LS.DAILY, day, fn); setHistory((h)=> ({ ...h, [day]: rec })); };
+
+  const start = ()=> save((cur)=> cur || { score:0, correct:0, total: plan.length, timeMs:0, rounds:[], startedAt: Date.now(), finishedAt:null });
+  const answer = (ok)=> save((cur)=>{
+    if(!cur || cur.finishedAt || cur.rounds.length >= plan.length) return cur;
+    const rounds = [...cur.rounds, { game: plan[cur.rounds.length].game, ok }];
+    const correct = rounds.filter(x=> x.ok).length;
+    const timeMs = Date.now() - cur.startedAt;
+    const done = rounds.length === plan.length;
+    return { ...cur, rounds, correct, timeMs, score: done ? dailyScore(correct, plan.length, timeMs) : 0, finishedAt: done ? new Date().toISOString() : null };
+  });
+  const share = async ()=>{
+    try { await navigator.clipboard.writeText(dailyShareText(day, result)); setCopied(true); } catch { setCopied(false); }
+  };
+
+  const board = Object.entries(history).filter(([, r])=> r.finishedAt).map(([d, r])=> ({ day:d, ...r })).sort((a, b)=> b.score - a.score || a.timeMs - b.timeMs).slice(0, 10);
+  const Leaderboard = (
+    <div className="space-y-1 text-sm">
+      <div className="font-semibold flex items-center gap-2"><Trophy className="w-4 h-4" style={{color:accent}}/> {t('challenge.best')}</div>
+      {board.length === 0 && <div className="text-zinc-400">{t('challenge.none')}</div>}
+      <ol className="list-decimal ml-6">
+        {board.map((r)=> (
+          <li key={r.day} className={r.day === day ? 'font-semibold' : ''}>{t('challenge.row', { day: fmtDay(r.day), score: r.score, correct: r.correct, total: r.total, time: fmtDuration(r.timeMs) })}</li>
+        ))}
+      </ol>
+    </div>
+  );
+
+  if(result) return (
+    <div className="space-y-3">
+      <div className="text-lg font-semibold" style={{color:accent}}>{t('challenge.result', { score: result.score })}</div>
+      <pre className={`text-sm rounded-lg p-2 whitespace-pre-wrap ${dark ? 'bg-zinc-900' : 'bg-zinc-100'}`}>{dailyShareText(day, result)}</pre>
+      <div className="flex gap-2 items-center">
+        <Button variant="outline" onClick={share} style={{borderColor:accent}}>{t('challenge.copy')}</Button>
+        {copied && <span className="text-xs text-zinc-400">{t('challenge.copied')}</span>}
+        <span className="text-xs text-zinc-400">{t('challenge.tomorrow')}</span>
+      </div>
+      {Leaderboard}
+    </div>
+  );
+  if(!marks) return (
+    <div className="space-y-3">
+      <div className="text-lg font-semibold" style={{color:accent}}>{t('challenge.title', { day: fmtDay(day, { dateStyle:'full' }) })}</div>
+      <div className="text-sm text-zinc-400">{t('challenge.intro', { n: plan.length, par: fmtDuration(DAILY_PAR_MS) })}</div>
+      <Button onClick={start} style={{backgroundColor:accent, color:'#0b0b0b'}}>{t('common.start')}</Button>
+      {Leaderboard}
+    </div>
+  );
+  const i = marks.length; const round = plan[i]; const Game = GAME_BY_ID[round.game].component;
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between text-sm text-zinc-400">
+        <span>{t('challenge.round', { i: i+1, n: plan.length, game: gameLabel(round.game) })}</span>
+        <span>{marks.map((x, k)=> <span key={k}>{x.ok ? '🟩' : '🟥'}</span>)}</span>
+      </div>
+      <Game key={i} rng={rngs[i]} level={round.level} families={round.families} daily dark={dark} colorBlind={colorBlind} accent={gameColor(round.game, dark)}
+        onScore={(p, a)=>{ onScore(round.game, p, a); answer(true); }}
+        onMiss={(m, a)=>{ onMiss(round.game, m, a); answer(false); }}/>
+    </div>
+  );
+}
+
+// =====================================
+// REVIEW QUEUE — due items, one at a time
+// =====================================
+function ReviewQueue({ items, onAnswer, accent, dark }){
+  const due = dueReviews(items);
+  const [ans, setAns] = useState("");
+  const [result, setResult] = useState(null); // { item, ok } while showing feedback
+  const shownAt = useRef(Date.now());
+  const item = result?.item || due[0];
+  useEffect(()=>{ shownAt.current = Date.now(); }, [item?.id]);
+
+  const submit = ()=>{
+    if(!item || result) return;
+    const ok = checkReview(item, ans);
+    const ms = Date.now() - shownAt.current, fast = ms < 8000;
+    onAnswer(item.id, ok ? (fast ? 5 : 4) : (ans.trim() ? 1 : 0), ok, ms);
+    setResult({ item, ok });
+  };
+  const next = ()=>{ setResult(null); setAns(""); };
+
+  if(!item) return (
+    <div className="space-y-2 text-sm text-zinc-400">
+      <div className="text-lg font-semibold" style={{color:accent}}>{t('review.empty')}</div>
+      <div>{t('review.emptyHelp', { n: Object.values(items).filter(it=> !it.retired).length, games: fmtList(REVIEWABLE.map(gameLabel)) })}</div>
+    </div>
+  );
+  return (
+    <div className="space-y-3">
+      <div className="text-sm text-zinc-400">{t('review.status', { game: gameLabel(item.game), due: due.length, reps: item.reps, graduate: REVIEW_GRADUATE })}</div>
+      <div className="text-lg font-semibold" style={{color:accent}} aria-live="polite">{item.prompt}</div>
+      <div className="flex gap-2">
+        <Input value={ans} onChange={(e)=>setAns(e.target.value)} onKeyDown={(e)=>{ if(e.key==='Enter') (result ? next() : submit()); }} readOnly={!!result} className="text-lg" style={{ background: dark ? '#17181a' : '#ffffff', borderColor: accent, color: dark ? '#fff' : '#111' }} placeholder={t('common.answer')}/>
+        {result
+          ? <Button onClick={next} style={{backgroundColor:accent, color:'#0b0b0b'}}>{t('common.next')}</Button>
+          : <Button onClick={submit} style={{backgroundColor:accent, color:'#0b0b0b'}}>{t('common.check')}</Button>}
+      </div>
+      {result && (
+        <div className="text-sm">{result.ok ? t('review.correct') : t('review.wrong', { answer: <b>{String(result.item.answer)}</b> })}</div>
+      )}
+    </div>
+  );
+}
+
+// =====================================
+// BADGES — every achievement, unlocked ones dated, locked ones with progress
+// =====================================
+function BadgeGallery({ achievements, ctx, accent, dark }){
+  const count = Object.keys(achievements.unlocked).length;
+  return (
+    <div className="space-y-3">
+      <div className="text-sm text-zinc-400">{t('badges.count', { n: count, total: ACHIEVEMENTS.length })}</div>
+      <div className="grid sm:grid-cols-2 gap-2">
+        {ACHIEVEMENTS.map(a=>{
+          const at = achievements.unlocked[a.id];
+          const value = Math.min(a.goal, a.value({ ...ctx, facts: achievements.facts }));
+          return (
+            <div key={a.id} className="rounded-xl border p-3 flex gap-3 items-start" style={{ borderColor: at ? accent : (dark ? '#27272a' : '#e4e4e7'), opacity: at ? 1 : 0.75 }}>
+              <div className="text-2xl" style={{ filter: at ? 'none' : 'grayscale(1)' }}>{a.icon}</div>
+              <div className="flex-1 space-y-1">
+                <div className="font-semibold">{achTitle(a)}</div>
+                <div className="text-xs text-zinc-400">{achDesc(a)}</div>
+                {at
+                  ? <div className="text-xs" style={{ color: accent }}>{t('badges.unlocked', { date: fmtDay(fmtDate(new Date(at))) })}</div>
+                  : <><Progress value={value/a.goal*100}/><div className="text-xs text-zinc-400">{value}/{a.goal}</div></>}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+// =====================================
+// ANALYTICS — per-answer log: accuracy, response time, difficulty, when you train
+// =====================================
+const ANALYTICS_RANGES = [7, 30, 90, 0]; // days; 0 = all
+// Short weekday names, Mon-first (2024-01-01 was a Monday)
+const weekdayNames = () => Array.from({length:7}, (_, i)=> fmtDay(`2024-01-0${i+1}`, { weekday:'short' }));
+
+function answerStats(list){
+  const rts = list.filter(a=> a.ok && Number.isFinite(a.ms)).map(a=> a.ms);
+  return { n: list.length, accuracy: list.length ? list.filter(a=> a.ok).length / list.length : null, medianMs: median(rts) };
+}
+// Median response time of the later half vs the earlier half; negative = getting faster
+function speedTrend(list){
+  const timed = list.filter(a=> a.ok && Number.isFinite(a.ms)).sort((a,b)=> a.t-b.t);
+  if(timed.length < 10) return null;
+  const half = timed.length >> 1;
+  const before = median(timed.slice(0, half).map(a=> a.ms)), after = median(timed.slice(half).map(a=> a.ms));
+  return before ? (after - before) / before : null;
+}
+// Stage on a common 0–4 scale so games with different ranges can share one line
+const normStage = (a)=>{ const d = GAME_BY_ID[a.game]?.difficulty; return d ? 4 * (a.stage - d.min) / Math.max(1, d.max - d.min) : a.stage; };
+// Per-day accuracy, median ms and mean stage for one game (or all, normalised)
+function answersByDay(days, game){
+  return Object.keys(days).sort().map(day=>{
+    const list = days[day].filter(a=> !game || a.game === game);
+    if(!list.length) return null;
+    const staged = list.filter(a=> Number.isFinite(a.stage));
+    const st = answerStats(list);
+    return { date: day, accuracy: Math.round(st.accuracy*100), medianMs: st.medianMs && Math.round(st.medianMs), stage: staged.length ? +(staged.reduce((s, a)=> s + (game ? a.stage : normStage(a)), 0) / staged.length).toFixed(2) : null };
+  }).filter(Boolean);
+}
+// 7 × 24 grid (Mon-first weekday × local hour)
+function answerHeatmap(list){
+  const cells = Array.from({length:7}, ()=> Array.from({length:24}, ()=> ({ n:0, ok:0 })));
+  for(const a of list){ const d = new Date(a.t); const c = cells[(d.getDay()+6) % 7][d.getHours()]; c.n++; if(a.ok) c.ok++; }
+  return cells;
+}
+
+function AnalyticsView({ accentColor, dark, reducedMotion }){
+  const [all, setAll] = useState(()=> store.get(LS.ANSWERS));
+  useEffect(()=>{ store.history(LS.ANSWERS).then(setAll); }, []);
+  const [range, setRange] = useState(30);
+  const [game, setGame] = useState(null); // null = every game
+  const ratings = useMemo(()=> store.get(LS.RATINGS), []);
+  const days = useMemo(()=>{
+    const from = range ? daysAgoKey(range-1) : '';
+    return Object.fromEntries(Object.entries(all).filter(([d])=> d >= from));
+  }, [all, range]);
+  const list = useMemo(()=> Object.values(days).flat(), [days]);
+  const shown = game ? list.filter(a=> a.game === game) : list;
+  const perDay = useMemo(()=> answersByDay(days, game), [days, game]);
+  const heat = useMemo(()=> answerHeatmap(shown), [shown]);
+  const heatMax = Math.max(1, ...heat.flat().map(c=> c.n));
+  const color = game ? gameColor(game, dark) : accentColor('chart');
+  const weekdays = useMemo(weekdayNames, []);
+  const pct = (x)=> (x === null ? '—' : fmtPct(x));
+  const msText = (x)=> (x === null ? '—' : t('common.ms', { n: Math.round(x) }));
+  const tip = { background: dark ? '#0b0b0c' : '#ffffff', border: dark ? '1px solid #333' : '1px solid #e5e7eb', color: dark ? '#fff' : '#111' };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap gap-1">
+        {ANALYTICS_RANGES.map(r=> (
+          <Toggle key={r} size="sm" pressed={range===r} onPressedChange={()=>setRange(r)} className="h-7 px-2 text-xs border" style={{ borderColor: accentColor('chart'), background: range===r ? accentColor('chart') : 'transparent', color: range===r ? '#0b0b0b' : undefined }}>{r ? t('stats.range', { n: r }) : t('stats.rangeAll')}</Toggle>
+        ))}
+      </div>
+      {!list.length ? <div className="text-sm text-zinc-400">{t('stats.empty')}</div> : (
+        <>
+          <table className="w-full text-sm">
+            <thead className="text-zinc-400 text-left"><tr><th>{t('stats.game')}</th><th>{t('stats.answers')}</th><th>{t('stats.accuracy')}</th><th>{t('stats.median')}</th><th>{t('stats.trend')}</th><th>{t('stats.rating')}</th></tr></thead>
+            <tbody>
+              {GAME_IDS.map(g=> [g, list.filter(a=> a.game === g)]).filter(([, l])=> l.length).map(([g, l])=>{
+                const st = answerStats(l), tr = speedTrend(l), sr = playerRating(ratings, g);
+                return (
+                  <tr key={g} className="cursor-pointer" onClick={()=> setGame(game === g ? null : g)} style={{ color: game === g ? gameColor(g, dark) : undefined }}>
+                    <td>{gameLabel(g)}</td><td>{st.n}</td><td>{pct(st.accuracy)}</td><td>{msText(st.medianMs)}</td>
+                    <td>{tr === null ? '—' : t(tr <= 0 ? 'stats.faster' : 'stats.slower', { pct: fmtPct(Math.abs(Math.round(tr*100))/100) })}</td>
+                    <td>{sr.n ? fmtNumber(Math.round(sr.r)) : '—'}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <div className="text-xs text-zinc-400">{game ? t('stats.focused', { game: gameLabel(game) }) : t('stats.all')}</div>
+
+          <div className="h-48">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={perDay} margin={{left:4,right:4,top:8,bottom:0}}>
+                <CartesianGrid strokeDasharray="3 3" opacity={0.1}/>
+                <XAxis dataKey="date" hide/>
+                <YAxis yAxisId="ms" hide/>
+                <YAxis yAxisId="stage" orientation="right" hide domain={[0, 'dataMax + 1']}/>
+                <Tooltip contentStyle={tip}/>
+                <Legend/>
+                <Line yAxisId="ms" type="monotone" dataKey="medianMs" name={t('stats.medianMs')} stroke={color} strokeWidth={2} dot={false} connectNulls isAnimationActive={!reducedMotion}/>
+                <Line yAxisId="stage" type="monotone" dataKey="stage" name={t('stats.difficulty')} stroke={accentColor('pattern')} strokeWidth={2} dot={false} connectNulls isAnimationActive={!reducedMotion}/>
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div>
+            <div className="text-sm text-zinc-400 mb-1">{t('stats.when')}</div>
+            <div className="grid gap-px text-[10px]" style={{ gridTemplateColumns:'2.5rem repeat(24, minmax(0,1fr))' }}>
+              {heat.map((row, d)=> (
+                <React.Fragment key={d}>
+                  <div className="text-zinc-400">{weekdays[d]}</div>
+                  {row.map((c, h)=> (
+                    <div key={h} className="h-4 rounded-sm" title={`${t('stats.cell', { day: weekdays[d], hour: `${String(h).padStart(2,'0')}:00`, n: c.n })}${c.n ? `, ${t('stats.cellRight', { pct: fmtPct(c.ok/c.n) })}` : ''}`}
+                      style={{ background: c.n ? color : (dark ? '#17181a' : '#f2f3f5'), opacity: c.n ? 0.25 + 0.75*c.n/heatMax : 1 }}/>
+                  ))}
+                </React.Fragment>
+              ))}
+              <div/>{Array.from({length:24}, (_, h)=> <div key={h} className="text-zinc-500 text-center">{h % 6 === 0 ? h : ''}</div>)}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// =====================================
+// MATH — adaptive by Math-only stats (now with on-screen keypad)
+// =====================================
+const gcd = (a, b) => (b ? gcd(b, a % b) : Math.abs(a));
+const fracText = (n, d) => { const g = gcd(n, d) || 1; n /= g; d /= g; if(d < 0){ n = -n; d = -d; } return d === 1 ? String(n) : `${n}/${d}`; };
+const numText = (x) => String(+x.toFixed(4)).replace('.', decimalSep());
+
+// Each family: make(stage 0–4, rng) → { text, answer:number, display?:string, tolerance?:relative }
+const MATH_FAMILIES = {
+  basic: { make: (stage, rng)=>{
+    const r=rng.int; const pick=rng.pick;
+    if(stage===4){ const a=r(2,9), x=r(1,12), b=r(-15,15), c=a*x+b; return {text:`${a}x + ${b} = ${c} ; x = ?`, answer:x}; }
+    if(stage===3){ const form=pick(["x + b = c","x - b = c","a - x = c"]);
+      if(form==="x + b = c"){ const b=r(1,20), x=r(1,30), c=x+b; return {text:`x + ${b} = ${c} ; x = ?`, answer:x}; }
+      if(form==="x - b = c"){ const x=r(10,40), b=r(1,9), c=x-b; return {text:`x - ${b} = ${c} ; x = ?`, answer:x}; }
+      const a=r(10,40), x=r(1,9), c=a-x; return {text:`${a} - x = ${c} ; x = ?`, answer:x}; }
+    if(stage===2){ const op=pick(["×","÷"]); if(op==='×'){ const a=r(3,12), b=r(3,12); return {text:`${a} × ${b} = ?`, answer:a*b}; } else { const b=r(2,12), x=r(2,12); return {text:`${b*x} ÷ ${b} = ?`, answer:x}; } }
+    if(stage===1){ const a=r(-20,99), b=r(-20,99), op=pick(["+","-"]); const ans= op==='+'?a+b:a-b; return {text:`${a} ${op} ${b} = ?`, answer:ans}; }
+    { const a=r(0,9), b=r(0,9), op=pick(["+","-"]); const ans= op==='+'?a+b:a-b; return {text:`${a} ${op} ${b} = ?`, answer:ans}; }
+  }},
+  fractions: { make: (stage, rng)=>{
+    const dens = stage<2 ? [2,4] : stage<3 ? [2,3,4,6] : [2,3,4,5,6,8,10,12];
+    const b=rng.pick(dens), d=stage<1 ? b : rng.pick(dens), a=rng.int(1,b-1), c=rng.int(1,d-1);
+    const op = stage<3 ? rng.pick(['+','-']) : rng.pick(['+','-','×','÷']);
+    const [n, den] = op==='+' ? [a*d+c*b, b*d] : op==='-' ? [a*d-c*b, b*d] : op==='×' ? [a*c, b*d] : [a*d, b*c];
+    return { text:`${a}/${b} ${op} ${c}/${d} = ?`, answer:n/den, display:fracText(n, den) };
+  }},
+  percent: { make: (stage, rng)=>{
+    if(stage<2){ const p=rng.pick(stage<1 ? [10,25,50] : [5,10,20,25,50,75]), n=rng.int(1,20)*(stage<1 ? 4 : 20); return { text:t('math.q.percentOf', { p, n }), answer:p*n/100 }; }
+    if(stage<4){ const y=rng.pick([20,25,40,50,80,200]), x=y*rng.int(1,19)*5/100; return { text:t('math.q.whatPercent', { x:numText(x), y }), answer:x/y*100 }; }
+    const n=rng.int(2,40)*10, p=rng.pick([5,10,15,20,25,30]), up=rng()<0.5;
+    return { text:t(up ? 'math.q.increased' : 'math.q.decreased', { n, p }), answer:n*(100+(up?p:-p))/100 };
+  }},
+  order: { make: (stage, rng)=>{
+    const r=rng.int;
+    if(stage===0){ const a=r(1,9), b=r(2,9), c=r(2,9); return { text:`${a} + ${b} × ${c} = ?`, answer:a+b*c }; }
+    if(stage===1){ const a=r(1,9), b=r(1,9), c=r(2,9); return { text:`(${a} + ${b}) × ${c} = ?`, answer:(a+b)*c }; }
+    if(stage===2){ const a=r(2,9), b=r(2,9), c=r(2,9), d=r(2,9); return { text:`${a} × ${b} − ${c} × ${d} = ?`, answer:a*b-c*d }; }
+    if(stage===3){ const a=r(5,15), b=r(1,4), c=r(1,9), d=r(1,9); return { text:`(${a} − ${b}) × (${c} + ${d}) = ?`, answer:(a-b)*(c+d) }; }
+    const b=r(2,6), c=r(2,6), d=r(2,5), lo=Math.ceil((b*c+1)/d), q=r(lo, lo+6); return { text:`(${q*d-b*c} + ${b} × ${c}) ÷ ${d} = ?`, answer:q };
+  }},
+  roots: { make: (stage, rng)=>{
+    const r=rng.int;
+    if(stage===0){ const n=r(2,10); return { text:`${n}² = ?`, answer:n*n }; }
+    if(stage===1){ const n=r(2,12); return { text:`√${n*n} = ?`, answer:n }; }
+    if(stage===2){ const n=r(11,20); return { text:`${n}² = ?`, answer:n*n }; }
+    if(stage===3){ const n=r(2,6); return rng()<0.5 ? { text:`${n}³ = ?`, answer:n**3 } : { text:`∛${n**3} = ?`, answer:n }; }
+    const a=r(2,12), b=r(2,9); return { text:`√${a*a} + ${b}² = ?`, answer:a+b*b };
+  }},
+  estimate: { make: (stage, rng)=>{
+    const big = [[12,99],[20,199],[50,499],[100,999],[200,4999]][stage];
+    const a=rng.int(...big), b=rng.int(11, 10+10*(stage+1)), op=rng.pick(stage<2 ? ['×','+'] : ['×','÷','+']);
+    const exact = op==='×' ? a*b : op==='÷' ? a*b/b : a*b+a;
+    const text = op==='×' ? `${a} × ${b}` : op==='÷' ? `${a*b} ÷ ${b}` : `${a*b} + ${a}`;
+    return { text:t('math.q.estimate', { expr:text }), answer:exact, tolerance:0.1, display:`≈${exact}` };
+  }},
+};
+const MATH_FAMILY_IDS = Object.keys(MATH_FAMILIES);
+
+// Family from the chosen mix, stage from the skill engine (or pinned by `level`)
+function makeMathQ(parent, families = ['basic'], level = null){
+  const rng = parent.fork();
+  const fam = rng.pick(families.filter(f=> MATH_FAMILIES[f]).length ? families.filter(f=> MATH_FAMILIES[f]) : ['basic']);
+  const stage = level ?? skill.pick('math', fam, rng);
+  return { family: fam, stage, item: itemKey(fam, stage), ...MATH_FAMILIES[fam].make(stage, rng) };
+}
+
+// `given` is typed by the player, so thousands grouping follows the locale (see brain_gym_numbers.js)
+function checkMathAnswer(q, given){
+  const v = parseAnswer(given, decimalSep());
+  if(!Number.isFinite(v)) return false;
+  return q.tolerance ? Math.abs(v - q.answer) <= q.tolerance * Math.abs(q.answer) : Math.abs(v - q.answer) < 1e-9;
+}
+
+function MathBlitz({ rng, level: fixedLevel, families: fixedFamilies, onScore, onMiss, accent, dark }){
+  // `families`/`level` pin the problem mix and stage (Daily Challenge); otherwise the player's choice from settings and their rating
+  const [chosen, setChosen] = useState(()=> store.get(LS.SETTINGS).mathFamilies || ['basic']);
+  const families = fixedFamilies || chosen;
+  const toggleFamily = (f)=>{
+    const next = chosen.includes(f) ? chosen.filter(x=> x!==f) : [...chosen, f];
+    if(!next.length) return;
+    setChosen(next); store.update(LS.SETTINGS, (s)=> ({ ...s, mathFamilies: next }));
+    setQ(makeMathQ(rng, next, fixedLevel)); setAns("");
+  };
+  const [level, setLevel] = useState(1);
+  const [q, setQ] = useState(()=> makeMathQ(rng, families, fixedLevel));
+  const [ans, setAns] = useState("");
+  const [combo, setCombo] = useState(0);
+  const inputRef = useRef(null);
+  useEffect(()=>{ inputRef.current?.focus(); },[q]);
+  const elapsed = useAnswerClock(q);
+  const coarsePointer = useMemo(()=> mediaQuery('(pointer: coarse)'), []); // touch: keep the OS keyboard away, the keypad is on screen
+
+  const submit = ()=>{
+    const correct = checkMathAnswer(q, ans);
+    const base = 3 + Math.floor(level/2);
+    const bonus = Math.min(combo, 5);
+    const pts = correct ? base + bonus : 0;
+
+    const answer = { stage: q.stage, ms: elapsed(), item: q.item };
+    if(correct){ onScore(pts, answer); setCombo(combo+1); setLevel((L)=> Math.min(L + (combo>=3?1:0.5), 20)); }
+    else { onMiss({game:'math', prompt:q.text, correct:q.display ?? numText(q.answer), given: ans, ...(q.tolerance ? { tolerance:q.tolerance } : {})}, answer); setCombo(0); setLevel((L)=> Math.max(1, L-0.5)); }
+
+    setQ(makeMathQ(rng, families, fixedLevel)); setAns("");
+  };
+
   // Keypad helpers
-  const append = (ch)=> setAns((p)=> (p.length<10 ? (p==="0"? String(ch) : p + String(ch)) : p));
+  const append = (ch)=> setAns((p)=> (p.length<10 ? (p==="0" && /\d/.test(ch) ? String(ch) : p + String(ch)) : p));
   const back = ()=> setAns((p)=> p.slice(0,-1));
   const clearAns = ()=> setAns("");
   const toggleSign = ()=> setAns((p)=> p.startsWith('-') ? p.slice(1) : (p? ('-'+p) : '-'));
@@ -419,23 +2253,33 @@ function MathBlitz({ onScore, onMiss, accent, dark }){
   return (
     <div className="space-y-3">
       <div className="flex items-center gap-2 text-sm text-zinc-400">
-        <span>Math Level {Math.round(level*2)/2}</span>
-        <span>• Combo {combo}</span>
+        <span>{t('math.level', { level: Math.round(level*2)/2 })}</span>
+        <span>• {t('math.combo', { n: combo })}</span>
       </div>
-      <div className="text-4xl font-semibold" style={{color:accent}}>{q.text}</div>
+      {!fixedFamilies && (
+        <div className="flex flex-wrap gap-1">
+          {MATH_FAMILY_IDS.map(f=> (
+            <Toggle key={f} size="sm" pressed={chosen.includes(f)} onPressedChange={()=>toggleFamily(f)} className="h-7 px-2 text-xs border" style={{ borderColor: accent, background: chosen.includes(f) ? accent : 'transparent', color: chosen.includes(f) ? '#0b0b0b' : undefined }}>
+              {t(`math.${f}`)}
+            </Toggle>
+          ))}
+        </div>
+      )}
+      <div className="text-4xl font-semibold" style={{color:accent}} aria-live="polite">{q.text}</div>
       <div className="flex gap-2 items-center">
         <Input
           ref={inputRef}
-          type="tel"
-          inputMode="numeric"
-          readOnly
+          type="text"
+          inputMode={coarsePointer ? 'none' : 'decimal'}
+          aria-label={t('math.answerTo', { q: q.text })}
           value={ans}
+          onChange={(e)=> setAns(e.target.value.replace(/[^\d\-.,/% ]/g, '').slice(0, 12))}
           onKeyDown={(e)=>{ if(e.key==='Enter') submit(); }}
           className="text-lg"
           style={{ background: dark ? '#17181a' : '#ffffff', borderColor: accent, color: dark ? '#fff' : '#111' }}
-          placeholder="Answer"
+          placeholder={t('common.answer')}
         />
-        <Button onClick={submit} style={{backgroundColor:accent, color:'#0b0b0b'}}>Submit</Button>
+        <Button onClick={submit} style={{backgroundColor:accent, color:'#0b0b0b'}}>{t('common.submit')}</Button>
       </div>
       {/* On-screen keypad */}
       <div className="grid grid-cols-3 gap-2">
@@ -445,153 +2289,856 @@ function MathBlitz({ onScore, onMiss, accent, dark }){
         <Button variant="outline" onClick={toggleSign} style={{ borderColor: accent }}>±</Button>
         <Button variant="outline" onClick={()=>append("0")} style={{ borderColor: accent }}>0</Button>
         <Button variant="outline" onClick={back} style={{ borderColor: accent }}>⌫</Button>
+        {["/",decimalSep(),"%"].map(k=> (
+          <Button key={k} variant="outline" onClick={()=>append(k)} style={{ borderColor: accent }}>{k}</Button>
+        ))}
       </div>
       <div className="flex gap-2">
-        <Button variant="outline" onClick={clearAns} style={{ borderColor: accent }}>Clear</Button>
-        <Button onClick={submit} style={{ backgroundColor: accent, color: '#0b0b0b' }}>Submit</Button>
+        <Button variant="outline" onClick={clearAns} style={{ borderColor: accent }}>{t('common.clear')}</Button>
+        <Button onClick={submit} style={{ backgroundColor: accent, color: '#0b0b0b' }}>{t('common.submit')}</Button>
       </div>
-      <p className="text-xs text-zinc-500">Tip: use the keypad; no full keyboard needed.</p>
+      <p className="text-xs text-zinc-500">{t('math.tip', { decimal: numText(0.5) })}</p>
     </div>
   );
 }
 
 // =====================================
-// RECALL — fixed palette, length scales by streak; show ≥ 3s
+// RECALL — span modes (colors, reverse, digits, letters, tones) and (dual) n-back
 // =====================================
-function RecallSequence({ onScore, onMiss, accent, dark }){
+// Each mode keeps { streak, best, xp, played } under gameStats.recall.modes[mode]; length / N come from the skill engine, rated per mode
+const RECALL_MODES = {
+  colors:  { kind:'span', input:'colors', together:true },
+  reverse: { kind:'span', input:'colors', together:true, reverse:true },
+  digits:  { kind:'span', input:'digits' },
+  letters: { kind:'span', input:'letters' },
+  tones:   { kind:'span', input:'tones' },
+  nback:   { kind:'nback', channels:['position'] },
+  dual:    { kind:'nback', channels:['position','sound'] },
+};
+const RECALL_SYMBOLS = { digits:'0123456789'.split(''), letters:'FHJKLNPQR'.split(''), tones:['1','2','3','4','5','6'] };
+const RECALL_COLOR_NAMES = ['green', 'orange', 'yellow', 'pink', 'violet', 'cyan']; // catalog keys color.<name>; [0] is the Recall accent
+// Okabe–Ito colours stay distinct under common colour-vision deficiencies; the symbols carry identity on their own
+const RECALL_SAFE = { colors:['#E69F00', '#56B4E9', '#009E73', '#F0E442', '#0072B2', '#D55E00'], names:['orange', 'skyBlue', 'teal', 'yellow', 'blue', 'vermilion'], symbols:['●', '▲', '■', '◆', '★', '✚'] };
+const RECALL_TONES = [262, 294, 330, 392, 440, 523, 587, 659]; // Hz; spans use the first 6, n-back all 8
+const RECALL_SPEED = { min:250, max:1500, def:750 }; // ms per item
+const defaultRecallMode = () => ({ streak:0, best:0, xp:0, played:0 });
+
+let audioCtx = null;
+function playTone(freq, ms = 300){
+  try {
+    const AC = window.AudioContext || window.webkitAudioContext; if(!AC) return;
+    audioCtx = audioCtx || new AC(); if(audioCtx.state === 'suspended') audioCtx.resume();
+    const osc = audioCtx.createOscillator(), gain = audioCtx.createGain(), now = audioCtx.currentTime;
+    osc.type = 'sine'; osc.frequency.value = freq;
+    gain.gain.setValueAtTime(0.0001, now); gain.gain.exponentialRampToValueAtTime(0.25, now+0.02); gain.gain.exponentialRampToValueAtTime(0.0001, now+ms/1000);
+    osc.connect(gain).connect(audioCtx.destination); osc.start(now); osc.stop(now+ms/1000+0.05);
+  } catch {}
+}
+
+function RecallSequence({ stats, rng, level, daily, colorBlind, onModeStats, onScore, onMiss, accent, dark }){
+  const [mode, setMode] = useState('colors');
+  const [speed, setSpeed] = useState(()=> (daily ? RECALL_SPEED.def : store.get(LS.SETTINGS).recallSpeedMs || RECALL_SPEED.def));
+  const [modes, setModes] = useState(()=> (daily ? {} : stats?.modes || {}));
+  const ms = modes[mode] || defaultRecallMode();
+  const saveMode = (next)=>{ setModes((m)=> ({ ...m, [mode]: next })); onModeStats?.(mode, ()=> next); };
+  const changeSpeed = (e)=>{ const v = clamp(Number(e.target.value)||RECALL_SPEED.def, RECALL_SPEED.min, RECALL_SPEED.max); setSpeed(v); store.update(LS.SETTINGS, (st)=> ({ ...st, recallSpeedMs: v })); };
+  const Mode = RECALL_MODES[mode].kind === 'span' ? SpanRecall : NBackRecall;
+  return (
+    <div className="space-y-3">
+      {!daily && (
+        <>
+          <div className="flex flex-wrap gap-1">
+            {Object.keys(RECALL_MODES).map((m)=> (
+              <Toggle key={m} size="sm" pressed={mode===m} onPressedChange={()=>setMode(m)} className="h-7 px-2 text-xs border" style={{ borderColor: accent, background: mode===m ? accent : 'transparent', color: mode===m ? '#0b0b0b' : undefined }}>{t(`recall.${m}`)}</Toggle>
+            ))}
+          </div>
+          <label className="flex items-center gap-2 text-xs text-zinc-400">
+            {t('recall.speed')} <input type="range" min={RECALL_SPEED.min} max={RECALL_SPEED.max} step={50} value={speed} onChange={changeSpeed}/> {t('recall.msPerItem', { n: speed })}
+          </label>
+        </>
+      )}
+      <Mode key={mode} mode={mode} ms={ms} saveMode={saveMode} rng={rng} level={level} speed={speed} colorBlind={colorBlind} onScore={onScore} onMiss={onMiss} accent={accent} dark={dark}/>
+    </div>
+  );
+}
+
+// Show a sequence, then have it entered back (forward, or reversed for `reverse`)
+function SpanRecall({ mode, ms, saveMode, rng, level, speed, colorBlind, onScore, onMiss, accent, dark }){
+  const def = RECALL_MODES[mode];
+  const PALETTE = colorBlind ? RECALL_SAFE.colors : [accent, "#f97316", "#fde68a", "#fca5a5", "#a78bfa", "#67e8f9"];
+  const colorNames = (colorBlind ? RECALL_SAFE.names : RECALL_COLOR_NAMES).map(k=> t(`color.${k}`));
+  const symbols = def.input === 'colors' ? PALETTE : RECALL_SYMBOLS[def.input];
+  const itemName = (c)=> (def.input === 'colors' ? colorNames[c] : mode === 'tones' ? t('recall.tone', { n: c+1 }) : symbols[c]);
   const [round, setRound] = useState(1);
   const [seq, setSeq] = useState([]);
-  const [showing, setShowing] = useState(false);
+  const [phase, setPhase] = useState('show'); // 'show' | 'input'
+  const [step, setStep] = useState(0); // item being shown when presenting one at a time
   const [input, setInput] = useState([]);
-  const [streakR, setStreakR] = useState(0);
-
-  const PALETTE = [accent, "#228B22", "#fde68a", "#fca5a5", "#a78bfa", "#67e8f9"];
+  const elapsed = useAnswerClock(phase);
 
-  useEffect(()=>{ startRound(1,0); },[]);
+  // `level` pins the length (Daily Challenge); otherwise the skill engine picks it after every answer
+  const startRound = ()=>{ const r = rng.fork(); setSeq(Array.from({length: level ?? skill.pick('recall', mode, r)}, ()=> r.int(0, symbols.length-1))); setInput([]); setStep(0); setPhase('show'); };
+  useEffect(()=>{ startRound(); },[]);
+  useEffect(()=>{
+    if(phase !== 'show' || !seq.length) return;
+    if(def.together){ const id = setTimeout(()=> setPhase('input'), Math.max(1500, seq.length*speed)); return ()=> clearTimeout(id); }
+    if(step >= seq.length){ setPhase('input'); return; }
+    if(mode === 'tones') playTone(RECALL_TONES[seq[step]], speed*0.8);
+    const id = setTimeout(()=> setStep(step+1), speed);
+    return ()=> clearTimeout(id);
+  },[phase, step, seq]);
 
-  function startRound(n, s){
-    const len = recallSeqLenForStreakRound(s, n);
-    const sseq = Array.from({length:len}, ()=> Math.floor(Math.random()*PALETTE.length));
-    setSeq(sseq); setShowing(true); setInput([]);
-    setTimeout(()=> setShowing(false), Math.max(3000, len*500)); // min 3s
+  function pick(i){
+    if(phase !== 'input') return;
+    if(mode === 'tones') playTone(RECALL_TONES[i], 250);
+    const next=[...input,i]; setInput(next);
+    if(next.length < seq.length) return;
+    const target = def.reverse ? [...seq].reverse() : seq;
+    const ok = next.every((v,idx)=> v===target[idx]);
+    const pts = 5+seq.length;
+    saveMode({ ...ms, streak: ok ? ms.streak+1 : 0, best: ok ? Math.max(ms.best, seq.length) : ms.best, xp: ms.xp + (ok ? pts : 0), played: ms.played+1 });
+    const answer = { stage: seq.length, ms: elapsed(), item: itemKey(mode, seq.length) };
+    if(ok) onScore(pts, answer); else onMiss({game:'recall', mode, round, len: seq.length}, answer);
+    setRound(round+1); startRound();
   }
 
-  function clickColor(i){ if(showing) return; const next=[...input,i]; setInput(next);
-    if(next.length===seq.length){ const ok = next.every((v,idx)=> v===seq[idx]);
-      if(ok){ setStreakR(streakR+1); onScore(5+seq.length); const nr=round+1; setRound(nr); startRound(nr, streakR+1); }
-      else { onMiss({game:'recall', round, len: seq.length}); setStreakR(0); const nr=Math.max(1,round-1); setRound(nr); startRound(nr,0); }
+  // Keys: 1–6 for colours/tones, the digit or letter itself otherwise
+  useEffect(()=>{
+    if(phase !== 'input') return;
+    const onKey = (e)=>{
+      if(e.altKey || e.ctrlKey || e.metaKey || e.target.closest?.('input,textarea,[role="tab"]')) return;
+      const k = e.key.toUpperCase();
+      const i = def.input === 'colors' || def.input === 'tones' ? Number(k)-1 : symbols.indexOf(k);
+      if(i >= 0 && i < symbols.length){ e.preventDefault(); pick(i); }
+    };
+    window.addEventListener('keydown', onKey); return ()=> window.removeEventListener('keydown', onKey);
+  });
+
+  const showItem = (c, idx)=>{
+    const visible = phase === 'show' && (def.together || idx === step);
+    if(def.input === 'colors') return (
+      <div key={idx} role="img" aria-label={visible ? colorNames[c] : t('recall.hidden')} className="w-10 h-10 rounded-lg border grid place-items-center text-lg text-black" style={{background: visible ? PALETTE[c] : (dark ? '#121318' : '#f2f3f5'), borderColor: accent}}>
+        {visible && colorBlind ? RECALL_SAFE.symbols[c] : ''}
+      </div>
+    );
+    return <div key={idx} className="w-10 h-10 rounded-lg border grid place-items-center text-xl font-semibold" style={{borderColor: accent, background: visible && mode==='tones' ? accent : 'transparent', color: accent}}>{visible && mode !== 'tones' ? symbols[c] : ''}</div>;
+  };
+  return (
+    <>
+      <div className="sr-only" aria-live="polite">{phase === 'show' ? (def.together ? seq.map(itemName).join(', ') : step < seq.length ? itemName(seq[step]) : '') : t('recall.yourTurn')}</div>
+      <div className="text-sm text-zinc-400">
+        {t('recall.round', { round, task: t(phase === 'show' ? (mode === 'tones' ? 'recall.listen' : 'recall.memorize') : def.reverse ? 'recall.enterReverse' : 'recall.enter'), len: seq.length, streak: ms.streak, best: ms.best })}
+      </div>
+      <div className="flex gap-2 flex-wrap">
+        {seq.map(showItem)}
+      </div>
+      <div className="grid gap-2" style={{gridTemplateColumns:`repeat(${Math.min(symbols.length, def.input === 'digits' ? 5 : 6)}, minmax(0,1fr))`}}>
+        {symbols.map((c,i)=> def.input === 'colors'
+          ? <button key={i} onClick={()=>pick(i)} aria-label={`${colorNames[i]} (${i+1})`} className="h-10 rounded-lg border relative text-lg text-black" style={{background:c, borderColor: accent}}>
+              {colorBlind && RECALL_SAFE.symbols[i]}<span className="absolute right-1 bottom-0 text-[10px] opacity-70">{i+1}</span>
+            </button>
+          : <Button key={i} variant="outline" onClick={()=>pick(i)} aria-label={itemName(i)} style={{borderColor: accent}}>{mode === 'tones' ? `♪${c}` : c}</Button>)}
+      </div>
+    </>
+  );
+}
+
+// N-back: press when the current stimulus matches the one N steps back (position, and sound for dual)
+const NBACK_TRIALS = 20;
+function makeNBack(n, channels, parent){
+  const rng = parent.fork(), trials = [];
+  for(let i=0;i<NBACK_TRIALS+n;i++){
+    const trial = {};
+    for(const ch of channels){
+      const size = ch === 'position' ? 9 : RECALL_TONES.length;
+      const back = i >= n ? trials[i-n][ch] : null;
+      if(back !== null && rng() < 0.3) trial[ch] = back;
+      else { let v = rng.int(0, size-1); if(v === back) v = (v+1) % size; trial[ch] = v; }
     }
+    trials.push(trial);
   }
+  return trials;
+}
+function scoreNBack(trials, n, channels, responses){
+  const per = {};
+  for(const ch of channels){
+    let hits=0, misses=0, falseAlarms=0, rejections=0;
+    for(let i=n;i<trials.length;i++){
+      const target = trials[i][ch] === trials[i-n][ch]; const pressed = responses[ch].has(i);
+      if(target && pressed) hits++; else if(target) misses++; else if(pressed) falseAlarms++; else rejections++;
+    }
+    per[ch] = { hits, misses, falseAlarms, accuracy: (hits+rejections)/(trials.length-n) };
+  }
+  return { per, accuracy: channels.reduce((a, ch)=> a + per[ch].accuracy, 0) / channels.length };
+}
+function NBackRecall({ mode, ms, saveMode, rng, level, speed, onScore, onMiss, accent, dark }){
+  const { channels } = RECALL_MODES[mode];
+  const [n, setN] = useState(()=> level ?? skill.pick('recall', mode, rng));
+  const interval = clamp(speed*4, 1500, 5000);
+  const [trials, setTrials] = useState(null); // null = not running
+  const [idx, setIdx] = useState(0);
+  const [responses, setResponses] = useState({ position:new Set(), sound:new Set() });
+  const [result, setResult] = useState(null);
+  const start = ()=>{ setTrials(makeNBack(n, channels, rng)); setIdx(0); setResponses({ position:new Set(), sound:new Set() }); setResult(null); };
+  const respond = (ch)=>{ if(!trials || idx < n) return; setResponses((r)=> ({ ...r, [ch]: new Set(r[ch]).add(idx) })); };
 
+  useEffect(()=>{
+    if(!trials) return;
+    if(idx >= trials.length){
+      const res = scoreNBack(trials, n, channels, responses);
+      const up = res.accuracy >= 0.8;
+      const pts = Math.round(res.accuracy * (5 + 3*n));
+      saveMode({ ...ms, streak: up ? ms.streak+1 : 0, best: up ? Math.max(ms.best, n) : ms.best, xp: ms.xp + (res.accuracy >= 0.6 ? pts : 0), played: ms.played+1 });
+      // a block is graded: 50% (chance) rates as a loss, 90%+ as a clean win
+      const answer = { stage: n, item: itemKey(mode, n), score: clamp((res.accuracy - 0.5) / 0.4, 0, 1) };
+      if(res.accuracy >= 0.6) onScore(pts, answer); else onMiss({game:'recall', mode, n, accuracy: Math.round(res.accuracy*100)}, answer);
+      setResult({ ...res, n }); setTrials(null); setN(level ?? skill.pick('recall', mode, rng));
+      return;
+    }
+    if(channels.includes('sound')) playTone(RECALL_TONES[trials[idx].sound], 400);
+    const id = setTimeout(()=> setIdx(idx+1), interval);
+    return ()=> clearTimeout(id);
+  },[trials, idx]);
+  useEffect(()=>{
+    if(!trials) return;
+    const onKey = (e)=>{ if(e.key==='a' || e.key==='A') respond('position'); if((e.key==='l' || e.key==='L') && channels.includes('sound')) respond('sound'); };
+    window.addEventListener('keydown', onKey); return ()=> window.removeEventListener('keydown', onKey);
+  });
+
+  const cur = trials && trials[idx];
   return (
-    <div className="space-y-3">
-      <div className="text-sm text-zinc-400">Round {round}: memorize the order. Length {seq.length} • Streak {streakR}</div>
-      <div className="flex gap-2 flex-wrap">
-        {seq.map((c,idx)=> (
-          <div key={idx} className="w-10 h-10 rounded-lg border" style={{background: showing ? PALETTE[c] : (dark ? '#121318' : '#f2f3f5'), borderColor: accent}}/>
-        ))}
+    <>
+      <div className="text-sm text-zinc-400">
+        {t('nback.title', { n })}{channels.length > 1 ? ` ${t('nback.dual')}` : ''} • {trials ? t('nback.trial', { i: Math.min(idx+1, trials.length), n: trials.length }) : t('nback.best', { n: ms.best })}
       </div>
-      <div className="grid gap-2" style={{gridTemplateColumns:`repeat(${PALETTE.length}, minmax(0,1fr))`}}>
-        {PALETTE.map((c,i)=> (
-          <button key={i} onClick={()=>clickColor(i)} className="h-10 rounded-lg border" style={{background:c, borderColor: accent}}/>
+      <div className="grid grid-cols-3 gap-1 w-40 mx-auto">
+        {Array.from({length:9}, (_, i)=> (
+          <div key={i} className="aspect-square rounded-md border" style={{ borderColor: accent, background: cur && cur.position === i ? accent : (dark ? '#121318' : '#f2f3f5') }}/>
         ))}
       </div>
-    </div>
+      {trials ? (
+        <div className="flex gap-2 justify-center">
+          <Button variant="outline" onClick={()=>respond('position')} style={{borderColor:accent, background: responses.position.has(idx) ? accent : undefined}}>{t('nback.position')}</Button>
+          {channels.includes('sound') && <Button variant="outline" onClick={()=>respond('sound')} style={{borderColor:accent, background: responses.sound.has(idx) ? accent : undefined}}>{t('nback.sound')}</Button>}
+        </div>
+      ) : (
+        <div className="space-y-2 text-sm">
+          {result && (
+            <div>
+              {t('nback.result', { n: result.n, pct: fmtPct(Math.round(result.accuracy*100)/100) })} •{' '}
+              {channels.map(ch=> t('nback.channel', { channel: t(`nback.ch.${ch}`), ...result.per[ch] })).join(' • ')}
+            </div>
+          )}
+          <div className="text-zinc-400">{t('nback.help', { what: t(channels.length > 1 ? 'nback.squareOrTone' : 'nback.square'), n })}</div>
+          <Button onClick={start} style={{backgroundColor:accent, color:'#0b0b0b'}}>{result ? t('common.again') : t('common.start')}</Button>
+        </div>
+      )}
+    </>
   );
 }
 
 // =====================================
-// PATTERN — simple "find the next"
+// PATTERN — multi-family sequences, stage from Pattern-only stats
 // =====================================
-function PatternFinder({ onScore, onMiss, accent, dark }){
-  const r=(a,b)=>Math.floor(Math.random()*(b-a+1))+a; const pick=(a)=>a[Math.floor(Math.random()*a.length)];
-  const makeQ = ()=>{
-    const step = pick([2,3,4,5,7]); const start = r(1,12); const len = 5; const seq = Array.from({length:len},(_,i)=> start+i*step);
-    return { seq, answer: start + len*step, text: seq.join(', ') + ', ?' };
-  };
-  const [q, setQ] = useState(makeQ());
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const seqOf = (len, f) => Array.from({length:len}, (_, i)=> f(i));
+// Each family: minStage, make(stage, rng) → { terms (shown + answer last), rule }
+const PATTERN_FAMILIES = {
+  arithmetic: { minStage:0, make: (stage, rng)=>{
+    const step = rng.pick(stage<1 ? [2,3,4,5] : stage<3 ? [3,4,6,7,9,11] : [-3,-4,-6,-7,8,12,13]); const start = rng.int(1, stage<2 ? 12 : 40) + (step<0 ? 60 : 0);
+    return { terms: seqOf(6, (i)=> start+i*step), rule:t(step<0 ? 'rule.subtracts' : 'rule.adds', { n:Math.abs(step) }) };
+  }},
+  letters: { minStage:0, make: (stage, rng)=>{
+    const step = rng.pick(stage<2 ? [1,2] : [2,3,4]); const start = rng.int(0, 25 - 5*step);
+    return { terms: seqOf(6, (i)=> LETTERS[start+i*step]), rule:t('rule.letters', { n:step }) };
+  }},
+  geometric: { minStage:1, make: (stage, rng)=>{
+    const ratio = rng.pick(stage<3 ? [2,3] : [2,3,4]); const start = rng.int(1, stage<3 ? 4 : 6);
+    if(stage>=3 && rng()<0.4){ const top = start*ratio**5; return { terms: seqOf(6, (i)=> top/ratio**i), rule:t('rule.divided', { n:ratio }) }; }
+    return { terms: seqOf(6, (i)=> start*ratio**i), rule:t('rule.multiplied', { n:ratio }) };
+  }},
+  squares: { minStage:2, make: (stage, rng)=>{
+    const off = rng.int(1, stage<3 ? 4 : 9); const k = stage<3 ? 0 : rng.int(-3, 5);
+    return { terms: seqOf(6, (i)=> (i+off)**2 + k), rule: k ? t(k>0 ? 'rule.squaresPlus' : 'rule.squaresMinus', { a:off, b:off+1, k:Math.abs(k) }) : t('rule.squares', { a:off, b:off+1, c:off+2 }) };
+  }},
+  alternating: { minStage:2, make: (stage, rng)=>{
+    const a = rng.int(3, stage<3 ? 6 : 12), b = rng.int(1, a-1); const start = rng.int(1, 20);
+    return { terms: seqOf(6, (i)=> start + Math.ceil(i/2)*a - Math.floor(i/2)*b), rule:t('rule.alternating', { a, b }) };
+  }},
+  fibonacci: { minStage:3, make: (stage, rng)=>{
+    const terms = [rng.int(1, stage<4 ? 3 : 7), rng.int(1, stage<4 ? 4 : 9)];
+    while(terms.length < 7) terms.push(terms[terms.length-1] + terms[terms.length-2]);
+    return { terms, rule:t('rule.fibonacci') };
+  }},
+  interleaved: { minStage:4, make: (stage, rng)=>{
+    const a0 = rng.int(1, 9), da = rng.int(2, 5), b0 = rng.int(20, 40), db = -rng.int(1, 4);
+    return { terms: seqOf(7, (i)=> (i%2===0 ? a0 + (i/2)*da : b0 + ((i-1)/2)*db)), rule:t('rule.interleaved', { a:da, b:-db }) };
+  }},
+};
+
+function makePatternQ(parent, level = null){
+  const rng = parent.fork();
+  const stage = level ?? skill.pick('pattern', '', rng);
+  const fams = Object.keys(PATTERN_FAMILIES).filter(f=> PATTERN_FAMILIES[f].minStage <= stage);
+  // newest unlocked families come up more often
+  const family = rng() < 0.5 ? rng.pick(fams.filter(f=> PATTERN_FAMILIES[f].minStage >= stage - 1)) || rng.pick(fams) : rng.pick(fams);
+  const { terms, rule } = PATTERN_FAMILIES[family].make(stage, rng);
+  const seq = terms.slice(0, -1);
+  return { seq, answer: terms[terms.length-1], text: seq.join(', ') + ', ?', rule, family, stage, item: itemKey('', stage) };
+}
+const checkPattern = (q, given) => (typeof q.answer === 'string' ? normAnswer(given) === q.answer.toLowerCase() : String(given).trim() !== '' && Number(given) === q.answer);
+
+function PatternFinder({ rng, level, onScore, onMiss, accent, dark }){
+  const makeQ = ()=> makePatternQ(rng, level);
+  const [q, setQ] = useState(()=> makeQ());
   const [ans, setAns] = useState("");
-  const submit=()=>{ const correct = Number(ans)===q.answer; if(correct){ onScore(6); setQ(makeQ()); setAns(""); } else { onMiss({game:'pattern', prompt:q.text, correct:q.answer, given:ans}); setAns(""); } };
+  const [missed, setMissed] = useState(null); // explanation shown after a miss
+  const elapsed = useAnswerClock(q);
+  const next = ()=>{ setQ(makeQ()); setAns(""); setMissed(null); };
+  const submit=()=>{
+    if(missed) return next();
+    const answer = { stage: q.stage, ms: elapsed(), item: q.item };
+    if(checkPattern(q, ans)){ onScore(4 + 2*q.stage, answer); next(); }
+    else { onMiss({game:'pattern', prompt:q.text, correct:q.answer, given:ans, rule:q.rule}, answer); setMissed(q); }
+  };
   return (
     <div className="space-y-3">
-      <div className="text-lg font-semibold" style={{color:accent}}>{q.text}</div>
+      <div className="text-sm text-zinc-400">{t('pattern.stage', { n: q.stage+1 })}</div>
+      <div className="text-lg font-semibold" style={{color:accent}} aria-live="polite">{q.text}</div>
       <div className="flex gap-2">
-        <Input value={ans} onChange={(e)=>setAns(e.target.value)} onKeyDown={(e)=>{ if(e.key==='Enter') submit(); }} className="text-lg" style={{ background: dark ? '#17181a' : '#ffffff', borderColor: accent, color: dark ? '#fff' : '#111' }} placeholder="Next"/>
-        <Button onClick={submit} style={{backgroundColor:accent, color:'#0b0b0b'}}>Submit</Button>
+        <Input value={ans} onChange={(e)=>setAns(e.target.value)} onKeyDown={(e)=>{ if(e.key==='Enter') submit(); }} readOnly={!!missed} className="text-lg" style={{ background: dark ? '#17181a' : '#ffffff', borderColor: accent, color: dark ? '#fff' : '#111' }} placeholder={t('pattern.next')}/>
+        <Button onClick={submit} style={{backgroundColor:accent, color:'#0b0b0b'}}>{missed ? t('common.next') : t('common.submit')}</Button>
       </div>
+      {missed && (
+        <div className="text-sm">{t('pattern.answer', { answer: <b>{String(missed.answer)}</b>, rule: missed.rule })}</div>
+      )}
     </div>
   );
 }
 
 // =====================================
-// WORDS — short anagrams (3–5 letters), longer as correct
+// WORDS — anagrams against a bundled dictionary; any valid anagram counts
 // =====================================
-const WORDS = ["tree","crate","stone","plane","trace","brain","focus","ratio","model","cable","flame","clean"]; // seed words
-function shuffle(s){ return s.split('').sort(()=>Math.random()-0.5).join(''); }
-function WordAnagram({ onScore, onMiss, accent, dark }){
-  const [tier, setTier] = useState(0);
-  const pool = useMemo(()=> WORDS.filter(w=> w.length>=3 && w.length<= (tier<3?5:6)),[tier]);
-  const mk=()=>{ const w = pool[Math.floor(Math.random()*pool.length)]||'tree'; let s=shuffle(w); if(s===w) s=shuffle(w); return {w, s}; };
-  const [q, setQ] = useState(mk());
-  const [ans, setAns] = useState("");
-  const submit=()=>{ const ok = ans.trim().toLowerCase()===q.w; if(ok){ onScore(5); setTier(t=>t+1); setQ(mk()); setAns(""); } else { onMiss({game:'anagram', prompt:q.s, correct:q.w, given:ans}); setAns(""); } };
+const sortKey = (w) => w.split('').sort().join('');
+const letterCounts = (w) => { const c = {}; for(const ch of w) c[ch] = (c[ch]||0)+1; return c; };
+const canForm = (w, counts) => { const c = { ...counts }; for(const ch of w){ if(!c[ch]) return false; c[ch]--; } return true; };
+
+// One word list per UI language; Words follows the locale, English where there is no list
+const WORDLISTS = { en: WORDLIST_EN, es: WORDLIST_ES, de: WORDLIST_DE };
+const wordLang = () => (WORDLISTS[locale] ? locale : 'en');
+// Letters a player is asked to type: Spanish drops accents but keeps ñ, German spells ß as ss
+const WORD_FOLD = {
+  es: (w) => w.normalize('NFD').replace(/n\u0303/g, 'ñ').replace(/[\u0300-\u036f]/g, ''),
+  de: (w) => w.normalize('NFC').replace(/ß/g, 'ss'),
+};
+const foldWord = (w, lang) => (WORD_FOLD[lang] ? WORD_FOLD[lang](w) : w);
+
+// Built on first use per language: folded sorted letters → words, plus the sets each mode draws from.
+// `words`/`core` hold folded spellings (what can be typed); `seeds` keep the real spelling for answers.
+const dictCache = {};
+function getDictionary(lang = wordLang()){
+  if(dictCache[lang]) return dictCache[lang];
+  const split = (text) => text.trim().split(/\s+/);
+  const list = WORDLISTS[lang];
+  const common = split(list.common), more = split(list.more), rare = split(list.rare);
+  // blocked words stay valid answers but are never asked for: no seeds, no "find all" targets
+  const blocked = new Set(list.blocked ? split(list.blocked) : []), shown = (ws) => ws.filter(w=> !blocked.has(w));
+  const byKey = new Map();
+  for(const w of [...common, ...more, ...rare]){ const k = sortKey(foldWord(w, lang)); if(!byKey.has(k)) byKey.set(k, []); byKey.get(k).push(w); }
+  const fold = (ws) => [...new Set(ws.map(w=> foldWord(w, lang)))];
+  dictCache[lang] = { byKey, words: new Set(fold([...common, ...more, ...rare, ...blocked])), core: fold(shown([...common, ...more])), seeds: shown(common) };
+  return dictCache[lang];
+}
+const anagramsOf = (w, lang = wordLang()) => getDictionary(lang).byKey.get(sortKey(foldWord(w, lang))) || [];
+function isAnagramAnswer(given, word, lang = wordLang()){
+  const g = foldWord(normAnswer(given), lang), f = foldWord(word, lang);
+  return g.length === f.length && sortKey(g) === sortKey(f) && getDictionary(lang).words.has(g);
+}
+// Every core word of 3+ letters that can be spelled from `letters`
+const wordsFrom = (letters, lang = wordLang()) => { const c = letterCounts(letters); return getDictionary(lang).core.filter(w=> w.length >= 3 && canForm(w, c)).sort((a, b)=> a.length - b.length || a.localeCompare(b)); };
+
+const WORD_TIERS = [[3,4],[4,5],[5,6],[6,7]]; // word length range per tier (= skill level, rated per language)
+function shuffle(s, rng){ return rng.shuffle(s.split('')).join(''); }
+// w: the word as spelled; f: its typeable letters, which are what gets scrambled
+function makeAnagramQ(tier, rng, lang = wordLang()){
+  const [lo, hi] = WORD_TIERS[tier];
+  const w = rng.pick(getDictionary(lang).seeds.filter(x=> x.length >= lo && x.length <= hi));
+  const f = foldWord(w, lang); const answers = anagramsOf(w, lang).map(x=> foldWord(x, lang));
+  let s = shuffle(f, rng);
+  for(let i=0; i<5 && answers.includes(s); i++) s = shuffle(f, rng); // don't show a word that is already an answer
+  return { w, f, s, lang };
+}
+function makeFindAllQ(rng, lang = wordLang()){
+  const seeds = getDictionary(lang).seeds.map(x=> foldWord(x, lang)).filter(x=> x.length >= 6);
+  for(let i=0;; i++){
+    const w = rng.pick(seeds); const targets = wordsFrom(w, lang);
+    if(targets.length >= 8 || i >= 20) return { letters: shuffle(w, rng).toUpperCase(), targets, lang };
+  }
+}
+
+function WordAnagram({ rng, level, daily, onScore, onMiss, accent, dark }){
+  const [mode, setMode] = useState('anagram');
   return (
     <div className="space-y-3">
-      <div className="text-lg font-semibold" style={{color:accent}}>{q.s}</div>
+      {!daily && (
+        <div className="flex gap-1">
+          {[['anagram','words.unscramble'],['findall','words.findAll']].map(([m, label])=> (
+            <Toggle key={m} size="sm" pressed={mode===m} onPressedChange={()=>setMode(m)} className="h-7 px-2 text-xs border" style={{ borderColor: accent, background: mode===m ? accent : 'transparent', color: mode===m ? '#0b0b0b' : undefined }}>{t(label)}</Toggle>
+          ))}
+        </div>
+      )}
+      {mode === 'anagram'
+        ? <Unscramble level={level} rng={rng} onScore={onScore} onMiss={onMiss} accent={accent} dark={dark}/>
+        : <FindAllWords rng={rng} onScore={onScore} accent={accent} dark={dark}/>}
+    </div>
+  );
+}
+
+function Unscramble({ level, rng, onScore, onMiss, accent, dark }){
+  const makeQ = ()=>{ const r = rng.fork(), lang = wordLang(), tier = level ?? skill.pick('anagram', lang, r); return { ...makeAnagramQ(tier, r, lang), tier }; };
+  const [hints, setHints] = useState(0);
+  const [q, setQ] = useState(makeQ);
+  const [ans, setAns] = useState("");
+  const next = ()=>{ setQ(makeQ()); setAns(""); setHints(0); };
+  const elapsed = useAnswerClock(q);
+  const submit=()=>{
+    const answer = { stage: q.tier, ms: elapsed(), item: itemKey(q.lang, q.tier) };
+    // hints give letters away, so a hinted answer only rates as partly right
+    if(isAnagramAnswer(ans, q.w, q.lang)){ onScore(Math.max(1, 2 + q.f.length - 2*hints), hints ? { ...answer, score: Math.max(0.3, 1 - hints/q.f.length) } : answer); next(); }
+    else { onMiss({game:'anagram', prompt:q.s, correct:q.w, given:ans, lang:q.lang}, answer); next(); }
+  };
+  const others = anagramsOf(q.w, q.lang).length - 1;
+  return (
+    <>
+      <div className="text-sm text-zinc-400">{t('words.letters', { range: WORD_TIERS[q.tier].join('–') })}{others>0 ? ` • ${t('words.valid', { n: others+1 })}` : ''} • {t('words.worth', { n: Math.max(1, 2 + q.f.length - 2*hints) })}</div>
+      <div className="text-lg font-semibold" style={{color:accent}} aria-live="polite">{q.s}</div>
+      {hints > 0 && <div className="font-mono tracking-widest">{q.f.slice(0, hints) + '_'.repeat(q.f.length - hints)}</div>}
       <div className="flex gap-2">
-        <Input value={ans} onChange={(e)=>setAns(e.target.value)} onKeyDown={(e)=>{ if(e.key==='Enter') submit(); }} className="text-lg" style={{ background: dark ? '#17181a' : '#ffffff', borderColor: accent, color: dark ? '#fff' : '#111' }} placeholder="Unscramble"/>
-        <Button onClick={submit} style={{backgroundColor:accent, color:'#0b0b0b'}}>Submit</Button>
+        <Input value={ans} onChange={(e)=>setAns(e.target.value)} onKeyDown={(e)=>{ if(e.key==='Enter') submit(); }} className="text-lg" style={{ background: dark ? '#17181a' : '#ffffff', borderColor: accent, color: dark ? '#fff' : '#111' }} placeholder={t('words.unscramble')}/>
+        <Button onClick={submit} style={{backgroundColor:accent, color:'#0b0b0b'}}>{t('common.submit')}</Button>
+        <Button variant="outline" disabled={hints >= q.f.length-1} onClick={()=>setHints(h=>h+1)} style={{borderColor:accent}}>{t('words.hint')}</Button>
       </div>
-    </div>
+    </>
+  );
+}
+
+function FindAllWords({ rng, onScore, accent, dark }){
+  const [q, setQ] = useState(()=> makeFindAllQ(rng));
+  const [found, setFound] = useState([]);
+  const [ans, setAns] = useState("");
+  const [msg, setMsg] = useState("");
+  const [revealed, setRevealed] = useState(false);
+  const elapsed = useAnswerClock(found.length); // time since the previous find
+  const submit = ()=>{
+    const w = foldWord(normAnswer(ans), q.lang); setAns("");
+    if(found.includes(w)) return setMsg(t('words.already', { word: w }));
+    if(w.length < 3 || !canForm(w, letterCounts(q.letters.toLowerCase()))) return setMsg(t('words.cantMake', { word: w }));
+    if(!getDictionary(q.lang).words.has(w)) return setMsg(t('words.notInDict', { word: w }));
+    setFound([...found, w]); setMsg(q.targets.includes(w) ? '' : t('words.bonus'));
+    onScore(w.length - 2, { stage: null, ms: elapsed() });
+  };
+  const fresh = ()=>{ setQ(makeFindAllQ(rng)); setFound([]); setMsg(""); setRevealed(false); };
+  const counted = found.filter(w=> q.targets.includes(w)).length;
+  return (
+    <>
+      <div className="text-sm text-zinc-400">{t('words.found', { n: counted, total: q.targets.length })}</div>
+      <div className="text-lg font-semibold tracking-widest" style={{color:accent}} aria-live="polite">{q.letters}</div>
+      <div className="flex gap-2">
+        <Input value={ans} onChange={(e)=>setAns(e.target.value)} onKeyDown={(e)=>{ if(e.key==='Enter') submit(); }} disabled={revealed} className="text-lg" style={{ background: dark ? '#17181a' : '#ffffff', borderColor: accent, color: dark ? '#fff' : '#111' }} placeholder={t('words.word')}/>
+        <Button onClick={submit} disabled={revealed} style={{backgroundColor:accent, color:'#0b0b0b'}}>{t('common.add')}</Button>
+        {revealed
+          ? <Button variant="outline" onClick={fresh} style={{borderColor:accent}}>{t('words.newLetters')}</Button>
+          : <Button variant="outline" onClick={()=>setRevealed(true)} style={{borderColor:accent}}>{t('words.showAll')}</Button>}
+      </div>
+      {msg && <div className="text-xs text-zinc-400">{msg}</div>}
+      <div className="flex flex-wrap gap-1 text-sm">
+        {(revealed ? [...new Set([...q.targets, ...found])] : found).map(w=> (
+          <Badge key={w} variant="outline" style={{ borderColor: accent, opacity: found.includes(w) ? 1 : 0.5 }}>{w}</Badge>
+        ))}
+      </div>
+    </>
   );
 }
 
 // =====================================
-// PUZZLE — image tiles
+// PUZZLE — swap tiles or classic sliding puzzle; bundled + user images
 // =====================================
+// Bundled pictures are inline SVG so the puzzle works offline; every region is distinct
+// enough to place tiles by eye.
+const svgUri = (body) => `data:image/svg+xml;utf8,${encodeURIComponent(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 300 300" preserveAspectRatio="none">${body}</svg>`)}`;
+const PUZZLE_IMAGES = [
+  // mountains at sunset
+  svgUri(`<defs><linearGradient id="s" x2="0" y2="1"><stop offset="0" stop-color="#f97316"/><stop offset="1" stop-color="#fde68a"/></linearGradient></defs>
+    <rect width="300" height="300" fill="url(#s)"/><circle cx="215" cy="95" r="38" fill="#fff7ed"/>
+    <polygon points="0,210 70,90 140,190 200,110 300,220 300,300 0,300" fill="#7c2d12"/><polygon points="60,108 70,90 82,110" fill="#fff"/>
+    <polygon points="0,250 90,170 180,240 260,180 300,210 300,300 0,300" fill="#431407"/><rect y="262" width="300" height="38" fill="#0e7490"/>`),
+  // sea with sailboat
+  svgUri(`<rect width="300" height="170" fill="#7dd3fc"/><circle cx="60" cy="55" r="28" fill="#fef08a"/>
+    <rect y="170" width="300" height="130" fill="#1d4ed8"/><path d="M0 205 Q37 190 75 205 T150 205 T225 205 T300 205 V300 H0Z" fill="#1e40af"/>
+    <path d="M0 245 Q37 230 75 245 T150 245 T225 245 T300 245 V300 H0Z" fill="#172554"/>
+    <polygon points="180,80 180,165 240,165" fill="#fff"/><polygon points="174,95 174,165 140,165" fill="#fca5a5"/><rect x="130" y="165" width="120" height="14" fill="#78350f"/>`),
+  // forest hills
+  svgUri(`<rect width="300" height="300" fill="#bbf7d0"/><ellipse cx="80" cy="300" rx="200" ry="140" fill="#4d7c0f"/><ellipse cx="260" cy="300" rx="170" ry="110" fill="#365314"/>
+    ${[[40,150],[90,130],[140,165],[200,185],[250,170],[110,215],[230,235]].map(([x,y])=> `<rect x="${x-4}" y="${y}" width="8" height="26" fill="#422006"/><polygon points="${x-22},${y+6} ${x},${y-48} ${x+22},${y+6}" fill="#14532d"/>`).join('')}
+    <circle cx="250" cy="50" r="24" fill="#facc15"/>`),
+  // city at night
+  svgUri(`<defs><linearGradient id="n" x2="0" y2="1"><stop offset="0" stop-color="#020617"/><stop offset="1" stop-color="#4c1d95"/></linearGradient></defs>
+    <rect width="300" height="300" fill="url(#n)"/><circle cx="230" cy="60" r="26" fill="#f8fafc"/><circle cx="242" cy="52" r="24" fill="#0f172a"/>
+    ${[[20,30],[70,80],[120,25],[160,70],[40,120],[280,120],[190,20],[100,140]].map(([x,y])=> `<circle cx="${x}" cy="${y}" r="2" fill="#fff"/>`).join('')}
+    ${[[0,190,40],[45,150,35],[85,210,30],[120,130,45],[170,180,35],[210,160,40],[255,200,45]].map(([x,y,w])=> `<rect x="${x}" y="${y}" width="${w}" height="${300-y}" fill="#111827"/><rect x="${x+8}" y="${y+14}" width="6" height="8" fill="#fde047"/><rect x="${x+w-14}" y="${y+40}" width="6" height="8" fill="#fde047"/>`).join('')}`),
+  // colour wheel
+  svgUri(`<rect width="300" height="300" fill="#f4f4f5"/>
+    ${['#ef4444','#f97316','#eab308','#22c55e','#06b6d4','#3b82f6','#8b5cf6','#ec4899'].map((c, i)=> { const a0=i*Math.PI/4, a1=(i+1)*Math.PI/4; return `<path d="M150 150 L${150+140*Math.cos(a0)} ${150+140*Math.sin(a0)} A140 140 0 0 1 ${150+140*Math.cos(a1)} ${150+140*Math.sin(a1)}Z" fill="${c}"/>`; }).join('')}
+    <circle cx="150" cy="150" r="45" fill="#fff"/><circle cx="150" cy="150" r="18" fill="#18181b"/>`),
+  // hot-air balloons
+  svgUri(`<rect width="300" height="300" fill="#e0f2fe"/><ellipse cx="60" cy="260" rx="120" ry="60" fill="#a3e635"/><ellipse cx="250" cy="280" rx="120" ry="50" fill="#65a30d"/>
+    ${[[80,90,'#dc2626','#fde047'],[200,70,'#2563eb','#f8fafc'],[160,180,'#9333ea','#f472b6']].map(([x,y,a,b])=> `<ellipse cx="${x}" cy="${y}" rx="38" ry="46" fill="${a}"/><ellipse cx="${x}" cy="${y}" rx="14" ry="46" fill="${b}"/><rect x="${x-9}" y="${y+58}" width="18" height="14" fill="#78350f"/><line x1="${x-20}" y1="${y+36}" x2="${x-8}" y2="${y+58}" stroke="#444"/><line x1="${x+20}" y1="${y+36}" x2="${x+8}" y2="${y+58}" stroke="#444"/>`).join('')}`),
+];
+
+// User photos live in IndexedDB as Blobs and are shown through object URLs
+const puzzlePhotos = {
+  list: () => idbTx('images', 'readonly', (os)=> os.getAll()),
+  add: (file) => idbTx('images', 'readwrite', (os)=> os.add({ name: file.name, blob: file, added: Date.now() })),
+  remove: (id) => idbTx('images', 'readwrite', (os)=> os.delete(id)),
+};
+function usePuzzleImages(){
+  const [photos, setPhotos] = useState([]); // [{ id, url }]
+  const load = ()=> puzzlePhotos.list().then((rows)=> setPhotos((rows||[]).map(r=> ({ id:r.id, url: URL.createObjectURL(r.blob) })))).catch(()=>{});
+  useEffect(()=>{ load(); }, []);
+  useEffect(()=> ()=> photos.forEach(p=> URL.revokeObjectURL(p.url)), [photos]);
+  const images = [...PUZZLE_IMAGES.map(url=> ({ id:null, url })), ...photos];
+  return { images, add: (file)=> puzzlePhotos.add(file).then(load), remove: (id)=> puzzlePhotos.remove(id).then(load) };
+}
+
 function isSolved(arr){ for(let i=0;i<arr.length;i++){ if(arr[i]!==i) return false; } return true; }
-function makePuzzle(n){ const a=Array.from({length:n},(_,i)=>i).sort(()=>Math.random()-0.5); if(isSolved(a)) a.reverse(); return a; }
-function TilePuzzle({ onScore, onMiss, accent, dark }){
-  const pieceOptions=[6,8,10];
-  const [idx, setIdx] = useState(0);
-  const [tiles, setTiles] = useState(makePuzzle(pieceOptions[0]));
-  const [sel, setSel] = useState(null);
+function makePuzzle(n, rng){ const a=rng.fork().shuffle(Array.from({length:n},(_,i)=>i)); if(isSolved(a)) a.reverse(); return a; }
+
+// Sliding puzzle: tiles[i] = piece at cell i; piece n*n-1 is the blank, solved when tiles[i] === i
+function isSolvableSlide(tiles, n){
+  const blank = n*n-1; let inv = 0;
+  const list = tiles.filter(t=> t !== blank);
+  for(let i=0;i<list.length;i++) for(let j=i+1;j<list.length;j++) if(list[i] > list[j]) inv++;
+  if(n % 2) return inv % 2 === 0;
+  const rowFromBottom = n - Math.floor(tiles.indexOf(blank)/n);
+  return (inv + rowFromBottom) % 2 === 1;
+}
+function makeSlidePuzzle(n, rng){
+  const a = rng.shuffle(Array.from({length:n*n}, (_, i)=> i));
+  if(!isSolvableSlide(a, n)){ // swapping two non-blank pieces flips the parity
+    const [x, y] = a.map((t, i)=> (t === n*n-1 ? -1 : i)).filter(i=> i >= 0);
+    [a[x], a[y]] = [a[y], a[x]];
+  }
+  return isSolved(a) ? makeSlidePuzzle(n, rng) : a;
+}
+// Hints search in brain_gym_slide_worker.js so a deep board never freezes the page; without Worker support
+// (or if it fails to load) they run inline, where the node budgets in SLIDE_HINT_TRIES still bound them.
+let slideWorker; let slideJobs = 0;
+function requestSlideHint(tiles, n, lastCell){
+  if(slideWorker === undefined){
+    try { slideWorker = new Worker(new URL('./brain_gym_slide_worker.js', import.meta.url), { type:'module' }); }
+    catch { slideWorker = null; }
+  }
+  if(!slideWorker) return Promise.resolve(slideHint(tiles, n, lastCell));
+  const worker = slideWorker, id = ++slideJobs;
+  return new Promise((resolve)=>{
+    const stop = ()=>{ worker.removeEventListener('message', done); worker.removeEventListener('error', fail); };
+    const done = ({ data })=>{ if(data.id !== id) return; stop(); resolve(data.hint); };
+    const fail = ()=>{ stop(); if(slideWorker === worker){ worker.terminate(); slideWorker = null; } resolve(slideHint(tiles, n, lastCell)); };
+    worker.addEventListener('message', done); worker.addEventListener('error', fail);
+    worker.postMessage({ id, tiles, n, lastCell });
+  });
+}
+
+const tileStyle = (piece, rows, cols, img, accent) => {
+  const r=Math.floor(piece/cols), c=piece%cols;
+  const posX= cols===1? '50%' : `${(c/(cols-1))*100}%`; const posY= rows===1? '50%' : `${(r/(rows-1))*100}%`;
+  return { backgroundImage:`url("${img}")`, backgroundSize:`${cols*100}% ${rows*100}%`, backgroundPosition:`${posX} ${posY}`, backgroundRepeat:'no-repeat', borderColor:accent };
+};
+
+function TilePuzzle({ rng, level, daily, onScore, onMiss, accent, dark }){
+  const [mode, setMode] = useState('swap'); // 'swap' | 'slide'
+  const [size, setSize] = useState(3);
+  const { images, add, remove } = usePuzzleImages();
   const [imgIdx, setImgIdx] = useState(0);
+  const fileRef = useRef(null);
+  const cur = daily ? images[imgIdx % PUZZLE_IMAGES.length] : images[imgIdx % images.length];
+  const [photoError, setPhotoError] = useState(''); // IndexedDB refused (private mode, storage full)
+  const pickPhoto = async (e)=>{
+    const f = e.target.files?.[0]; e.target.value = '';
+    if(!f) return;
+    try { await add(f); setImgIdx(images.length); setPhotoError(''); }
+    catch { setPhotoError(t('puzzle.photoError')); }
+  };
+  const removePhoto = async (id)=>{
+    try { await remove(id); setImgIdx(0); setPhotoError(''); }
+    catch { setPhotoError(t('puzzle.photoError')); }
+  };
 
-  const images = useMemo(()=>[
-    "https://images.unsplash.com/photo-1501785888041-af3ef285b470?auto=format&fit=crop&w=1200&q=60",
-    "https://images.unsplash.com/photo-1507525428034-b723cf961d3e?auto=format&fit=crop&w=1200&q=60",
-    "https://images.unsplash.com/photo-1491553895911-0055eca6402d?auto=format&fit=crop&w=1200&q=60",
-    "https://images.unsplash.com/photo-1519681393784-d120267933ba?auto=format&fit=crop&w=1200&q=60",
-    "https://images.unsplash.com/photo-1500530855697-b586d89ba3ee?auto=format&fit=crop&w=1200&q=60",
-    "https://images.unsplash.com/photo-1517816743773-6e0fd518b4a6?auto=format&fit=crop&w=1200&q=60",
-  ],[]);
+  return (
+    <div className="space-y-3">
+      {!daily && (
+        <div className="flex flex-wrap items-center gap-1">
+          {[['swap','puzzle.swap'],['slide','puzzle.slide']].map(([m, label])=> (
+            <Toggle key={m} size="sm" pressed={mode===m} onPressedChange={()=>setMode(m)} className="h-7 px-2 text-xs border" style={{ borderColor: accent, background: mode===m ? accent : 'transparent', color: mode===m ? '#0b0b0b' : undefined }}>{t(label)}</Toggle>
+          ))}
+          {mode === 'slide' && [3,4,5].map(n=> (
+            <Toggle key={n} size="sm" pressed={size===n} onPressedChange={()=>setSize(n)} className="h-7 px-2 text-xs border" style={{ borderColor: accent, background: size===n ? accent : 'transparent', color: size===n ? '#0b0b0b' : undefined }}>{n}×{n}</Toggle>
+          ))}
+        </div>
+      )}
+      {mode === 'swap'
+        ? <SwapPuzzle rng={rng} level={level} img={cur.url} imgIdx={imgIdx} onScore={onScore} onMiss={onMiss} accent={accent}/>
+        : <SlidePuzzle key={size} n={size} rng={rng} img={cur.url} onScore={onScore} accent={accent} dark={dark}/>}
+      {!daily && (
+        <div className="flex flex-wrap gap-2">
+          <Button variant="outline" onClick={()=>setImgIdx(n=>n+1)} style={{borderColor:accent}}>{t('puzzle.changeImage')}</Button>
+          <Button variant="outline" onClick={()=>fileRef.current?.click()} style={{borderColor:accent}}><ImagePlus className="w-4 h-4 mr-1"/>{t('puzzle.yourPhoto')}</Button>
+          {cur.id !== null && <Button variant="outline" onClick={()=> removePhoto(cur.id)} style={{borderColor:accent}}>{t('puzzle.removePhoto')}</Button>}
+          <input ref={fileRef} type="file" accept="image/*" className="hidden" onChange={pickPhoto}/>
+        </div>
+      )}
+      {photoError && <div className="text-xs text-zinc-400" role="alert">{photoError}</div>}
+    </div>
+  );
+}
 
-  const pieces = pieceOptions[idx];
-  const layout = useMemo(()=> ({6:[2,3],8:[2,4],10:[2,5]})[pieces]||[3,3], [pieces]);
-  const [rows, cols] = layout; const img = images[imgIdx % images.length];
+const SWAP_PIECES = [6, 8, 10]; // by skill level
+const slideParMs = (n) => n * n * 4000;
 
-  function clickTile(i){ if(sel===null){ setSel(i); return; } if(sel===i){ setSel(null); return; } const next=[...tiles]; const t=next[sel]; next[sel]=next[i]; next[i]=t; setTiles(next); setSel(null); }
-  function check(){ if(isSolved(tiles)){ onScore(15+pieces); const nextIdx=Math.min(idx+1, pieceOptions.length-1); setIdx(nextIdx); setTiles(makePuzzle(pieceOptions[nextIdx])); } else { onMiss({game:'puzzle', pieces, image:imgIdx}); } }
-  function changeImage(){ setImgIdx(n=>n+1); setTiles(makePuzzle(pieces)); setSel(null); }
+function SwapPuzzle({ rng, level: fixedLevel, img, imgIdx, onScore, onMiss, accent }){
+  const pickLevel = ()=> fixedLevel ?? skill.pick('puzzle', 'swap', rng);
+  const [level, setLevel] = useState(pickLevel);
+  const [tiles, setTiles] = useState(()=> makePuzzle(SWAP_PIECES[level], rng));
+  const [sel, setSel] = useState(null);
+  const [wrong, setWrong] = useState(0); // wrong Checks on the current puzzle
+  const shownImg = useRef(imgIdx);
+  useEffect(()=>{ if(shownImg.current === imgIdx) return; shownImg.current = imgIdx; setTiles(makePuzzle(SWAP_PIECES[level], rng)); setSel(null); setWrong(0); }, [imgIdx]);
 
-  function pieceStyle(n){ const r=Math.floor(n/cols), c=n%cols; const posX= cols===1? '50%' : `${(c/(cols-1))*100}%`; const posY= rows===1? '50%' : `${(r/(rows-1))*100}%`; return { backgroundImage:`url(${img})`, backgroundSize:`${cols*100}% ${rows*100}%`, backgroundPosition:`${posX} ${posY}`, backgroundRepeat:'no-repeat', borderColor:accent } }
+  const pieces = SWAP_PIECES[level];
+  const elapsed = useAnswerClock(`${pieces}:${imgIdx}`);
+  const layout = useMemo(()=> ({6:[2,3],8:[2,4],10:[2,5]})[pieces]||[3,3], [pieces]);
+  const [rows, cols] = layout;
+
+  function clickTile(i){ if(sel===null){ setSel(i); return; } if(sel===i){ setSel(null); return; } const next=[...tiles]; [next[sel], next[i]] = [next[i], next[sel]]; setTiles(next); setSel(null); }
+  function check(){
+    const answer = { stage: pieces, ms: elapsed(), item: itemKey('swap', level) };
+    if(isSolved(tiles)){ onScore(15+pieces, { ...answer, wrongChecks: wrong }); const nl = pickLevel(); setLevel(nl); setTiles(makePuzzle(SWAP_PIECES[nl], rng)); setWrong(0); }
+    else { setWrong(wrong+1); onMiss({game:'puzzle', pieces, image:imgIdx}, answer); }
+  }
 
   return (
-    <div className="space-y-3">
-      <div className="text-sm text-zinc-400">Rebuild the picture ({rows}×{cols}). Click two tiles to swap, then Check.</div>
-      <div className="grid gap-2" style={{gridTemplateColumns:`repeat(${cols}, minmax(0,1fr))`}}>
+    <>
+      <div className="text-sm text-zinc-400">{t('puzzle.swapHelp', { rows, cols })}</div>
+      <div className="grid gap-2" style={{gridTemplateColumns:`repeat(${cols}, minmax(0,1fr))`}} onKeyDown={(e)=> gridArrowKeys(e, cols)}>
         {tiles.map((n,i)=> (
-          <button key={i} onClick={()=>clickTile(i)} className="aspect-square rounded-md border overflow-hidden relative" style={{ borderColor: sel===i? '#ffffff':accent, boxShadow: sel===i? '0 0 0 2px #ffffff inset':'none' }} aria-label={`Tile ${i}`}>
-            <div className="w-full h-full" style={pieceStyle(n)} />
+          <button key={i} onClick={()=>clickTile(i)} className="aspect-square rounded-md border overflow-hidden relative" style={{ borderColor: sel===i? '#ffffff':accent, boxShadow: sel===i? '0 0 0 2px #ffffff inset':'none', outline: sel===i ? `3px dashed ${accent}` : undefined }} aria-pressed={sel===i} aria-label={t(sel===i ? 'puzzle.tileSelected' : 'puzzle.tile', { row: Math.floor(i/cols)+1, col: i%cols+1 })}>
+            <div className="w-full h-full" style={tileStyle(n, rows, cols, img, accent)} />
+            {sel===i && <span className="absolute inset-0 grid place-items-center text-2xl font-bold" style={{ color:'#fff', textShadow:'0 0 4px #000' }}>✓</span>}
           </button>
         ))}
       </div>
       <div className="flex gap-2">
-        <Button onClick={check} style={{backgroundColor:accent, color:'#0b0b0b'}}>Check</Button>
-        <Button variant="outline" onClick={()=>setTiles(makePuzzle(pieces))} style={{borderColor:accent}}>Shuffle</Button>
-        <Button variant="outline" onClick={changeImage} style={{borderColor:accent}}>Change Image</Button>
+        <Button onClick={check} style={{backgroundColor:accent, color:'#0b0b0b'}}>{t('common.check')}</Button>
+        <Button variant="outline" onClick={()=>setTiles(makePuzzle(pieces, rng))} style={{borderColor:accent}}>{t('common.shuffle')}</Button>
       </div>
+    </>
+  );
+}
+
+function SlidePuzzle({ n, rng, img, onScore, accent, dark }){
+  const [tiles, setTiles] = useState(()=> makeSlidePuzzle(n, rng));
+  const [moves, setMoves] = useState(0);
+  const [startedAt, setStartedAt] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const [hint, setHint] = useState(null);
+  const [thinking, setThinking] = useState(false);
+  const tilesRef = useRef(tiles); tilesRef.current = tiles; // a hint for a board the player has since moved is dropped
+  const [last, setLast] = useState(-1); // cell the blank just left, so hints don't undo
+  const [solvedIn, setSolvedIn] = useState(null);
+  const blank = tiles.indexOf(n*n-1);
+
+  useEffect(()=>{ if(startedAt===null || solvedIn) return; const id = setInterval(()=> setNow(Date.now()), 500); return ()=> clearInterval(id); }, [startedAt, solvedIn]);
+
+  const move = (cell)=>{
+    if(solvedIn || !neighborsOf(blank, n).includes(cell)) return;
+    const next = [...tiles]; [next[blank], next[cell]] = [next[cell], next[blank]];
+    const at = Date.now(); const start = startedAt ?? at;
+    setTiles(next); setMoves(moves+1); setStartedAt(start); setNow(at); setHint(null); setLast(blank);
+    if(isSolved(next)){ setSolvedIn(at - start); onScore(10*n + Math.max(0, 40 - Math.floor((moves+1)/n)), { stage: n, ms: at - start, item: itemKey('slide', n), par: slideParMs(n) }); }
+  };
+  // Arrow keys slide the tile next to the gap in that direction
+  useEffect(()=>{
+    const onKey = (e)=>{
+      if(e.target.closest?.('input,textarea,[role="tab"]')) return;
+      const r = Math.floor(blank/n), c = blank % n;
+      const cell = { ArrowUp: r < n-1 ? blank+n : -1, ArrowDown: r > 0 ? blank-n : -1, ArrowLeft: c < n-1 ? blank+1 : -1, ArrowRight: c > 0 ? blank-1 : -1 }[e.key];
+      if(cell === undefined || cell < 0) return;
+      e.preventDefault(); move(cell);
+    };
+    window.addEventListener('keydown', onKey); return ()=> window.removeEventListener('keydown', onKey);
+  });
+  const askHint = async ()=>{
+    const board = tiles; setThinking(true);
+    const h = await requestSlideHint(board, n, last);
+    setThinking(false);
+    if(tilesRef.current === board) setHint(h);
+  };
+  const fresh = ()=>{ setTiles(makeSlidePuzzle(n, rng)); setMoves(0); setStartedAt(null); setHint(null); setLast(-1); setSolvedIn(null); };
+  const elapsed = solvedIn ?? (startedAt === null ? 0 : now - startedAt);
+
+  return (
+    <>
+      <div className="flex justify-between text-sm text-zinc-400">
+        <span>{t('puzzle.slideHelp', { n })}</span>
+        <span>{t('puzzle.moves', { n: moves, time: fmtDuration(elapsed) })}</span>
+      </div>
+      <div className="grid gap-1" style={{gridTemplateColumns:`repeat(${n}, minmax(0,1fr))`}}>
+        {tiles.map((piece, i)=> piece === n*n-1 && !solvedIn
+          ? <div key={i} className={`aspect-square rounded-md ${dark ? 'bg-zinc-900' : 'bg-zinc-100'}`}/>
+          : (
+            <button key={i} onClick={()=>move(i)} className="aspect-square rounded-md border overflow-hidden relative" style={{ borderColor: hint?.cell===i ? '#ffffff' : accent, boxShadow: hint?.cell===i ? '0 0 0 3px #ffffff inset' : 'none', outline: hint?.cell===i ? `3px dashed ${accent}` : undefined }} aria-label={t(hint?.cell===i ? 'puzzle.tileHint' : 'puzzle.tileN', { n: piece+1 })}>
+              <div className="w-full h-full" style={tileStyle(piece, n, n, img, accent)}/>
+              <span className="absolute left-1 top-0 text-xs font-semibold" style={{ color:'#fff', textShadow:'0 0 3px #000' }}>{piece+1}</span>
+            </button>
+          ))}
+      </div>
+      {solvedIn && <div className="text-sm">{t('puzzle.solved', { n: moves, time: fmtDuration(solvedIn) })}</div>}
+      {thinking && !hint && <div className="text-xs text-zinc-400" aria-live="polite">{t('puzzle.hintThinking')}</div>}
+      {hint && <div className="text-xs text-zinc-400">{hint.optimal ? t('puzzle.hintOptimal', { n: hint.left }) : hint.left ? t('puzzle.hintNear', { n: hint.left }) : t('puzzle.hintGuess')}</div>}
+      <div className="flex gap-2">
+        <Button variant="outline" disabled={!!solvedIn || thinking} onClick={askHint} style={{borderColor:accent}}>{t('common.hint')}</Button>
+        <Button variant="outline" onClick={fresh} style={{borderColor:accent}}>{solvedIn ? t('common.next') : t('common.shuffle')}</Button>
+      </div>
+    </>
+  );
+}
+
+// =====================================
+// REACTION — Stroop, go/no-go and choice reaction, timed with performance.now()
+// =====================================
+// Each task runs a block of trials: blank foreperiod → stimulus → response or timeout.
+// Responding during the foreperiod (false start) or under REACTION_MIN_MS (anticipation) re-runs the trial.
+const REACTION_TASKS = {
+  stroop: { trials:12, limitMs:3000, parMs:900 },
+  gonogo: { trials:16, limitMs:700,  parMs:400 },
+  choice: { trials:12, limitMs:1500, parMs:550 },
+};
+const REACTION_MIN_MS = 150;
+const STROOP_COLORS = [{ id:'red', hex:'#ef4444' }, { id:'green', hex:'#22c55e' }, { id:'blue', hex:'#3b82f6' }, { id:'yellow', hex:'#eab308' }]; // names: stroop.<id>
+
+// answer: the response that counts as correct (null = withhold)
+function makeReactionTrial(task, rng){
+  if(task === 'stroop'){ const ink = rng.int(0,3); const word = rng() < 0.5 ? ink : (ink + rng.int(1,3)) % 4; return { ink, word, answer: ink }; }
+  if(task === 'gonogo'){ const go = rng() < 0.75; return { go, answer: go ? 'go' : null }; }
+  const dir = rng() < 0.5 ? 'left' : 'right'; return { dir, answer: dir };
+}
+// Accuracy first; speed only adds once the block is mostly right
+const reactionPoints = (task, accuracy, medianMs) => Math.round(10*accuracy + clamp((REACTION_TASKS[task].parMs - medianMs)/25, 0, 10));
+
+function ReactionGame({ stats, rng, colorBlind, onModeStats, onScore, onMiss, accent, dark }){
+  const [task, setTask] = useState('stroop');
+  const [modes, setModes] = useState(()=> stats?.modes || {});
+  const ms = modes[task] || { best:null, played:0 };
+  function done({ accuracy, medianMs, falseStarts, trials }){
+    const ok = accuracy >= 0.7 && medianMs !== null;
+    const next = { ...ms, played: ms.played+1, best: ok && (ms.best === null || medianMs < ms.best) ? Math.round(medianMs) : ms.best };
+    setModes((m)=> ({ ...m, [task]: next })); onModeStats?.(task, ()=> next);
+    // the block is one rated match; the answer log gets every trial
+    const answer = { stage: null, ms: medianMs, item: itemKey(task, 0), par: REACTION_TASKS[task].parMs, trials };
+    if(ok) onScore(reactionPoints(task, accuracy, medianMs), answer);
+    else onMiss({ game:'reaction', task, accuracy: Math.round(accuracy*100), medianMs: medianMs && Math.round(medianMs), falseStarts }, answer);
+  }
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-1">
+        {Object.keys(REACTION_TASKS).map((id)=> (
+          <Toggle key={id} size="sm" pressed={task===id} onPressedChange={()=>setTask(id)} className="h-7 px-2 text-xs border" style={{ borderColor: accent, background: task===id ? accent : 'transparent', color: task===id ? '#0b0b0b' : undefined }}>{t(`reaction.${id}`)}</Toggle>
+        ))}
+      </div>
+      <ReactionBlock key={task} task={task} best={ms.best} rng={rng} colorBlind={colorBlind} onDone={done} accent={accent} dark={dark}/>
     </div>
   );
 }
+
+function ReactionBlock({ task, best, rng, colorBlind, onDone, accent, dark }){
+  const def = REACTION_TASKS[task];
+  const [phase, setPhase] = useState('idle'); // idle | wait | stim | feedback | done
+  const [trial, setTrial] = useState(null);
+  const [results, setResults] = useState([]); // { ok, rt, t } per trial; rt null on timeout, t = when it was answered
+  const [attempt, setAttempt] = useState(0); // bumps when a trial is re-run
+  const [falseStarts, setFalseStarts] = useState(0);
+  const [note, setNote] = useState('');
+  const t0 = useRef(0);
+
+  const start = ()=>{ setResults([]); setFalseStarts(0); setNote(''); setTrial(makeReactionTrial(task, rng)); setPhase('wait'); };
+  const rerun = (msg)=>{ setFalseStarts((n)=> n+1); setNote(msg); setPhase('wait'); setAttempt((a)=> a+1); };
+  const record = (ok, rt)=>{ setResults((r)=> [...r, { ok, rt, t: Date.now() }]); setNote(ok ? (rt === null ? t('reaction.held') : `✓ ${t('common.ms', { n: Math.round(rt) })}`) : rt === null ? t('reaction.tooSlow') : t('reaction.wrong')); setPhase('feedback'); };
+
+  useEffect(()=>{
+    if(phase === 'wait'){ const id = setTimeout(()=> setPhase('stim'), 600 + rng.int(0, 1200)); return ()=> clearTimeout(id); }
+    if(phase === 'stim'){ t0.current = performance.now(); const id = setTimeout(()=> record(trial.answer === null, null), def.limitMs); return ()=> clearTimeout(id); }
+    if(phase === 'feedback'){
+      const id = setTimeout(()=>{
+        if(results.length < def.trials){ setTrial(makeReactionTrial(task, rng)); setPhase('wait'); return; }
+        const rts = results.filter(r=> r.ok && r.rt !== null).map(r=> r.rt);
+        onDone({ accuracy: results.filter(r=> r.ok).length / results.length, medianMs: median(rts), falseStarts, trials: results });
+        setPhase('done');
+      }, 400);
+      return ()=> clearTimeout(id);
+    }
+  },[phase, attempt]);
+
+  function respond(value){
+    if(phase === 'wait') return rerun(t('reaction.tooSoon'));
+    if(phase !== 'stim') return;
+    const rt = performance.now() - t0.current;
+    if(rt < REACTION_MIN_MS) return rerun(t('reaction.anticipation'));
+    record(value === trial.answer, rt);
+  }
+  useEffect(()=>{
+    const onKey = (e)=>{
+      if(e.repeat || e.target.closest?.('input,textarea,[role="tab"]')) return;
+      if(task === 'stroop' && e.key >= '1' && e.key <= '4') respond(Number(e.key)-1);
+      if(task === 'choice' && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')){ e.preventDefault(); respond(e.key === 'ArrowLeft' ? 'left' : 'right'); }
+      if(task === 'gonogo' && e.key === ' ' && !e.target.closest?.('button')){ e.preventDefault(); respond('go'); }
+    };
+    window.addEventListener('keydown', onKey); return ()=> window.removeEventListener('keydown', onKey);
+  });
+
+  const correct = results.filter(r=> r.ok).length;
+  const med = median(results.filter(r=> r.ok && r.rt !== null).map(r=> r.rt));
+  const stimulus = phase !== 'stim' ? <span className="text-zinc-500">+</span>
+    : task === 'stroop' ? <span style={{ color: STROOP_COLORS[trial.ink].hex }}>{t(`stroop.${STROOP_COLORS[trial.word].id}`)}</span>
+    : task === 'gonogo' ? <span role="img" aria-label={trial.go ? t('reaction.go') : t('reaction.stop')} className={`w-20 h-20 grid place-items-center text-4xl text-white ${colorBlind && !trial.go ? 'rounded-md' : 'rounded-full'}`} style={{ background: trial.go ? '#22c55e' : '#ef4444' }}>{colorBlind && !trial.go ? '✕' : ''}</span>
+    : <span>{trial.dir === 'left' ? '←' : '→'}</span>;
+  return (
+    <>
+      <div className="text-sm text-zinc-400">{t(`reaction.${task}.hint`)} {best !== null && best !== undefined ? t('reaction.best', { n: best }) : ''}</div>
+      {phase === 'idle' || phase === 'done' ? (
+        <div className="space-y-2 text-sm">
+          {phase === 'done' && <div>{t('reaction.summary', { correct, total: results.length, median: med === null ? '—' : t('common.ms', { n: Math.round(med) }), falseStarts: t('reaction.falseStarts', { n: falseStarts }) })}</div>}
+          <Button onClick={start} style={{backgroundColor:accent, color:'#0b0b0b'}}>{phase === 'done' ? t('common.again') : t('common.start')}</Button>
+        </div>
+      ) : (
+        <>
+          <div className="h-32 rounded-xl border grid place-items-center text-5xl font-bold select-none" style={{ borderColor: accent, background: dark ? '#121318' : '#f2f3f5' }}>{stimulus}</div>
+          <div className="flex items-center justify-between text-sm text-zinc-400">
+            <span>{t('reaction.trial', { i: Math.min(results.length+1, def.trials), n: def.trials })}</span><span aria-live="polite">{note}</span>
+          </div>
+          {task === 'stroop' && (
+            <div className="grid grid-cols-4 gap-2">
+              {STROOP_COLORS.map((c, i)=> <Button key={c.id} variant="outline" onClick={()=>respond(i)} style={{ borderColor: c.hex, color: c.hex }}>{i+1} {t(`stroop.${c.id}`)}</Button>)}
+            </div>
+          )}
+          {task === 'gonogo' && <Button className="w-full" variant="outline" onClick={()=>respond('go')} style={{borderColor:accent}}>{t('reaction.go')}</Button>}
+          {task === 'choice' && (
+            <div className="grid grid-cols-2 gap-2">
+              <Button variant="outline" onClick={()=>respond('left')} style={{borderColor:accent}}>←</Button>
+              <Button variant="outline" onClick={()=>respond('right')} style={{borderColor:accent}}>→</Button>
+            </div>
+          )}
+        </>
+      )}
+    </>
+  );
+}
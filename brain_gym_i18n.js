@@ -0,0 +1,1174 @@
+// UI message catalogs. Every locale uses the same keys; a key missing from a locale falls back to English.
+// {name} placeholders are filled by t(key, vars). An object message is a set of plural forms
+// (Intl.PluralRules categories: one, other, …) chosen by vars.n.
+export const MESSAGES = {
+  en: {
+    'app.title': 'BrainGym — Focus & Recall Trainer',
+    'app.theme': 'Theme',
+    'app.language': 'Language',
+
+    'install.title': 'Install BrainGym',
+    'install.ios': 'On iPhone: tap {share} → {add} to install.',
+    'install.iosShare': 'Share',
+    'install.iosAdd': 'Add to Home Screen',
+    'install.desktop': 'Install for full-screen & offline use. No App Store needed.',
+    'install.install': 'Install',
+    'install.later': 'Not now',
+
+    'pwa.offline': 'Offline',
+    'pwa.offlineHint': 'No connection. Training works offline; progress is saved on this device.',
+    'pwa.updateReady': 'A new version of BrainGym is ready.',
+    'pwa.reload': 'Reload to update',
+    'storage.full': 'Storage on this device is full, so recent progress was not saved. Export a backup and free some space in your browser.',
+
+    'common.start': 'Start',
+    'common.again': 'Again',
+    'common.next': 'Next',
+    'common.submit': 'Submit',
+    'common.check': 'Check',
+    'common.clear': 'Clear',
+    'common.close': 'Close',
+    'common.cancel': 'Cancel',
+    'common.delete': 'Delete',
+    'common.add': 'Add',
+    'common.answer': 'Answer',
+    'common.hint': 'Hint',
+    'common.shuffle': 'Shuffle',
+    'common.pts': '{n} pts',
+    'common.min': 'min',
+    'common.ms': '{n} ms',
+
+    'game.math': 'Math',
+    'game.recall': 'Recall',
+    'game.pattern': 'Pattern',
+    'game.anagram': 'Words',
+    'game.puzzle': 'Puzzle',
+    'game.reaction': 'Reaction',
+    'tab.daily': 'Daily',
+    'tab.review': 'Review',
+    'tab.stats': 'Stats',
+    'tab.badges': 'Badges',
+
+    'focus.title': 'Focus Block',
+    'focus.phase.work': 'Focus',
+    'focus.phase.break': 'Break',
+    'focus.phase.long': 'Long break',
+    'focus.block': 'Block {n}/{total}',
+    'focus.reset': 'Reset',
+    'focus.skipBreak': 'Skip break',
+    'focus.break': 'Break',
+    'focus.long': 'Long',
+    'focus.every': 'every',
+    'focus.today': { one: 'Today: {n} block • {min} min', other: 'Today: {n} blocks • {min} min' },
+    'progress.title': 'Progress (last 30 days)',
+
+    'day.title': 'Daily Stats',
+    'day.level': 'Level',
+    'day.xpTotal': '{xp} XP total',
+    'day.toLevel': '{xp} XP to level {level}',
+    'day.streak': 'Day streak',
+    'day.trainedToday': '✓ trained today',
+    'day.keepStreak': 'train today to keep it',
+    'day.freezes': 'Streak freezes ❄ {have}/{max} (one earned every {every} days)',
+    'day.goal': 'Goal',
+    'day.xp': 'XP',
+    'day.min': 'Min',
+    'day.reviewDue': 'Review due',
+
+    'announce.correct': 'Correct, +{xp} XP.',
+    'announce.missedAnswer': 'Missed. The answer was {answer}.',
+    'announce.missed': 'Missed.',
+    'announce.achievement': 'Achievement unlocked: {list}.',
+    'toast.title': 'Achievement unlocked',
+    'toast.more': '+{n} more',
+
+    'summary.title': 'Session Summary',
+    'summary.line': '{min} min block • {from}–{to} • {xp} XP',
+    'summary.noXp': 'No XP this block',
+    'summary.improve': 'Areas to improve:',
+    'summary.issues': { one: '{n} issue', other: '{n} issues' },
+    'summary.clean': 'No misses — clean block',
+    'summary.routine': 'Routine finished: {name}',
+    'summary.noMisses': 'no misses',
+
+    'profile.deleteConfirm': 'Delete “{name}” and all of its progress?',
+    'profile.wrongPin': 'Wrong PIN.',
+    'profile.pinSet': 'PIN set.',
+    'profile.pinRemoved': 'PIN removed.',
+    'profile.active': '(active)',
+    'profile.deleteName': 'Delete {name}',
+    'profile.pinFor': 'PIN for {name}',
+    'profile.open': 'Open',
+    'profile.new': 'New profile',
+    'profile.pin': 'PIN',
+    'profile.name': 'Name',
+    'profile.rename': 'Rename',
+    'profile.newPin': 'New PIN (blank removes)',
+    'profile.setPin': 'Set a PIN (optional)',
+
+    'seed.title': 'Session seed — click to replay a seed',
+    'seed.label': 'seed {seed}',
+    'seed.aria': 'Seed',
+    'seed.replay': 'Replay',
+    'seed.new': 'New',
+
+    'backup.title': 'Backup',
+    'backup.import': 'Import',
+    'backup.replaceConfirm': 'Replace all local progress with this backup?',
+    'backup.imported': 'Imported. Reloading…',
+    'backup.from': { one: 'Backup from {date} • {n} day of XP', other: 'Backup from {date} • {n} days of XP' },
+    'backup.unknownDate': 'unknown date',
+    'backup.skipped': 'Unreadable, will be skipped: {keys}',
+    'backup.merge': 'Merge',
+    'backup.replace': 'Replace',
+    'backup.err.json': 'Not a JSON file.',
+    'backup.err.format': 'Not a BrainGym backup.',
+    'backup.err.version': 'Backup version {version} is not supported.',
+    'backup.err.newer': 'Backup was made by a newer BrainGym; update the app first.',
+    'backup.err.noData': 'Backup has no data.',
+    'backup.err.unreadable': 'Backup contains no readable data.',
+
+    'a11y.title': 'Accessibility',
+    'a11y.colorBlind': 'Colour-blind safe',
+    'a11y.colorBlind.help': 'Recall adds symbols to a colour-blind-safe palette; go/no-go uses shapes',
+    'a11y.reducedMotion': 'Reduce motion',
+    'a11y.reducedMotion.help': 'No transitions or chart animation',
+    'a11y.highContrast': 'High contrast',
+    'a11y.highContrast.help': 'Pure background, full-strength text, thicker borders',
+    'a11y.keys': 'Keyboard: Alt+1…0 switch tabs • arrows move around tile grids • number keys answer Recall.',
+
+    'skill.line': 'Skill rating {r} ± {rd}',
+    'skill.unrated': 'Skill rating: not rated yet',
+    'skill.help': 'Your rating moves with every answer, right or wrong, fast or slow. Questions are picked so you get about {pct} right.',
+
+    'sync.title': 'Sync',
+    'sync.enable': 'Sync this profile',
+    'sync.url': 'Sync server address',
+    'sync.code': 'Sync code',
+    'sync.newCode': 'New code',
+    'sync.token': 'Server token (optional)',
+    'sync.save': 'Save and sync',
+    'sync.now': 'Sync now',
+    'sync.off': 'Sync is off.',
+    'sync.never': 'Not synced yet.',
+    'sync.syncing': 'Syncing…',
+    'sync.last': 'Last synced {time}',
+    'sync.pending': 'changes waiting',
+    'sync.offline': 'Offline. Sync resumes when you reconnect.',
+    'sync.offlinePending': 'Offline. Your changes are saved here and will sync when you reconnect.',
+    'sync.error': 'Sync failed: {error}',
+    'sync.err.http': 'the server answered {status}',
+    'sync.err.busy': 'other devices kept syncing at the same time; will retry',
+    'sync.help': 'Run brain_gym_sync_server.mjs on a machine your devices can reach, then enter the same address and code on each device.',
+    'sync.fresh': 'New progress arrived from your other device.',
+    'sync.show': 'Show it',
+
+    'games.title': 'Games',
+    'games.show': 'Show {game}',
+    'games.up': 'Move {game} up',
+    'games.down': 'Move {game} down',
+    'games.help': 'Hidden games keep their progress and still appear in the Daily Challenge.',
+    'routine.title': 'Routines',
+    'routine.warmup': 'Warm-up',
+    'routine.untitled': 'Routine',
+    'routine.total': '{min} min',
+    'routine.start': 'Start {name}',
+    'routine.edit': 'Edit {name}',
+    'routine.delete': 'Delete {name}',
+    'routine.deleteConfirm': 'Delete the routine “{name}”?',
+    'routine.busy': 'Finish or reset the current block first',
+    'routine.empty': 'No routines yet.',
+    'routine.new': 'New routine',
+    'routine.name': 'Routine name',
+    'routine.game': 'Game for step {n}',
+    'routine.minutes': 'Minutes for step {n}',
+    'routine.up': 'Move step {n} up',
+    'routine.down': 'Move step {n} down',
+    'routine.remove': 'Remove step {n}',
+    'routine.addStep': 'Add step',
+    'routine.save': 'Save routine',
+    'routine.step': 'Step {n}/{total}: {game}',
+    'routine.left': '{time} left',
+    'routine.next': 'next: {game}',
+    'routine.help': 'A routine runs as one Focus Block and opens each step’s game when the step starts. Pausing the timer pauses the routine.',
+
+    'challenge.best': 'Best days',
+    'challenge.none': 'No challenges played yet.',
+    'challenge.row': '{day} — {score} pts • {correct}/{total} • {time}',
+    'challenge.result': "Today's challenge: {score} pts",
+    'challenge.copy': 'Copy result',
+    'challenge.copied': 'Copied',
+    'challenge.tomorrow': 'Next challenge tomorrow.',
+    'challenge.title': 'Daily Challenge — {day}',
+    'challenge.intro': '{n} mixed rounds, the same for everyone today. One attempt: 100 points per correct round, plus up to 2 per second under {par} depending on accuracy.',
+    'challenge.round': 'Round {i}/{n} • {game}',
+    'challenge.share': 'BrainGym Daily {day}',
+
+    'review.empty': 'Nothing due today',
+    'review.emptyHelp': {
+      one: 'Missed {games} questions come back here on a spaced schedule. {n} item scheduled.',
+      other: 'Missed {games} questions come back here on a spaced schedule. {n} items scheduled.',
+    },
+    'review.status': '{game} • {due} due • seen correctly {reps}/{graduate}',
+    'review.correct': 'Correct.',
+    'review.wrong': 'Not quite — answer: {answer}',
+
+    'badges.count': '{n}/{total} unlocked',
+    'badges.unlocked': 'Unlocked {date}',
+    'ach.first-xp': 'First steps',
+    'ach.first-xp.desc': 'Earn your first XP',
+    'ach.xp-1000': 'Thousandaire',
+    'ach.xp-1000.desc': 'Earn {goal} XP in total',
+    'ach.level-10': 'Double digits',
+    'ach.level-10.desc': 'Reach level {goal}',
+    'ach.streak-7': 'Week on fire',
+    'ach.streak-7.desc': 'Train {goal} days in a row',
+    'ach.streak-30': 'Habit formed',
+    'ach.streak-30.desc': 'Train {goal} days in a row',
+    'ach.run-25': 'In the zone',
+    'ach.run-25.desc': '{goal} correct answers without a miss',
+    'ach.math-stage-4': 'Math stage 4',
+    'ach.math-stage-4.desc': 'Answer a Math question at stage {goal}',
+    'ach.pattern-4': 'Pattern master',
+    'ach.pattern-4.desc': 'Solve a Pattern at stage {goal}',
+    'ach.recall-8': 'Elephant memory',
+    'ach.recall-8.desc': 'Recall a sequence of length {goal}',
+    'ach.nback-3': 'Three back',
+    'ach.nback-3.desc': 'Reach {goal}-back with 80%+ accuracy',
+    'ach.words-long': 'Wordsmith',
+    'ach.words-long.desc': 'Unscramble a 6–7 letter word',
+    'ach.puzzle-clean': 'Clean sweep',
+    'ach.puzzle-clean.desc': 'Solve a {goal}-piece puzzle without a wrong Check',
+
+    'stats.range': '{n}d',
+    'stats.rangeAll': 'All',
+    'stats.empty': 'No answers logged in this range yet.',
+    'stats.game': 'Game',
+    'stats.answers': 'Answers',
+    'stats.accuracy': 'Accuracy',
+    'stats.median': 'Median',
+    'stats.trend': 'Speed trend',
+    'stats.rating': 'Rating',
+    'stats.faster': '{pct} faster',
+    'stats.slower': '{pct} slower',
+    'stats.focused': '{game} — click the row again for all games.',
+    'stats.all': 'All games — click a row to focus on one.',
+    'stats.medianMs': 'Median ms',
+    'stats.difficulty': 'Difficulty',
+    'stats.when': 'When you train (answers by weekday and hour)',
+    'stats.cell': { one: '{day} {hour} — {n} answer', other: '{day} {hour} — {n} answers' },
+    'stats.cellRight': '{pct} right',
+
+    'math.basic': 'Basic',
+    'math.fractions': 'Fractions',
+    'math.percent': 'Percent',
+    'math.order': 'Order of ops',
+    'math.roots': 'Squares & roots',
+    'math.estimate': 'Estimate',
+    'math.q.percentOf': '{p}% of {n} = ?',
+    'math.q.whatPercent': '{x} is what % of {y}?',
+    'math.q.increased': '{n} increased by {p}% = ?',
+    'math.q.decreased': '{n} decreased by {p}% = ?',
+    'math.q.estimate': '≈ {expr} (within 10%)',
+    'math.level': 'Math Level {level}',
+    'math.combo': 'Combo {n}',
+    'math.answerTo': 'Answer to {q}',
+    'math.tip': 'Tip: use the keypad; fractions like 3/4 and decimals like {decimal} both count.',
+
+    'recall.colors': 'Colors',
+    'recall.reverse': 'Reverse',
+    'recall.digits': 'Digits',
+    'recall.letters': 'Letters',
+    'recall.tones': 'Tones',
+    'recall.nback': 'N-back',
+    'recall.dual': 'Dual N-back',
+    'recall.speed': 'Speed',
+    'recall.msPerItem': '{n} ms/item',
+    'recall.tone': 'tone {n}',
+    'recall.hidden': 'hidden',
+    'recall.yourTurn': 'Your turn.',
+    'recall.round': 'Round {round}: {task}. Length {len} • Streak {streak} • Best {best}',
+    'recall.listen': 'listen',
+    'recall.memorize': 'memorize',
+    'recall.enterReverse': 'enter it in REVERSE order',
+    'recall.enter': 'enter the sequence',
+    'color.green': 'Green',
+    'color.orange': 'Orange',
+    'color.yellow': 'Yellow',
+    'color.pink': 'Pink',
+    'color.violet': 'Violet',
+    'color.cyan': 'Cyan',
+    'color.skyBlue': 'Sky blue',
+    'color.teal': 'Teal',
+    'color.blue': 'Blue',
+    'color.vermilion': 'Vermilion',
+
+    'nback.title': '{n}-back',
+    'nback.dual': '(position + sound)',
+    'nback.trial': 'trial {i}/{n}',
+    'nback.best': 'Best {n}-back',
+    'nback.position': 'Position (A)',
+    'nback.sound': 'Sound (L)',
+    'nback.result': '{n}-back: {pct}',
+    'nback.channel': '{channel} {hits} hit / {misses} missed / {falseAlarms} false',
+    'nback.ch.position': 'position',
+    'nback.ch.sound': 'sound',
+    'nback.help': {
+      one: 'Press when the {what} matches the one {n} step back. 80%+ moves you up a level.',
+      other: 'Press when the {what} matches the one {n} steps back. 80%+ moves you up a level.',
+    },
+    'nback.square': 'square',
+    'nback.squareOrTone': 'square or the tone',
+
+    'pattern.stage': 'Pattern stage {n}/5',
+    'pattern.next': 'Next',
+    'pattern.answer': 'Answer: {answer} — {rule}',
+    'rule.adds': 'Each term adds {n}.',
+    'rule.subtracts': 'Each term subtracts {n}.',
+    'rule.letters': { one: 'Each letter moves {n} place forward in the alphabet.', other: 'Each letter moves {n} places forward in the alphabet.' },
+    'rule.divided': 'Each term is divided by {n}.',
+    'rule.multiplied': 'Each term is multiplied by {n}.',
+    'rule.squaresPlus': 'Squares {a}², {b}², … plus {k}.',
+    'rule.squaresMinus': 'Squares {a}², {b}², … minus {k}.',
+    'rule.squares': 'Square numbers {a}², {b}², {c}², …',
+    'rule.alternating': 'Alternately add {a} and subtract {b}.',
+    'rule.fibonacci': 'Each term is the sum of the two before it.',
+    'rule.interleaved': 'Two sequences take turns: one adds {a}, the other subtracts {b}.',
+
+    'words.unscramble': 'Unscramble',
+    'words.findAll': 'Find all words',
+    'words.letters': '{range} letters',
+    'words.valid': '{n} valid answers',
+    'words.worth': 'worth {n}',
+    'words.hint': 'Hint (−2)',
+    'words.already': 'Already found “{word}”.',
+    'words.cantMake': '“{word}” can’t be made from these letters.',
+    'words.notInDict': '“{word}” isn’t in the dictionary.',
+    'words.bonus': 'Bonus word!',
+    'words.found': 'Found {n}/{total} words (3+ letters)',
+    'words.word': 'Word',
+    'words.newLetters': 'New letters',
+    'words.showAll': 'Show all',
+
+    'puzzle.swap': 'Swap',
+    'puzzle.slide': 'Sliding',
+    'puzzle.changeImage': 'Change Image',
+    'puzzle.yourPhoto': 'Your photo',
+    'puzzle.removePhoto': 'Remove photo',
+    'puzzle.photoError': 'Couldn’t save or remove the photo: this browser’s storage is unavailable or full.',
+    'puzzle.swapHelp': 'Rebuild the picture ({rows}×{cols}). Click two tiles to swap (or arrows + Enter), then Check.',
+    'puzzle.tile': 'Tile row {row}, column {col}',
+    'puzzle.tileSelected': 'Tile row {row}, column {col}, selected',
+    'puzzle.slideHelp': 'Slide tiles into the gap ({n}×{n}) — click or use the arrow keys.',
+    'puzzle.moves': 'Moves {n} • {time}',
+    'puzzle.tileN': 'Tile {n}',
+    'puzzle.tileHint': 'Tile {n}, hint: move this',
+    'puzzle.solved': { one: 'Solved in {n} move, {time}.', other: 'Solved in {n} moves, {time}.' },
+    'puzzle.hintOptimal': { one: 'Move the highlighted tile — {n} move from solved.', other: 'Move the highlighted tile — {n} moves from solved.' },
+    'puzzle.hintNear': 'Move the highlighted tile — solvable in about {n} moves from here.',
+    'puzzle.hintGuess': 'Move the highlighted tile (best guess; this board is too deep to search).',
+    'puzzle.hintThinking': 'Looking for a good move…',
+
+    'reaction.stroop': 'Stroop',
+    'reaction.gonogo': 'Go / No-go',
+    'reaction.choice': 'Choice',
+    'reaction.stroop.hint': 'Tap the INK colour, not the word. Keys 1–4.',
+    'reaction.gonogo.hint': 'Green: press Space or tap Go. Red: do nothing.',
+    'reaction.choice.hint': 'Press ← or → to match the arrow.',
+    'reaction.best': 'Best median {n} ms.',
+    'reaction.held': '✓ held',
+    'reaction.tooSlow': '✗ too slow',
+    'reaction.wrong': '✗ wrong',
+    'reaction.tooSoon': 'Too soon — wait for the stimulus',
+    'reaction.anticipation': 'Anticipation — react to what you see',
+    'reaction.summary': '{correct}/{total} correct • median {median} • {falseStarts}',
+    'reaction.falseStarts': { one: '{n} false start', other: '{n} false starts' },
+    'reaction.trial': 'Trial {i}/{n}',
+    'reaction.go': 'Go',
+    'reaction.stop': 'Stop',
+    'stroop.red': 'RED',
+    'stroop.green': 'GREEN',
+    'stroop.blue': 'BLUE',
+    'stroop.yellow': 'YELLOW',
+  },
+
+  es: {
+    'app.title': 'BrainGym — Entrenador de concentración y memoria',
+    'app.theme': 'Tema',
+    'app.language': 'Idioma',
+
+    'install.title': 'Instalar BrainGym',
+    'install.ios': 'En iPhone: toca {share} → {add} para instalar.',
+    'install.iosShare': 'Compartir',
+    'install.iosAdd': 'Añadir a pantalla de inicio',
+    'install.desktop': 'Instálala para usarla a pantalla completa y sin conexión. Sin App Store.',
+    'install.install': 'Instalar',
+    'install.later': 'Ahora no',
+
+    'pwa.offline': 'Sin conexión',
+    'pwa.offlineHint': 'Sin conexión. Puedes entrenar sin conexión; el progreso se guarda en este dispositivo.',
+    'pwa.updateReady': 'Hay una nueva versión de BrainGym lista.',
+    'pwa.reload': 'Recargar para actualizar',
+    'storage.full': 'El almacenamiento de este dispositivo está lleno y el progreso reciente no se ha guardado. Exporta una copia de seguridad y libera espacio en el navegador.',
+
+    'common.start': 'Empezar',
+    'common.again': 'Otra vez',
+    'common.next': 'Siguiente',
+    'common.submit': 'Enviar',
+    'common.check': 'Comprobar',
+    'common.clear': 'Borrar',
+    'common.close': 'Cerrar',
+    'common.cancel': 'Cancelar',
+    'common.delete': 'Eliminar',
+    'common.add': 'Añadir',
+    'common.answer': 'Respuesta',
+    'common.hint': 'Pista',
+    'common.shuffle': 'Mezclar',
+    'common.pts': '{n} pts',
+    'common.min': 'min',
+    'common.ms': '{n} ms',
+
+    'game.math': 'Cálculo',
+    'game.recall': 'Memoria',
+    'game.pattern': 'Patrones',
+    'game.anagram': 'Palabras',
+    'game.puzzle': 'Puzle',
+    'game.reaction': 'Reacción',
+    'tab.daily': 'Diario',
+    'tab.review': 'Repaso',
+    'tab.stats': 'Estadísticas',
+    'tab.badges': 'Insignias',
+
+    'focus.title': 'Bloque de concentración',
+    'focus.phase.work': 'Concentración',
+    'focus.phase.break': 'Pausa',
+    'focus.phase.long': 'Pausa larga',
+    'focus.block': 'Bloque {n}/{total}',
+    'focus.reset': 'Reiniciar',
+    'focus.skipBreak': 'Saltar pausa',
+    'focus.break': 'Pausa',
+    'focus.long': 'Larga',
+    'focus.every': 'cada',
+    'focus.today': { one: 'Hoy: {n} bloque • {min} min', other: 'Hoy: {n} bloques • {min} min' },
+    'progress.title': 'Progreso (últimos 30 días)',
+
+    'day.title': 'Estadísticas del día',
+    'day.level': 'Nivel',
+    'day.xpTotal': '{xp} XP en total',
+    'day.toLevel': '{xp} XP para el nivel {level}',
+    'day.streak': 'Racha de días',
+    'day.trainedToday': '✓ hoy ya entrenaste',
+    'day.keepStreak': 'entrena hoy para mantenerla',
+    'day.freezes': 'Congelaciones de racha ❄ {have}/{max} (una cada {every} días)',
+    'day.goal': 'Objetivo',
+    'day.xp': 'XP',
+    'day.min': 'Min',
+    'day.reviewDue': 'Repasos pendientes',
+
+    'announce.correct': 'Correcto, +{xp} XP.',
+    'announce.missedAnswer': 'Fallo. La respuesta era {answer}.',
+    'announce.missed': 'Fallo.',
+    'announce.achievement': 'Logro desbloqueado: {list}.',
+    'toast.title': 'Logro desbloqueado',
+    'toast.more': '+{n} más',
+
+    'summary.title': 'Resumen de la sesión',
+    'summary.line': 'Bloque de {min} min • {from}–{to} • {xp} XP',
+    'summary.noXp': 'Sin XP en este bloque',
+    'summary.improve': 'Para mejorar:',
+    'summary.issues': { one: '{n} fallo', other: '{n} fallos' },
+    'summary.clean': 'Sin fallos: bloque limpio',
+    'summary.routine': 'Rutina terminada: {name}',
+    'summary.noMisses': 'sin fallos',
+
+    'profile.deleteConfirm': '¿Eliminar «{name}» y todo su progreso?',
+    'profile.wrongPin': 'PIN incorrecto.',
+    'profile.pinSet': 'PIN configurado.',
+    'profile.pinRemoved': 'PIN eliminado.',
+    'profile.active': '(activo)',
+    'profile.deleteName': 'Eliminar {name}',
+    'profile.pinFor': 'PIN de {name}',
+    'profile.open': 'Abrir',
+    'profile.new': 'Nuevo perfil',
+    'profile.pin': 'PIN',
+    'profile.name': 'Nombre',
+    'profile.rename': 'Renombrar',
+    'profile.newPin': 'PIN nuevo (vacío lo quita)',
+    'profile.setPin': 'Poner un PIN (opcional)',
+
+    'seed.title': 'Semilla de la sesión: haz clic para repetir una semilla',
+    'seed.label': 'semilla {seed}',
+    'seed.aria': 'Semilla',
+    'seed.replay': 'Repetir',
+    'seed.new': 'Nueva',
+
+    'backup.title': 'Copia de seguridad',
+    'backup.import': 'Importar',
+    'backup.replaceConfirm': '¿Sustituir todo el progreso local por esta copia?',
+    'backup.imported': 'Importado. Recargando…',
+    'backup.from': { one: 'Copia del {date} • {n} día de XP', other: 'Copia del {date} • {n} días de XP' },
+    'backup.unknownDate': 'fecha desconocida',
+    'backup.skipped': 'Ilegible, se omitirá: {keys}',
+    'backup.merge': 'Combinar',
+    'backup.replace': 'Sustituir',
+    'backup.err.json': 'No es un archivo JSON.',
+    'backup.err.format': 'No es una copia de BrainGym.',
+    'backup.err.version': 'La versión {version} de la copia no es compatible.',
+    'backup.err.newer': 'La copia se hizo con un BrainGym más reciente; actualiza la aplicación primero.',
+    'backup.err.noData': 'La copia no tiene datos.',
+    'backup.err.unreadable': 'La copia no contiene datos legibles.',
+
+    'a11y.title': 'Accesibilidad',
+    'a11y.colorBlind': 'Apto para daltonismo',
+    'a11y.colorBlind.help': 'Memoria añade símbolos a una paleta apta para daltonismo; go/no-go usa formas',
+    'a11y.reducedMotion': 'Reducir movimiento',
+    'a11y.reducedMotion.help': 'Sin transiciones ni animación en los gráficos',
+    'a11y.highContrast': 'Alto contraste',
+    'a11y.highContrast.help': 'Fondo puro, texto a plena intensidad, bordes más gruesos',
+    'a11y.keys': 'Teclado: Alt+1…0 cambia de pestaña • las flechas recorren las cuadrículas • las teclas numéricas responden en Memoria.',
+
+    'skill.line': 'Nivel de habilidad {r} ± {rd}',
+    'skill.unrated': 'Nivel de habilidad: aún sin calcular',
+    'skill.help': 'Tu nivel cambia con cada respuesta, acertada o no, rápida o lenta. Las preguntas se eligen para que aciertes alrededor del {pct}.',
+
+    'sync.title': 'Sincronización',
+    'sync.enable': 'Sincronizar este perfil',
+    'sync.url': 'Dirección del servidor',
+    'sync.code': 'Código de sincronización',
+    'sync.newCode': 'Nuevo código',
+    'sync.token': 'Token del servidor (opcional)',
+    'sync.save': 'Guardar y sincronizar',
+    'sync.now': 'Sincronizar ahora',
+    'sync.off': 'La sincronización está desactivada.',
+    'sync.never': 'Aún no se ha sincronizado.',
+    'sync.syncing': 'Sincronizando…',
+    'sync.last': 'Última sincronización: {time}',
+    'sync.pending': 'cambios pendientes',
+    'sync.offline': 'Sin conexión. Se sincronizará al reconectar.',
+    'sync.offlinePending': 'Sin conexión. Tus cambios se guardan aquí y se sincronizarán al reconectar.',
+    'sync.error': 'Error al sincronizar: {error}',
+    'sync.err.http': 'el servidor respondió {status}',
+    'sync.err.busy': 'otros dispositivos estaban sincronizando a la vez; se reintentará',
+    'sync.help': 'Ejecuta brain_gym_sync_server.mjs en un equipo accesible desde tus dispositivos y usa la misma dirección y código en cada uno.',
+    'sync.fresh': 'Ha llegado progreso nuevo de tu otro dispositivo.',
+    'sync.show': 'Mostrar',
+
+    'games.title': 'Juegos',
+    'games.show': 'Mostrar {game}',
+    'games.up': 'Subir {game}',
+    'games.down': 'Bajar {game}',
+    'games.help': 'Los juegos ocultos conservan su progreso y siguen apareciendo en el Reto diario.',
+    'routine.title': 'Rutinas',
+    'routine.warmup': 'Calentamiento',
+    'routine.untitled': 'Rutina',
+    'routine.total': '{min} min',
+    'routine.start': 'Empezar {name}',
+    'routine.edit': 'Editar {name}',
+    'routine.delete': 'Eliminar {name}',
+    'routine.deleteConfirm': '¿Eliminar la rutina «{name}»?',
+    'routine.busy': 'Termina o reinicia primero el bloque actual',
+    'routine.empty': 'Aún no hay rutinas.',
+    'routine.new': 'Nueva rutina',
+    'routine.name': 'Nombre de la rutina',
+    'routine.game': 'Juego del paso {n}',
+    'routine.minutes': 'Minutos del paso {n}',
+    'routine.up': 'Subir el paso {n}',
+    'routine.down': 'Bajar el paso {n}',
+    'routine.remove': 'Quitar el paso {n}',
+    'routine.addStep': 'Añadir paso',
+    'routine.save': 'Guardar rutina',
+    'routine.step': 'Paso {n}/{total}: {game}',
+    'routine.left': 'quedan {time}',
+    'routine.next': 'después: {game}',
+    'routine.help': 'Una rutina se ejecuta como un bloque de concentración y abre el juego de cada paso cuando empieza. Al pausar el temporizador se pausa la rutina.',
+
+    'challenge.best': 'Mejores días',
+    'challenge.none': 'Aún no has jugado ningún reto.',
+    'challenge.row': '{day} — {score} pts • {correct}/{total} • {time}',
+    'challenge.result': 'Reto de hoy: {score} pts',
+    'challenge.copy': 'Copiar resultado',
+    'challenge.copied': 'Copiado',
+    'challenge.tomorrow': 'Próximo reto mañana.',
+    'challenge.title': 'Reto diario — {day}',
+    'challenge.intro': '{n} rondas variadas, las mismas para todos hoy. Un intento: 100 puntos por ronda correcta, más hasta 2 por segundo por debajo de {par} según la precisión.',
+    'challenge.round': 'Ronda {i}/{n} • {game}',
+    'challenge.share': 'BrainGym Diario {day}',
+
+    'review.empty': 'Nada pendiente hoy',
+    'review.emptyHelp': {
+      one: 'Las preguntas falladas de {games} vuelven aquí de forma espaciada. {n} elemento programado.',
+      other: 'Las preguntas falladas de {games} vuelven aquí de forma espaciada. {n} elementos programados.',
+    },
+    'review.status': '{game} • {due} pendientes • aciertos seguidos {reps}/{graduate}',
+    'review.correct': 'Correcto.',
+    'review.wrong': 'No exactamente; respuesta: {answer}',
+
+    'badges.count': '{n}/{total} desbloqueadas',
+    'badges.unlocked': 'Desbloqueada el {date}',
+    'ach.first-xp': 'Primeros pasos',
+    'ach.first-xp.desc': 'Consigue tu primer XP',
+    'ach.xp-1000': 'Milenario',
+    'ach.xp-1000.desc': 'Consigue {goal} XP en total',
+    'ach.level-10': 'Dos cifras',
+    'ach.level-10.desc': 'Llega al nivel {goal}',
+    'ach.streak-7': 'Semana en racha',
+    'ach.streak-7.desc': 'Entrena {goal} días seguidos',
+    'ach.streak-30': 'Hábito creado',
+    'ach.streak-30.desc': 'Entrena {goal} días seguidos',
+    'ach.run-25': 'En la zona',
+    'ach.run-25.desc': '{goal} respuestas correctas sin fallar',
+    'ach.math-stage-4': 'Cálculo nivel 4',
+    'ach.math-stage-4.desc': 'Responde una pregunta de Cálculo en el nivel {goal}',
+    'ach.pattern-4': 'Maestro de patrones',
+    'ach.pattern-4.desc': 'Resuelve un patrón en el nivel {goal}',
+    'ach.recall-8': 'Memoria de elefante',
+    'ach.recall-8.desc': 'Recuerda una secuencia de longitud {goal}',
+    'ach.nback-3': 'Tres atrás',
+    'ach.nback-3.desc': 'Llega a {goal}-back con un 80 % o más de precisión',
+    'ach.words-long': 'Orfebre de palabras',
+    'ach.words-long.desc': 'Ordena una palabra de 6–7 letras',
+    'ach.puzzle-clean': 'Sin errores',
+    'ach.puzzle-clean.desc': 'Resuelve un puzle de {goal} piezas sin comprobar en falso',
+
+    'stats.range': '{n} d',
+    'stats.rangeAll': 'Todo',
+    'stats.empty': 'Aún no hay respuestas registradas en este periodo.',
+    'stats.game': 'Juego',
+    'stats.answers': 'Respuestas',
+    'stats.accuracy': 'Precisión',
+    'stats.median': 'Mediana',
+    'stats.trend': 'Tendencia',
+    'stats.rating': 'Nivel',
+    'stats.faster': '{pct} más rápido',
+    'stats.slower': '{pct} más lento',
+    'stats.focused': '{game}: vuelve a hacer clic en la fila para ver todos los juegos.',
+    'stats.all': 'Todos los juegos: haz clic en una fila para centrarte en uno.',
+    'stats.medianMs': 'Mediana (ms)',
+    'stats.difficulty': 'Dificultad',
+    'stats.when': 'Cuándo entrenas (respuestas por día de la semana y hora)',
+    'stats.cell': { one: '{day} {hour} — {n} respuesta', other: '{day} {hour} — {n} respuestas' },
+    'stats.cellRight': '{pct} correctas',
+
+    'math.basic': 'Básico',
+    'math.fractions': 'Fracciones',
+    'math.percent': 'Porcentajes',
+    'math.order': 'Jerarquía de operaciones',
+    'math.roots': 'Cuadrados y raíces',
+    'math.estimate': 'Estimación',
+    'math.q.percentOf': '{p} % de {n} = ?',
+    'math.q.whatPercent': '¿Qué % de {y} es {x}?',
+    'math.q.increased': '{n} aumentado un {p} % = ?',
+    'math.q.decreased': '{n} reducido un {p} % = ?',
+    'math.q.estimate': '≈ {expr} (margen del 10 %)',
+    'math.level': 'Nivel de cálculo {level}',
+    'math.combo': 'Combo {n}',
+    'math.answerTo': 'Respuesta a {q}',
+    'math.tip': 'Consejo: usa el teclado; valen fracciones como 3/4 y decimales como {decimal}.',
+
+    'recall.colors': 'Colores',
+    'recall.reverse': 'Al revés',
+    'recall.digits': 'Dígitos',
+    'recall.letters': 'Letras',
+    'recall.tones': 'Tonos',
+    'recall.nback': 'N-back',
+    'recall.dual': 'N-back dual',
+    'recall.speed': 'Velocidad',
+    'recall.msPerItem': '{n} ms/elemento',
+    'recall.tone': 'tono {n}',
+    'recall.hidden': 'oculto',
+    'recall.yourTurn': 'Tu turno.',
+    'recall.round': 'Ronda {round}: {task}. Longitud {len} • Racha {streak} • Récord {best}',
+    'recall.listen': 'escucha',
+    'recall.memorize': 'memoriza',
+    'recall.enterReverse': 'introdúcela en orden INVERSO',
+    'recall.enter': 'introduce la secuencia',
+    'color.green': 'Verde',
+    'color.orange': 'Naranja',
+    'color.yellow': 'Amarillo',
+    'color.pink': 'Rosa',
+    'color.violet': 'Violeta',
+    'color.cyan': 'Cian',
+    'color.skyBlue': 'Azul cielo',
+    'color.teal': 'Verde azulado',
+    'color.blue': 'Azul',
+    'color.vermilion': 'Bermellón',
+
+    'nback.title': '{n}-back',
+    'nback.dual': '(posición + sonido)',
+    'nback.trial': 'ensayo {i}/{n}',
+    'nback.best': 'Récord {n}-back',
+    'nback.position': 'Posición (A)',
+    'nback.sound': 'Sonido (L)',
+    'nback.result': '{n}-back: {pct}',
+    'nback.channel': '{channel}: {hits} aciertos / {misses} omitidos / {falseAlarms} falsos',
+    'nback.ch.position': 'posición',
+    'nback.ch.sound': 'sonido',
+    'nback.help': {
+      one: 'Pulsa cuando el {what} coincida con el de {n} paso atrás. Con un 80 % o más subes de nivel.',
+      other: 'Pulsa cuando el {what} coincida con el de {n} pasos atrás. Con un 80 % o más subes de nivel.',
+    },
+    'nback.square': 'cuadrado',
+    'nback.squareOrTone': 'cuadrado o el tono',
+
+    'pattern.stage': 'Patrones nivel {n}/5',
+    'pattern.next': 'Siguiente',
+    'pattern.answer': 'Respuesta: {answer} — {rule}',
+    'rule.adds': 'Cada término suma {n}.',
+    'rule.subtracts': 'Cada término resta {n}.',
+    'rule.letters': { one: 'Cada letra avanza {n} posición en el alfabeto.', other: 'Cada letra avanza {n} posiciones en el alfabeto.' },
+    'rule.divided': 'Cada término se divide entre {n}.',
+    'rule.multiplied': 'Cada término se multiplica por {n}.',
+    'rule.squaresPlus': 'Cuadrados {a}², {b}², … más {k}.',
+    'rule.squaresMinus': 'Cuadrados {a}², {b}², … menos {k}.',
+    'rule.squares': 'Números cuadrados {a}², {b}², {c}², …',
+    'rule.alternating': 'Alterna sumar {a} y restar {b}.',
+    'rule.fibonacci': 'Cada término es la suma de los dos anteriores.',
+    'rule.interleaved': 'Dos secuencias se turnan: una suma {a}, la otra resta {b}.',
+
+    'words.unscramble': 'Desordenadas',
+    'words.findAll': 'Todas las palabras',
+    'words.letters': '{range} letras',
+    'words.valid': '{n} respuestas válidas',
+    'words.worth': 'vale {n}',
+    'words.hint': 'Pista (−2)',
+    'words.already': 'Ya encontraste «{word}».',
+    'words.cantMake': '«{word}» no se puede formar con estas letras.',
+    'words.notInDict': '«{word}» no está en el diccionario.',
+    'words.bonus': '¡Palabra extra!',
+    'words.found': 'Encontradas {n}/{total} palabras (3+ letras)',
+    'words.word': 'Palabra',
+    'words.newLetters': 'Letras nuevas',
+    'words.showAll': 'Mostrar todas',
+
+    'puzzle.swap': 'Intercambio',
+    'puzzle.slide': 'Deslizante',
+    'puzzle.changeImage': 'Cambiar imagen',
+    'puzzle.yourPhoto': 'Tu foto',
+    'puzzle.removePhoto': 'Quitar foto',
+    'puzzle.photoError': 'No se pudo guardar ni quitar la foto: el almacenamiento del navegador no está disponible o está lleno.',
+    'puzzle.swapHelp': 'Recompón la imagen ({rows}×{cols}). Haz clic en dos piezas para intercambiarlas (o flechas + Intro) y luego Comprobar.',
+    'puzzle.tile': 'Pieza fila {row}, columna {col}',
+    'puzzle.tileSelected': 'Pieza fila {row}, columna {col}, seleccionada',
+    'puzzle.slideHelp': 'Desliza las piezas al hueco ({n}×{n}): haz clic o usa las flechas.',
+    'puzzle.moves': 'Movimientos {n} • {time}',
+    'puzzle.tileN': 'Pieza {n}',
+    'puzzle.tileHint': 'Pieza {n}, pista: muévela',
+    'puzzle.solved': { one: 'Resuelto en {n} movimiento, {time}.', other: 'Resuelto en {n} movimientos, {time}.' },
+    'puzzle.hintOptimal': { one: 'Mueve la pieza resaltada: falta {n} movimiento.', other: 'Mueve la pieza resaltada: faltan {n} movimientos.' },
+    'puzzle.hintNear': 'Mueve la pieza resaltada: se resuelve en unos {n} movimientos desde aquí.',
+    'puzzle.hintGuess': 'Mueve la pieza resaltada (mejor estimación; este tablero es demasiado profundo para buscar).',
+    'puzzle.hintThinking': 'Buscando un buen movimiento…',
+
+    'reaction.stroop': 'Stroop',
+    'reaction.gonogo': 'Go / No-go',
+    'reaction.choice': 'Elección',
+    'reaction.stroop.hint': 'Toca el color de la TINTA, no la palabra. Teclas 1–4.',
+    'reaction.gonogo.hint': 'Verde: pulsa Espacio o toca Ya. Rojo: no hagas nada.',
+    'reaction.choice.hint': 'Pulsa ← o → según la flecha.',
+    'reaction.best': 'Mejor mediana {n} ms.',
+    'reaction.held': '✓ aguantado',
+    'reaction.tooSlow': '✗ demasiado lento',
+    'reaction.wrong': '✗ incorrecto',
+    'reaction.tooSoon': 'Demasiado pronto: espera al estímulo',
+    'reaction.anticipation': 'Anticipación: reacciona a lo que ves',
+    'reaction.summary': '{correct}/{total} correctas • mediana {median} • {falseStarts}',
+    'reaction.falseStarts': { one: '{n} salida en falso', other: '{n} salidas en falso' },
+    'reaction.trial': 'Ensayo {i}/{n}',
+    'reaction.go': 'Ya',
+    'reaction.stop': 'Alto',
+    'stroop.red': 'ROJO',
+    'stroop.green': 'VERDE',
+    'stroop.blue': 'AZUL',
+    'stroop.yellow': 'AMARILLO',
+  },
+
+  de: {
+    'app.title': 'BrainGym — Fokus- & Gedächtnistrainer',
+    'app.theme': 'Design',
+    'app.language': 'Sprache',
+
+    'install.title': 'BrainGym installieren',
+    'install.ios': 'Auf dem iPhone: {share} → {add} tippen, um zu installieren.',
+    'install.iosShare': 'Teilen',
+    'install.iosAdd': 'Zum Home-Bildschirm',
+    'install.desktop': 'Installieren für Vollbild & Offline-Nutzung. Kein App Store nötig.',
+    'install.install': 'Installieren',
+    'install.later': 'Nicht jetzt',
+
+    'pwa.offline': 'Offline',
+    'pwa.offlineHint': 'Keine Verbindung. Training funktioniert offline; der Fortschritt wird auf diesem Gerät gespeichert.',
+    'pwa.updateReady': 'Eine neue Version von BrainGym ist bereit.',
+    'pwa.reload': 'Neu laden zum Aktualisieren',
+    'storage.full': 'Der Speicher auf diesem Gerät ist voll, daher wurde der letzte Fortschritt nicht gespeichert. Exportiere eine Sicherung und gib im Browser Speicherplatz frei.',
+
+    'common.start': 'Start',
+    'common.again': 'Nochmal',
+    'common.next': 'Weiter',
+    'common.submit': 'Senden',
+    'common.check': 'Prüfen',
+    'common.clear': 'Löschen',
+    'common.close': 'Schließen',
+    'common.cancel': 'Abbrechen',
+    'common.delete': 'Löschen',
+    'common.add': 'Hinzufügen',
+    'common.answer': 'Antwort',
+    'common.hint': 'Tipp',
+    'common.shuffle': 'Mischen',
+    'common.pts': '{n} Pkt.',
+    'common.min': 'Min.',
+    'common.ms': '{n} ms',
+
+    'game.math': 'Rechnen',
+    'game.recall': 'Merken',
+    'game.pattern': 'Muster',
+    'game.anagram': 'Wörter',
+    'game.puzzle': 'Puzzle',
+    'game.reaction': 'Reaktion',
+    'tab.daily': 'Täglich',
+    'tab.review': 'Wiederholen',
+    'tab.stats': 'Statistik',
+    'tab.badges': 'Abzeichen',
+
+    'focus.title': 'Fokusblock',
+    'focus.phase.work': 'Fokus',
+    'focus.phase.break': 'Pause',
+    'focus.phase.long': 'Lange Pause',
+    'focus.block': 'Block {n}/{total}',
+    'focus.reset': 'Zurücksetzen',
+    'focus.skipBreak': 'Pause überspringen',
+    'focus.break': 'Pause',
+    'focus.long': 'Lang',
+    'focus.every': 'alle',
+    'focus.today': { one: 'Heute: {n} Block • {min} Min.', other: 'Heute: {n} Blöcke • {min} Min.' },
+    'progress.title': 'Fortschritt (letzte 30 Tage)',
+
+    'day.title': 'Tagesstatistik',
+    'day.level': 'Level',
+    'day.xpTotal': '{xp} XP gesamt',
+    'day.toLevel': 'Noch {xp} XP bis Level {level}',
+    'day.streak': 'Tagesserie',
+    'day.trainedToday': '✓ heute trainiert',
+    'day.keepStreak': 'heute trainieren, um sie zu halten',
+    'day.freezes': 'Serienschutz ❄ {have}/{max} (einer alle {every} Tage)',
+    'day.goal': 'Ziel',
+    'day.xp': 'XP',
+    'day.min': 'Min.',
+    'day.reviewDue': 'Fällige Wiederholungen',
+
+    'announce.correct': 'Richtig, +{xp} XP.',
+    'announce.missedAnswer': 'Daneben. Die Antwort war {answer}.',
+    'announce.missed': 'Daneben.',
+    'announce.achievement': 'Erfolg freigeschaltet: {list}.',
+    'toast.title': 'Erfolg freigeschaltet',
+    'toast.more': '+{n} weitere',
+
+    'summary.title': 'Sitzungsübersicht',
+    'summary.line': '{min}-Min.-Block • {from}–{to} • {xp} XP',
+    'summary.noXp': 'Keine XP in diesem Block',
+    'summary.improve': 'Verbesserungspotenzial:',
+    'summary.issues': { one: '{n} Fehler', other: '{n} Fehler' },
+    'summary.clean': 'Keine Fehler — sauberer Block',
+    'summary.routine': 'Routine beendet: {name}',
+    'summary.noMisses': 'keine Fehler',
+
+    'profile.deleteConfirm': '„{name}“ und den gesamten Fortschritt löschen?',
+    'profile.wrongPin': 'Falsche PIN.',
+    'profile.pinSet': 'PIN gesetzt.',
+    'profile.pinRemoved': 'PIN entfernt.',
+    'profile.active': '(aktiv)',
+    'profile.deleteName': '{name} löschen',
+    'profile.pinFor': 'PIN für {name}',
+    'profile.open': 'Öffnen',
+    'profile.new': 'Neues Profil',
+    'profile.pin': 'PIN',
+    'profile.name': 'Name',
+    'profile.rename': 'Umbenennen',
+    'profile.newPin': 'Neue PIN (leer entfernt)',
+    'profile.setPin': 'PIN festlegen (optional)',
+
+    'seed.title': 'Sitzungs-Seed — klicken, um einen Seed erneut zu spielen',
+    'seed.label': 'Seed {seed}',
+    'seed.aria': 'Seed',
+    'seed.replay': 'Abspielen',
+    'seed.new': 'Neu',
+
+    'backup.title': 'Sicherung',
+    'backup.import': 'Importieren',
+    'backup.replaceConfirm': 'Gesamten lokalen Fortschritt durch diese Sicherung ersetzen?',
+    'backup.imported': 'Importiert. Wird neu geladen…',
+    'backup.from': { one: 'Sicherung vom {date} • {n} Tag XP', other: 'Sicherung vom {date} • {n} Tage XP' },
+    'backup.unknownDate': 'unbekanntes Datum',
+    'backup.skipped': 'Unlesbar, wird übersprungen: {keys}',
+    'backup.merge': 'Zusammenführen',
+    'backup.replace': 'Ersetzen',
+    'backup.err.json': 'Keine JSON-Datei.',
+    'backup.err.format': 'Keine BrainGym-Sicherung.',
+    'backup.err.version': 'Sicherungsversion {version} wird nicht unterstützt.',
+    'backup.err.newer': 'Die Sicherung stammt von einer neueren BrainGym-Version; bitte zuerst die App aktualisieren.',
+    'backup.err.noData': 'Die Sicherung enthält keine Daten.',
+    'backup.err.unreadable': 'Die Sicherung enthält keine lesbaren Daten.',
+
+    'a11y.title': 'Barrierefreiheit',
+    'a11y.colorBlind': 'Farbenblind-sicher',
+    'a11y.colorBlind.help': 'Merken ergänzt eine farbenblind-sichere Palette um Symbole; Go/No-go nutzt Formen',
+    'a11y.reducedMotion': 'Bewegung reduzieren',
+    'a11y.reducedMotion.help': 'Keine Übergänge oder Diagramm-Animationen',
+    'a11y.highContrast': 'Hoher Kontrast',
+    'a11y.highContrast.help': 'Reiner Hintergrund, volle Textstärke, dickere Rahmen',
+    'a11y.keys': 'Tastatur: Alt+1…0 wechselt Tabs • Pfeiltasten bewegen sich in Kachelrastern • Zifferntasten antworten bei Merken.',
+
+    'skill.line': 'Wertung {r} ± {rd}',
+    'skill.unrated': 'Wertung: noch keine',
+    'skill.help': 'Deine Wertung ändert sich mit jeder Antwort, richtig oder falsch, schnell oder langsam. Fragen werden so gewählt, dass du etwa {pct} richtig hast.',
+
+    'sync.title': 'Synchronisierung',
+    'sync.enable': 'Dieses Profil synchronisieren',
+    'sync.url': 'Adresse des Sync-Servers',
+    'sync.code': 'Sync-Code',
+    'sync.newCode': 'Neuer Code',
+    'sync.token': 'Server-Token (optional)',
+    'sync.save': 'Speichern und synchronisieren',
+    'sync.now': 'Jetzt synchronisieren',
+    'sync.off': 'Synchronisierung ist aus.',
+    'sync.never': 'Noch nicht synchronisiert.',
+    'sync.syncing': 'Synchronisiere…',
+    'sync.last': 'Zuletzt synchronisiert {time}',
+    'sync.pending': 'Änderungen ausstehend',
+    'sync.offline': 'Offline. Die Synchronisierung läuft weiter, sobald du wieder online bist.',
+    'sync.offlinePending': 'Offline. Deine Änderungen sind hier gespeichert und werden synchronisiert, sobald du wieder online bist.',
+    'sync.error': 'Synchronisierung fehlgeschlagen: {error}',
+    'sync.err.http': 'der Server antwortete {status}',
+    'sync.err.busy': 'andere Geräte haben gleichzeitig synchronisiert; neuer Versuch folgt',
+    'sync.help': 'Starte brain_gym_sync_server.mjs auf einem Rechner, den deine Geräte erreichen, und gib auf jedem Gerät dieselbe Adresse und denselben Code ein.',
+    'sync.fresh': 'Neuer Fortschritt von deinem anderen Gerät ist da.',
+    'sync.show': 'Anzeigen',
+
+    'games.title': 'Spiele',
+    'games.show': '{game} anzeigen',
+    'games.up': '{game} nach oben',
+    'games.down': '{game} nach unten',
+    'games.help': 'Ausgeblendete Spiele behalten ihren Fortschritt und kommen weiterhin in der täglichen Challenge vor.',
+    'routine.title': 'Routinen',
+    'routine.warmup': 'Aufwärmen',
+    'routine.untitled': 'Routine',
+    'routine.total': '{min} Min.',
+    'routine.start': '{name} starten',
+    'routine.edit': '{name} bearbeiten',
+    'routine.delete': '{name} löschen',
+    'routine.deleteConfirm': 'Routine „{name}“ löschen?',
+    'routine.busy': 'Beende oder setze zuerst den laufenden Block zurück',
+    'routine.empty': 'Noch keine Routinen.',
+    'routine.new': 'Neue Routine',
+    'routine.name': 'Name der Routine',
+    'routine.game': 'Spiel für Schritt {n}',
+    'routine.minutes': 'Minuten für Schritt {n}',
+    'routine.up': 'Schritt {n} nach oben',
+    'routine.down': 'Schritt {n} nach unten',
+    'routine.remove': 'Schritt {n} entfernen',
+    'routine.addStep': 'Schritt hinzufügen',
+    'routine.save': 'Routine speichern',
+    'routine.step': 'Schritt {n}/{total}: {game}',
+    'routine.left': 'noch {time}',
+    'routine.next': 'danach: {game}',
+    'routine.help': 'Eine Routine läuft als ein Fokusblock und öffnet zu Beginn jedes Schritts dessen Spiel. Pausiert der Timer, pausiert auch die Routine.',
+
+    'challenge.best': 'Beste Tage',
+    'challenge.none': 'Noch keine Challenges gespielt.',
+    'challenge.row': '{day} — {score} Pkt. • {correct}/{total} • {time}',
+    'challenge.result': 'Heutige Challenge: {score} Pkt.',
+    'challenge.copy': 'Ergebnis kopieren',
+    'challenge.copied': 'Kopiert',
+    'challenge.tomorrow': 'Nächste Challenge morgen.',
+    'challenge.title': 'Tägliche Challenge — {day}',
+    'challenge.intro': '{n} gemischte Runden, heute für alle gleich. Ein Versuch: 100 Punkte pro richtiger Runde, dazu je nach Genauigkeit bis zu 2 pro Sekunde unter {par}.',
+    'challenge.round': 'Runde {i}/{n} • {game}',
+    'challenge.share': 'BrainGym Täglich {day}',
+
+    'review.empty': 'Heute nichts fällig',
+    'review.emptyHelp': {
+      one: 'Verpasste Fragen aus {games} kommen hier in wachsenden Abständen wieder. {n} Eintrag geplant.',
+      other: 'Verpasste Fragen aus {games} kommen hier in wachsenden Abständen wieder. {n} Einträge geplant.',
+    },
+    'review.status': '{game} • {due} fällig • richtig in Folge {reps}/{graduate}',
+    'review.correct': 'Richtig.',
+    'review.wrong': 'Nicht ganz — Antwort: {answer}',
+
+    'badges.count': '{n}/{total} freigeschaltet',
+    'badges.unlocked': 'Freigeschaltet am {date}',
+    'ach.first-xp': 'Erste Schritte',
+    'ach.first-xp.desc': 'Verdiene deine ersten XP',
+    'ach.xp-1000': 'Tausender',
+    'ach.xp-1000.desc': 'Verdiene insgesamt {goal} XP',
+    'ach.level-10': 'Zweistellig',
+    'ach.level-10.desc': 'Erreiche Level {goal}',
+    'ach.streak-7': 'Woche in Flammen',
+    'ach.streak-7.desc': 'Trainiere {goal} Tage in Folge',
+    'ach.streak-30': 'Gewohnheit',
+    'ach.streak-30.desc': 'Trainiere {goal} Tage in Folge',
+    'ach.run-25': 'Im Flow',
+    'ach.run-25.desc': '{goal} richtige Antworten ohne Fehler',
+    'ach.math-stage-4': 'Rechnen Stufe 4',
+    'ach.math-stage-4.desc': 'Beantworte eine Rechenaufgabe auf Stufe {goal}',
+    'ach.pattern-4': 'Mustermeister',
+    'ach.pattern-4.desc': 'Löse ein Muster auf Stufe {goal}',
+    'ach.recall-8': 'Elefantengedächtnis',
+    'ach.recall-8.desc': 'Merke dir eine Folge der Länge {goal}',
+    'ach.nback-3': 'Drei zurück',
+    'ach.nback-3.desc': 'Erreiche {goal}-back mit mindestens 80 % Genauigkeit',
+    'ach.words-long': 'Wortschmied',
+    'ach.words-long.desc': 'Entwirre ein Wort mit 6–7 Buchstaben',
+    'ach.puzzle-clean': 'Weiße Weste',
+    'ach.puzzle-clean.desc': 'Löse ein {goal}-teiliges Puzzle ohne falsches Prüfen',
+
+    'stats.range': '{n} T',
+    'stats.rangeAll': 'Alle',
+    'stats.empty': 'In diesem Zeitraum wurden noch keine Antworten erfasst.',
+    'stats.game': 'Spiel',
+    'stats.answers': 'Antworten',
+    'stats.accuracy': 'Genauigkeit',
+    'stats.median': 'Median',
+    'stats.trend': 'Tempotrend',
+    'stats.rating': 'Wertung',
+    'stats.faster': '{pct} schneller',
+    'stats.slower': '{pct} langsamer',
+    'stats.focused': '{game} — Zeile erneut anklicken für alle Spiele.',
+    'stats.all': 'Alle Spiele — eine Zeile anklicken, um ein Spiel zu zeigen.',
+    'stats.medianMs': 'Median (ms)',
+    'stats.difficulty': 'Schwierigkeit',
+    'stats.when': 'Wann du trainierst (Antworten nach Wochentag und Uhrzeit)',
+    'stats.cell': { one: '{day} {hour} — {n} Antwort', other: '{day} {hour} — {n} Antworten' },
+    'stats.cellRight': '{pct} richtig',
+
+    'math.basic': 'Grundlagen',
+    'math.fractions': 'Brüche',
+    'math.percent': 'Prozent',
+    'math.order': 'Punkt vor Strich',
+    'math.roots': 'Quadrate & Wurzeln',
+    'math.estimate': 'Schätzen',
+    'math.q.percentOf': '{p} % von {n} = ?',
+    'math.q.whatPercent': '{x} sind wie viel % von {y}?',
+    'math.q.increased': '{n} um {p} % erhöht = ?',
+    'math.q.decreased': '{n} um {p} % verringert = ?',
+    'math.q.estimate': '≈ {expr} (auf 10 % genau)',
+    'math.level': 'Rechen-Level {level}',
+    'math.combo': 'Combo {n}',
+    'math.answerTo': 'Antwort auf {q}',
+    'math.tip': 'Tipp: Nutze das Tastenfeld; Brüche wie 3/4 und Dezimalzahlen wie {decimal} zählen beide.',
+
+    'recall.colors': 'Farben',
+    'recall.reverse': 'Rückwärts',
+    'recall.digits': 'Ziffern',
+    'recall.letters': 'Buchstaben',
+    'recall.tones': 'Töne',
+    'recall.nback': 'N-back',
+    'recall.dual': 'Dual-N-back',
+    'recall.speed': 'Tempo',
+    'recall.msPerItem': '{n} ms/Element',
+    'recall.tone': 'Ton {n}',
+    'recall.hidden': 'verdeckt',
+    'recall.yourTurn': 'Du bist dran.',
+    'recall.round': 'Runde {round}: {task}. Länge {len} • Serie {streak} • Bestwert {best}',
+    'recall.listen': 'zuhören',
+    'recall.memorize': 'einprägen',
+    'recall.enterReverse': 'in UMGEKEHRTER Reihenfolge eingeben',
+    'recall.enter': 'Folge eingeben',
+    'color.green': 'Grün',
+    'color.orange': 'Orange',
+    'color.yellow': 'Gelb',
+    'color.pink': 'Rosa',
+    'color.violet': 'Violett',
+    'color.cyan': 'Cyan',
+    'color.skyBlue': 'Himmelblau',
+    'color.teal': 'Blaugrün',
+    'color.blue': 'Blau',
+    'color.vermilion': 'Zinnoberrot',
+
+    'nback.title': '{n}-back',
+    'nback.dual': '(Position + Ton)',
+    'nback.trial': 'Durchgang {i}/{n}',
+    'nback.best': 'Bestwert {n}-back',
+    'nback.position': 'Position (A)',
+    'nback.sound': 'Ton (L)',
+    'nback.result': '{n}-back: {pct}',
+    'nback.channel': '{channel}: {hits} Treffer / {misses} verpasst / {falseAlarms} falsch',
+    'nback.ch.position': 'Position',
+    'nback.ch.sound': 'Ton',
+    'nback.help': {
+      one: 'Drücke, wenn {what} dem von vor {n} Schritt entspricht. Ab 80 % steigst du ein Level auf.',
+      other: 'Drücke, wenn {what} dem von vor {n} Schritten entspricht. Ab 80 % steigst du ein Level auf.',
+    },
+    'nback.square': 'das Feld',
+    'nback.squareOrTone': 'das Feld oder der Ton',
+
+    'pattern.stage': 'Muster Stufe {n}/5',
+    'pattern.next': 'Nächstes',
+    'pattern.answer': 'Antwort: {answer} — {rule}',
+    'rule.adds': 'Jedes Glied addiert {n}.',
+    'rule.subtracts': 'Jedes Glied subtrahiert {n}.',
+    'rule.letters': { one: 'Jeder Buchstabe rückt {n} Stelle im Alphabet vor.', other: 'Jeder Buchstabe rückt {n} Stellen im Alphabet vor.' },
+    'rule.divided': 'Jedes Glied wird durch {n} geteilt.',
+    'rule.multiplied': 'Jedes Glied wird mit {n} multipliziert.',
+    'rule.squaresPlus': 'Quadrate {a}², {b}², … plus {k}.',
+    'rule.squaresMinus': 'Quadrate {a}², {b}², … minus {k}.',
+    'rule.squares': 'Quadratzahlen {a}², {b}², {c}², …',
+    'rule.alternating': 'Abwechselnd {a} addieren und {b} subtrahieren.',
+    'rule.fibonacci': 'Jedes Glied ist die Summe der beiden davor.',
+    'rule.interleaved': 'Zwei Folgen wechseln sich ab: eine addiert {a}, die andere subtrahiert {b}.',
+
+    'words.unscramble': 'Entwirren',
+    'words.findAll': 'Alle Wörter finden',
+    'words.letters': '{range} Buchstaben',
+    'words.valid': '{n} gültige Antworten',
+    'words.worth': 'Wert {n}',
+    'words.hint': 'Tipp (−2)',
+    'words.already': '„{word}“ schon gefunden.',
+    'words.cantMake': '„{word}“ lässt sich aus diesen Buchstaben nicht bilden.',
+    'words.notInDict': '„{word}“ steht nicht im Wörterbuch.',
+    'words.bonus': 'Bonuswort!',
+    'words.found': '{n}/{total} Wörter gefunden (3+ Buchstaben)',
+    'words.word': 'Wort',
+    'words.newLetters': 'Neue Buchstaben',
+    'words.showAll': 'Alle zeigen',
+
+    'puzzle.swap': 'Tauschen',
+    'puzzle.slide': 'Schieben',
+    'puzzle.changeImage': 'Bild wechseln',
+    'puzzle.yourPhoto': 'Eigenes Foto',
+    'puzzle.removePhoto': 'Foto entfernen',
+    'puzzle.photoError': 'Das Foto konnte nicht gespeichert oder entfernt werden: Der Browserspeicher ist nicht verfügbar oder voll.',
+    'puzzle.swapHelp': 'Setze das Bild wieder zusammen ({rows}×{cols}). Zwei Teile anklicken zum Tauschen (oder Pfeile + Enter), dann Prüfen.',
+    'puzzle.tile': 'Teil Zeile {row}, Spalte {col}',
+    'puzzle.tileSelected': 'Teil Zeile {row}, Spalte {col}, ausgewählt',
+    'puzzle.slideHelp': 'Schiebe die Teile in die Lücke ({n}×{n}) — klicken oder Pfeiltasten.',
+    'puzzle.moves': 'Züge {n} • {time}',
+    'puzzle.tileN': 'Teil {n}',
+    'puzzle.tileHint': 'Teil {n}, Tipp: dieses verschieben',
+    'puzzle.solved': { one: 'Gelöst in {n} Zug, {time}.', other: 'Gelöst in {n} Zügen, {time}.' },
+    'puzzle.hintOptimal': { one: 'Verschiebe das markierte Teil — noch {n} Zug bis zur Lösung.', other: 'Verschiebe das markierte Teil — noch {n} Züge bis zur Lösung.' },
+    'puzzle.hintNear': 'Verschiebe das markierte Teil — von hier aus in etwa {n} Zügen lösbar.',
+    'puzzle.hintGuess': 'Verschiebe das markierte Teil (beste Schätzung; dieses Brett ist zu tief für die Suche).',
+    'puzzle.hintThinking': 'Suche einen guten Zug…',
+
+    'reaction.stroop': 'Stroop',
+    'reaction.gonogo': 'Go / No-go',
+    'reaction.choice': 'Auswahl',
+    'reaction.stroop.hint': 'Tippe die FARBE der Schrift, nicht das Wort. Tasten 1–4.',
+    'reaction.gonogo.hint': 'Grün: Leertaste drücken oder Los tippen. Rot: nichts tun.',
+    'reaction.choice.hint': 'Drücke ← oder → passend zum Pfeil.',
+    'reaction.best': 'Bester Median {n} ms.',
+    'reaction.held': '✓ gehalten',
+    'reaction.tooSlow': '✗ zu langsam',
+    'reaction.wrong': '✗ falsch',
+    'reaction.tooSoon': 'Zu früh — warte auf den Reiz',
+    'reaction.anticipation': 'Vorweggenommen — reagiere auf das, was du siehst',
+    'reaction.summary': '{correct}/{total} richtig • Median {median} • {falseStarts}',
+    'reaction.falseStarts': { one: '{n} Fehlstart', other: '{n} Fehlstarts' },
+    'reaction.trial': 'Durchgang {i}/{n}',
+    'reaction.go': 'Los',
+    'reaction.stop': 'Stopp',
+    'stroop.red': 'ROT',
+    'stroop.green': 'GRÜN',
+    'stroop.blue': 'BLAU',
+    'stroop.yellow': 'GELB',
+  },
+};
@@ -0,0 +1,18 @@
+// Reading typed number answers (Math, Review). Pure, so the app and its tests share it.
+
+// "12", "-3.5", "3,5", "30,000", "1.500", "3/4", "-1/2", "1 1/2", "25%" → number (NaN if unreadable).
+// % is dropped: answers are in percent units. `sep` is the locale's decimal separator: digits grouped in threes
+// by the other mark are thousands ("30,000" in English, "1.500" in German); any other comma is a decimal comma.
+// Without `sep` nothing is read as grouped, for stored answers, which never group digits.
+export function parseAnswer(str, sep = null){
+  let s = String(str ?? '').trim().replace(/%$/, '').replace(/\s+/g, ' ');
+  if(sep === '.' && /^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(s)) s = s.replace(/,/g, '');
+  else if(sep === ',' && /^-?\d{1,3}(\.\d{3})+(,\d+)?$/.test(s)) s = s.replace(/\./g, '').replace(',', '.');
+  else s = s.replace(',', '.');
+  if(/^-?\d+(\.\d+)?$|^-?\.\d+$/.test(s)) return Number(s);
+  let m = s.match(/^(-?)(\d+)\/(\d+)$/);
+  if(m && Number(m[3])) return (m[1] ? -1 : 1) * Number(m[2]) / Number(m[3]);
+  m = s.match(/^(-?)(\d+) (\d+)\/(\d+)$/);
+  if(m && Number(m[4])) return (m[1] ? -1 : 1) * (Number(m[2]) + Number(m[3]) / Number(m[4]));
+  return NaN;
+}
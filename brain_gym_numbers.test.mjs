@@ -0,0 +1,39 @@
+// Typed answers in both decimal conventions. Run with `node --test`.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAnswer } from './brain_gym_numbers.js';
+
+test('plain numbers, fractions and percents', ()=>{
+  for(const sep of [null, '.', ',']){
+    assert.equal(parseAnswer('12', sep), 12);
+    assert.equal(parseAnswer('-3.5', sep), -3.5);
+    assert.equal(parseAnswer('3,5', sep), 3.5);
+    assert.equal(parseAnswer('3/4', sep), 0.75);
+    assert.equal(parseAnswer('-1/2', sep), -0.5);
+    assert.equal(parseAnswer('1 1/2', sep), 1.5);
+    assert.equal(parseAnswer('25%', sep), 25);
+    assert.ok(Number.isNaN(parseAnswer('abc', sep)));
+  }
+});
+
+test('thousands grouped with commas in a decimal-point locale', ()=>{
+  assert.equal(parseAnswer('30,000', '.'), 30000);
+  assert.equal(parseAnswer('1,500', '.'), 1500);
+  assert.equal(parseAnswer('-2,000', '.'), -2000);
+  assert.equal(parseAnswer('1,234,567.5', '.'), 1234567.5);
+  assert.equal(parseAnswer('12,34', '.'), 12.34); // not a group of three: a decimal comma
+});
+
+test('thousands grouped with dots in a decimal-comma locale', ()=>{
+  assert.equal(parseAnswer('1.500', ','), 1500); // 20 × 75 typed in German or Spanish
+  assert.equal(parseAnswer('30.000', ','), 30000);
+  assert.equal(parseAnswer('-2.000', ','), -2000);
+  assert.equal(parseAnswer('1.234.567,5', ','), 1234567.5);
+  assert.equal(parseAnswer('30,000', ','), 30);
+  assert.equal(parseAnswer('1.25', ','), 1.25); // not a group of three: a decimal point
+});
+
+test('stored answers are never read as grouped', ()=>{
+  assert.equal(parseAnswer('1.125'), 1.125);
+  assert.equal(parseAnswer('1,125'), 1.125);
+});
@@ -0,0 +1,75 @@
+// Sliding puzzle solver for Puzzle hints. Pure functions, shared by the page and brain_gym_slide_worker.js,
+// which runs the search off the main thread.
+// Boards: tiles[i] = piece at cell i; piece n*n-1 is the blank, solved when tiles[i] === i.
+
+export const neighborsOf = (i, n) => [i-n, i+n, i%n ? i-1 : -1, (i+1)%n ? i+1 : -1].filter(j=> j >= 0 && j < n*n);
+
+// Longest increasing subsequence length (n ≤ 5, so the quadratic version is plenty)
+function lis(xs){
+  const best = xs.map(()=> 1);
+  for(let i=1;i<xs.length;i++) for(let j=0;j<i;j++) if(xs[j] < xs[i] && best[j] + 1 > best[i]) best[i] = best[j] + 1;
+  return xs.length ? Math.max(...best) : 0;
+}
+// Manhattan distance + linear conflicts. Pieces already in their goal row (or column) that are out of order
+// must let each other pass: every piece outside the longest in-order run leaves the line and comes back,
+// two extra moves each. Counting pieces, not conflicting pairs, keeps the estimate admissible.
+export function slideHeuristic(tiles, n){
+  const blank = n*n-1; let h = 0;
+  for(let i=0;i<tiles.length;i++){ const t = tiles[i]; if(t === blank) continue; h += Math.abs(Math.floor(i/n) - Math.floor(t/n)) + Math.abs(i%n - t%n); }
+  for(let line=0; line<n; line++){
+    const row = [], col = [];
+    for(let k=0;k<n;k++){
+      const r = tiles[line*n+k], c = tiles[k*n+line];
+      if(r !== blank && Math.floor(r/n) === line) row.push(r % n);
+      if(c !== blank && c % n === line) col.push(Math.floor(c/n));
+    }
+    h += 2 * (row.length - lis(row)) + 2 * (col.length - lis(col));
+  }
+  return h;
+}
+
+// IDA*: returns the cells to move, in order, or null if the node budget runs out.
+// weight 1 gives an optimal path; weight > 1 trades optimality for speed on big boards.
+export function solveSlide(start, n, budget = 300_000, weight = 1){
+  const tiles = [...start]; let blank = tiles.indexOf(n*n-1); const path = []; let nodes = 0;
+  const search = (g, bound, prev)=>{
+    const h = weight * slideHeuristic(tiles, n);
+    if(g + h > bound) return g + h;
+    if(h === 0) return true;
+    if(++nodes > budget) return null;
+    let min = Infinity;
+    for(const cell of neighborsOf(blank, n)){
+      if(cell === prev) continue;
+      const from = blank;
+      [tiles[from], tiles[cell]] = [tiles[cell], tiles[from]]; blank = cell; path.push(cell);
+      const r = search(g+1, bound, from);
+      if(r === true || r === null) return r;
+      path.pop(); blank = from; [tiles[from], tiles[cell]] = [tiles[cell], tiles[from]];
+      if(r < min) min = r;
+    }
+    return min;
+  };
+  for(let bound = weight * slideHeuristic(tiles, n);;){
+    const r = search(0, bound, -1);
+    if(r === true) return path;
+    if(r === null || r === Infinity) return null;
+    bound = r;
+  }
+}
+
+// Next move to suggest: first step of an optimal solution; on deep boards, of a weighted
+// (near-optimal) one; as a last resort, the move that lowers the heuristic most.
+export const SLIDE_HINT_TRIES = { // n → [weight, node budget] tried in order
+  3: [[1, 100_000]], // the 30- and 31-move boards all solve in under 50k nodes
+  4: [[1, 30_000], [2, 10_000], [4, 10_000], [8, 10_000]],
+  5: [[1, 10_000], [4, 8_000], [8, 8_000]],
+};
+export function slideHint(tiles, n, lastCell){
+  for(const [w, budget] of SLIDE_HINT_TRIES[Math.max(3, Math.min(5, n))]){
+    const p = solveSlide(tiles, n, budget, w);
+    if(p) return { cell: p[0], optimal: w === 1, left: p.length };
+  }
+  const blank = tiles.indexOf(n*n-1);
+  const scored = neighborsOf(blank, n).filter(c=> c !== lastCell).map((c)=>{ const t = [...tiles]; [t[blank], t[c]] = [t[c], t[blank]]; return { cell:c, h: slideHeuristic(t, n) }; });
+  return { cell: scored.sort((a, b)=> a.h - b.h)[0].cell, optimal: false };
+}
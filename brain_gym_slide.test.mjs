@@ -0,0 +1,48 @@
+// Slide hints against an exhaustive 3×3 search. Run with `node --test`.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { neighborsOf, slideHeuristic, slideHint } from './brain_gym_slide.js';
+
+// Breadth-first from the solved board: exact move count for every solvable 3×3 board
+const n = 3;
+const dist = new Map([['012345678', 0]]);
+for(let frontier = [[0, 1, 2, 3, 4, 5, 6, 7, 8]]; frontier.length;){
+  const next = [];
+  for(const tiles of frontier){
+    const d = dist.get(tiles.join('')), blank = tiles.indexOf(8);
+    for(const cell of neighborsOf(blank, n)){
+      const t = [...tiles]; [t[blank], t[cell]] = [t[cell], t[blank]];
+      if(!dist.has(t.join(''))){ dist.set(t.join(''), d + 1); next.push(t); }
+    }
+  }
+  frontier = next;
+}
+const board = (key) => [...key].map(Number);
+const moved = (tiles, cell) => { const t = [...tiles], b = t.indexOf(8); [t[b], t[cell]] = [t[cell], t[b]]; return t.join(''); };
+
+test('the BFS covers every solvable 3×3 board', ()=>{
+  assert.equal(dist.size, 181440);
+  assert.equal([...dist.values()].reduce((a, b)=> Math.max(a, b)), 31);
+});
+
+test('the heuristic never overestimates on 3×3', ()=>{
+  for(const [key, d] of dist) assert.ok(slideHeuristic(board(key), n) <= d, `${key}: h ${slideHeuristic(board(key), n)} > ${d}`);
+});
+
+test('hints are optimal on 3×3, the deepest boards included', ()=>{
+  const boards = [...dist.keys()].filter((key, i)=> dist.get(key) >= 30 || i % 500 === 0 || key === '876543210');
+  for(const key of boards){
+    const d = dist.get(key), hint = slideHint(board(key), n, -1);
+    if(d === 0) continue;
+    assert.equal(hint.optimal, true, key);
+    assert.equal(hint.left, d, key);
+    assert.equal(dist.get(moved(board(key), hint.cell)), d - 1, key);
+  }
+});
+
+test('the reversed board needs 28 moves', ()=>{
+  assert.equal(dist.get('876543210'), 28);
+  const hint = slideHint(board('876543210'), n, -1);
+  assert.equal(hint.optimal, true);
+  assert.equal(hint.left, 28);
+});
@@ -0,0 +1,4 @@
+// Puzzle hint search off the main thread: { id, tiles, n, lastCell } → { id, hint }
+import { slideHint } from "./brain_gym_slide";
+
+self.onmessage = ({ data })=> self.postMessage({ id: data.id, hint: slideHint(data.tiles, data.n, data.lastCell) });
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+// BrainGym sync reference server: one JSON document per sync code, stored as a file, with optimistic
+// concurrency. Clients merge locally (see SYNC in the app); the server only stores and guards revisions.
+//
+//   GET /v1/spaces/:code  → 200 { rev, keys }            (rev 0 and no keys for a new code)
+//   PUT /v1/spaces/:code  { baseRev, keys } → 200 { rev } | 409 { rev, keys } when baseRev is stale
+//   GET /health           → 200 { ok: true }
+//
+// No dependencies. Settings from the environment:
+//   PORT (8787) • HOST (127.0.0.1) • BRAINGYM_SYNC_DIR (./braingym-sync-data)
+//   BRAINGYM_SYNC_TOKEN: when set, requests need `Authorization: Bearer <token>`
+//   BRAINGYM_SYNC_ORIGIN: allowed CORS origin (*)
+// The sync code is the only secret between devices when no token is set: serve over HTTPS beyond localhost.
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+const MAX_BODY = 8 * 1024 * 1024; // bytes; a few years of per-answer history fits comfortably
+const CODE_RE = /^[A-Za-z0-9_-]{16,64}$/;
+
+export function createSyncServer({ dir = './braingym-sync-data', token = '', origin = '*' } = {}){
+  const file = (code) => path.join(dir, `${code}.json`);
+  const locks = new Map(); // code → tail of its write queue, so concurrent PUTs see each other's revisions
+
+  async function read(code){
+    try { return JSON.parse(await fs.readFile(file(code), 'utf8')); }
+    catch(e){ if(e.code === 'ENOENT') return { rev: 0, keys: {} }; throw e; }
+  }
+  // Write to a temp file and rename, so a crash never leaves half a document
+  async function write(code, doc){
+    await fs.mkdir(dir, { recursive: true });
+    const tmp = `${file(code)}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(doc));
+    await fs.rename(tmp, file(code));
+  }
+  function locked(code, fn){
+    const run = (locks.get(code) || Promise.resolve()).then(fn, fn);
+    const tail = run.catch(()=>{});
+    locks.set(code, tail);
+    tail.then(()=>{ if(locks.get(code) === tail) locks.delete(code); });
+    return run;
+  }
+
+  function send(res, status, body, headers = {}){
+    res.writeHead(status, {
+      ...headers,
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': origin,
+      'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Cache-Control': 'no-store',
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+  }
+  // Past MAX_BODY it rejects at once and reads the rest of the upload into nothing, so the client
+  // gets its 413 instead of a connection reset
+  function readBody(req){
+    return new Promise((resolve, reject)=>{
+      let size = 0; const chunks = [];
+      req.on('data', (c)=>{
+        if(size > MAX_BODY) return;
+        size += c.length;
+        if(size > MAX_BODY) reject(Object.assign(new Error('too large'), { status: 413 }));
+        else chunks.push(c);
+      });
+      req.on('end', ()=> resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+  }
+
+  return http.createServer(async (req, res)=>{
+    try {
+      if(req.method === 'OPTIONS') return send(res, 204);
+      const url = new URL(req.url, 'http://localhost');
+      if(url.pathname === '/health') return send(res, 200, { ok: true });
+      const m = url.pathname.match(/^\/v1\/spaces\/([^/]+)$/);
+      if(!m) return send(res, 404, { error: 'not found' });
+      if(token && req.headers.authorization !== `Bearer ${token}`) return send(res, 401, { error: 'unauthorized' });
+      let code = ''; try { code = decodeURIComponent(m[1]); } catch {} // a malformed escape is just a bad code
+      if(!CODE_RE.test(code)) return send(res, 400, { error: 'sync code must be 16–64 letters, digits, - or _' });
+
+      if(req.method === 'GET') return send(res, 200, await read(code));
+      if(req.method !== 'PUT') return send(res, 405, { error: 'method not allowed' });
+      let body;
+      try { body = JSON.parse(await readBody(req)); }
+      catch(e){ return e.status ? send(res, 413, { error: 'document too large' }, { Connection: 'close' }) : send(res, 400, { error: 'invalid JSON' }); }
+      if(!body || !Number.isInteger(body.baseRev) || typeof body.keys !== 'object' || body.keys === null || Array.isArray(body.keys)) return send(res, 400, { error: 'expected { baseRev, keys }' });
+      return await locked(code, async ()=>{
+        const cur = await read(code);
+        if(body.baseRev !== cur.rev) return send(res, 409, cur);
+        const doc = { rev: cur.rev + 1, updatedAt: new Date().toISOString(), keys: body.keys };
+        await write(code, doc);
+        send(res, 200, { rev: doc.rev });
+      });
+    } catch(e){
+      console.error('[sync]', e);
+      send(res, 500, { error: 'server error' });
+    }
+  });
+}
+
+if(process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href){
+  const port = Number(process.env.PORT) || 8787, host = process.env.HOST || '127.0.0.1';
+  createSyncServer({ dir: process.env.BRAINGYM_SYNC_DIR, token: process.env.BRAINGYM_SYNC_TOKEN, origin: process.env.BRAINGYM_SYNC_ORIGIN })
+    .listen(port, host, ()=> console.log(`BrainGym sync server on http://${host}:${port}`));
+}
@@ -0,0 +1,1147 @@
+// English word list for the Words game: SCOWL sizes 10, 20 and 35, lower-case a–z, 3–7 letters, slurs removed; profanity, sexual and other
+// hurtful words are listed in `blocked`.
+//
+// Copyright 2000-2016 by Kevin Atkinson
+// Permission to use, copy, modify, distribute and sell these word lists, the associated scripts, the output
+// created from the scripts, and its documentation for any purpose is hereby granted without fee, provided that
+// the above copyright notice appears in all copies and that both that copyright notice and this permission
+// notice appear in supporting documentation. Kevin Atkinson makes no representations about the suitability of
+// this array for any purpose. It is provided "as is" without express or implied warranty.
+//
+// common: everyday words, used as puzzle seeds
+// more:   less frequent but well known; count toward "find all words"
+// rare:   accepted as answers only
+// blocked: profanity, sexual and other hurtful words; accepted if typed, never a seed or a "find all" target
+export const WORDLIST_EN = {
+  common: `
+ability able about above absence abuse accept accepts access accord accords account achieve acquire across act
+acted acting action actions active acts actual add added adding address adds adjust admit admits adopt adopted
+adopts advance advice advise advised advises affair affairs affect affects afford afraid after again against
+age agency ages ago agree agreed agrees ahead aid aim aimed aiming aims air alarm album alias alive all allow
+allowed allows almost alone along already also alter altered alters always amount amounts amuse amused amuses
+amusing ancient and angle angry animal annoy annoyed annoys annual another answer answers any anybody anyone
+anyway apart apology appeal appear appears apple applied applies apply approve are area areas argue argued
+argues arguing arise arises arm army around arrange arrive arrived arrives art article artist aside ask asked
+asking asks asleep aspect aspects assume assumed assumes assure assured assures ate attach attack attempt
+attend attends attract author authors autumn average avoid avoided avoids awake award aware away awful awkward
+back backed backing backs bad badly balance ball ban band bank bar bars base based bases basic basing basis
+battery bear bearing bears became because become becomes bed been before began begin begins begun behalf
+behave behind being believe belong belongs below benefit besides best bet bets better betting between beyond
+bid bidding bids big bigger biggest bill binary bind binding binds biology bit bite bites biting bits bitten
+bizarre black blame blank block blow blue board boards boat bodies body book books boot bore borne borrow
+borrows both bother bothers bottle bottom bought bound box boxes boy bracket branch brand breach break breaks
+bridge brief briefly bright bring brings broke broken brother brought brown bucket budget buffer bug bugs
+build builds built bulk buried buries bury burying bus busy but button buy buying buys byte bytes call called
+calling calls came can cannot capable capital captain car card cards care careful cares carried carries carry
+case cases cat catch catches caught cause caused causes causing cease cell cent central century certain chain
+chair chance chances change changed changes channel chaos chapter char charge charged charges chars cheap
+cheaper check checked checks child chip chips choice choose chooses chose chosen church circle circuit citizen
+city claim claimed claims clarify class classes clean clear cleared clearer clearly clears clever clock close
+closed closely closer closes closest closing club clue code coded codes coding coffee cold collect college
+column combine come comes coming command comment common company compare complex compose compute concept
+concern confirm confuse connect consist contact contain content context control convert cope copied copies
+copy copying core corner corners correct corrupt cost costing costs could council count counted counter
+country counts county couple course courses court cover covered covers crash crashed crashes crazy create
+created creates credit crisis crisp crisps cross cry culture cumming cums cup cure curious current cursor cut
+cuts cutting cycle cycles daily damage damaged damages danger dare dark data date dated dates dating datum day
+days dead deal dealing deals dealt dear death debate decade decent decide decided decides declare deduce deem
+deemed deeming deems deep deeply default define defined defines degree degrees delay delete deleted deletes
+deliver demand demands depend depends depth derive derived derives design designs desire desired desires desk
+despite destroy detail details detect detects develop device devices devote devoted devotes did die died dies
+differ digit digital digits dinner direct directs dirty disc discs discuss disk dislike display distant
+disturb ditto divide divided divides doe does dog doing dollar domain done door doors double doubt down dozen
+dozens drastic draw drawing drawn draws dream drew drink drive driven driver drivers drives driving drop
+dropped drops drove dry dubious due dumb dump during duty dying each earlier early earth ease easier easiest
+easily east easy eat eaten eating eats economy edge edit edited editing edition editor editors edits effect
+effects effort efforts eight either elect elected elects element else empty enable enables end ended ending
+ends enemy enjoy enough ensure ensured ensures enter entered enters entire entitle entity entries entry equal
+equally eraser err error errors escape even evened evening evens event events ever every exact exactly examine
+example except excess exclude excuse execute exist existed exists expand expands expect expects expense expert
+experts explain express extend extends extent extra extract extreme eye eyes face fact factor factors facts
+fail failed failing fails failure fair fairly faith fall fallen falling falls false family famous fan fancy
+far farm farther fashion fast faster fastest fatal fate father fault faults fear feature fed federal feed
+feeding feeds feel feeling feels feet fell felt few fewer fewest field fields fight figure figures file filed
+files filing fill filled filling fills film final finally find finding finds fine finger fingers finish finite
+fire firm firmly first firstly fiscal fish fishes fit fits fitted fitting five fix fixed fixes fixing flag
+flash flashed flashes flat flew flied flies flight float floated floats floor flow flown fly flying folk folks
+follow follows food foot for force forced forces forcing foreign forever forget forgets forgot form formal
+format formed former forming forms forth fortune forward found four fourth frame free freedom freely french
+fresh friend friends fries from front fry full fully fun fund funds funny further future gain gained gaining
+gains game games gap garbage garden gas gather gave general genuine get gets getting girl give given gives
+giving glad glass global goes going gone good goods got gotten grand grands grant granted grants graph graphic
+grave great greater greatly green grew grind grinds gross grosses ground grounds group groups grow growing
+grown grows growth guard guess guessed guesses guide gun guy habit habits hack had hair half hall hand handed
+handing handle handled handles hands handy hang hanged hanging hangs happen happens happily happy hard harder
+hardest hardly harm harmful has hat hate have having head headed header heading heads health healthy hear
+heard hearing hears heart heat heavily heavy held hell hello help helped helpful helping helps hence her here
+hereby herself hes hid hidden hide hides hiding high higher highest highly hill him himself hint hints his
+history hit hits hitting hold holding holds hole holes holiday home honest hope hoped hopes hoping horse
+horses host hot hotel hour hours house how however huge human hundred hung hunt hurry husband ice idea ideal
+ideas ignore ignored ignores ill illegal image images imagine impact implied implies imply impose imposed
+imposes improve inch inches incline include income indeed index info inform informs initial inner input inputs
+insert inserts inside insist insists install instant instead integer intend intends into invalid invent
+invents invite invited invites involve isolate issue issued issues issuing item items its itself job jobs join
+joined joining joins joint joke joy judge jump jumps junk just justify keen keep keeping keeps kept key keys
+kid kill killed killing kills kind kindly kinds king knew knock knocked knocks know knowing known knows label
+labels lack lacked lacking lacks ladies lady lain land landed landing lands large largely larger largest last
+lasts late later latest latter law laws lay layout lazy leach lead leaded leader leading leads leaf learn
+learns least leave leaved leaves leaving lecture led left leg legal legally legs lend length less lesser
+lesson lessons let lets letter letters letting level levels liable library lie lied lies life lift light
+lights like liked likely likes liking limit limited limits line linear lines link linked linking links list
+listed listen listing lists little live lived lives living load loaded loading loads loan local lock locked
+locking locks log logged logging logic logical logs long longer longest look looked looking looks loop loose
+lorries lorry lose loses losing loss lost lot lots loudly love low lower lowest luck lucky lunch lying machine
+mad made magic mail main mainly major make makes making man manage managed manager manages manner manual
+manuals many map march mark marked market marking marks marry mass massive master match matches matter matters
+maximum may maybe mean meaning means meant measure media medical medium mediums meet meeting meets member
+members memory men mention mere merely merit merits mess message messy met metal method methods middle might
+mile miles million mind minded minding minds mine minimal minimum minor minute minutes mislead misled miss
+missed misses missing mistake mistook misuse mix mixed mixes mixing mod mode model models modern modify moment
+money monitor month months moral more morning most mostly mother motion mouth move moved moves movie moving
+much music must myself naive name named namely names naming nasty nation natural nature naughty near nearby
+nearer nearest nearly neck need needed needing needs neither nervous net network never new news next nice
+nicer nicest night nine nobody noise noisy none nor normal north not note noted notes nothing notice noticed
+notices notify noting novel now nowhere numb number numbers numbest obey object objects obscure observe obtain
+obtains obvious occupy occur occurs odd odds off offer offered offers office officer offices often oil old
+older oldest omit omits omitted once one ones only onto open opened opening opens operate opinion oppose
+opposed opposes option options order ordered orders origin other others ought our ours out outer output
+outside over overall owe owed owes owing own owner owners pack package packet page pages paid pain painful
+pair pairs paper papers parent park part partial parties partly parts party pass passed passes passing past
+patch path patient pattern pause pay payed paying pays peace peak pen people per perfect perform perhaps
+period permit permits person persons petrol phase phone phrase phrases pick picked picking picks picture piece
+pieces pile pint pipe place placed places placing plain plan plane planet planned plans plant plastic play
+played playing plays plea please pleased pleases plenty plot plots plug plus pocket poem poet point pointed
+points police policy poll pool poor pop popular port post posted posting posts pound pounds power powers
+precise prefer prefers prepare present press pressed presses presume pretty prevent price prices primary prime
+print printed printer prints prior private problem process produce product program project promise prompt
+prone proof proper propose protect protest prove proved proves provide proving public publish pull pulled
+pulling pulls pure purely purpose push pushed pushes pushing put puts putt putted putting putts qualify
+quality quarter queue quick quicker quickly quiet quietly quit quite quits quote quoted quotes quoting race
+radio rain raise raised raises raising ran random range rapid rapidly rare rarely rate rates rather raw reach
+reached reaches react read reader readers readily reading reads ready real reality really reason reasons
+recall receive recent record records recover red reduce reduced reduces refer refers reflect refuse refused
+refuses regard regards region regret regular reject rejects relate related relates release rely remain remains
+remark remarks remind reminds remote removal remove removed removes repair repeat repeats replace replied
+replies reply report reports request require reserve resort respect respond rest restart restore result
+results retain return returns reveal reveals reverse review rewrite rid ridding ride rids right rights ring
+rise risk river road role roll room rooms root rough roughly round route routine row rubber rubbish rule rules
+run running runs rush sad sadly safe safely safer safest safety said saint sake sale sales same sample sat
+satisfy save saved saves saving saw say saying says scale scan scene scheme school schools science score
+scores scrap scratch screen screens script search season second seconds secret section secure see seeing seek
+seeking seeks seem seemed seeming seems seen sees select selects self sell selling sells seminar send sending
+sends senior sense sent serial series serious serve served server serves service serving session set sets
+setting settle settled settles seven several severe sex shall shame shape share shared shares sharing sharp
+she sheet shelf shell shift ship shoot shop shopped shops short shorter shortly should show showed showing
+shown shows shut shuts side sides sight sign signal signals signed signing signs silly similar simple simpler
+simply since single sit site sites sits sitting six size sizes skill skills sleep slight slip slow slower
+slowest slowly small smaller smile smooth social society soft sold solely solid solve solved solves solving
+some somehow someone son soon sooner soonest sorry sort sorted sorting sorts sought sound sounded sounds
+source sources south space spaces spare speak speaker speaks special specify speech speed spell spells spend
+spends spent spirit spite split splits spoke spoken spot spots spotted spread spreads spring square stable
+staff stage stages stand stands start started starts state stated states stating station status stay stayed
+staying stays steal step stick sticks still stock stone stones stood stop stopped stops storage store stored
+stores storing story strange stream street strict strike strikes string strings strong struck stuck student
+studied studies study stuff stupid style subject submit submits subset subtle succeed success such sudden
+suffer suffers suffice sugar suggest suit suited suiting suits sum summary summer sun supply support suppose
+sure surely surface survey survive suspect suspend switch symbol symbols syntax system systems table tables
+take taken takes taking talk talked talking talks tank tanks tape tapes target task tasks taste taught tax tea
+teach teacher teaches team tedious teeth tell telling tells ten tend tends term terms test tested testing
+tests text than thank thanks that the their them then theory there thereby these they thin thing things think
+thinks third this those though thought threat three threw through throw thrown throws thus ticket tickets tie
+tied ties tight till time timed times timing tin title titles today token told tonight too took tooth top
+topic topics total totally touch touched touches toward towards town trace track tracks traffic train trained
+trains trap trapped traps trash travel treat treated treats tree trees trial trick tried tries trip trivial
+trouble truck trucks true truly trunk trust trusted trusts truth try trying tune turn turned turning turns
+twelve twenty twice two tying type typed types typical typing ugly unable unaware unclear under unhappy
+uniform unique unit unite units unknown unless unlike until unusual update updated updates upon upper upset
+upsets upwards usage use used useful useless user users uses using usual usually utility utterly vague vaguely
+valid value values van vans varied varies variety various vary varying vast vastly vector version very via
+vice video view views virtue visible vision visit vital voice volume vote votes wait waited waiting waits walk
+walked walking walks wall walls want wanted wanting wants war warm warn warned warning warns was wash waste
+wasted wastes wasting watch watched watches water way ways weapon wear wearing wears weather week weekend
+weeks weight weird welcome well went were west western what wheel wheels when where whereas whereby whether
+which while whilst white who whoever whole whom whose why wide widely wider widest wife wild will willed
+willing wills win wind window windows wine winning wins winter wire wise wish wished wishes wishing with
+within without woman women won wonder wonders wooden word worded wording words wore work worked worker workers
+working works world worn worried worries worry worse worst worth worthy would write writer writes writing
+written wrong wrote year years yellow yes yet you young your yours zero
+`,
+  more: `
+abandon abide abolish abort aborted aborts abroad absent absorb absorbs absurd abused abuses abusing abusive
+abysmal accent accents accuse accused accuses ace acid acorn acronym actor actors acute adapt adapted adapts
+addict addicts adhere adhered adheres adjusts admire adult adults advent adverse advert adverts adviser aerial
+aged agenda agent agents agony aided aiding aids airport akin alarmed alarms alas albeit albums alcohol alert
+algebra aliases alien aliens align aligned aligns alike allege alleged alleges allies ally aloud alpha amateur
+amaze amazed amazes amazing amber ambient amend amended amends amp ample anagram analogy analyst anarchy
+anatomy angel angels anger angles anguish animals anomaly anorak anoraks antique anxious anyhow apathy appeals
+append appends appoint apt arc arcade arcane arch archaic archive arena arisen arising armed arming arms arose
+array arrays arrest arrests arrival arrow arrows artists arts ascend ascends ash ashamed ashcan ashes ass
+assault assert asserts assess asset assets assign assigns assist assists assort assorts atheism atheist atlas
+atom atomic atoms attacks attain audible audio aunt await awaited awaits awarded awards awfully axes axiom
+axioms axis babies baby backlog badge baffle baffled baffles bag baggage bags bake baked bakes baking ballet
+ballot balls banal banana bananas bands bang banks banned banner banning bans bare barely bargain bark barked
+barking barks baroque barred barrel barrier barring bash bashed bashes bashing basics basket bass basses bat
+batch bath baths battle baud bay beach beam bean beans beard bearded beards beast beasts beat beaten beating
+beats beauty bedroom beds beef beer beers beg behaved behaves beings belief beliefs bell bells beloved belt
+bench bend bending bends beneath bent beside beta beware bias biased biases biasing bible bicycle bigot
+bigoted bigotry billion bills bin bird birds birth biscuit bishop bitmap bitter blacks blade blades blamed
+blames blaming blanket blanks blast blasted blasts blatant bless blessed blesses blew blind blindly blink
+bliss blob blocked blocks blood bloody blowing blown blows blues blurb boats bob bobs bog bogged bogging
+boggle boggles bogs bogus boil boiled boiling boils bold bolt bomb bombed bombing bombs bond bone bones bonus
+booked booking booklet boom boost boots border bored boredom bores boring born boss bottles bounce bounds bout
+bow bowl boys brain brains brake brakes branded brands brass brave bread breath breathe bred breed breeds
+breeze brick bricks bridges brigade broad broadly browse browsed browses brush brutal bubble buck bucks
+buffers bugger buggers bulb bulbs bull bullet bullets bump bunch bundle burden burn burned burning burns burnt
+burst bursts buses bush buss bust butter buttons buyer buyers bye bypass cabbage cabinet cable cabled cables
+cabling cage cake cakes caller calm cam camera cameras camp camps campus cancel cancels cancer cans cant cap
+caps capture carbon cared career careers caring carpet carrier carrot carrots cars cartoon cased cash casing
+cast casting castle casts casual cater catered caters cats cattle causal caution cave caveat ceased ceases
+ceasing ceiling cells censor censors chains chairs chalk chamber chaotic chap chapel chaps charity charm
+charmed charms chart charter charts chase chased chases chasing chat chats chatted cheaply cheat cheated
+cheats checker cheek cheer cheers cheese chemist chess chest chew chewed chewing chews chicken chief choices
+choir chop chopped chops choral chord chorus chuck chucked chucks chunk chunks cider cinema circa circles cite
+cited cites cities citing civil clarity clash clashes classed classic clause clauses cleaned cleaner cleanly
+cleans click client clients cliff climate climb climbed climbs clinic clip clipped clips clique clocks clog
+clone clones closet closure cloth clothe clothed clothes cloud clouds clubs clues clumsy cluster coach coal
+coarse coast coat coats cobbler coin coined coining coins coke collar collate colon colony columns combat
+comedy comfort comic comics comma commas commit commits commons compact compel compels compete compile comply
+con conceal concede concert concise concur condemn condom condone conduct confess confine conform congest
+consent console consult consume contend contest contour convey convict cook cooked cookie cookies cooking
+cooks cool cooled cooling cools coped copes coping copper corn corpse corpses cosmic costed costly cotton
+cough counsel coupled couples courage courier courts cousin cow cows crack cracked cracks craft cramp cramped
+cramps crap crass crawl crawled crawls cream creator credits creed creep crew cricket cried cries crime crimes
+critic critics crop crops crossed crosses crowd crowded crowds crown crucial crude cruel cruelty cruise
+cruised cruises crunch crush crushed crushes crying cryptic crystal cube cubic cuckoo cuddly cue culprit cult
+cunning cups cured cures curing curly curry curse curtain curve curves custard custom customs cute cycled
+cycling cyclist cynic cynical daft damn damned damning damns damp dance danced dances dancing dangers dared
+dares daring darling dash dashed dashes dashing dawn daytime deadly deaf dealer dealers deaths debated debates
+debt debug debugs decades decay decimal deck decline decode decoded decodes deduced deduces deed deeds deeper
+deepest defeat defeats defect defects defend defends defy degrade deity delayed delays delight delta demise
+denied denies denote denotes dense density dentist deny denying deposit depress deprive depths deputy derange
+descend desert deserts deserve desktop despair despise destine detach deter detract devil devious devise
+devised devises devoid diagram dial dialect dials diary dice dictate diesel diet differs dig digest digging
+dignity digs dilemma dim dine dined diner dines dining dip dire dirt disable discard disco disease disgust
+dish dishes dismal dismiss dispose dispute disrupt distort ditch dive dived diverse divert diverts dives
+divine diving divorce doctor doctors dodge dogma dogs dole dollars don donate donated donates dons doom doomed
+dooming dooms dose doses dot dots dotted dotting doubled doubles doubts draft drafted drafts drag dragged
+dragon drags drain drained drains drama drank dread dreaded dreads dreams dreary dress dressed dresses dried
+dries drift drill drinks drip dripped drips drivel drown drowned drowns drug drugs drum drums drunk drunken
+drying dual duck ducks duff dug dull duly dummy dumped dumping dumps dust dustbin dusty duties dynamic eager
+eagerly eagle ear earn earned earning earns ears eastern eater echo echoed echoes echoing ecology edges
+educate egg eggs ego egos eighth elderly elegant eleven elite elitist embed embeds emerge emerged emerges
+eminent emit emotion empire employ employs emptied empties emulate enabled enclose encode encoded encodes
+endings endless enemies energy enforce engage engaged engages engine engines enhance enjoyed enjoys enlarge
+entail entails envy epic episode equals equate equip equips era erase erased erases erasing ergo escaped
+escapes essay essays essence estate eternal ethic ethical ethics ethnic evenly evident evil evils evolve
+evolved evolves exam exams exceed exceeds excepts excite excited excites excuses exempt exhaust exhibit exit
+exited exiting exits exotic expire expired expires expiry explode exploit explore export expose exposed
+exposes extant extents extras fabric faced faces facing factory factual faculty faint fainter fairer fairest
+fairy fake fallacy fame famine fans fantasy farce fare farmer farmers fascist fat fathers fatuous faucet
+faulty feared fearing fears feat fee feeble fees fellow fellows female females fence fender fenders fetch
+fever fiction fiddle fiddled fiddles fierce fifteen fifth fifty fighter fights figured filmed filming films
+filter filters filthy finals finance fined finer fines finest fining fired fires firing firms fished fishing
+fiver fizzy flagged flags flame flames flaw flawed flawing flaws fleet flesh flip flipped flips flood flooded
+floods floors floppy flour flowed flower flowers flowing flows fluent fluffy fluid flush flushed flushes flute
+foam focus fog fold folded folder folders folding folds fond font fonts foods fool fooled fooling foolish
+fools forbade forbid forbids forest forests forgave forgive fork formats formula forty forum fossil fought
+foul founded founds fragile frames frank frankly frantic fraud freak freaks freed freeing frees freeway freeze
+freezes fried fringe frog frogs frown frowned frowns froze frozen fruit fruits frying fudge fuel fuller
+fullest fume fumes funded funding funeral funnier fur furry fuse fusion fuss fussy futile fuzzy galaxy gang
+gaps garage garble garbled garbles gardens gasp gate gates gateway gathers gay gear geared gearing gears
+gender gene generic genes genetic genius genre gentle gently geology gesture ghastly ghost giant gift gifts
+gig gin girls gladly glance glasses glean gleaned gleans glory glossy glove gloves glow glowed glowing glows
+glue gnome goal goals goat god gods gold golden golf goodbye goodies goody gospel gossip govern governs gown
+grab grabbed grabs grace grade grades gradual grain grammar graphs grasp grass gravity greasy greed greedy
+grid grief grim grip grips groan grossly grouped guarded guards guest guests guided guides guiding guilt
+guilty guinea guitar gulf gum guns gut guts gutter guys hacked hacker hackers hacking hacks hail haircut hairs
+hairy halls halt halted halting halts halve halves ham hammer handful handler happier harden hardens hardy
+harmony harsh hash hassle hasten hasty hated hates hating hatred hats havoc hay hazard hazards hazy headers
+heap hearts heated heating heats heaven heavens heavier heel heels height heights helmet herd heresy hero
+heroes heroic heroin herring hey hided hideous highway hills hinted hinting hip hire hired hires hiring hobby
+hog holder holders hollow holy homes honesty honey hook hooked hooking hooks hopeful horde hordes horizon horn
+horrid horrify horror hostile hosts housed houses housing hugely huh hum humane humans humble humbly hungry
+hunted hunting hunts hurt hurting hurts hut hyphen icon icons ideally ideals idiom idiot idiotic idiots idle
+illness immense immoral immune impair impairs impend impends import imports impress impulse inane incur incurs
+indent indexed indexes induce induced induces indulge inertia infant infect infects infer inflict inhabit
+inherit inhibit inject injure injured injures injury ink insane insect insects insight insofar inspect inspire
+insult insults intact intake intense intent inter interim invade invaded invades inverse invert inverts invest
+invoke invoked invokes ion irate iron ironic irony island islands jack jacket jackets jail jam jammed jamming
+jams jargon jazz jealous jeans jellies jelly jerk jest jet jointly joints joked jokes joking jolly journal
+journey judged judges judging juice jumped jumping jungle junior jury justice keeper ken kernel kettle keyed
+keying keyword kick kicked kicking kicks kidded kidding kidnap kidnaps kidney kids killer kingdom kings kiss
+kit kitchen kits knee knees knife knight lab labs lad ladder lag lager laid lake lamp lane lark laser lasers
+lasted lasting lately laugh laughed laughs launch lawn lawyer lawyers layer layers laying lays leaders leaflet
+league leak lean leaned leaning leans leap leather legend legible leisure lemon lending lends lengths lengthy
+lenient lens lenses lent lesbian lest lethal liaison libel liberal liberty license lid lifted lifting lifts
+lighted lighter lightly limb limbs lined lining linkage lion lip lips liquid liquor lisp listens lit literal
+litter lively liver livest loader loans lobby locally locals locate located locates lodge logo lonely loops
+loosely lord lords losses loud louder loudest lousy loved lovely lover lovers loves loving lowered lowers
+loyal luckily luggage lump lumps lunatic lung lungs lurk lurked lurking lurks lust luxury lyric lyrics madness
+magical mailbox mailed mailing mails mains maize maker makers male males mandate mangle mangled mangles mania
+mankind manned manning mans mapped mapping maps margin margins marital marker markers markets married marries
+mask masses masters matched mate matrix mature mayor maze meal meals meat melody melt mend mended mending
+mends mental menu menus mercury mercy merge merged merges merging merry messed messes messing meter meters
+metric metro metros mice midday mighty migrate mild mildly mileage milk mill mimic mined mines mining mint
+minus miracle mirror mirrors misery misread missile mission mist mists mixture moan moaned moaning moans mob
+mobile mock modes modest module modules mole moments monarch monkey monkeys monster monthly mood moon moons
+morally morals moron morons mortal mortals mothers motions motive motives motor motors motto mount mounted
+mounts mouse movies muck mucked mucking mucks mud muddle muddled muddles mug mugs mum mumble mummy mundane
+murder murders muscle muscles museum museums musical mutter mutters mutual mystery mystic myth myths nail
+nailed nailing nails naked narrow nastier nations native natives nay neat neatly needle needles negate neglect
+nerve nerves nest nested nesting nests nets neural neutral newer newest newly nicely nick nicked nicking nicks
+nights nil noble node nodes noises nominal noon norm nose noses notable notably notion notions noun nouns
+novels novelty novice novices nuclear null numeral numeric nun nuns nurse nurses nut nuts oar obeyed obeying
+obeys oblige obliged obliges obscene obsess ocean oddly offend offends offhand offset offsets oneself ongoing
+onion onus openly opera operas oppress opt opted optic optical optimal optimum opting opts opus opuses oral
+orange orbit orbital organ organic organs orient orients origins outcome outcry outline outlook outputs
+outrage outset overdue overlap overly owned owning owns oxygen ozone pace packed packets packing packs pad
+padded padding pads paged paging pains paint painted paints palace pale pan panel panels panic pant pants par
+parade paradox pardon parents parity parked parking parks parody parrot parse parsed parses parsing partner
+passage passion passive paste pat patched patches patent paths paused pauses pausing payment peaks peanut
+peanuts peasant pedal pedant pedants peer peers penalty pence pencil pended pending pends penguin pennies
+penny pens peoples percent periods persist pet petty phased phases phasing phoenix phoned phones phoning photo
+photos phrased physic physics piano pie pig pigeon pigs piles pill pills pilot pin pinch pinched pinches pink
+pins pints pipes pit pitch pitfall pity pizza pizzas plague plagued plagues plainly planes planets planted
+plants plaster plate plates player players plotted plotter ploy plugged plugs plural pockets poems poetic
+poetry poets pointer poison poisons poke polar pole polish polite polls pompous poorer poorest poorly pope
+popped popping pops pork ported porter porters porting portion portray ports pose posed poses posing possess
+postage postal poster posters pot potato pour poured pouring pours poverty powder powered praise pray prayed
+prayer prayers praying prays preach precede predict preface prefix premise premium pretend prevail preview
+priced pricing pride priest priests primes prince prison privacy prize prizes pro proceed profile profit
+profits prolong promote prompts pronoun proofs prophet prose protein proud proven provoke pseudo pub pudding
+pulp pulse pulses pump pumped pumping pumps pun punch punched punches punish puns punt punts pupil pupils
+purge purity purple pursue pursued pursues pursuit puzzle puzzled puzzles python quantum queen queens queries
+query quest queued queues queuing quibble quieter quiz quota quotas rabbit rabbits rabid raced races racial
+racing racism racist rack racket racks radar radical radios radius rag rage raid raids rail rails railway
+rainbow rained raining rains ram rampant rang ranged ranges ranging rank ranks rant ranted ranting rants rarer
+rarest rash rat rated rating ratio ratios rats rattle rattled rattles rave raved raves raving ray razor
+reacted reactor reacts realm realms rear rebuild rebuilt recalls receipt recipe recipes reckon reckons reclaim
+recruit rectify recycle refine refined refines reflex reform reforms refrain refresh refund refusal refute
+regain regime regions regrets reign relax relaxed relaxes relay relied relief relies relieve relying remedy
+rename renamed renames rend render renders rending rends renew renewed renews rent repairs repent reread
+rereads rescue resent reset resets reside resides resign resigns resist resolve resorts rested resting rests
+resume resumed resumes retail retains retire retired retires retract reuse revenge revenue revert reviews
+revise revised revises revolt revolts reward rewards rewrote rhyme rhythm ribbon rice rich richer richest
+ridden rides riding rightly rigid ringed ringing rings riot rip ripped ripping rips risen rises rising risked
+risking risks risky ritual rituals rival rivals rivers roads robot robots robust rock rocket rocks rod rode
+roles rolled rolling rolls roman romance roof roots rope rose rot rotate rotated rotates rotten rounded rounds
+rout routed routes routing routs rows royal rub rude ruin ruined ruining ruins ruled ruler rulers ruling rung
+rural rushed rushes rushing rusty sack sacked sacking sacks sacred sadden saddens saga sail sailed sailing
+sails salary salt sampled samples sand sane sang sanity sank sarcasm satire sauce savings scaled scales
+scaling scandal scanned scanner scans scarce scare scared scares scarf scaring scarlet scatter scenery scenes
+schemes scholar scope scored scoring scotch scraps scream screams screw screwed screws scripts scroll scrolls
+scum sea seal sealed sealing seals seat seats secrets sect sector sects secular seed segment seldom selfish
+sender senses sequel sermon servant servers seventh sexes sexist sexual sexy shade shades shadow shake shaken
+shakes shaking shaky shallow shaped shapes shaping sharply shed sheds sheep sheer sheets shells shelter shelve
+shelves shifted shifts shine shined shines shining shiny shipped ships shirt shock shocked shocks shoe shoes
+shone shook shoots shorten shorts shot shots shout shouted shouts shove shower showers shy sic sick sicken
+sickens sided siding sigh sighted sights sigma silence silent silicon sillier silver sin sincere sine sinful
+sing singer singers singing singles sings sink sinking sinks sins sir sister situate sixteen sixth sixties
+sixty sized sizing sketch skilled skin skip skipped skips skirt skull sky slag slang slash sleeps
+slept slice sliced slices slicing slid slide slides sliding slim slipped slips slogan slope sloppy slot slots
+slowed slowing slows smart smash smashed smashes smell smells smelly smiled smiles smiling smith smoke smoked
+smoker smokers smokes smoking smug snack snag snail sneak sneaked sneaks sneaky sniff snow soap sober sock
+socket sockets socks sod soil solar soldier sole soles solo song songs sons sordid sore soul souls soup spaced
+spacing span spares spatial species sped speeds sphere spies spigot spike spill spin spiral spirits spit spits
+spitted spoil spoils sponsor spoof spool sport sports spout sprang spray springs sprung spur spy squad squared
+squares squash squeeze stack stacks stagger stair stairs stake stale stall stamp stamped stamps stance star
+stare stared stares staring stark starred stars starter startle starve starved starves static steady steals
+steam steel steep steer steered steers stem stems stepped steps stereo sterile sticky stiff stir stirred stirs
+stocks stole stolen stomach stories storm storms strain strains straw stray streams streets stress stretch
+strip strips strive stroke studio stuffed stuffs stumble stun stunned stuns stunt styles subtly subway subways
+sue sued sues suffix suicide suing suite summed summing sums sundry sung sunk sunny sunrise super superb
+supreme surgery surname surplus surveys sustain swallow swam swamp swamped swamps swap swapped swaps swear
+swears sweat sweats sweep sweeps sweet swept swim swims swing sword swore sworn swum symptom synonym tab tabs
+tack tacked tacking tackle tackled tackles tacks tactic tactics tag tail tailor tailors tails taker takers
+tale talent talents tales tall tame tangent tap targets tasted tastes tasting taxes taxi teams teapot tear
+teared tearing tears teenage temper temple tempt tempted tempts tended tender tending tennis tens tense
+tension tenth termed terming terrify terror terse texts textual thanked thee theft theirs theme themes theorem
+therapy therein thereof theses thesis thick thief thieve thieves thirst thirty thou thous thread threats
+throat throats thrust thrusts thumb thy tick tidied tidies tidy tidying tiger tightly tile tiles timer tins
+tiny tip tips tire tired tires tiring toad toast tobacco toe toes toggle toilet toilets tokens toll tomato
+tome ton tone tones tongue tons tool tools topical tops tore torn torture toss tough tour tourist tower towers
+towns toy toys traced traces tracing tracked trade traded trades trading tragedy tragic trail trailed trails
+transit travels tray tread treaty trek trend trends trendy trials tribe tribes tricks tricky trifle trigger
+trilogy trinity triple tripos trips triumph trivia trolley troop troops trouser trumpet trunks trusty truths
+tube tubes tuned tunes tuning tunnel tunnels tutor twin twins twist twisted twists typeset ugh uncle undergo
+undid undo undoes undoing undone unduly uneasy unfair unified unifies unify union unions united unites uniting
+unity unload unlock unlocks unlucky unread unsafe unseen unset unsound unsure untidy unto untrue unused unwise
+upgrade upright ups upside upward urban urge urged urgency urgent urges urging usable utter vacancy vacuum
+vain valley valued valuing valve valves vanish variant vat vectors vehicle vein vend vended vending vendor
+vends venture venue venues verb verbal verbose verbs verdict verify verse verses versus vessel vet viable
+vicar vicious victim victims victory viewed viewer viewing vile village vintage vinyl violate violent violin
+virgin virtual virtues virus viruses visited visitor visits visual vocal voices void voltage volumes vomit
+voted voter voters voting vouch vowel wade waded wades wading waffle wage wages wake waked wakes waking wallet
+wander wanders ward warmed warming warms warp warped warping warps warrant wars wartime wary washed washes
+washing waters wave waved waves waving weak wealth wealthy weapons weary weasel weasels wed wedded wedding
+weds wee weekday weekly weigh welfare wet wets wetting whale whales whence whim whistle whites wholly whoop
+whoops wicked width wildly winded winding winds wines wing wings winner winners wipe wiped wipes wiping wired
+wires wiring wisdom wiser wisest wit witch witness witty wive wives wizard woke woken wolf wombat wont wood
+woods worlds worm worms worship wound wow wrap wrapped wrapper wraps wrath wreck wrecked wrecker wrecks wren
+wrist writers wrongly wrongs yard yards yawn yearly yeti yield yields younger youth zeros zone zones zoom
+`,
+  rare: `
+aback abacus abate abated abates abating abbey abbeys abbot abbots abdomen abduct abducts abet abets abetted
+abhor abhors abides abiding abject ablaze abler ablest ably aboard abode abodes abound abounds abreast abridge
+abrupt abscess abscond absents absolve abstain abuser abusers abyss abysses academy accede acceded accedes
+acclaim accost accosts accrue accrued accrues accuser aced aces ache ached aches aching acidity acids acing
+acne acorns acquit acquits acre acreage acres acrid acrider acrobat acrylic actives actress actuary acumen
+acutely acuter acutes acutest adage adages adamant adept adepts adjoin adjoins adjourn adjunct admiral admired
+admirer admires ado adobe adobes adore adored adores adoring adorn adorned adorns adrift adroit ads adverb
+adverbs aerials aerosol afar affable affably affirm affirms affix affixed affixes afflict affords affront
+afield aflame afloat afoot afresh agendas aghast agile agility agitate aglow agonies aground ahoy aide aides
+ail ailed ailing ailment ails aimless aired airier airiest airing airline airmail airs airy aisle aisles ajar
+albino albinos alcove alcoves ale alerted alerts ales alga algae aliased alibi alibied alibis aliened alight
+alights alimony alkali allay allayed allays allergy alley alleys allied allot allots alloy alloyed alloys
+allude alluded alludes allure allured allures allying almanac almond almonds alms aloft aloof altar altars
+alto altos amass amassed amasses amble ambled ambles ambling ambush amen amenity amiable amiably amid amiss
+ammonia amnesia amnesty amoeba amoebas amok amoral amorous ampere amperes ampler amplest amplify amply amps
+amulet amulets anal anchor anchors anchovy android anew angelic angered angers angled angler anglers angling
+angrier angrily angst angular animate ankle ankles annals annex annexed annexes annuals annuity annul annuls
+anoint anoints anon ant antenna anthem anthems anthill anthrax antic antics antler antlers antonym ants anus
+anuses anvil anvils anxiety aorta aortas ape aped apes apex apexes apiece aping aplomb apostle apparel appease
+applaud apples apricot apron aprons apter aptest aptly aquatic arable arbiter arcades arced arched archer
+archers archery arches archest arching archway arcing arcs ardent arduous arenas ares aria arias arid ark arks
+armies armpit armpits aroma aromas arouse aroused arouses arraign arrayed arrears arsenal arsenic arson artery
+artful artisan artwork ascent ascents ascetic ascribe asexual ashed ashen ashing ashore ashtray asides askance
+askew aspen aspens asphalt aspire aspired aspires aspirin assail assails assent assents asses asthma astound
+astray astride astute astuter asylum asylums athlete atlases atone atoned atones atoning attains attest
+attests attic attics attire attired attires auburn auction audibly audios audit audited auditor audits augment
+august aunts aura aural auras austere auto autopsy autos autumns avail availed avails avarice avenge avenged
+avenges avenue avenues averse avert averted averts aviator avid avocado avow avowal avowals avowed avowing
+avows awaken awakens awakes awaking awe awed awes awesome awhile awing awning awnings awoke awoken awry axed
+axing axle axles aye ayes azalea azaleas azure azures babble babbled babbles babe babes babied babier babiest
+baboon baboons babying babyish backer backers bacon badder baddest bade badger badgers badges badness bagel
+bagels bagged baggier bagging baggy bail bailed bailing bails bait baited baiting baits baker bakers bakery
+balcony bald balded balder baldest balding balds bale baled bales baling ballad ballads ballast balled ballets
+balling balloon ballots balm balmier balms balmy baloney bamboo bamboos bandage banded bandied bandier bandies
+banding bandit bandits bandy banged banging bangs bani banish banjo banjos banked banker bankers banking
+banners banquet banter banters baptism barb barbed barber barbers barbing barbs bard bards bared barer bares
+barest barge barged barges barging baring barley barman barn barns baron barons barrage barrels barren barrens
+barter barters baser basest bashful basil basin basins bask basked baskets basking basks bassoon baste basted
+bastes basting batched batches bathe bathed bathes bathing bathtub baton batons bats batsman batted batter
+batters batting battled battles bawdier bawdy bawl bawled bawling bawls bayed baying bayonet bayou bayous bays
+bazaar bazaars beached beaches beacon beacons bead beaded beadier beading beads beady beagle beagles beak
+beaked beaker beakers beaks beamed beaming beams beaned beaning bearer bearers beater beaters beaver beavers
+beckon beckons bedbug bedbugs bedded bedder bedding bedlam bedlams bedrock bedside bedtime bee beech beeches
+beefed beefier beefing beefs beefy beehive beeper bees beeswax beet beetle beetled beetles beets beeves befall
+befalls befell befit befits beggar beggars begged begging begs beguile behead beheads beheld behinds behold
+beholds beige belated belch belched belches belfry belie belied belies bellboy belled bellhop bellied bellies
+belling bellow bellows belly belted belting belts belying bemoan bemoans bemuse bemused bemuses benched
+benches bender benign bents bequest bereave bereft beret berets berried berries berry berserk berth berthed
+berths beseech beset besets besiege bested bestial besting bestow bestows bests betcha betray betrays betters
+bettor bettors bewared bewares bewitch bib bibs bicker bickers bidden bide bides biding bigamy bigots bike
+biked bikes biking bikini bikinis bile billed billing billow billows binder binders bingo binned binning bins
+biped bipeds biplane birch birched birches birded birding birthed births bisect bisects bishops bison bitched
+blab blabbed blabs blacked blacken blacker bladder blamer blanch bland blander blanked blanker blankly blare
+blared blares blaring blaster blaze blazed blazer blazers blazes blazing bleach bleak bleaker bleary bleat
+bleated bleats bled bleed bleeds blemish blend blended blends blight blights blimp blimps blinded blinder
+blinds blinked blinker blinks blip blips blister blithe blither blitz blitzed blitzes blobbed blobs bloc blocs
+blog blogged blogger blogs blond blonde blonder blondes blonds blooded bloods bloom bloomed blooms blossom
+blot blotch blots blotted blotter blouse bloused blouses blowout blubber blued bluer bluest bluff bluffed
+bluffer bluffs bluing blunder blunt blunted blunter bluntly blunts blur blurred blurs blurt blurted blurts
+blush blushed blushes bluster boa boar boarded boarder boars boas boast boasted boasts boated boating bobbed
+bobbin bobbing bobbins bobcat bobcats bobsled bode boded bodes bodice bodices bodily boding boggled boiler
+boilers bolder boldest boldly bologna bolster bolted bolting bolts bombard bomber bombers bondage bonded
+bonding bonds boned bonfire bonier boniest boning bonnet bonnets bonuses bony boo booby booed booing bookend
+boomed booming booms boon boons boor boorish boors boos boosted booster boosts booted bootee bootees booth
+booths booties booting bootleg booty booze bop borders borough bosom bosoms bossed bosses bossier bossing
+bossy botany botch botched botches bottled bottoms bough boughs boulder bounced bounces bounded bounty bouquet
+bourbon bouts bovine bovines bowed bowel bowels bowing bowled bowler bowling bowls bows boxcar boxcars boxed
+boxer boxers boxing boycott boyhood boyish bra brace braced braces bracing brag bragged brags braid braided
+braids brained brainy braise braised braises braked braking bran brandy bras brash brasher brasses brassy brat
+brats bravado braved bravely braver bravery braves bravest braving bravo bravos brawl brawled brawls brawn
+brawny bray brayed braying brays brazen brazens brazier breaded breads breadth breast breasts breaths breeder
+breezed breezes breezy brevity brew brewed brewery brewing brews bribe bribed bribery bribes bribing bricked
+bridal bridals bride brides bridged bridle bridled bridles briefed briefer briefs brim brimmed brims brine
+brinier brink brinks briny brisk brisked brisker briskly brisks bristle brittle broach broaden broader broads
+brocade broil broiled broiler broils broker brokers bronco broncos bronze bronzed bronzes brooch brood brooded
+broods brook brooked brooks broom brooms broth broths brow browned browner brownie browns brows bruise bruised
+bruises brunch brunt brushed brushes brusque brute brutes brutish bubbled bubbles bubbly bucked buckets
+bucking buckle buckled buckles bud budded buddies budding buddy budge budged budges budgets budging buds buff
+buffalo buffed buffet buffets buffing buffoon buffs bugged buggier buggies bugging buggy bugle bugled bugler
+buglers bugles bugling builder bulbous bulge bulged bulges bulging bulked bulkier bulking bulks bulky bulldog
+bulled bullied bullies bulling bullion bulls bully bum bummed bummer bummest bumming bumped bumper bumpers
+bumpier bumping bumps bumpy bums bun bunched bunches bundled bundles bung bungle bungled bungler bungles
+bunion bunions bunk bunked bunker bunkers bunking bunks bunnies bunny buns buoy buoyant buoyed buoying buoys
+burble burbled burbles burdens bureau bureaus burger burgers burglar burgle burial burials burlap burlier
+burly burner burners burnish burp burped burping burps burr burred burring burro burros burrow burrows burrs
+bursar bushed bushel bushels bushes bushier bushing bushy busied busier busies busiest busily busted busting
+bustle bustled bustles busts busying butcher butler butlers buts butt butte butted butters buttery buttes
+butting buttock butts buxom buzz buzzard buzzed buzzer buzzers buzzes buzzing byes bygone bygones byway byways
+cab cabaret cabbed cabbing cabin cabins caboose cabs cacao cacaos cache cached caches caching cackle cackled
+cackles cacti cactus cad caddie caddied caddies cadence cadet cadets caged cages cagey cagier cagiest caging
+cajole cajoled cajoles caked caking calcium calculi calf calico callers callous callow callus calmed calmer
+calmest calming calmly calms calorie calve calves camel camels cameo cameos camped camper campers camping
+canal canals canary cancers candid candied candies candle candled candles candy cane caned canes canine
+canines caning canker cankers canned cannery cannier canning cannon cannons canny canoe canoed canoes canon
+canons canopy canteen canter canters canvas canvass canyon canyons capably cape caped caper capered capers
+capes capped capping caprice capsize capsule caption captive captor captors caramel carat carats caravan
+carbons carcass carded cardiac carding caress cargo cargoes caribou carnage carnal carol carols carouse carp
+carped carpets carping carps carrion cart carted cartel cartels carting carton cartons carts carve carved
+carves carving cascade cashed cashes cashew cashews cashier cashing casings casino casinos cask casket caskets
+casks caste caster casters castes castled castles castoff casuals catcall catchy caterer catfish catnap
+catnaps catnip catwalk caucus caulk caulked caulks caustic cavalry caveats caved cavern caverns caves caviar
+caving cavity cavort cavorts caw cawed cawing caws cedar cedars cede ceded cedes ceding celery cellar cellars
+cellist cello cellos cement cements censure census cents ceramic cereal cereals certify chafe chafed chafes
+chaff chaffed chaffs chafing chagrin chained chaired chalet chalets chalice chalked chalks chalky champ
+champed champs chanced chant chanted chants chapels chapped charger chariot charred charted chasm chasms
+chassis chaste chasten chaster chatter chatty cheapen checkup cheeked cheeks cheep cheeped cheeps cheered
+cheery cheesed cheeses cheetah chef chefs cherish cherry cherub cherubs chests chewier chewy chi chic chicer
+chicest chick chicks chide chided chides chiding chiefer chiefly chiefs chill chilled chiller chills chilly
+chime chimed chimes chiming chimney chimp chimps chin china chink chinked chinks chinned chins chintz chipped
+chipper chirp chirped chirps chisel chisels choicer choirs choke choked chokes choking cholera choosy chopper
+choppy chorals chords chore chores chortle chow chowder chowed chowing chows chrome chromed chromes chronic
+chubby chuckle chug chugged chugs chum chummed chummy chums chunky churn churned churns chute chutes ciders
+cigar cigars cinch cinched cinches cinder cinders cinemas cipher ciphers circled circus cistern citric citrus
+civic civics clack clacked clacks clad clam clamber clammed clammy clamp clamped clamps clams clan clang
+clanged clangs clank clanked clanks clans clap clapped clapper claps claret clashed clasp clasped clasps
+classy clatter claw clawed clawing claws clay cleanse cleat cleats cleave cleaved cleaver cleaves clef clefs
+cleft clefts clench clergy cleric clerics clerk clerked clerks clicked clicks cliffs climax climber clime
+climes clinch cling clings clinics clink clinked clinks cliques cloak cloaked cloaks clocked clod clods
+clogged clogs closets clot cloths clots clotted clouded cloudy clout clouted clouts clove cloven clover
+clovers cloves clown clowned clowns clubbed cluck clucked clucks clued cluing clump clumped clumps clung
+clutch clutter coached coaches coaled coaling coals coarsen coarser coastal coasted coaster coasts coated
+coating coax coaxed coaxes coaxing cob cobalt cobble cobra cobras cobs cobweb cobwebs cocaine cock cocked
+cockier cocking cockpit cocks cocky cocoa cocoas coconut cocoon cocoons cod codded codding cods coerce coerced
+coerces coexist coffees coffer coffers coffin coffins cog cogency cogent cognac cognacs cogs coil coiled
+coiling coils coinage coked cokes coking colder coldest coldly colds colic collage collars collide collie
+collies colonel colones colons colt colts coma comas comb combats combed combing combs comely comet comets
+comical comings commend commune commute compass compost comrade concave conceit concoct concord concurs
+condoms condor condors cone cones confer confers confide congeal conical conifer conjure conned conning
+connote conquer cons consign consort consul consuls contort convene convent convex conveys convoy convoys coo
+cooed cooing cooker cooler coolers coolest coolly coop cooped cooper cooping coops coos cop copier copiers
+copious copped coppers copping cops coral corals cord corded cordial cording cordon cordons cords cored cores
+coring cork corked corking corks cornea corneas corned cornet cornets cornier corning corns corny coroner
+corps corpus corral corrals corrode corsage corset corsets cortex cosmos costume cot cots cottage cottons
+couch couched couches cougar cougars coughed coughs coup coupon coupons coups coursed courser courted cousins
+cove covert coverts coves covet coveted covets coward cowards cowboy cowboys cowed cower cowered cowers
+cowgirl cowhide cowing cox coy coyer coyest coyote coyotes crab crabbed crabby crabs cracker crackle cradle
+cradled cradles crafted crafts crafty crag craggy crags cram crammed crams crane craned cranes craning cranium
+crank cranked cranks cranky crasser crate crated crater craters crates crating crave craved craves craving
+crayon crayons craze crazed crazes crazier crazies crazily crazing creak creaked creaks creaky creamed creams
+creamy crease creased creases creeds creek creeks creeps creepy cremate crepe crepes crept crest crested
+crests cretin cretins crevice crewed crewing crews crib cribbed cribs crimson cringe cringed cringes crinkle
+cripple crises crisped crisper crisply crispy croak croaked croaks crochet crock crocks crocus crofts cronies
+crony crook crooked crooks croon crooned croons cropped croquet crosser crotch crouch crow crowbar crowed
+crowing crowned crowns crows crucify crudely cruder crudest crudity cruelly cruiser crumb crumbed crumble
+crumbly crumbs crummy crumple crunchy crusade crust crusted crusts crusty crutch crux cruxes crybaby crypt
+crypts cub cubed cubes cubicle cubing cubs cuckoos cuddle cuddled cuddles cued cues cuff cuffed cuffing cuffs
+cuing cuisine cull culled culling culls cults cupful cupfuls cupped cupping cur curable curator curb curbed
+curbing curbs curd curdle curdled curdles curds curfew curfews curio curios curl curled curling curls currant
+curried curries cursed curses cursing cursory curt curtail curter curtest curtsy curved curving cushion
+custody cutback cuter cutest cuticle cutlery cutlet cutlets cutter cutters cyanide cyclic cyclone cymbal
+cymbals cynics cypress cyst cysts dab dabbed dabbing dabble dabbled dabbles dabs dad daddies daddy dads daemon
+dagger daggers dailies dainty dairies dairy dais daises daisies daisy dallied dallies dally dam dame dames
+dammed damming damped dampen dampens damper dampest damping damps dams damsel damsels dancer dancers dandier
+dandies dandy dangle dangled dangles dank danker dankest dapper darken darkens darker darkest darkly darn
+darned darning darns dart darted darting darts daub daubed daubing daubs daunt daunted daunts dawdle dawdled
+dawdles dawned dawning dawns daze dazed dazes dazing dazzle dazzled dazzles deacon deacons deaden deadens
+deader deadest deafer deafest dean deans dearer dearest dearly dears dearth dearths deaves debase debased
+debases debit debited debits debrief debris debtor debtors debts debunk debunks debut debuted debuts decayed
+decays decease deceit deceits deceive decency decibel decked decking decks decoder decorum decoy decoyed
+decoys decree decreed decrees decried decries decry deduct deducts deeded deeding deepen deepens deeps deer
+deface defaced defaces defame defamed defames defer defers defiant deficit defied defies defile defiled
+defiles deflate deflect deform deforms defraud defrost deft defter deftest deftly defunct defying deified
+deifies deify deign deigned deigns deities deject dejects deli delimit delis deltas delude deluded deludes
+deluge deluged deluges deluxe delve delved delves delving demean demeans demerit demised demises demon demons
+demote demoted demotes demount demure demurer den denial denials denim denims denoted dens densely denser
+densest dent dental dented denting dents depart departs depict depicts deplete deplore deport deports depose
+deposed deposes depot depots deprave derail derails deride derided derides derrick descent desist desists
+desks despot despots dessert destiny detain detains deters detest detests detour detours devalue deviant
+deviate devils devolve devotee devour devours devout dew diamond diaper diapers diaries diced dices dicing
+diction diesels dietary dieted dieting diets diffuse digests dignify digress diked diking dilate dilated
+dilates dill dills dilute diluted dilutes dime dimer dimes dimly dimmed dimmer dimmest dimming dimple dimpled
+dimples dims din diners dinghy dingier dingy dinned dinners dinning dins diocese dioxide diploma dipped
+dipping dips direr direst dirge dirges dirtied dirtier dirties disarm disarms disavow disband discern discord
+discos discus disdain dished dishing disks dismay dismays disobey disown disowns dispel dispels dissect
+dissent distend disuse disused disuses ditched ditches dither dithers ditties dittoed dittos ditty diver
+diverge divers divest divests divined diviner divines divisor divulge dizzied dizzier dizzies dizzy docile
+dock docked docking docks dodged dodges dodging dodo doer doers dogged dogging dogmas dogwood doilies doily
+doled doleful doles doling doll dolled dollies dolling dolls dolly dolphin domains dome domed domes doming
+domino donkey donkeys donor donors doodle doodled doodles doorman doormen doorway dope doped dopes dopey
+dopier dopiest doping dormant dorsal dos dosed dosing dote doted dotes doting doubly doubted dough dour dourer
+dourest douse doused douses dousing dove doves dowdier dowdies dowdy downed downier downing downs downy
+dowries dowry doze dozed dozes dozing drab drabber drabs dragons dramas drape draped drapery drapes draping
+drawer drawers drawl drawled drawls dreamer dreamy dredge dredged dredges dregs drench dresser dressy dribble
+drier driers driest drifted drifts drilled drills drinker drivels drizzle droll droller drone droned drones
+droning drool drooled drools droop drooped droops dropout dross drought droves drowse drowsed drowses drowsy
+drudge drudged drudges drugged drummed drummer drunker drunks dryer dryers dryness drys dualism dub dubbed
+dubbing dubs duchess ducked ducking duct ducts dud dude duded dudes duding duds duel duels dues duet duets
+dugout dugouts duke dukes dulled duller dullest dulling dulls dully dumber dumbest dummies dumpier dumpy dunce
+dunces dune dunes dung dunged dungeon dunging dungs dunk dunked dunking dunks dunno duo dupe duped dupes
+duping duplex durable duress dusk duskier dusky dusted dustier dusting dustmen dustpan dusts dutiful duvet
+dwarf dwarfed dwarfs dwell dweller dwells dwelt dwindle dye dyed dyeing dyes dynamo dynamos dynasty eagerer
+eagles earache eardrum earl earls earmark earner earners earnest earring earshot earthed earthly earths earthy
+eased easel easels eases easing eave eaves ebb ebbed ebbing ebbs ebonies ebony eclipse ecstasy eczema eddied
+eddies eddy eddying edged edger edgier edgiest edging edgy edible edibles edict edicts edifice eel eels eerie
+eerier eeriest effigy egged egging egoism egotism egotist eighths eights eighty eject ejected ejects eke eked
+ekes eking elapse elapsed elapses elastic elation elbow elbowed elbows elder elders eldest elector elegies
+elegy elevate elevens elf elicit elicits elites elitism elk elks ellipse elm elms elope eloped elopes eloping
+elude eluded eludes eluding elusive elves email emailed emails emanate embalm embalms embargo embark embarks
+embassy ember embers emblem emblems embody emboss embrace embryo embryos emerald emir emirs emits emitted
+emotive empathy emperor empires empower empress emptier enact enacted enacts enamel enamels encase encased
+encases enchant encore encored encores endear endears endemic endive endives endorse endow endowed endows
+endure endured endures endways enema enemas engrave engross engulf engulfs enigma enigmas enlist enlists
+enliven enmity enrage enraged enrages enrich ensign ensigns enslave ensue ensued ensues ensuing entice enticed
+entices entrant entrap entraps entreat entropy entrust entwine envelop envied envies envious envoy envoys
+envying enzyme enzymes epics epitaph epithet epitome epoch epochs epsilon equated equates equator equine
+equines equinox equity eras erasers erasure erect erected erects erode eroded erodes eroding erosion erotic
+errand errands errant erratic erred erring errs erudite erupt erupted erupts escort escorts essayed estates
+esteem esteems etch etched etches etching ether ethnics ethos eulogy eureka evade evaded evades evading
+evasion evasive eve evener evenest eves evict evicted evicts evoke evoked evokes evoking ewe ewes exacted
+exacter exacts exalt exalted exalts excel excels excerpt excise excised excises exclaim excrete excused
+exempts exert exerted exerts exhale exhaled exhales exhort exhorts exhume exhumed exhumes exile exiled exiles
+exiling exodus exotics expanse expel expels expend expends exports expound extinct extol extols extort extorts
+exude exuded exudes exuding exult exulted exults eyeball eyebrow eyed eyeing eyelash eyelid eyelids eyesore
+fable fables fabrics facade facades facet faceted facets facial facials facile faction fad fade faded fades
+fading fads fainted faintly faints fairies fairs faiths faked fakes faking falcon falcons fallout falsely
+falser falsest falsify falsity falter falters famed famines fanatic fancied fancier fancies fanfare fang fangs
+fanned fanning faraway farces fared fares faring farmed farming farms fascism fasted fasten fastens fasting
+fasts fatally fated fateful fates fathom fathoms fatigue fating fats fatten fattens fatter fattest fattier
+fatties fatty faucets faulted fauna faunas fawn fawned fawning fawns faze fazed fazes fazing fearful feast
+feasted feasts feather feats feds feebler feeder feeders feeler feelers feign feigned feigns feint feinted
+feints feline felines felled feller fellest felling fells felon felons felony felted felting felts fen fenced
+fences fencing fend fended fending fends ferment fern ferns ferret ferrets ferried ferries ferry fertile
+fervent fester festers festive festoon fetched fetches feted fetid feting fetish fetter fetters fetus fetuses
+feud feudal feuded feuding feuds fevers fez fezzes fiasco fib fibbed fibber fibbers fibbing fibs fiche fickle
+fickler fiddler fiddly fidget fidgets fidgety fielded fiend fiends fiercer fierier fiery fiesta fiestas fifths
+fifties fig figment figs filch filched filches filet filler fillet fillets fillies filly filmier filmy filth
+fin finale finales finch finches finely finesse finicky fins fir firearm firefly fireman firemen firmed firmer
+firmest firming firs firsts fiscals fisher fishery fishier fishy fission fissure fist fists fitful fitness
+fitter fittest fives fixable fixture fizz fizzed fizzes fizzing fizzle fizzled fizzles flabby flail flailed
+flails flair flairs flak flake flaked flakes flakier flaking flaky flamed flaming flank flanked flanks flannel
+flap flapped flaps flare flared flares flaring flasher flashy flask flasks flatly flats flatted flatten
+flatter flaunt flaunts flea fleas fleck flecked flecks fled fledged flee fleece fleeced fleeces fleecy fleeing
+flees fleeted fleeter fleets fleshed fleshes fleshy flex flexed flexes flexing flick flicked flicker flicks
+fliest flights flighty flimsy flinch fling flings flint flints flipper flirt flirted flirts flit flits flitted
+flock flocked flocks flog flogged flogs flooder floored flop flopped flops flora floral floras florid florist
+floss flossed flosses flounce floured flours flout flouted flouts flowery flu flue fluency flues fluff fluffed
+fluffs fluids fluke flukes flung flunk flunked flunks flunky flurry flusher fluster fluted flutes fluting
+flutter flux fluxed fluxes fluxing flyover foal foaled foaling foals foamed foamier foaming foams foamy focal
+focused focuses fodder fodders foe foes fogged foggier fogging foggy foghorn fogs foible foibles foil foiled
+foiling foils foist foisted foists foliage folksy follies folly foment foments fonder fondest fondle fondled
+fondles fondly footage footed footing foots forage foraged forages foray forayed forays forbear forbore
+forceps ford forded fording fords fore forearm forego foreleg foreman foremen fores foresaw foresee forfeit
+forge forged forger forgers forgery forges forging forgo forgoes forgone forked forking forks forlorn formals
+forsake forsook fort forte fortes forties fortify forts forums forwent fossils foster fosters fouled fouler
+foulest fouling fouls founder foundry fount founts fours fourths fowl fowled fowling fowls fox foxed foxes
+foxier foxiest foxing foxy foyer foyers fracas fractal frail frailer frailty framed framing franc francs
+franked franker franks frauds fraught fray frayed fraying frays freaked freckle freer freest freezer freight
+frenzy freshen fresher freshly fret fretful frets fretted friar friars frieze friezes frigate fright frights
+frigid frill frills frilly fringed fringes frisk frisked frisks frisky fritter frizzy fro frock frocks frolic
+frolics frond fronds frontal fronted fronts frost frosted frosts frosty froth frothed froths frothy frugal
+fruited fruity fudged fudges fudging fuels fulcrum fulled fulling fulls fumble fumbled fumbles fumed fuming
+fungi fungus funnel funnels funner funnest funnies funnily furies furious furl furled furling furlong furls
+furnace furnish furred furrier furring furrow furrows furs furtive fury fused fuses fusing fussed fusses
+fussier fussing futures fuzz fuzzed fuzzes fuzzier fuzzing gab gabbed gabbing gable gables gabs gadget gadgets
+gag gagged gagging gags gaiety gaily gainful gait gaits gal gala galas gale gales gall gallant galled gallery
+galley galleys galling gallon gallons gallop gallops gallows galls galore gals gambit gambits gamble gambled
+gambler gambles gamed gamer gamest gaming gamma gamut gamuts gander ganders ganged ganging gangs gangway gape
+gaped gapes gaping garaged garages garb garbed garbing garbs gargle gargled gargles garish garland garlic
+garment garnet garnets garnish garret garrets garter garters gaseous gases gash gashed gashes gashing gasket
+gaskets gasped gasping gasps gassed gassing gastric gated gating gaudier gaudy gauge gauged gauges gauging
+gaunt gaunter gauze gavel gavels gawk gawked gawkier gawking gawks gawky gayer gayest gays gaze gazed gazelle
+gazes gazette gazing gee geed geeing gees geese gel gelatin geld gelded gelding gelds gem gems genders genera
+geneses genesis genial genie genies genii genital genres gent gentile gentled gentler gentles gentry gents
+genus gerbil gerbils germ germs getaway geyser geysers ghetto ghettos ghosted ghostly ghosts ghoul ghouls
+giants gibber gibbers giddier giddy gifted gifting gigged gigging giggle giggled giggles gigs gild gilded
+gilding gilds gill gills gilt gilts gimme gimmick ginger gingham ginned ginning gins giraffe girder girders
+girdle girdled girdles girlish girth girths gist givens gizzard glacial glacier gladden gladder glade glades
+glads glamour glanced glances gland glands glare glared glares glaring glassed glassy glaze glazed glazes
+glazing gleam gleamed gleams glee glen glens glib glibber glibly glide glided glider gliders glides gliding
+glimmer glimpse glint glinted glints glisten glitter gloat gloated gloats globe globes globule gloom gloomy
+gloried glories glorify gloss glossed glosses gloved gloving glower glowers glucose glued glues gluing glum
+glummer glut gluts glutted glutton gnarl gnarled gnarls gnash gnashed gnashes gnat gnats gnaw gnawed gnawing
+gnaws gnomes gnu gnus goad goaded goading goads goalie goalies goatee goatees goats gob gobbed gobbing gobble
+gobbled gobbles goblet goblets goblin goblins gobs goddess godless godlier godlike godly godsend goggle
+goggles golds golfed golfer golfers golfing golfs gondola goner goners gong gonged gonging gongs gonna goo
+gooey goof goofed goofier goofing goofs goofy gooier gooiest goon goons goose goosed gooses goosing gopher
+gophers gore gored gores gorge gorged gorges gorging gorier goriest gorilla goring gory gosh gosling gospels
+gossips gouge gouged gouges gouging goulash gourd gourds gourmet gout gowned gowning gowns grabber graced
+graces gracing graded grader grading graft grafted grafts grains gram grams grander grandly granite granny
+granola granule grape grapes graphed grapple grasped grasps grassed grasses grassy grate grated grater graters
+grates gratify grating graved gravel gravels gravely graven graver graves gravest gravies graving gravy graze
+grazed grazes grazing grease greased greases greats greened greener greens greet greeted greets gremlin
+grenade griddle grids griefs grieve grieved grieves grill grille grilled grilles grills grimace grime grimed
+grimes grimier griming grimly grimmer grimy grin grinder grinned grins gripe griped gripes griping gripped
+grisly gristle grit grits gritted gritty grizzly groaned groans grocer grocers grocery groggy groin groins
+groom groomed grooms groove grooved grooves groovy grope groped gropes groping grossed grosser grotto grouch
+grouchy grouper grouse groused grouses grove grovel grovels groves grower growers growl growled growls growths
+grub grubbed grubby grubs grudge grudged grudges gruel gruff gruffer gruffly grumble grumpy grunt grunted
+grunts guested guffaw guffaws guild guilds guile guise guises guitars gulch gulches gulfs gull gulled gullet
+gullets gullies gulling gulls gully gulp gulped gulping gulps gumdrop gummed gummier gumming gummy gums
+gunfire gunman gunmen gunned gunner gunners gunning gunshot guppies guppy gurgle gurgled gurgles guru gurus
+gush gushed gusher gushers gushes gushing gust gusted gustier gusting gusts gusty gutted gutters gutting guyed
+guying guzzle guzzled guzzles gym gymnast gyms gyrate gyrated gyrates habitat hackney hacksaw haddock hag
+haggard haggle haggled haggles hags hailed hailing hails hairdo hairdos haired hairier hale haled haler hales
+halest halfway halibut haling hallway halo haloed haloing halon halos halter halters halved halving hamlet
+hamlets hammed hammers hamming hammock hamper hampers hams hamster handbag handier handout hangar hangars
+hanger hangers hangout hanker hankers hapless harass hardier hare hared harem harems hares haring hark harked
+harking harks harlot harlots harmed harming harms harness harp harped harping harpist harpoon harps harried
+harries harrow harrows harry harsher harshly hart harts harvest hashed hashes hashing hassled hassles haste
+hasted hastens hastes hastier hastily hasting hatch hatched hatches hatchet hateful hatreds hatted hatting
+haughty haul hauled hauling hauls haunt haunted haunts haven havens haves hawk hawked hawking hawks hayed
+haying hays haywire haze hazed hazel hazels hazes hazier haziest hazing headier headway heady heal healed
+healer healers healing heals heaped heaping heaps hearsay hearse hearses hearten hearth hearths hearty heater
+heaters heath heathen heather heave heaved heaves heavies heaving heckle heckled heckler heckles hectic hedge
+hedged hedges hedging heed heeded heeding heeds heeled heeling heftier hefty heifer heifers heinous heir heirs
+helium hellish hellos helm helmets helms helper helpers hem hemlock hemmed hemming hemp hems hen hens herald
+heralds herb herbs herded herding herds herein heretic hermit hermits hernia hernias heroine heroins heroism
+heron herons herpes hers hew hewed hewing hews hexagon heyday heydays hiatus hiccup hiccups hick hickory hicks
+highs hijack hijacks hike hiked hiker hikers hikes hiking hillier hilly hilt hilts hims hind hinder hinders
+hinds hinge hinged hinges hinging hipped hipper hippest hippies hipping hippy hips hiss hissed hisses hissing
+hitch hitched hitches hither hive hived hives hiving hoard hoarded hoarder hoards hoarse hoarser hoax hoaxed
+hoaxes hoaxing hobbies hobbit hobble hobbled hobbles hobnob hobnobs hobo hobos hock hocked hockey hocking
+hocks hoe hoed hoeing hoes hogged hogging hogs hoist hoisted hoists holdup holdups holed holier holiest holing
+holler hollers hollies hollows holly holster homage homages homed homely homey homeys homier homiest homing
+homonym hone honed hones honeyed honeys honing honk honked honking honks hood hooded hooding hoodlum hoods
+hoof hoofed hoofing hoofs hoop hooped hooping hoops hooray hoot hooted hooter hooting hoots hooves hop hopped
+hopper hopping hops horded hording hormone horned hornet hornets hornier horns horny horrors horsed horsing
+hose hosed hoses hosiery hosing hostage hosted hostel hostels hostess hosting hotbed hotbeds hotels hothead
+hotly hotter hottest hound hounded hounds hourly hove hovel hovels hover hovered hovers howl howled howling
+howls hows hub hubbub hubbubs hubs huddle huddled huddles hue hued hues huff huffed huffier huffing huffs
+huffy hug huger hugest hugged hugging hugs hulk hulking hulks hull hulled hulling hulls humaner humanly
+humbled humbler humbles humbug humdrum humid hummed humming hump humped humping humps hums hunch hunched
+hunches hunger hungers hunk hunks hunter hunters hurdle hurdled hurdles hurl hurled hurling hurls hurrah
+hurrahs hurried hurries hurtful hurtle hurtled hurtles hush hushed hushes hushing husk husked huskier huskies
+huskily husking husks husky hustle hustled hustler hustles hutch hutches huts hybrid hybrids hydrant hyena
+hyenas hygiene hymn hymnal hymnals hymned hymning hymns hyphens iceberg iced ices icicle icicles icier iciest
+icing icings icy idiocy idioms idled idler idles idlest idling idly idol idols idyllic ifs igloo igloos ignite
+ignited ignites iguana iguanas ilk illicit ills imaged imagery imaging imitate immerse imp impacts impale
+impaled impales impart imparts impasse impeach impede impeded impedes impel impels imperil impetus impinge
+impish implant implore impound imprint imps impure impurer inaner inanest inborn inbred inbreed inbuilt
+incense incest inched inching incisor incite incited incites incomes indents indices indict indicts indigo
+indoor indoors induct inducts inept inert inexact infamy infancy infants inferno infers infest infests infidel
+infield infirm infix inflame inflate influx infuse infused infuses ingest ingests ingrain inhale inhaled
+inhaler inhales inhuman injects inked inkier inkiest inking inkling inks inky inlaid inland inlay inlays inlet
+inlets inmate inmates inn innards innate inning innings inns inquest ins insaner insider insides insipid
+instep insteps insular insulin insure insured insurer insures intakes intents intern interns inters intrude
+invader invests invoice inward inwards iodine ions iota iotas ire iris irises irk irked irking irks ironed
+ironies ironing irons isle isles isthmus italic italics itch itched itches itchier itching itchy iterate ivies
+ivories ivory ivy jab jabbed jabber jabbers jabbing jabs jackal jackals jackass jackdaw jacked jacking jackpot
+jacks jade jaded jades jading jagged jaguar jaguars jailed jailer jailers jailing jails jalopy jamb jambs
+jangle jangled jangles janitor jar jarred jarring jars jaunt jaunted jaunts jaunty javelin jaw jawbone jawed
+jawing jaws jay jays jaywalk jazzed jazzes jazzing jeer jeered jeering jeers jell jelled jellied jelling jells
+jerked jerkier jerking jerks jerky jersey jerseys jested jester jesters jesting jests jets jetted jetties
+jetting jetty jewel jewels jibe jibed jibes jibing jiffies jiffy jig jigged jigging jiggle jiggled jiggles
+jigs jigsaw jigsaws jilt jilted jilting jilts jingle jingled jingles jinx jinxed jinxes jinxing jitters
+jittery jobbed jobbing jockey jockeys jocular jog jogged jogger joggers jogging jogs jointed joker jokers
+jollied jollier jollies jolt jolted jolting jolts jostle jostled jostles jot jots jotted jotting jovial joyed
+joyful joying joyous joys jubilee judo jug jugged jugging juggle juggled juggler juggles jugs jugular juiced
+juices juicier juicing juicy jumble jumbled jumbles jumbo jumbos jumper jumpers jumpier jumpy jungles juniors
+juniper junked junket junkets junkie junkies junking junks junta juntas juries juror jurors juster justest
+justly jut jute juts jutted jutting karat karate karats kayak kayaked kayaks keel keeled keeling keels keened
+keener keenest keening keenly keens keepers keg kegs kelp kennel kennels kernels ketchup kettles keyhole
+keynote khaki khakis kickoff kidneys killers kiln kilned kilning kilns kilo kilos kilt kilts kimono kimonos
+kin kinda kinder kindest kindle kindled kindles kindred kinfolk kink kinked kinkier kinking kinks kinky
+kinship kiosk kiosks kipper kissed kisses kissing kite kited kites kiting kitten kittens kitties kitty kiwi
+kiwis knack knacker knacks knead kneaded kneads kneecap kneed kneeing kneel kneels knelt knifed knifes knifing
+knights knit knits knitted knives knob knobs knocker knoll knolls knot knots knotted knotty knuckle koala
+koalas kosher koshers kowtow kowtows kudos lace laced laces lacier laciest lacing lacquer lacy ladders lade
+laded laden lades lading ladle ladled ladles ladling lads ladybug laggard lagged lagging lagoon lagoons lags
+lair lairs lakes lamb lambda lambed lambing lambs lame lamed lament laments lamer lames lamest laming lampoon
+lamps lance lanced lances lancing lander lanes languid languor lankier lanky lantern lap lapel lapels lapped
+lapping laps lapse lapsed lapses lapsing larceny lard larded larding lards larges larked larking larks larva
+larvae larynx lash lashed lashes lashing lass lasses lastly latch latched latches latent lateral latex lath
+lathe lathed lather lathers lathes lathing laths latrine lattice laud lauded lauding lauds launder laundry
+laurel laurels lava lavish lawful lawless lawns lawsuit lax laxer laxest laxity layered layman laymen layouts
+lazied lazier lazies laziest lazying leaden leafed leafier leafing leafs leafy leagued leagues leakage leaked
+leaking leaks leaky leaner leanest leaping leaps lease leased leases leash leashed leashes leasing lectern
+ledge ledger ledgers ledges lee leech leeched leeches leek leeks leer leered leerier leering leers leery
+leeway lefter leftest lefts legacy legals legends legged legging legibly legion legions legume legumes lemme
+lemons lentil lentils leopard leotard leper lepers leprosy lesion lesions lessen lessens letdown lettuce letup
+letups levee levees lever levered levers levied levies levity levy levying lewd lewder lewdest lexical lexicon
+liar liars libels lice lichen lichens lick licked licking licks lids lieu lighten liken likened likens liker
+likest lilac lilacs lilies lilt lilted lilting lilts lily limber limbers limbo lime limed limes liming limp
+limped limper limpest limping limps lineage linen liner liners linger lingers lingo lingoes linings linker
+lint lioness lions liquefy liqueur liquids liquors lisped lisping lisps litany lithe lither lithest lithium
+litters littler liturgy liven livened livens livers livid livings lizard lizards llama llamas loaf loafed
+loafer loafers loafing loafs loam loaned loaning loath loathe loathed loathes loaves lob lobbed lobbied
+lobbies lobbing lobe lobes lobs lobster locale locales locker lockers locket lockets locust locusts lodged
+lodger lodgers lodges lodging loft lofted loftier lofting lofts lofty logger loin loins loiter loiters loll
+lolled lolling lolls lone longed longing longish longs lookout loom loomed looming looms loon loonie loonier
+loonies loons loony looped looping loosed loosen loosens looser looses loosest loosing loot looted looting
+loots lop lope loped lopes loping lopped lopping lops lorded lording lore loser losers lotion lotions lottery
+lotus lotuses lounge lounged lounges louse louses lousier lovable lowdown lowed lowing lowlier lowly lows
+loyaler loyalty lozenge lucid lucked luckier lucking lucks lug lugged lugging lugs lull lullaby lulled lulling
+lulls lumber lumbers lumped lumpier lumping lumpy lunacy lunar lunched lunches lunge lunged lunges lunging
+lupine lurch lurched lurches lure lured lures lurid luring lush lusher lushes lushest lusted lustier lusting
+lusts lusty lute lutes lye lymph lynch lynched lynches lyre lyres lyrical macabre mace maced maces machete
+macho macing madam madame madams madcap madcaps madden maddens madder maddest madly madman madmen mads magenta
+maggot maggots magnate magnet magnets magnify magnum magpie magpies maid maiden maidens maids mailman mailmen
+maim maimed maiming maims maizes majesty majored majors makeup makeups malady malaria malice malign maligns
+mall mallard mallet mallets malls malt malted malting malts mama mamas mamma mammal mammals mammoth manacle
+mane manes mange manger mangers mangier mango mangoes mangy manhole manhood maniac maniacs manias manic
+manlier manly manners mannish manor manors mansion mantel mantels mantle mantled mantles manure manured
+manures maple maples mapper mar marble marbled marbles marched marcher marches mare mares maria marina marinas
+marine mariner marines maroon maroons marquee marred marring marrow marrows mars marsh marshal marshes marshy
+mart martial martin marts martyr martyrs marvel marvels mas mascara mascot mascots mash mashed mashes mashing
+masked masking masks mason masonry masons massage massed massing mast mastery masts mat matador mated mates
+mating matron matrons mats matte matted mattes matting matured maturer matures maudlin maul mauled mauling
+mauls mauve maxim maxima maximal maxims maybes mayhem mayors mazes meadow meadows mealier mealy meander meaner
+meanest measles measly meats medal medals meddle meddled meddler meddles median medias mediate medley medleys
+meek meeker meekest meekly megaton mellow mellows melodic melon melons melted melting melts memento memo
+memoir memoirs memos menace menaced menaces menial menials menthol mentor mentors mercies meres merest merger
+mergers merited mermaid merrier merrily mes mesh meshed meshes meshing messier metals mete meted meteor
+meteors metered metes meting mettle mew mewed mewing mews microbe middles midget midgets midriff midst midway
+midways midwife mien miens migrant mike miked mikes miking milder mildest mildew mildews militia milked milker
+milkier milking milkman milkmen milks milky milled miller millers milling mills mime mimed mimes mimicry
+mimics miming mince minced minces mincing mindful miner mineral miners mingle mingled mingles minibus minion
+minions mink minks minnow minnows minored minors minted minting mints minuet minuets minuses minuted minuter
+mirage mirages mire mired mires miring mirth misdeed miser miserly misers misfit misfits mishap mishaps
+mislaid mislay mislays missive misted mistier misting misty mistype misused misuses mite mites mitt mitten
+mittens mitts mixer mixers moat moats mobbed mobbing mobiles mobs mocked mockery mocking mocks modal moderns
+modesty modicum modular mohair moist moisten moister molar molars moles molest molests mollify molten mongrel
+monies monk monks monsoon moo moodier moodily moods moody mooed mooing mooned mooning moor moored mooring
+moors moos moose moot mooted mooting moots mop mope moped mopes moping mopped mopping mops morale morass
+morbid morgue morgues morn morns moronic morose morsel morsels mortar mortars mortify mosaic mosaics mosque
+mosques moss mosses mossier mossy motel motels moth moths motif motifs motley motleys motlier motored mottoes
+mound mounded mounds mourn mourned mourner mourns moused mouses mousier mousing mousse moussed mousses mousy
+mouthed mouths movable mover movers mow mowed mower mowers mowing mows mucous mucus muddied muddier muddies
+muddy muff muffed muffin muffing muffins muffle muffled muffler muffles muffs mugged mugger muggers muggier
+mugging muggy mulch mulched mulches mule mules mull mulled mulling mulls multi mumbled mumbles mummies mummify
+mumps munch munched munches mural murals murkier murky murmur murmurs muscled muse mused muses mush mushed
+mushes mushier mushing mushy musing musk musket muskets muss mussed mussel mussels musses mussing mustang
+mustard muster musters mustier musts musty mutant mutants mutate mutated mutates mute muted mutely muter mutes
+mutest muting mutiny mutt mutton mutts muzzle muzzled muzzles myopic myriad myriads mys mystics mystify nab
+nabbed nabbing nabs nag nagged nagging nags naively naiver naivest naivety nap napalm napalms nape napes
+napkin napkins napped nappies napping nappy naps narrate narrows nasal nasals nastily nattier natty natures
+nausea naval navel navels navies navy nays neared nearing nears neater neatest nebula nebulae necked necking
+necks necktie nectar needier needled needy negated negates neigh neighed neighs neon nephew nephews nerved
+nerving nestle nestled nestles nether netted netting nettle nettled nettles neuron neurons neuter neuters
+neutron newbie newbies newborn newsier newsy newt newton newts nibble nibbled nibbles nicety niche niches
+nickel nickels niece nieces niftier nifty nigh nightly nimble nimbler nimbly nines ninety ninnies ninny ninth
+ninths nip nipped nippier nipping nipple nipples nippy nips nit nitrate nits nitwit nitwits nobler nobles
+noblest nobly nod nodded nodding nods noes noised noisier noisily noising nomad nomadic nomads nominee non
+nonstop noodle noodled noodles nook nooks noose nooses norms nosed nosier nosiest nosing nostril nosy notch
+notched notches nougat nougats nourish nova noxious nozzle nozzles nuance nuances nuclei nucleus nude nuder
+nudes nudest nudge nudged nudges nudging nudity nugget nuggets nullify nulls numbed numbing numbs nuptial
+nursed nursery nursing nurture nutmeg nutmegs nutted nuttier nutting nutty nuzzle nuzzled nuzzles nylon nymph
+nymphs oaf oafs oak oaks oared oaring oars oases oasis oath oaths oatmeal obelisk obese obesity oblique oblong
+oblongs oboe oboes obtuse obtuser oceanic oceans octagon octal octave octaves octopus ocular oculars odder
+oddest oddity ode odes odious offbeat offed offing offings offload offs oftener ogle ogled ogles ogling ogre
+ogres ohm ohms ohs oiled oilier oiliest oiling oils oily okra okras olden olive olives omega omen omens
+ominous omnibus onerous onions onrush onset onsets onuses onward oodles ooze oozed oozes oozing opal opals
+opaque opaqued opaquer opaques opener openers openest operand opium opossum optics optima opulent oracle
+oracles orals oranges oration orator orators oratory orbited orbits orchard orchid orchids ordain ordains
+ordeal ordeals orderly ore ores orgasm orgies orgy orifice ornate orphan orphans osmosis ostrich otter otters
+ouch ounce ounces oust ousted ouster ousters ousting ousts outcast outdid outdo outdoes outdone outdoor outed
+outfit outfits outgrew outgrow outing outings outlaid outlast outlaw outlaws outlay outlays outlet outlets
+outlive outpost outran outrun outruns outs outsets outward outwit outwits ova oval ovals ovaries ovary ovation
+oven ovens overate overdid overdo overeat overlay overlie overran overrun overs oversaw oversee overt overtly
+overuse ovum owl owls oxen oxide oxides oyster oysters paced paces pacific pacify pacing packer packers pact
+pacts paddies paddle paddled paddles paddock paddy padlock pagan pagans pageant pager pagoda pagodas pail
+pails pained paining painter paired pairing pal palaces palate palates paled paler pales palest palette paling
+pall palled pallid palling pallor palls palm palmed palming palms pals paltry pamper pampers panacea pancake
+panda pandas pander panders pane panes pang pangs panicky panics panned panning pans pansies pansy panted
+panther pantie panties panting pantry pap papa papacy papal papas papaya papayas papered paprika papyri
+papyrus parable paraded parades paragon parasol parcel parcels parch parched parches pardons pare pared pares
+paring parish parka parkas parkway parole paroled paroles parred parring parrots pars parsec parsecs parser
+parsley parsnip parson parsons partake parted partied parting partook pas passer pasta pastas pasted pastel
+pastels pastes pastier pasties pastime pasting pastor pastors pastry pasts pasture pasty patchy pate patents
+pates pathos pathway patio patios patriot patrol patrols patron patrons pats patted patter patters patties
+patting patty paucity paunch paunchy pauper paupers pave paved paves paving paw pawed pawing pawn pawned
+pawning pawns paws payable payer payers payload payoff payoffs payroll pea peaces peach peaches peacock peaked
+peaking peal pealed pealing peals pear pearl pearled pearls pears peas peat pebble pebbled pebbles pecan
+pecans peck pecked pecking pecks pedals peddle peddled peddles peek peeked peeking peeks peel peeled peeling
+peels peep peeped peeping peeps peered peering peeve peeved peeves peeving peevish peg pegged pegging pegs
+pelican pellet pellets pelt pelted pelting pelts pelvic pelvis penal penance pencils pendant penis penises
+pennant penned penning pension pensive peon peonies peons peony peopled pep pepped pepper peppers pepping peps
+perch perched perches perfume peril perils perish perjure perjury perk perked perkier perking perks perky
+perplex persona pert pertain perter pertest perturb perusal peruse perused peruses pervade pervert peskier
+pesky pest pester pesters pests petal petals peter petered peters petite petites petrify pets petted pettier
+petting petunia pew pews pewter pewters phantom phlegm phobia phobias phonics phonied phonier photoed photon
+photons pianist pianos piccolo pickax picket pickets pickier pickle pickled pickles pickup pickups picky
+picnic picnics piddle piddled piddles pieced piecing pier pierce pierced pierces piers pies piety pigeons
+pigged pigging piggish pigment pigpen pigpens pigtail pike piked pikes piking piled pilfer pilfers pilgrim
+piling pillage pillar pillars pilled pilling pillow pillows piloted pilots pimple pimples pimply pine pined
+pines pining pinion pinions pinked pinker pinkest pinking pinks pinned pinning pioneer pious piped piping
+pique piqued piques piquing piracy piranha pirate pirated pirates pis pistol pistols piston pistons pitched
+pitcher pitches piteous pithier pithy pitied pities pitiful pits pitted pitting pitying pivot pivotal pivoted
+pivots pixie pixies placard placate placid plaice plaid plaids plainer plains planar planed planing plank
+planked planks planner planter plaque plaques plasma plateau plated plating platoon platter playful playpen
+plaza plazas plead pleaded pleads pleas pleat pleated pleats pledge pledged pledges pliable pliant plied
+pliers plies plight plights plod plodded plods plop plopped plops ploys pluck plucked plucks plucky plum
+plumage plumb plumbed plumber plumbs plume plumed plumes pluming plummet plump plumped plumper plumps plums
+plunder plunge plunged plunger plunges plurals pluses plush plusher ply plying plywood poach poached poacher
+poaches pod podded podding podium podiums pods poise poised poises poising poked poker pokers pokes pokey
+pokier pokiest poking poky poled polemic poles policed polices poling polio polios politer polka polkaed
+polkas polled pollen polling pollute polo polygon polyp polyps pomp poncho ponchos pond ponder ponders ponds
+ponies pontoon pony poodle poodles pooled pooling pools poop pooped pooping poops popcorn poplar poplars
+poppies poppy porch porches pore pored pores poring porous portal portals portend portent portico portly
+posies possum possums postbox postman postmen posture posy potency potent pothole potion potions pots potted
+potter potters pottery potting pouch pouched pouches poultry pounce pounced pounces pounded pout pouted
+pouting pouts powders powdery powwow powwows prairie praised praises pram prance pranced prances prank pranks
+prattle prawn prawned prawns preempt preen preened preens prefab prefabs prefect prelude premier prepaid
+prepay prepays preside presto pretext pretzel prey preyed preying preys prick pricked prickle prickly pricks
+prided prides priding pried pries prim primal primate primed primer primers priming primly primmer primp
+primped primps princes priors prism prisms prisons privier privies privy probe probed probes probing procure
+prod prodded prodigy prods profane profess proffer profuse progeny prom proms prong prongs proofed prop propel
+propels propped props pros prosper proton protons prouder proudly proverb proviso prow prowess prowl prowled
+prowler prowls prows proxies proxy prude prudent prudes prudish prune pruned prunes pruning pry prying psalm
+psalms psych psyche psyched psyches psychic psychs puberty puck pucker puckers pucks puddle puddled puddles
+pudgier pudgy pueblo pueblos puff puffed puffer puffier puffing puffs puffy puke puked pukes puking pulley
+pulleys pulped pulping pulpit pulpits pulps pulsate pulsed pulsing puma pumas pumice pumices pummel pummels
+pumpkin pundit pundits pungent punier puniest punk punker punkest punks punned punning punted punter punters
+punting puny pup pupped puppet puppets puppies pupping puppy pups puree pureed purees purer purest purged
+purges purging purify purpler purples purport purr purred purring purrs purse pursed purses pursing pus pusher
+pushers pushier pushy puss pusses pussier pussies pussy putrid putter putters puttied putties putty pyramid
+pyre pyres pythons qua quack quacked quacks quail quailed quails quaint quake quaked quakes quaking qualm
+qualms quark quarrel quarry quart quartet quarts quartz quash quashed quashes quaver quavers quay quays queasy
+queened queenly queer queered queerer queers quell quelled quells quench queried quested quests quiche quicken
+quieted quiets quill quills quilt quilted quilts quinine quintet quip quipped quips quirk quirked quirks
+quirky quitter quiver quivers quizzed quizzes quorum quorums rabbi rabbis rabble rabbles rabies raccoon racer
+racier raciest racists racked rackets racking racy radars radial radials radiant radiate radii radioed radish
+radium raffle raffled raffles raft rafted rafter rafters rafting rafts raged rages ragged ragging raging rags
+ragtime raided raider raiders raiding railed railing rainier rainy raisin raisins rake raked rakes raking
+rallied rallies rally ramble rambled rambler rambles rammed ramming ramp rampage ramps ramrod ramrods rams
+ranch ranched rancher ranches rancid ranger rangers ranked ranker rankest ranking rankle rankled rankles
+ransack ransom ransoms rap rapider rapids raping rapped rapping rapport raps rapt rapture rared rares raring
+rarity rascal rascals rasher rashes rashest rashly rasp rasped rasping rasps raster ratify ratings ration
+rations ratted ratting rattler ratty raucous ravage ravaged ravages ravel ravels raven ravened ravens ravine
+ravines ravings ravish rawer rawest rayon rays raze razed razes razing razors readied readier readies realer
+realest realism realist reals realty ream reamed reaming reams reap reaped reaper reapers reaping reaps reared
+rearing rears rebate rebated rebates rebel rebels rebind rebinds rebirth reborn rebound rebuff rebuffs rebuke
+rebuked rebukes rebut rebuts recant recants recap recaps recede receded recedes recess recital recite recited
+recites recline recluse recoil recoils recount recoup recoups rectal rector rectors rectum rectums recur
+recurs redden reddens redder reddest redeem redeems redhead redid redo redoes redoing redone redraft redraw
+redress reds reed reeds reef reefed reefing reefs reek reeked reeking reeks reel reelect reeled reeling reels
+referee refill refills refuel refuels refuge refugee refuges refunds refuted refutes regains regal regale
+regaled regales regalia regatta regent regents regimen regimes regress rehash reigned reigns rein reined
+reining reins rejoice rejoin rejoins relaid relapse relayed relays relent relents reliant relic relics reliefs
+relish relive relived relives reload reloads remade remake remakes remiss remit remits remnant remodel remorse
+remoter remotes renege reneged reneges renewal renown rental rentals rented renting rents reopen reopens
+repaid repay repays repeal repeals repel repels repents replay replete replica repose reposed reposes repress
+reprint reprove reptile repulse repute reputed reputes requiem reroute resale rescind rescued rescuer rescues
+resents resided residue resin resins resists resound respite restful restive retails retch retched retches
+rethink retina retinas retort retorts retrace retreat retries retry retype reunion reunite reused reuses
+reusing rev revamp revamps revel revelry revels revere revered reveres reverie reverts revile reviled reviles
+revisit revival revive revived revives revoke revoked revokes revolve revs revue revues revved revving rewind
+rework rhino rhinos rhubarb rhymed rhymes rhyming rhythms rib ribbed ribbing ribbons ribs riced rices riches
+richly ricing rickety riddle riddled riddles rider riders ridge ridged ridges ridging rife rifer rifest rifle
+rifled rifles rifling rift rifted rifting rifts rig rigged rigging righted righter rigidly rigs rile riled
+riles riling rim rimmed rimming rims rind rinds ringlet rink rinks rinse rinsed rinses rinsing rioted rioter
+rioters rioting riotous riots ripe ripen ripened ripens riper ripest riposte ripple rippled ripples riser
+risers riskier rite rites rivalry rivet riveted rivets roach roaches roam roamed roaming roams roar roared
+roaring roars roast roasted roasts rob robbed robber robbers robbery robbing robe robed robes robin robing
+robins robs rocked rocker rockers rockets rockier rocking rocky rodent rodents rodeo rodeos rods roe roes
+rogue rogues roguish roller rollers romp romped romping romps roofed roofing roofs rook rooked rookie rookies
+rooking rooks roomed roomier rooming roomy roost roosted rooster roosts rooted rooter rooting roped ropes
+roping rosary roses rosier rosiest roster rosters rostrum rosy rotary rote rotor rotors rots rotted rotting
+rotund rotunda rouge rouged rouges roughed roughen rougher roughs rouging rounder rouse roused rouses rousing
+router rowboat rowdier rowdies rowdy rowed rowing royally royals royalty rubbed rubbers rubbing rubble rubier
+rubies rubiest rubric rubs ruby ruckus rudder rudders ruddier ruddy rudely ruder rudest rue rued rueful rues
+ruff ruffed ruffian ruffing ruffle ruffled ruffles ruffs rug rugby rugged rugs ruing ruinous rulings rum
+rumble rumbled rumbles rummage rummer rummest rummy rump rumple rumpled rumples rumps rums runaway rundown
+rune runes rungs runner runners runnier runny runt runts runway runways rupture ruse ruses rust rusted rustic
+rustics rustier rusting rustle rustled rustler rustles rusts rut ruts rutted rutting rye sac sacs sadder
+saddest saddle saddled saddles sades sadism sadist sadists sadness safari safaris safes saffron sag sagas sage
+sager sages sagest sagged sagging sags sailor sailors saintly saints salad salads salami salamis salient
+saliva sallow sally salmon salmons salon salons saloon saloons salted salter saltest saltier salting salts
+salty salute saluted salutes salvage salve salved salves salving sames sampler sandal sandals sandbag sanded
+sandier sanding sandman sandmen sands sandy saner sanest sangs sap sapling sapped sapping saps sardine sari
+saris sash sashes sassier sassy satanic satchel satin satires sauced saucer saucers sauces saucier saucing
+saucy sauna saunaed saunas saunter sausage savage savaged savager savages saver savvied savvier savvies savvy
+sawdust sawed sawing saws sayings scab scabbed scabs scalar scalars scald scalded scalds scalier scallop scalp
+scalped scalpel scalps scaly scamper scant scanted scanter scants scanty scar scarcer scarfed scarfs scarier
+scarred scars scarves scary scenic scent scented scents schemed schemer scissor scoff scoffed scoffs scold
+scolded scolds scoop scooped scoops scoot scooted scooter scoots scoped scopes scoping scorch scorer scorn
+scorned scorns scotchs scour scoured scourge scours scout scouted scouts scowl scowled scowls scram scrams
+scrape scraped scrapes scrawl scrawls scrawny screech screwy scribe scribes scrub scrubs scruff scruffs
+scruffy scruple scuff scuffed scuffle scuffs scummed scums scurry scuttle scythe scythed scythes seafood seam
+seaman seamed seamen seaming seams seaport sear seared searing sears seas seasick seaside seasons seated
+seating seaweed secede seceded secedes seclude secrecy secrete sectors secured securer secures sedan sedans
+sedate sedated sedater sedates seduce seduced seduces seeded seedier seeding seeds seedy seep seepage seeped
+seeping seeps seer seesaw seesaws seethe seethed seethes seize seized seizes seizing seizure seller sellers
+selves semen senate senates senator senile seniors sensed sensing sensor sensors sensory sensual sentry
+sequels sequin sequins serene serener serials sermons serpent serum serums servile setback setter setters
+settler sevens seventy sever severed severer severs sew sewage sewed sewer sewers sewing sewn sews sexed
+sexing sexism shabby shack shackle shacks shaded shadier shading shadows shadowy shady shaft shafted shafts
+shaggy shakier sham shamble shamed shames shaming shammed shampoo shams shanty shapely shark sharked sharks
+sharped sharpen sharper sharps shatter shave shaved shaven shaver shavers shaves shaving shawl shawls sheaf
+shear sheared shears sheath sheathe sheaths sheave sheaves sheen sheered sheerer sheers shelled sheller
+shelved sherbet sheriff sherry shes shied shield shields shies shifty shimmer shin shingle shinier shinned
+shins shire shirk shirked shirks shirted shirts shiver shivers shoal shoaled shoals shod shoddy shoeing shoo
+shooed shooing shoos shopper shore shored shores shoring shorted shotgun shoved shovel shovels shoves shoving
+showier showman showmen showy shrank shred shreds shrew shrewd shrews shriek shrieks shrill shrills shrimp
+shrimps shrine shrines shrink shrinks shrivel shroud shrouds shrub shrubs shrug shrugs shrunk shuck shucked
+shucks shudder shuffle shun shunned shuns shunt shunted shunts shutter shuttle shyer shyest shying shyness
+sibling sicked sicker sickest sicking sickle sickles sickly sicks sics sidings sidle sidled sidles sidling
+siege sieges sierra siesta siestas sieve sieved sieves sieving sift sifted sifting sifts sighed sighing sighs
+signer signify silents silk silken silks sill sillies sills silo silos silt silted silting silts silvers
+silvery simile similes simmer simmers simplex sinew sinews sinewy singe singed singes singled singly sinned
+sinner sinners sinning sinus sinuses sip siphon siphons sipped sipping sips sire sired siren sirens sires
+siring sirloin sirs sissier sissies sissy sisters sited siting sitter sitters sixes sixths sizer sizzle
+sizzled sizzles skate skated skater skaters skates skating skein skeins sketchy skew skewed skewer skewers
+skewing skews ski skid skidded skids skied skies skiing skillet skim skimmed skimp skimped skimps skimpy skims
+skinned skinny skins skipper skirted skirts skis skit skits skulk skulked skulks skulls skunk skunked skunks
+skying skyline slab slabbed slabs slack slacked slacken slacker slacks slain slake slaked slakes slaking slam
+slammed slams slander slant slanted slants slap slapped slaps slashed slashes slat slate slated slates slating
+slats slaved slavery slaving slavish slay slaying slays sleazy sled sledded sleds sleek sleeked sleeker sleeks
+sleeper sleepy sleet sleeted sleets sleeve sleeves sleigh sleighs slender slew slewed slewing slews slick
+slicked slicker slicks slights slime slimier slimmed slimmer slims slimy sling slings slink slinks slipper
+slit slither slits slitter sliver slivers slob slobber slobs slog slogans slogged slogs slop sloped slopes
+sloping slopped slops slosh sloshed sloshes sloth sloths slotted slouch sludge slug slugged slugs sluice
+sluiced sluices slum slumber slummed slummer slump slumped slumps slums slung slunk slur slurred slurs slush
+sly slyly slyness smack smacked smacks smalls smarted smarter smartly smarts smear smeared smears smelled
+smelt smelted smelts smidgen smirk smirked smirks smite smites smiths smiting smitten smock smocked smocks
+smog smokier smoky smooths smote smother smudge smudged smudges smugger smuggle smugly smut smuts snacked
+snacks snagged snags snailed snails snake snaked snakes snaking snap snapped snappy snaps snare snared snares
+snaring snarl snarled snarls snatch sneaker sneer sneered sneers sneeze sneezed sneezes snicker snide snider
+snidest sniffed sniffle sniffs snip snipe sniped sniper snipers snipes sniping snipped snippet snips snitch
+snob snobs snooker snoop snooped snoops snooty snooze snoozed snoozes snore snored snores snoring snorkel
+snort snorted snorts snot snots snout snouts snowed snowier snowing snows snowy snub snubbed snubs snuff
+snuffed snuffer snuffs snug snugged snugger snuggle snugly snugs soak soaked soaking soaks soaped soapier
+soaping soaps soapy soar soared soaring soars sob sobbed sobbing sobered soberer sobers sobs soccer socials
+socked socking soda sodas sodded sodden sodding sodium sodomy sods sofa sofas soften softens softer softest
+softly soggier soggy soiled soiling soils sojourn solace solaced solaces solder solders soled solemn solicit
+solider solidly solids soling soloed soloing soloist solos soluble solvent someday sonata sonatas sonic sonnet
+sonnets soot soothe soothed soothes sootier sooty sop sopped sopping soprano sops sorcery sorely sorer sores
+sorest sorrier sorrow sorrows sorta sounder soundly souped souping soups sour sourced soured sourer sourest
+souring sours sow sowed sowing sown sows spa spacial spade spaded spades spading spangle spaniel spank spanked
+spanks spanned spanner spans spar spared sparer sparest sparing spark sparked sparkle sparks sparred sparrow
+spars sparse sparser spas spasm spasms spat spate spats spatted spatter spatula spawn spawned spawns spay
+spayed spaying spays spear speared spears speck specked specks spectra speedy speller sperm sperms spew spewed
+spewing spews spheres sphinx spice spiced spices spicier spicing spicy spider spiders spied spigots spiked
+spikes spiking spills spinach spinal spinals spindly spine spines spins spirals spire spires spited spites
+spiting spittle splash splat spleen spleens splice spliced splices splint splints splurge spokes sponge
+sponged sponges spongy spoofed spoofs spook spooked spooks spooky spooled spools spoon spooned spoons spore
+spores sporran sported spotty spouse spouses spouted spouts sprain sprains sprawl sprawls sprayed sprays spree
+spreed sprees sprier spriest sprig sprigs springy sprint sprints sprout sprouts spruce spruced sprucer spruces
+spry spud spuds spun spunk spurn spurned spurns spurred spurs spurt spurted spurts sputter spying squads
+squalid squall squalls squalor squarer squat squats squawk squawks squeak squeaks squeaky squeal squeals
+squelch squid squids squint squints squire squired squires squirm squirms squirt squirts stab stabbed stabled
+stabler stables stabs stacked stadium staffed staffs stag staged staging stags staid staider stain stained
+stains staked stakes staking staled staler stales stalest staling stalk stalked stalks stalled stalls stamina
+stammer stances stanch standby stank stanza stanzas staple stapled stapler staples starch starchy stardom
+starker starry stately stater statue statues stature statute staunch stave staved staves staving steak steaks
+stealth steamed steams steamy steeled steels steeped steeper steeple steeps stellar stemmed stench stencil
+stereos stern sterner sternly sterns stew steward stewed stewing stews sticker stiffed stiffen stiffer stiffly
+stiffs stifle stifled stifles stigma stigmas stilled stiller stills stilted stimuli sting stinger stings
+stingy stink stinks stint stinted stints stirrup stitch stocked stocky stodgy stoical stoke stoked stokes
+stoking stoles stolid stomp stomped stomps stoned stonier stoning stony stool stools stoop stooped stoops
+stopgap stopper stork storks stormed stormy stout stouter stove stoves stow stowed stowing stows strait
+straits strand strands strap straps strata stratum strawed straws strayed strays streak streaks strew strewed
+strewn strews stride strides strife striker stringy stripe striped stripes striven strives strode stroked
+strokes stroll strolls strove strum strums strung strut struts stub stubbed stubble stubby stubs stud studded
+studios studs stuffy stump stumped stumps stung stunk stunted stunts stupefy stupids stupor stupors sturdy
+stutter styled styling stylish stylus suave suaver suavest sub subbed subbing subdue subdued subdues sublet
+sublets sublime subs subsets subside subsidy subsist subtler suburb suburbs subvert succumb suck sucked sucker
+suckers sucking suckle suckled suckles sucks suction suds suede sugared sugars sugary suites suitor suitors
+sulk sulked sulkier sulkies sulking sulks sulky sullen sultan sultans sultry summers summit summits summon
+summons sunburn sundae sundaes sundial sundown sunken sunlit sunned sunnier sunning suns sunset sunsets suntan
+suntans sunup sup supers supper suppers supple suppler surer surest surf surfed surfing surfs surge surged
+surgeon surges surging surlier surly surmise surpass surreal swab swabbed swabs swagger swampy swan swans
+swarm swarmed swarms swarthy swat swathe swathed swathes swats swatted sway swayed swaying sways sweater
+sweaty sweeper sweeten sweeter sweetly sweets swell swelled sweller swells swerve swerved swerves swift
+swifter swiftly swifts swig swigged swigs swill swilled swills swindle swine swines swings swipe swiped swipes
+swiping swirl swirled swirls swish swished swisher swishes swivel swivels swollen swoon swooned swoons swoop
+swooped swoops swords swung synapse syringe syrup syrups tabbed tabbies tabbing tabby tabled tablet tablets
+tabling tabloid taboo tabooed taboos tacit tacitly tackier tacky taco tacos tact tactful tadpole tagged
+tagging tags tailed tailing taint tainted taints takeoff talc talker talkers taller tallest tallied tallies
+tallow tally talon talons tamed tamely tamer tames tamest taming tamper tampers tan tandem tandems tang tangle
+tangled tangles tango tangoed tangos tangs tankard tanked tanker tankers tanking tanned tanner tannest tanning
+tans tantrum taped taper tapered tapers taping tapped tapping taps tar tardier tardy tariff tariffs tarnish
+tarred tarried tarrier tarries tarring tarry tars tart tartan tartans tartar tartars tarter tartest tarts
+tasked tasking tassel tassels tastier tasty tattle tattled tattles tattoo tattoos tatty taunt taunted taunts
+taut tauter tautest tavern taverns tawdry tawnier tawny taxable taxed taxicab taxied taxiing taxing taxis
+teacup teacups teak teaks teamed teaming teapots tearful teas tease teased teases teasing teat teats tedium
+tee teed teeing teem teemed teeming teems teen teens tees teeter teeters teethe teethed teethes teller tellers
+tempers tempest temples tempo tempos tenable tenancy tenant tenants tenders tendon tendons tendril tenet
+tenets tenor tenors tensed tenser tenses tensest tensing tensors tent tented tenths tenting tents tenuous
+tenure tenured tenures tepee tepees tepid termini termite termly terrace terrain terrier terrors tersely
+terser tersest tester testers testes testify testis tetanus tether tethers textile texture thatch thaw thawed
+thawing thaws thefts theist theists thence thereon thermal theta thicken thicker thicket thickly thigh thighs
+thimble thinker thinly thinned thinner thins thirds thirsts thirsty thistle thong thongs thorn thorns thorny
+thrash threads threes thresh thrice thrift thrifts thrifty thrill thrills thrive thrived thrives throb throbs
+throne thrones throng throngs thud thudded thuds thug thugs thumbed thumbs thump thumped thumps thunder thwart
+thwarts thyme thyroid tiara tiaras ticked ticking tickle tickled tickles ticks tidal tide tided tides tidier
+tidiest tiding tier tiers tiff tiffed tiffing tiffs tigers tighten tighter tights tilde tiled tiling tilled
+tilling tills tilt tilted tilting tilts timber timbers timely timers timid timider timidly timings tinder ting
+tinge tinged tinges tinging tingle tingled tingles tings tinier tiniest tinker tinkers tinkle tinkled tinkles
+tinned tinnier tinning tinny tinsel tinsels tint tinted tinting tints tipped tipping tipsier tipsy tiptoe
+tiptoed tiptoes tirade tirades tireder tissue tissues tit titled titling titter titters toads toasted toaster
+toasts toddle toddled toddler toddles toed toeing toenail toffee toffees toga togas toil toiled toiling toils
+tolled tolling tolls tomb tombed tombing tomboy tomboys tombs tomcat tomcats tomes tonal toned tong tongs
+tongued tongues tonic tonics toning tonnage tonne tonnes tonsil tonsils tooled tooling toolkit toot tooted
+tooting toots topaz topazes topped topping topple toppled topples torch torched torches torment tornado
+torpedo torque torrent torrid torso torsos tossed tosses tossing tot totals tote toted totem totems totes
+toting tots totted totter totters totting toucan toucans touchy toughen tougher toughs toupee toupees toured
+touring tours tousle tousled tousles tout touted touting touts tow towed towel towels towered towing tows
+toxic toxin toxins toyed toying tract tractor tracts trader traders trailer trainee trainer trait traitor
+traits tramp tramped trample tramps trance trances trapeze trapper trashed trashes trashy trauma traumas trawl
+trawled trawler trawls trays treacle treads treason treble trebled trebles treed treeing trekked treks trellis
+tremble tremor tremors trench trended trestle tribal tribute tricked trickle trifled trifles trill trilled
+trills trim trimmed trimmer trims trinket trio trios tripe tripled triples triplet tripod tripods tripped
+trite triter tritest trod trodden troll trolled trolls trooped trooper trophy trot trots trotted trough
+troughs trounce troupe trouped troupes trout trouts trowel trowels truancy truant truants truce truces trucked
+trudge trudged trudges trued truer trues truest truffle truing truism truisms trump trumped trumps trustee
+tryout tryouts tub tuba tubas tubed tubing tubs tubular tuck tucked tucking tucks tuft tufted tufting tufts
+tug tugged tugging tugs tuition tulip tulips tumble tumbled tumbler tumbles tummies tummy tumult tumults tuna
+tunas tundra tundras tuneful tuner tuners tunic tunics turban turbans turbine tureen tureens turf turfed
+turfing turfs turgid turkey turkeys turmoil turner turnip turnips turnout turret turrets turtle turtles tusk
+tusks tussle tussled tussles tutored tutors tuxedo tuxedos twang twanged twangs tweak tweaked tweaks twee
+tweed tweet tweeted tweets twelfth twelves twiddle twig twigged twigs twine twined twines twinge twinged
+twinges twining twinkle twinned twirl twirled twirls twister twitch twitter twos tycoon tycoons typhoid
+typhoon typhus typify typist typists tyranny tyrant tyrants udder udders uglier ugliest ulcer ulcers ultra
+umpire umpired umpires umpteen unarmed unblock unborn uncanny unclean uncles uncouth uncover uncut undress
+undue undying unearth unequal uneven unfit unfits unfold unfolds unfunny unfurl unfurls ungodly unheard unhook
+unhooks unicorn uniquer unison unities unjust unkempt unkind unleash unloads unman unmans unmask unmasks
+unmoved unnamed unnerve unpack unpacks unpaid unpick unravel unreal unrest unruly unsafer unsaid unsay unsays
+unscrew unseat unseats unstuck unsung untie untied unties untold untruer untying unveil unveils unwary unwell
+unwind unwinds unwiser unwound unwrap unwraps upbeat upbeats upend upended upends upheld uphill uphills uphold
+upholds upkeep uplift uplifts upload upped uppers upping uproar uproars uproot uproots upshot upshots upstart
+uptake uptight uptown upturn upturns uranium urbane urbaner urchin urchins urinate urine urn urns usages usher
+ushered ushers usurp usurped usurps utensil uteri uterus utmost uttered utters vacant vacate vacated vacates
+vaccine vacuous vacuums vagary vagina vaginae vaginal vagrant vaguer vaguest vainer vainest valet valeted
+valets valiant validly valise valises valleys valved valving vampire vandal vandals vane vanes vanilla vanity
+vanned vanning varnish varsity vase vases vaster vastest vasts vats vatted vatting vault vaulted vaults veal
+veer veered veering veers veil veiled veiling veils veined veining veins velour velvet velvety vendors veneer
+veneers venison venom vent vented venting vents verbals verge verged verges verging verier veriest vermin
+versed versing vertigo verve vessels vest vested vestige vesting vests veteran veto vetoed vetoes vetoing vets
+vetted vetting vex vexed vexes vexing viaduct vial vials vibrant vibrate vicars viced vices vicing victor
+victors videos vie vied vies viewers vigil vigils viler vilest vilify villa villain villas vine vinegar vines
+vinyls viola violas violet violets violins viper vipers viral virgins virile visa visaed visaing visas vise
+vised vises visibly vising visions visor visors vista vistas visuals vitally vitamin vivid vivider vividly
+vocals vodka vogue vogues voiced voicing voided voiding voids volcano volley volleys volt volts vomited vomits
+voodoo voodoos vortex vouched voucher vouches vow vowed vowels vowing vows voyage voyaged voyager voyages
+vulgar vulture vying wad wadded wadding waddle waddled waddles wads wafer wafers waffled waffles waft wafted
+wafting wafts wag waged wager wagered wagers wagged wagging waging wagon wagons wags waif waifs wail wailed
+wailing wails waist waists waiter waiters waive waived waiver waivers waives waiving waken wakened wakens
+walker walkers walkout walled wallets walling wallop wallops wallow wallows walnut walnuts walrus waltz
+waltzed waltzes wan wand wands wane waned wanes waning wanna wanner wannest wanton wantons warble warbled
+warbles warded warden wardens warding wards warfare warhead warier wariest warlike warmer warmest warmly
+warmth warpath warred warren warrens warring warrior wart warts washer washers washout wasp wasps wastage
+watered watery watt watts waver wavered wavers wavier waviest wavy wax waxed waxes waxier waxiest waxing waxy
+waylaid waylay waylays wayside wayward weaken weakens weaker weakest weakly wean weaned weaning weans wearied
+wearier wearies wearily weave weaved weaver weavers weaves weaving web webbed webbing webs wedder wedge wedged
+wedges wedging wedlock weed weeded weedier weeding weeds weedy weeing weep weeping weeps weer wees weest
+weighed weighs weights weighty weirder weirdo weirdos weld welded welder welders welding welds welled welling
+wells welt welted welter welters welting welts wept wetter wettest whack whacked whacks whaled whaler whalers
+whaling wharf wharves whats wheat wheedle wheeled wheeze wheezed wheezes whens wherein wheres whet whets
+whetted whew whiff whiffed whiffs whiled whiles whiling whimper whims whine whined whines whining whinny whip
+whipped whips whirl whirled whirls whirred whisk whisked whisker whisks whiskys whisper whiten whitens whiter
+whitest whittle whizzed whizzes whoa wholes whooped whopper whys wick wicker wickers wicket wickets wicks
+widen widened widens widow widowed widower widows widths wield wielded wields wig wigged wigging wiggle
+wiggled wiggles wigs wigwam wigwams wildcat wilder wildest wilds wilier wiliest willow willows wilt wilted
+wilting wilts wily wince winced winces winch winched winches wincing windier windy wined winged wingers
+winging wining wink winked winking winks winsome winters wintry wiper wipers wirier wiriest wiry wisely wises
+wishful wisp wispier wisps wispy wist wistful witched witches wither withers witless wits wittier witting wiz
+wizards wizened wobble wobbled wobbles wobbly woe woes wok woks wolfed wolfing wolfs wolves womb wombats wombs
+woo wooded woodier woodies wooding woody wooed woof woofed woofing woofs wooing wool woolly woos wordier wordy
+workman workmen workout worldly wormed worming worsen worsens worsted worsts wot woulds wounded wounder wounds
+wove woven wowed wowing wows wrangle wreak wreaked wreaks wreath wreathe wreaths wrench wrens wrest wrested
+wrestle wrests wretch wriggle wright wring wringer wrings wrinkle wrists writ writhe writhed writhes writs
+wronged wronger wrought wrung wry wryer wryest yacht yachted yachts yak yakked yakking yaks yam yams yank
+yanked yanking yanks yap yapped yapping yaps yarn yarns yawned yawning yawns yearn yearned yearns yeast yeasts
+yell yelled yelling yellows yells yelp yelped yelping yelps yen yens yeses yessed yessing yew yews yielded
+yodel yodels yoga yoke yoked yokel yokels yokes yoking yolk yolks yonder yous youths yowl yowled yowling yowls
+yuck zanier zanies zaniest zany zeal zealous zebra zebras zenith zeniths zeroed zeroing zest zests zeta zigzag
+zigzags zillion zinc zincked zincs zip zipped zipper zippers zipping zips zodiac zodiacs zombie zombies zoned
+zoning zoo zoology zoomed zooming zooms zoos
+`,
+  blocked: `
+anal anus ass asses bugger butt buttock cock cocks condom crap damn damned cumming cums genital horny humping incest lust molest naked nipple nude nudity orgasm orgy penis pervert poop prick pricks pussy rectum semen sex sexes sexual sexy slave slaves smut sodding sperm testes testis tit vagina
+`,
+};
@@ -0,0 +1,253 @@
+// German word list for the Words game: the 10,000 most frequent words in OpenSubtitles, lower-case, 3–7 letters,
+// checked against a German dictionary, with names, profanity and slurs removed. Tiers follow frequency rank.
+//
+// Frequency data: hermitdave/FrequencyWords, via the most-common-words-by-language package.
+// Content licensed CC BY-SA 4.0 — https://github.com/hermitdave/FrequencyWords
+//
+// common: everyday words, used as puzzle seeds
+// more:   less frequent but well known; count toward "find all words"
+// rare:   accepted as answers only
+// blocked: profanity, sexual and other hurtful words; accepted if typed, never a seed or a "find all" target
+export const WORDLIST_DE = {
+  common: `
+abend aber abhauen abholen absicht absolut ach acht achtung affen agenten ähnlich ahnung akte alkohol all alle
+allein alleine allem allen aller alles als also alt alte alten alter älter amerika andere anderen anderer
+anderes ändern anders ändert anfang angebot angeht angetan angriff angst anruf anrufen ans ansehen antun
+antwort anwalt anzug arbeit arbeite ärger arm arme armee armen arzt ärzte auch auf aufgabe aufs auftrag auge
+augen aus außer bald bar bat bauch bauen bauer baum beeil beeilen beenden beendet befehl begann beginnt bei
+beide beiden beim bein beinahe beine bekam bekannt bekomme bekommt bemerkt benutzt bereich bereit bereits berg
+bericht besorgt besser bessere beste besteht besten bester bestes besuch bett bevor bewegen bewegt beweis
+beweise bewusst bezahlt bier bieten bild bilder bin bis bisher bißchen bist bitte bitten bleib bleibe bleiben
+bleibst bleibt blick blieb blind blöd blöde bloß blumen blut boden bomben böse brachte brauch brauche braucht
+braut brechen brennt bricht bring bringe bringen bringst bringt brot brücke bruder brüder brust buch bücher
+bühne bulle bullen büro colonel dabei dach dachte dachten dadurch dafür dagegen dahin damals damen damit dämon
+danach dank dankbar danke danken dann daran darauf daraus darf darfst darin darüber darum das dass daß daten
+dauern dauernd dauert davon davor dazu deckung dein deine deinem deinen deiner deines dem den denen denk denke
+denken denkst denkt denn der deren des deshalb dessen desto dich dicht die dieb dienen dienst dies diese
+diesem diesen dieser dieses diesmal ding dinge dingen dinger dir direkt doch doktor dorf dort dorthin dran
+drauf draußen dreck dreh drehen dreht drehten drei drin drinnen drogen drüben drüber druck dumm dunkel durch
+dürfen dürfte eben ebenso echt echte echten echter ecke egal ehe ehemann eher ehre ehren ehrlich eier eigene
+eigenen eigenes ein eine einem einen einer eines einfach einheit einige einigen einiges einmal eins einsam
+einsatz einzige eltern ende enden endet endlich energie engel entlang erde erfolg erfüllt ergeben ergibt
+erkannt erklärt erlaubt erlebt ernst erst erste ersten erster erstes erwähnt erwarte erzähl erzähle erzählt
+essen etwa etwas euch euer eure eurem euren eurer ewig extra fahr fahre fahren fahrer fährst fahrt fährt fair
+falle fallen falls fällt falsch falsche familie fand fanden fang fangen fängt farbe fassen fast fehlen fehler
+fehlt feiern feind feinde feld fenster fern fertig fest feuer fiel figur finde finden findest findet fing
+fisch flasche fleisch fliegen fliegt fliehen flucht flug fluss folge folgen folgt fort frag frage fragen
+fragst fragt fragte frau frauen frei freitag freude freue freuen freund freunde freut frieden frisch froh früh
+früher fühle fühlen fühlst fühlt fühlte fuhr führen führt fünf für fürchte fürs füße gab gäbe ganz ganze
+ganzen ganzes gar garten gast gäste geb gebäude gebaut gebe geben gebeten gebiet geboren gebt gedacht gedreht
+geduld gefahr gefällt gefolgt gefragt gefühl gefühle gegeben gegen gegend gegner geh gehabt gehe gehen gehirn
+gehofft geholt gehören gehört gehst geht gehts geiseln geist geister gekauft geklaut geld gelebt gelegt
+gelernt gelesen geliebt gelogen gemacht gemein gemeint genannt genau genauso genie genug geplant gerade
+geraten geredet gericht gern gerne gerufen gesagt gesamte geschah gesehen gesetz gesetzt gesicht gestern
+gesucht gesund getan getötet gewählt gewalt gewehr gewesen gewinnt gewusst gezeigt gezogen gib gibst gibt gilt
+ging gingen glas glaub glaube glauben glaubst glaubt gleich gleiche glück gott götter gottes grad grenze groß
+große größe großen großer größer großes größte größten grund gründe gruppe guck gucken gut gute güte guten
+guter gutes haar haare hab habe haben habt halb halbe halben hälfte hallo hals halt hält halte halten haltet
+hältst hände handeln handelt händen hängen hängt hart harte hasse hassen hasst hast hat hatte hätte hatten
+hätten hattest hättest hau haufen haus hause haut heilige heim heiß heiße heißen heisst heißt helden helfe
+helfen hemd her heraus herein herren herrn herum herz herzen heute hexe hielt hier hierher hieß hilf hilfe
+hilft himmel hin hinaus hinein hinten hinter hintern hmm hoch hoffe hoffen hoheit hol hole holen hölle holt
+hör höre hören hörst hört hörte hübsch hund hunde hungrig ich idee ideen idiot idioten ihm ihn ihnen ihr ihre
+ihrem ihren ihrer ihres immer indem ins insel irgend irre isst ist jacke jagen jahr jahre jahren jawohl jede
+jedem jeden jeder jedes jemals jemand jetzt jung junge jungen junger jungs kaffee kalt kam kamen kamera kampf
+kämpfen kämpft kann kannst kannte kapiert kapitän kaputt karte karten katze kaufen kaum kein keine keinem
+keinen keiner keller kenn kenne kennen kennst kennt kerl kerle kinder kindern kino kirche kiste klappe klappt
+klar klasse kleid kleider klein kleine kleinen kleiner kleines klingt klinik klug knapp knast knie knochen
+kochen koffer kohle komisch komm komme kommen kommst kommt könig königin können könnt konnte könnte konnten
+könnten kontakt kopf körper kosten kostet kraft kräfte krank krebs krieg kriege kriegen kriegst kriegt küche
+kuchen kugel kugeln kümmere kümmern kümmert kumpel kunden kunst kurs kurz kuss küssen lächeln lachen lacht
+laden lag lage lager landen landes lang lange langen langer länger langsam längst lass laß lasse lassen lasst
+lässt lauf laufen läuft laut lauter lautet lebe leben lebens lebst lebt leer leg legen legt lehrer leiche
+leichen leicht leid leiden leider leise leisten leiter leitung lernen lesen letzte letzten letzter letztes
+leute leuten licht lieb liebe lieben lieber liebst liebt liebte lied lief liegen liegt ließ liest links lippen
+loch locker los lösen lösung lst luft lüge lügen lügner lust lustig mach mache machen machst macht machte
+machten mädchen mädels mag magst mal man manche mann männer männern mannes maul medizin meer mehr mehrere
+meilen mein meine meinem meinen meiner meines meinst meint meinte meinung meisten meister melden menge mensch
+merken messer mexiko mich milch militär minuten mir mist mister mit mitte mitten mochte möchte möchten mögen
+möglich monat monate monaten mond montag mord mörder morgen morgens müde mühe müll mund musik muss muß müssen
+musst mußt müsst musste müsste mussten müssten mutter nach nachdem nachher nächste nacht nachts nackt nah nahe
+nähe näher nahm nahmen naja namen namens nämlich nase natur neben nee nehm nehme nehmen nehmt nein nenne
+nennen nennt nerven nervös nett nette netter neu neue neuen neuer neues neun nicht nichts nie niemals niemand
+nimm nimmst nimmt noch nochmal norden normal notfall nötig nummer nun nur nutzen oben obwohl oder offen öffnen
+oft öfter ohne ohren onkel opfer ordnung paar panik pass passen passt pech perfekt pferd pferde pflicht pfund
+pistole pläne platz polizei preis prinz pro projekt prozent punkt punkte quatsch rache ran rauchen rauf raum
+raus recht rechts red rede reden redest redet regeln regen reich reichen reicht reihe rein reise rennen
+respekt retten richter richtig riecht rief riesen risiko ritter roboter rolle roten rüber rücken ruf rufe
+rufen ruft ruhe ruhig rum runde runter russen sache sachen sack sag sage sagen sagst sagt sagte sagten sagtest
+sah sahen samstag saß satt satz sauber sauer schade schädel schaden schaffe schafft schande scharf schatz
+schätze schau schauen schaut scheint scherz schicke schickt schief schien schiff schiffe schlaf schläft schlag
+schlage schlägt schlau schlimm schloss schluss schmerz schnell schnitt schon schön schöne schönen schöner
+schönes schreit schrieb schritt schuhe schuld schule schüler schuss schutz schwach schwarz schwein schwer
+schwert schwöre schwul sechs seele seh sehe sehen sehr seht sei seid seien sein seine seinem seinen seiner
+seines seit seite seiten sekunde selben selber selbst selten seltsam sendung setz setzen setzt sich sicher sie
+sieben sieg sieh siehst sieht sind singen singt sinn sitze sitzen sitzt sobald sofort sogar sohn solange
+solche solchen soldat soll sollen sollst sollte sollten solltet sommer sondern sonntag sonst sorge sorgen
+soviel sowas soweit sowieso spaß spät später spiegel spiel spiele spielen spielst spielt spielte sprach
+sprache spreche sprich spricht spur spuren spüren staaten stadt staffel stammt stand ständig starb stark
+stärke stärker starten statt stecken steckt steh stehe stehen stehlen stehst steht steig steigen steigt stein
+stell stelle stellen stellt stellte sterbe sterben stich still stimme stimmen stimmt stirbt stoff stolz stopp
+stoppen stören stört strafe straße straßen streit strom stück stuhl stunde stunden suche suchen suchst sucht
+süden super süß süße szene szenen tage tagen tages tante tanzen tasche tat taten teil teilen telefon termin
+teuer teufel thema tief tiere tisch tochter tode toll tolle tollen toller tot total töte toten töten tötet
+tötete traf trage tragen trägst trägt tränen trauen traum träume traurig treffe treffen trennen treppe treten
+trifft trinke trinken tritt trottel truppen tschüss tue tun türen tust tut typen übel über überall übrig
+umgehen ums umsonst und unfall uns unser unsere unserem unseren unserer unseres unsinn unten unter urlaub
+vater vaters vergiss verlor versteh versuch vertrag viel viele vielen vier vogel volk voll voller völlig vom
+von vor voraus vorbei vorher vorhin vorn vorne wach wache wachen waffe waffen wagen wahl wählen wahr wahre
+wahren während wald wand wann war wär wäre waren wären warm warst wärst wart warte warten wartest wartet warum
+was wasser weder weg wegen weh weil weile wein weinen weise weiss weiß weißen weisst weißt weit weiter weitere
+welche welchem welchen welcher welches welt wem wen wenig weniger wenn wer werd werde werden werdet werfen
+wert wesen westen wette wetter wichtig wie wieder wieso wieviel will willen willst wir wird wirken wirkt wirst
+wissen wisst witz witze witzig woche wochen wofür woher wohin wohl wohne wohnen wohnt wohnung wollen wollt
+wollte wollten worauf worden wort worte worüber wovon wozu wunder wunsch wünsche wurde würde wurden würden
+wurdest würdest wusste wußte wüsste wussten wüste wütend zahl zahlen zählen zählt zähne zehn zeichen zeig
+zeige zeigen zeigt zeit zeiten zeitung zelle zeug zeugen zieh ziehe ziehen zieht ziel zimmer zuerst zufall
+zugang zuhause zuhören zukunft zum zunge zur zurück zustand zuvor zwar zwei zweifel zweimal zweite zweiten
+`,
+  more: `
+abends abgeben abstand abzug achte achten affäre affe afrika akten aktion aktiv akzent albern aliens allzu
+altes anblick anderem andern anfall anfängt anfing angehen anhören anklage ankommt ankunft anlage anlass
+anlegen anruft ansicht ansieht anstatt anteil antrag anwälte anzahl anzeige apparat appetit applaus apropos
+ärgern armer arten artikel ärztin asche atem atme atmen atmet aufhört aufzug ausflug ausgang ausland ausrede
+aussage aussah außen ausser äußerst auswahl ausweg ausweis autoren babys bach baden bahn bahnhof bären bargeld
+basiert bauern bäume bäumen baut bauteil bedroht befreit begeben begehen beginn begriff behalte beides beileid
+beinen beißen bekamen beliebt belogen benutze benzin bequem berater bereuen berge bergen beruf berühmt berührt
+besetzt besiegt besitz besitzt besorge bestand bestens bestie besucht bete beten betrug beute bewacht beweg
+beweist bezahle bezug bibel biete bietet bilden billig bittet bla blatt blau blaue blauen blicken blitz blöden
+blöder bloss blume blutet blutung bohnen bösen böser böses brach brav breit brennen briefe bruders brunnen
+brutal büchern buddha bunker burg burger bürger bursche chancen clever clown clyde coole cops couch cousin
+cousine daheim daher dämlich dämonen daneben dar dateien datum dauerte daumen debatte decke decken deins
+dennoch dick dicke dicken diebe diener dienste dient doof doppelt drache drachen draus dreckig drehe drehte
+dreimal dritte dritten drohne drück drücken drückt drum duft dumme dummen dummer dummes dunkeln dunkle dunklen
+dünn durchs dürft durfte durst dusche duschen dutzend ebene echtes effekt ehefrau eiern eigener eile eilig
+eimer eingang einig einiger einst einzig eisen eklig elf empfang endete eng enkel ente enthält erbe erden
+erfährt erfasst erfreut erhält erheben erhielt erhöhen erhöht erkenne erkennt erkläre erleben ern erneut
+ernstes ernte ersatz ersetzt erstens erstmal ertönt esel esse etage evelyn experte extrem fabrik fähig fahrrad
+fakten fälle fällen fange fängst farben fass fasse faul faust feder feier feige fein felsen ferien festung
+fett fette fetten feuern fieber figuren filmen find fingen fingern fische fischer flagge flammen fleck flecken
+fliege flieger fließt flog fluch flügel flur folgte folter fordern fragten freak frech freie freien freier
+fremde fremden fremder fressen freu frische frisst frisur frohe frosch fühl führe fuhren führst führte führung
+füllen fur furcht fürst fürsten fußball füßen füttern gabe gaben galaxie ganzer gauner gebet gebete geburt
+gedanke gedicht gefasst gefehlt gefickt gefiel gefreut gefühlt geführt gehalt gehasst geheilt geheim geheime
+gehöre gehörst gehörte geil geirrt geisel gejagt gekannt geklärt gekocht geküsst gelacht geladen gelände
+gelöst gemälde gemalt gemerkt gemocht gemüse genaue genauer genial genosse genügt gepäck gepackt gerät gerecht
+gerede gereist geruch gerücht gesang gesetze gesorgt gespürt gestalt gestank gestört geteilt gewann gewarnt
+geweckt gewehre geweint gewicht gewinn gewinne gewisse gewohnt gewöhnt gewollt gezählt gibts ginge gitarre
+gitter glatt glaubte glocke gnade goldene göttin graben grade graf gratis grausam greifen greift grenzen griff
+gross grosse grossen grosser größere grün grunde gründen grüne grünen gruppen grüße guckst guckt gürtel habs
+hafen hahn haken halbes half halle haltung handel harmlos harten harter härter hass hasste hattet hättet hauen
+häuser hauses heben heftig heil heilen heimat heirat heiss heisse heissen hell heller helm henker heran heroin
+hervor herzens heulen heut heutige hielten hierhin hiermit hilfst himmels hinweg hinweis hirn hitze höchste
+hoffte höflich hohe höhe hohen höher höhle holst holte holz hörten hosen hübsche hügel huhn hühner hundert
+hurra hütte illegal indien innen inneren irren irrst irrtum iss jacks jagd jäger jagt jahres japaner jedoch
+jene jenem jener joker jude jugend juli jünger juni kabel kabine käfer käfig kaiser kalte kälte kalten käme
+kameras kämpfe kämpfer kämpfst kämpfte kamst kanada kanal kannten kanone kanzler kapitel karre käse kasse
+katzen kauf kaufe käufer kauft kaufte kaution kehle kehren kehrt keines keins kekse kellner kern kerzen kette
+kindes kissen kisten klang klappen klären klauen klavier klemme klinge klingen klopfen kloster knall knarre
+knöchel knopf knoten koch kocht köder kokain kollege koma königs könne könntet konto konzert köpfe kopie korb
+korrekt kostüm kram kratzer kreatur kredit kreis kreuz krieger krieges krise krone kultur kummer kumpels kunde
+kurze kürze kurzem kurzen kurzer küsst küste kutsche lachst lade ladung ladys lagen lahm lampe länder landet
+langem langes lärm las läßt laster laufe läufst lauft laune lebend leber lebte lebten leck lecker leere leeren
+legal lege legende legst legte leib leichte leidet leihen leine leiser leiten leitet lektion lerne lernst
+lernt lernte lernten lese lichter liebes liefern liege liegst lies ließen linie linke linken löcher löffel
+lohn lohnt löschen loser löst lügt lunge lungen lustige mächtig mädel magazin magen malen mantel märchen marke
+markt maske mauer maus mäuse medien meile meins meiste melde meldet meldung melodie merke merkt merkte metall
+methode mies miete mitleid mittag mittel möbel modell möge momente mommy mönch morde mordes moskau motiv münze
+musiker muskeln müßt mußte muster mutig mütter mutti mütze nachbar nächte nacken nadel nähern nähert nahrung
+naiv nannte nannten nanu narbe narben narr narren nass nebel nebenan negativ nen nenn nennst nervt netten
+nettes netz neulich nich nichte nieder nix normale noten notizen nudeln null nummern nüsse nutzlos nutzt nützt
+oberst objekt ofen offenen öffne öffnet ohnehin oktober opfern orte orten osten ozean pack packen paket palast
+panzer papiere paps papst partei partys passe pater penner per pfad pfarrer pfeife pfeil pflanze pillen
+piloten pinkeln piraten planen plant platte platten plätze pleite plus politik positiv posten prima prinzen
+prinzip privat produkt profi prost prozess prüfen prüfung psst puls puppe putzen quellen rächen rakete raketen
+rannte rasse rate raten rätsel ratte ratten räuber rauch räumen real rechnen rechte rechten redete regel regie
+regnet reiche reicher reif reifen reine reis reisen reiß reißen reißt reist reiten reizend rennt rette rettet
+rettete rettung revier rezept richten rieche riechen riesig riesige riskant rohr rollen rosen rot rote rückzug
+rufst ruhen ruhm rund saft salat salz sammeln sanft sarg sarge saßen schach schäden schaff schämen schaue
+schaust scheck schein schicht schick schieße schießt schild schilde schirm schlafe schläge schlief schluck
+schlug schluß schmuck schnaps schnee schock schrank schrei schreib schreie schrie schrott schuh schulde
+schulen schüsse schütze schwere seelen segen segne seil seist seitdem sektor selbe senat senden sequenz setze
+setzte sichere sichern sicht sieger sinne sinnlos sitz sitzung socken sodass soeben söhne
+sohnes solch solcher solle sollt sorgt sowie spanien sparen spass spezies spieler spinner spinnst spion spitze
+sprang springt spritze spruch sprung spüre spürt staat stab stabil städte stahl stamm stammen standen starben
+starke starken starren staub steak steck stecke steckst steckte steine stellst stern sterne stets steuer
+steuern stiefel stieg stift stil stille stinkt stirb stirbst stirn stöhnen stöhnt störung stoßen strasse
+strecke streng stücke stufe sturm stürzen such suchte suchten summe sünde sünden suppe süßen süßer süßes
+systeme tafel täglich tanz tanzt tapfer tarnung taschen tasse täte täter tatort taub taucht tauchte tausend
+technik teile teller tempel tempo teppich testen theorie tiefe tiefer tipp titel toast töchter todes tödlich
+tolles torte tote toter töteten trafen trat traue trauer träumen treffer treiben treibst treibt trete treu
+treue triffst trink trinkst trinkt trocken tropfen trost trotz trug truppe turm tüte typisch üben übers üblich
+übung uhm umarmen umgeben umlegen umso unfair ungern unglück unnötig unrecht ursache urteil vampir vereint
+vergaß vergeht vergib verkauf verkehr verlass verlegt verließ verlust vermute verrat verrate versagt versaut
+verzeih vieh vieles viertel vierten vögel vögeln volkes volle vollen voran vorbild vorfall vorgeht vorm
+vorteil vorüber wachsen wächst wacht wächter wahrer wahres wände warf wärme warne warnen warnung wars wärs
+wärt wartete wäsche waschen wecken wege wehtun weiber weich weint weis weiße weist welch welle wellen welten
+wenden wenige wenigen werbung werfe werk werte weshalb wessen wetten wild wilde wille winkel wirf wirft wirkte
+wirkung witwe wodka wohnst wölfe wolken wolle wolltet womit wonach woran worten wörter worum wovor wunde
+wunden wundern wünscht würd würdet wüssten zahle zähle zahlt zahn zauber zaun zehen zeigst zeigte zeile zellen
+zelt zentrum zettel zeuge ziehst ziele zirkus zog zogen zorn zucker zufolge zugeben zugriff zuletzt zurecht
+zurzeit zusehen zutritt zuviel zweck zweit zweiter zweites zwerg zwingen zwölf
+`,
+  rare: `
+abfall abflug abgrund ablegen absagen absturz absurd adler agentur ägypten ähnelt ahnen aktien alibi allianz
+altar ältere älteren ampel amüsant änderte anfangs anflug anfühlt angeln anhaben ankam annahme ansehe anstand
+anwesen apfel äpfel araber armband ärmel armes armut ätzend aufhält aufruhr ausgabe ausgeht aussehe auszeit
+autsch balkon bälle ballett banken baue baute bauten beamte beamten beamter becher bedaure bedeckt bedenkt
+bedient befahl befolgt befragt behalt beißt beitrag belegt belohnt belügen bemühen bemüht benannt beneide
+benimmt bereden bereite bereue bern besagt besitze besorg bestehe besuche betäubt betet beträgt betrieb
+betrügt betteln betten beutel bewahrt bewegst bezieht bezirk bienen bildern bildet bildung billige binden
+birne bischen bischof blase blasen blass bläst blätter blicke blieben blinder blödes blond blonde blühen bluse
+bluten bock bogen boote bot boxen boxer braun breche brei bremsen brichst briten brüdern brüllt bucht bude
+bumsen busch büßen checken chefin chemie chirurg clans clowns come coolen cooler dads damm dampf datei dauer
+depp derart deutet diät dichter dicker digital dingern distanz dolch donuts down draht drehort drittel droge
+drohen droht drohung drücke drucken drunter duell dunkler durften ehrgeiz einsame eiskalt elefant elegant
+elend enorm entwurf erfuhr erholen erholt ernste erobern erobert erraten erregen erregt erteilt ertrage
+erwacht erzeugt erzogen eures ewige ewigen exakt extreme faden fahne fähre falken fällig fällst fangt fasst
+fassung februar federn fehlst fehlte feiert feinden felder fels ferne fersen fesseln feste festen fester
+feucht fielen fies firmen fischen fit flach flamme fleißig fließen floß fluß flut foltern fordere fordert
+formel freddie fremd freuden freust friede friseur frohes früchte frühen fuer führten fünften fuss futter
+gabst ganzem gasse geahnt gebetet geboten gedient geehrt gefäß gefecht gefilmt gefüllt geguckt gehängt gehn
+geier geistes geistig gelähmt gelang gelangt gelbe gelben geldes gelegen gelehrt gelingt gelten genick genieße
+genießt genutzt geprüft gerannt geräte geriet gerührt gespart get getanzt geübt gewährt gewiss gezahlt gingst
+glanz gläser gleicht glocken gnaden gnädig good göttern gramm granate greif grippe grob großem größter grünes
+grüß grüßen gutem haft hälst händler handys hänge hängst hase hasen hätt häufig haust haustür hebel hebt
+heilig heilung heißer heißes helf hemden herab herbst herd herde herrin herzog heult hexen hierbei hierfür
+hiervon hilflos hinauf hindern hing hingabe hinüber hinzu höchst hofft hoher höhere höheren höhlen honig
+hoppla hörer hüfte hummer hunden husten hüte igitt immerzu inhalt innere intakt ironie jährige jammer januar
+jenen junges junkie kämen kamin kammer kanonen kapelle kasten kater kaufst keks kerze ketten kichert kiefer
+kinn klage klare klaren klarer klaut klemmt klient klopft klub kluger klüger knabe knacken kneipe knien
+knurren knurrt koche köchin koks komiker komitee komödie könige konzept köpfen kopien körpers kostete köter
+kotzen kotzt kräften kräftig kragen kranke kranken kratzen kritik kuba kühe kühl kümmer kündige kurve kyoto
+lach lache lächelt lacher läden lädt lamm lampen ländern landete landung länge läufer laute lauten lebende
+lecken lehre lehren leite lenken leugnen liebten lieder liefen liefert liess like linien liter lizenz locken
+logik logisch lokal löwe löwen luxus magier maler manchen mangel marsch märz mathe mauern meinten meist mengen
+merkst messen metern miese mieser mieses mieten minus mischen mitteln mochten moderne monats motto mumm munter
+münzen müßte mythos nackte nagel nägel neffen nerv neugier neuling nieren nonne nötigen notiz notruf nunja
+nützen oberen obst offene öffnete oper opfers outfit packt pakt pardon parfüm parken passte pegasus peng
+perücke pfeift pfeile pferden pflegen pfoten physik pille pilze pissen plastik platt platzen platzt polen
+popcorn praxis preise pressen private proben probier profis provinz prügel prügeln pudding puppen qual qualen
+quälen quasi quer quere rahmen rasch rasen rasiert rathaus rauche rauchst raucht räume redeten regnen regt
+reinen reiner reinste reitet rekord relativ renn rennst retter reue richte riechst riefen ringe rippen risiken
+rohre rückweg ruder ruhiger rührt ruht runden rüstung saal sachte säcke sähe sahne samen sammelt sänger satan
+sätze saubere schadet schaf schafe schale schalte schäme schätzt schaute schecks scheibe scheine schenke
+schenkt schere scherze scheune schiss schlamm schloß schmeiß schoss schoß schrift schuf schuhen schuß schützt
+schweig schwung seife sektion seltene sendet seoul setzten siegel siegen silber singe sinken skandal skript
+sock solches söldner somit sonde sorg sorgst soße sowohl spar speck speer spenden sperren spinne spinnen
+spinnt spione spontan sprecht springe spürte stadion stall stange starker starkes starrst startet stechen
+stecker steif steige steinen sternen stiehlt stimmte stimmts störe streich streik studium stufen stühle stur
+stürmen sturz stürzt südlich sumpf sushi symptom tabak tanze tänzer tassen tätig taube tauben tauchen tausch
+teilt teufels themen thron tiefen tieren tinte toaster tomaten tonnen topf tore totale trag träger trank
+träumt träumte traust traut treppen tresor trösten tuch türe turnier überein üble übliche ufer uhren umgang
+umher umkreis umsehen unfähig unfälle ungut unheil unteren unterm urin vasser väter vergebe verhält verhör
+verhört verirrt verrät vieler vierte viper visier vorhang vorhast vorhat vorname vorräte vortrag wachte wagst
+wagt wähle wählt wandern wanne warme wärter wecker weeds wehe wehen wehren weichei weichen weinte weisen
+weißer weite weiten werft wertlos weste whiskey wiegt wilden wildnis windeln winzig wirfst wirkst wißt wobei
+wohnte wolke wrack wuchs wundert wünsch würdig wurf würfel wurm würmer wurzeln yorker yuan zahlst zähnen
+zeigten zeilen zeugin ziege zielen zittern zögern zoll züge zuliebe zwanzig zwerge zwingt
+`,
+  blocked: `
+bumsen geil nackt nackte sklave sklaven
+`,
+};
@@ -0,0 +1,329 @@
+// Spanish word list for the Words game: the 10,000 most frequent words in OpenSubtitles, lower-case, 3–7 letters,
+// checked against a Spanish dictionary, with names, profanity and slurs removed. Tiers follow frequency rank.
+//
+// Frequency data: hermitdave/FrequencyWords, via the most-common-words-by-language package.
+// Content licensed CC BY-SA 4.0 — https://github.com/hermitdave/FrequencyWords
+//
+// common: everyday words, used as puzzle seeds
+// more:   less frequent but well known; count toward "find all words"
+// rare:   accepted as answers only
+// blocked: profanity, sexual and other hurtful words; accepted if typed, never a seed or a "find all" target
+export const WORDLIST_ES = {
+  common: `
+abajo abierta abierto abogado abra abran abre abrigo abrir abuela abuelo acá acaba acabado acaban acabar
+acabas acabe acabo acabó acaso acceso acción aceptar acepto acerca actitud acto actor actuar acuerdo además
+adentro adios adiós adivina adonde adónde adoro afuera agarra agencia agente agentes agua aguanta agujero ahi
+ahí ahora aire alarma alcalde alcance alcohol alegra alegro alemán alerta algo alguien algun algún alguna
+algunas alguno algunos allá alli allí alma almas alta alto altura ama amaba amable amante amas ambas ambos
+amenaza américa amiga amigas amigo amigos amistad amo amor anda andando andar ángel ángeles anillo animal
+anoche ante antes antigua antiguo año años aparece aparte apenas apoyo apuesta apuesto aquel aquella aqui aquí
+araña árbol árboles área arena arma armas arriba arte artista aseguro asesino asi así asiento aspecto asunto
+asuntos atacar ataque atrapar atrás aun aún aunque autobús auxilio avión aviones aviso ayer ayuda ayudar
+ayudará ayude azúcar azul bailar baile baja bajar baje bajo bala balas banco banda baño bar barco barrio basta
+basura batalla bebe bebé beber bebida bella belleza berlín beso bestia bien blanca blanco blancos boca boda
+bola bolas bolsa bolso bomba bombas bonita bonito bordo bosque botas bote botella botón bravo brazo brazos
+broma bruja buen buena buenas bueno buenos burro busca buscan buscar buscas busco caballo cabello cabeza
+cabezas cable cabo cada cadáver cadena cae caer café caído caja cajas calle calles calma calor cama cámara
+cambia cambiar cambio cambió caminar camino camión camisa campaña campeón campo canal cáncer canción cansada
+cansado cantar capaz capitán cara carajo caray cárcel carga cargo cargos cariño carne carrera carro carta
+cartas cartera casa casado casas casi caso casos causa cayó celda celular cena cenar centro cerca cerdo
+cerebro cero cerrada cerrado cerrar cerveza cheque chica chicas chico chicos chino chiste ciego cielo cielos
+cien ciencia cientos cierra cierta cierto cinco cine cinta cirugía cita ciudad claro clase clases clave
+cliente clima cobarde coche cocina código coge coger cola colega colegio colina color coma combate come
+comenzó comer comida comido como cómo cómodo compra comprar compras compré común con condado conde conejo
+confía confiar confío conmigo conoce conocen conocer conoces conocí conocía conozco consejo consigo contado
+contar contigo contó contra control copa copia corazón coronel corran corre correo correr corta cortar corte
+corto cosa cosas costa crea crear creas crédito cree creemos creen creer crees creí creía creo crimen cristal
+cristo cruz cruzar cual cuál cuales cuáles cuán cuando cuándo cuantas cuántas cuanto cuánto cuantos cuántos
+cuarto cuatro cuello cuenta cuentas cuento cuerda cuerpo cuerpos cuesta cuida cuidado cuidar culpa cumplir
+cura curioso curso dado dama damas dando daño daños dar dará daré daría das datos deba debajo debe debemos
+deben deber debería debes debí debía debido débil debió debiste debo decía decir dedo dedos defensa deja
+dejado dejamos dejan dejar dejará dejaré dejaron dejas dejaste deje dejé dejen dejes dejo dejó del delante
+demás demonio den dentro depende deprisa derecha derecho des desde desea deseas deseo despues después destino
+detener detente detrás dia día diablo diablos diario dias días dice dicen dices dicho dientes dieron diez
+difícil diga digamos digan digas digo dije dijera dijeron dijiste dijo dime dinero dio dios dioses dirá diré
+directo diría dirige disco dispara disparo disparó diste doble doce doctora dólares dolor domingo donde dónde
+dormido dormir dos doy dragón droga drogas ducha duda dudas dudo duele dueño duerme dulce dulces dura durante
+duro echar edad efecto ejemplo elegir ella ellas ello ellos embargo empecé empezar empezó empieza empleo
+empresa encanta encargo encima enemigo energía enferma enfermo enojado enorme entendí entera entero entra
+entrada entrar entre entrega entren entró enviado enviar envió época equipo era éramos eran eras eres error
+errores esa ésa esas escapar escapó escena escrito escucha escuche escuché escucho escuela ese ése eso esos
+espacio espada espalda especie espejo espera esperan esperar esperas espere esperen espero esposa esposas
+esposo esquina esta está ésta estaba estaban estabas estado estados estáis estamos estan están estar estará
+estarán estarás estaré estaría estas estás este esté éste estemos estén estés estilo esto ésto estos estoy
+estudio estuve estuvo evitar exacto examen excepto existe existen éxito experto extra extraña extraño fácil
+falso falta faltan familia famoso favor fecha felices feliz feo fiebre fiesta fiestas fila fin final firma
+firme flores flota fondo forma formas fortuna francés frente fresco fría frío fue fué fuego fuente fuera
+fueran fueras fueron fuerte fuertes fuerza fuerzas fuese fui fuimos fuiste fumar funeral fútbol futuro gana
+ganado ganador ganar ganas ganó gato genial genio gente gira gloria golpe golpes gordo gracia gracias grado
+grados gran grande grandes granja gratis grave grial grupo guapa guapo guarda guardia guerra guía gusta
+gustaba gustan gustas guste gusto gustó habéis haber habia había habían habías habido habla hablaba hablado
+hablan hablar hablaré hablas hable hablé hables hablo habló habrá habría hace hacemos hacen hacer haces hacia
+hacía haga hagamos hagan hagas hago hallar hambre han hará harán harás haré haremos haría harías has hasta hay
+haya hayan hayas haz hecho hechos helado hemos herida heridas herido hermana hermano hermosa hermoso héroe
+hice hiciera hicimos hiciste hielo hija hijo hijos hizo hogar hola hombre hombres honesto honor hora horas hoy
+hubiera hubiese hubo huele huellas huesos huevos huir humana humano humanos humo iba íbamos iban ibas idea
+ideas idiota idiotas ido iglesia igual iguales ilegal imagen imagino imperio importa incluso informe inglés
+intenta intenté intento interés inútil ira irá irás iré iremos iría isla jamás jardín jefe joven jóvenes juega
+juego juegos jueves juez jugador jugando jugar juicio julio junta juntas junto juntos jurado juro justo labios
+lado lados ladrón lago lamento larga largo las lástima lección leche leer legal leí leído lejos lengua les
+levanta ley leyenda leyendo leyes libras libre libres libro libros líder limpia limpiar limpio lindo línea
+líneas lío lista listo listos llama llamaba llamada llamado llaman llamar llamaré llamas llame llamé llamo
+llamó llave llaves llega llegado llegan llegar llegará llegas llego llegó llegue llegué llena lleno lleva
+llevaba llevado llevan llevar llevará llevaré llevas lleve llevo llevó llorar lluvia lobo loca local loco
+locos locura lograr los luces lucha luchar luego lugar lugares luna lunes luz madera madre maestra maestro
+magia mal mala malas maldita maldito malo malos mama mamá manda mando mandó manejar manera maneras mano manos
+mantén mañana mapa máquina mar marca marcha marido marina martes mas más mata matado matan matando matar
+matará mataré mataron mataste mate maté maten mato mató máximo mayor mayoría médico médicos medio mejor
+mejores memoria menor menos mensaje mental mente mentira menudo mercado merece mes mesa meses metas metido
+metros mia mía miedo miel miembro mil milagro militar millas millón minas minuto minutos mio mío míos mira
+mirada mirando mirar miras mire miren mires mis misión misma mismo mismos mitad modelo modo modos molesta
+molesto momento mono montaña montón morir morirá mortal motivo moto mover mucha muchas mucho muchos muera
+muere muero muerta muerte muerto muertos muestra mueva muevas mueve mujer mujeres mundial mundo muñeca murió
+museo música muy nació nación nada nadar nadie nariz natural nave naves navidad negocio negra negro negros
+nena nieve ningún ninguna ninguno niña niñas niño niños nivel noche noches nombre nombres normal norte nos
+nota notas noticia novia novio nuestra nuestro nueva nuevas nueve nuevo nuevos número números nunca obra
+obtener océano ocho ocupada ocupado ocurra ocurre ocurrió odia odie odio oeste oferta oficial oficina oído
+oiga oigan oigo oír oíste ojalá ojo ojos olor olvida olvidar olvide olvidé olvides opción opinas opinión orden
+órdenes orgullo oro oscuro oso otra otras otro otros oxígeno oye oyes padre padres paga pagan pagar pago país
+pájaro palabra palacio pan papa papá papel papeles paquete par para parada parado parar pare parece parecen
+parecer pareces parecía pareció pared paredes pareja parís parque parte partes partido partir pasa pasaba
+pasada pasado pasamos pasan pasando pasar pasará pasaría pase pasé paseo pasillo pasión paso pasó pasos pastel
+pata paz pecado pecho pedazo pedazos pedí pedido pedir pelea pelear peligro pelo pelota pena pensaba pensado
+pensar pensé pensó peor pequeña pequeño perder perdí perdida pérdida perdido perdió perdón perdona perdone
+permiso permite pero perro perros persona pesar pescado peso pez pide pidió pido pie piedra piel piensa
+piensan piensas piense pienses pienso pierde pierna piernas pies pieza piloto pintura piscina piso pista
+pistas pistola placa placer planes planeta planta plata plato playa pobre pobres pocas poco pocos podamos
+podemos poder poderes podía podías podido podrá podrán podrás podré podria podría podrían podrías policia
+policía pollo polvo pon pondrá pondré pone ponen poner pones ponga pongan pongas pongo poquito por porque
+porqué posible precio premio prensa presión primer primera primero primo prisa prisión privada privado probar
+proceso promesa prometí prometo pronto propia propias propio propios próxima próximo prueba pruebas público
+pude pudiera pudiste pudo pueblo pueda puedan puedas puede pueden puedes puedo puente puerta puertas pues
+puesto pulso punto puntos pura puro puse puso que qué queda quedado quedan quedar quedará quedaré quedas quede
+quedé quedo quedó querer queria quería querían querías querida querido querría queso quien quién quienes
+quiénes quiera quieran quieras quiere quieren quieres quiero quieto quise quiso quita quizá quizas quizás
+rápida rapido rápido rara raro rata ratas rato rayos raza razón razones real recibí recibir recién recoger red
+refiere refiero regalo regla reglas regresa regrese regreso regresó reina reino reloj repente repito rescate
+respeto respira resto resulta reunión revisar revista rey ricos riesgo río ritmo robado robar robaron robo
+robó robot robots roja rojo roma romper rompió ropa rostro roto ruego ruido rumbo ruso ruta sábado sabe
+sabemos saben saber sabes sabia sabía sabías sabido sabrá saca sacar sacaste saco sal sala saldrá sale salen
+salga salgan salgo salí salida salido salimos salió salir salón saltar salud salvaje salvar salvo salvó sangre
+santo sea seas sección secreta secreto seguido seguir según segunda segundo segura seguro seguros seis semana
+semanas senador sentado sentí sentía sentido sentir señal señales señor señora señoras señores señoría sepa
+sepas ser sera será serán serás seré seremos seres seria sería serie serio servir sido siempre siendo sienta
+sientas siente sienten sientes siento siete siga sigan siglo sigo sigue siguen sigues silla simple sin sino
+sirve sistema sitio sobre social socio socorro sois sol sola solas soldado solía sólo solos sombra somos son
+sonido sonrisa sótano soy suave sube subir sucede suceder sucedió sucio suelo suelta suena sueño sueños suerte
+sufrir sugiero sujeto supe súper supiera supone supongo suponía sur sus suya suyo tal talento tamaño tambien
+también tampoco tan tanta tantas tanto tantos tarde tardes tarea tarjeta taza teatro techo tele tema temo
+templo ten tendrá tendrán tendrás tendré tendría tenemos tener tenga tengan tengas tengo tenia tenía tenían
+tenías tenido tensión teoría tercer tercera termina termine terminó tesoro testigo tía tiempo tiempos tienda
+tiene tienen tienes tierra tierras tío tipo tipos tira tirar tiro toca tocar toda todas todavia todavía todo
+todos toma tomado tomamos tomando tomar tomará tomaré tomas tome tomé tomen tomo tomó tonta tonto tontos toque
+toques torre total trabaja trabajo trae traer traeré traes tráfico trago traído traigan traigo traje trajo
+trampa tras trasero trata trataba tratado tratar traté trato trató trauma través tren tres triste tropas truco
+tumba túnel turno tus tuve tuviera tuvimos tuviste tuvo tuya tuyo ultima última último últimos una unas única
+único unidad unidos uno unos urgente usado usan usando usar uso usted ustedes útil vacío vale valor vamos
+varias varios vas vaso vaya vayamos vayan vayas vea veamos vean veas veces vecinos veía veinte vemos ven
+vender vendrá vendría veneno venga vengan vengas vengo venía venido venir venta ventana veo ver verá verán
+verano veras verás verdad verde veré veremos verme verte ves vestido vete vez vía viajar viaje víctima vida
+vidas vieja viejo viejos viendo viene vienen vienes viento viernes vieron vimos vine vinimos viniste vino vio
+visión visita visitar vista vistazo viste visto viva vive viven vives vivía vivimos vivir vivo vivos volando
+volar volver volverá volveré volví volvió vos voy voz vuelo vuelta vueltas vuelto vuelva vuelvan vuelvas
+vuelve vuelves vuelvo vuestra vuestro yendo zapatos zona
+`,
+  more: `
+abrazo abril abrió absurdo aca acabará acabé aceite acento acepta aceptas acero acerque aclarar activo actores
+actos actriz actúa actual acuerda acusado adicto admiro admitir admito adora adulto adultos advertí aérea
+aéreo afecta áfrica afueras agallas agarrar agarró agenda agosto agrada aguanto aguarda aguas águila aguja ala
+alas alcanza aldea alegre alegría alejado alfa aliados alianza aliento alivio alla almacén altas alteza altos
+alturas alumnos amables amado aman amantes amar amelia amén anciano andan andas anillos ánimo anuncio apaga
+apagar aparato apesta apetece apetito apolo apostar aprecio aprende aprendí apunta aquello arabia archivo arco
+armada armado armados armario arranca arregla arreglo arresto arroz artes asalto ascenso asco asesina asesinó
+asia astuto asusta ataca atacado atacan atacó ataques atender atiende atrae atras atreve atreves aumento
+avanzar ave avenida aves ayudado ayudaré ayudas ayudes ayudo ayudó azules bahía baila bajando bajas bajen bajó
+balboa balón bancos bandera baños barato barba bárbara barcos barón barra bata bate batería baúl bebes bebés
+bebidas bebido bebo beca béisbol bello bendiga bendito besar biblia bienes blancas bodas boleto boletos bolsas
+bondad bonitas bonitos borde bosques botones boxeo breve brigada brindis bromas bromeas bromeo brujas bruno
+buda buscaba buscado buscaré busque busqué busquen cabaña cabina cables cabra cacería cadenas caen caes cagar
+caí caída caiga cajón calidad calla callado callar cámaras camas cambian cambie cambié cambios camina caminos
+campana campos canadá canales canta cañón cañones caos cap capa capaces capital capitan capullo carajos
+caramba caras cargado cargar caridad caro cartel casada casados casar casco case casé casó castigo causado
+causar causó cayendo cayeron caza cazador cazar celos celosa celoso célula células cenizas centavo cercano
+cerdos cerró certeza césar césped champán charla chaval cheques chinos chistes chofer choque ciega ciento
+cierre cierren ciertas ciertos cima cintas circo círculo citas civil civiles clara clásico claudia clérigo
+clínica cobra cobrar coca cocaína coches cocinar códigos cogido cohete colegas colgar collar colonia colores
+columna comando comedor comen comencé comes cometa cometer cometí cometió comí comidas comió comité cómoda
+compre compro compró condena conduce confías conoció conozca conque consiga contaré conté copas copias coraje
+corazon corbata corea corona cortado corten cortes cortina cortó cosecha costado costará costo costó cráneo
+creado crean crecer crecí crecido creías creído crema creó cretino creyó crisis crítica cruce crucero cruel
+cuadras cuadro cuan cuánta cuarta cuartel cuartos cuba cubre cubrir cuentan cuente cuentos cuerdas cuero cueva
+culpar culpo cultura cumple curar cuya cuyo daba damos danos darán darás daremos debamos debas deberá deberes
+deberia debías débiles debimos decente decían decías decide decidí decidió decidir decimos dejaba dejando
+dejara dejarán dejarás dejare dejaría dejemos delito demanda demos deporte derrota deseaba desean deseos
+desfile desnuda desnudo detalle detén detenga detesto detiene detras detuvo deuda deudas diarios dibujo
+dibujos diera dieta dificil digno dijimos dimos dinos dió diosa dirán dirás directa diremos dirías dirigir
+discos diseño disfraz dispare divino docena dólar dolares doler dolores dorado dormida dosis drogado dueños
+duermes duermo durará durmió duros echa echado echaré eche echó eco efectos ego egoísta elegido elige eligió
+emoción empiece empiezo empuja enano encaja encanto encantó enero engañar engaño enlace enojada enojar enormes
+ensayo enseña enseñar enseño enseñó entere enteré entrado entran entras entré entro envía enviaré envidia
+envié envíe envíen envío equipos ésas escala escapa escape escocia escoger escolar esconde escribe
+escribí escribo escuchó escudo esencia ésos espadas español esperé esperes espía espías estable estando estara
+estare éstas estatal estatua estelar estes éstos eterna eterno evento excusa excusas existir explica extrañé
+extremo fábrica facil falla fallado fallo falló falsa faltaba fama famosa fase fatal fea federal fianza fiel
+figura filas finales fines fingir firmado firmar fiscal física físico flecha flor fondos forense formar
+fracaso franco frase fraude fresca fritas fruta fuentes fuga fumando función furia furioso fusión gafas
+galaxia galería galleta gallina ganamos ganan ganando ganaste gane gané gano garaje garras gastar gastos
+gatillo gatos gemelos gentil gerente gesto gigante girar giro globo golpea golpear golpeó goma gorda gota
+grano grasa graves griego griegos gris grita gritar grito gritos grosero grupos guantes guardar guau guerras
+guión gusano gustado gustar gustará hablará habrán habrás habrían habrías hacha hacían hacías hada hadas hallé
+hare harían harta harto hayamos hecha hechas hechizo heridos herir héroes heroína hierba hierro hígado hijas
+hilo hogares hoja hojas hombro hombros honesta horario horno horror hoyo hueco hueles huella huelo hueso huevo
+humanas humilde huracán huye huyendo huyó ida ideal idioma ilusión imagina imaginé impacto impedir importe
+impulso incapaz incluye india indica indio indios infarto infeliz intente intentó interna interno invitar
+invito invitó irán islas jabón jade jamón japón japonés jaula jazz jefa jefes jodas joyas judas judío judíos
+juegan juegas juegues jugada jugado jugamos jugo juguete jungla junio justa juzgar lanza lanzar lápiz largas
+largos láser lata lavado lavar lea leal lealtad lectura lees leíste lejano lentes lento león letra letras
+levante liberar licor líderes lidiar liga ligera límite límites limpias lindas lindos linea líos líquido
+listas litros llamen llames llegada llegara llegaré lleguen llegues llenar llenos llevara llevé lleven lleves
+llores lobos locales locas lógica lógico logrado logré logro logró lola luce lujo macho madres mafia mágica
+mágico magneto mago maíz maldad maleta maletas maletín malvada malvado mamita mancha mandado mandar mande
+mandé maneja manejo mansión manta manual manzana mañanas mapas marcas marchar marzo masa masacre masaje
+máscara mascota matamos matara matarán mataría matas materia mates máxima mayo mayores medalla medias médica
+medida medidas medios mejorar menores mentes mentí mentido mentir merecen mereces merecía merezco meta mete
+metes métete metí metió metiste métodos metro mías mide mientas miente mientes mierdas mínimo mintió miraba
+mirad miran miré miro miró misa misil misiles mismas mito mochila moda modales modelos moderna moderno módulo
+moleste mona moneda monedas monje monos montar mordida mordió morfina morirán morirás moriré mostrar mostró
+motivos motores móvil muebles muelle mueras mueren mueres muertas muertes muevan mundos muralla muro muros
+musical mutante nacer nací nacido naciste naranja narices negras nene nervios nido niebla niega nieto ningun
+niñera niveles noble norma normas notado novato novela nubes nuclear núcleo numero obispo objeto objetos obras
+observa obvio ocasión octubre oculta ocultar oculto ocuparé ocupo ocurrir odiaba odian odias ofender oficio
+ofrece ofrecer ofreció ofrezco ogro oido oídos oímos oir ola olas oler olvidas olviden olvido olvidó once onda
+ondas ópera operar opina órbita ordena ordenar ordenes ordeno ordenó oreja orejas órganos origen orilla orina
+orinar oscura otoño oyen oyendo oyeron oyó pacto padrino pagado pagando pagará pagaré pagas página páginas
+pagó pague pagué pais países pájaros paliza palma palo pánico pantano papas papás paraíso parejas paren pares
+parezca parezco paro paró partida parto pasaje pasara pasaré pasaron pasas pasaste pasear pasen pases pasta
+patada patas patatas patio pato patrón pavo payaso pecados peces pechos pedimos pediré pediste pega pegado
+pegar pegó peleas pelos pelotas pelotón pense peores perderé perfil perfume período perla perrito pesa pesada
+pesado pesca pescar piano pico pida piden pides piedad piedras piensen pierda pierdas pierden pierdes pierdo
+piezas pilotos pinta pintar pirata piratas pisos pito placas plaga plano planos plantas platos plaza plazo
+plena pluma poca poción podéis podia podían podrias poema poesía polo pondrás ponemos popular portal postre
+pozo preciso prepara presa preso presos presta prima probado produce protege pública pudimos pueblos puerto
+puesta puestos punta puño pusiste quedaba quedara queden quedes queja quejas quema quemado quemar queréis
+querrá querrás quieta quietos química quince quinto quitado quitar quite quitó rabia ramera rancho rango raras
+raros rastro ratón raya rayo razon reales rebelde receta recibe recibió recibo refería refugio regalos región
+regresé rehén rehenes reír remedio remoto renta reparar repetir reporte reserva resiste respiro restos resultó
+retiro reto retraso revés revisa reyes rezar rica riendo riesgos rifle risa roba robando robaste robé roca
+rocas rodeado rodilla rojas rojos rollo romance romano romanos rompe rompí ronda ropas rosas rota rubia rudo
+rueda ruedas ruinas rumor rumores rusa rusia rusos rutina sábanas sabéis sabían sabias sabio sable sabor
+sabrán sabrás sabré sabría sacado sacamos sacando sacaré sacaron sacas sacó sagrada sagrado sajones salario
+saldrás saldré sales salgas salía saliera saliste salsa salta salto saltó saluda saludar saludos salva salvado
+salve samuel samurai sano santos saque saqué saquen seamos seca seco sector sed seda seguí seguía seguida
+seguirá seguiré sello selva senado sentada sentar sepan serían serías serios servirá sesión sesos sexto sida
+sierra siesta sigamos sigas siglos signos siguió símbolo simón sincero sintió sirven sirvo sitios sobra
+sobrina sobrino socios sofá soga solar soltar soltero sombras sonar sonríe soñado soñando soñar soñé sopa
+soporto sordo sos sostén suba suban subió suceda sucia sucios sueldo suele suelte suelten suelto sufre sufrido
+sufrió sugiere suicida suicidó suma super superar supiste suplico supo susto suyos tabaco tabla talla taller
+talvez tanque tanques tapa tardará tareas tatuaje técnica técnico temas teme temen temer temes temía temor
+tenéis tenias tenis terapia tercero teresa terminé termino término terreno terror tiburón tiendas tigre tímido
+timón tinta tio tíos típico tirado tiró tiros tiroteo título toalla tobillo tocaba tocado tocando tocas toco
+tocó toman tomaría tomaron tomaste tomate tómate tomemos tomes tono toquen torneo torpe torres tortura trabajé
+trabajó traen traerá tragos traidor traiga trajes trampas trasera tratan trataré tratas trate trates treinta
+trenes tribu trono trozo trucos tubo tumbas túneles tuyas tuyos últimas ultimo unica unico únicos unido unión
+uñas usaba usamos usas usaste use usé usen uses usó vaca vacas vacía vago vais val valioso valle valores
+vampiro vano vaquero vecino vela velas veloz venas vencer vencido vende venden vendido vendió vendo vendrán
+vendrás venimos ventaja ventas verdes vería verse versión vestida viajes vías victima víctor vidrio viejas
+vientre viera vigila vigilar viniera vió virgen visitas visual vital vitales vivas vivido vivió vivirá voces
+volante voló volumen vomitar voto votos vuela vuelven zapato
+`,
+  rare: `
+abdomen abeja abejas abismo abogada abordar aborten abras abren abres abrí abrimos abrirá abriré abro abuelos
+abuso acababa acabaré acaben acceder acelera aceptan acepte acepté aceptó acera acercan acercó ácido acoso
+activa activar actúas acusa ademas adictos adjunto admite adoran adrian aduana afecto africa agarre agarré
+agarren agarro agotado aguante ahogado ahogó ahorrar ahorros aires aislado ajá ajedrez ajo alambre álbum
+alcanzo aleja aleluya alemana algodón aliado alias allen altitud alumna alumno amabas amada amamos amen
+amenazó america amnesia amos anciana andaba ángulo anormal ansioso antena anual apagado apague apaguen aplauso
+apodo apoyar apretar aprieta aprisa apunten apunto apuro aquél árabe arañas arbusto arca arde arder ardilla
+area áreas ares armar arreglé arregló arruiné arruinó arteria asado asegura asesor asilo asistir asumir asumo
+asustan asustar asustas asusté asustes asustó atado atajo ataquen ataúd atento atentos ático atraco atraer
+atrapa atrapan atrapé atrapen atrapó atrevas atún aumenta ausente autor avance avancen avanza avion avisa
+avisado avisar ayudan ayudara ayudé ayuden azar babor bailas bajado bajaré bajos balance balazo balcón ballena
+ballet bandas bandeja bandido bando bañera barata bárbaro bares barras barrera barriga barril barro basada
+basado bases básico bastón beba bellas bendita besos bestias bicho bichos bién bigote billar billete bloque
+bloqueo blues bobo bodega bolos bones bonos borrar botes botín bóveda brandy brasil bretaña brilla brillo
+brindo bromea brutal bruto burla busques buzón cabe cabras caca cadera caerá cafe cago caía caigo caíste
+cálculo calibre callas calmado calme calvo camara cambias cambies camilla caminas camisas canalla canasta
+cancha cansé canto capilla cápsula captura carbón carcel cargada cargas carguen carlo carnada carros casamos
+casaré casaste catorce causas cavar caviar cayo cazando cazas celdas centros cepillo cercana cerré cesar
+chaleco chao charlar chau chicle chispas choca chupa ciclo ciegos cifras cigarro claras claros clásica clavo
+coco codo cofre cogeré cogí cogió cohetes coja cojo colapso colchón colgado colinas coloca colocar coman
+comarca comas comedia comemos comeré comete cómico cómics comiste cómodos comunes condesa conecta conejos
+confié confíe confíes confuso contaba conteo copiado cordero coro corra corren correos corres corría corrió
+cortada cortaré cortas corté corteza cortos cosmos costar costas creador creando crearon crece crecen creció
+creed creerá creerán creerás creería crei creían creíste cría criada criado criar crió crío crítico cruza
+cruzado cruzó cuadra cuadros cuanta cubo cuelga cuentes cuerno cuernos cuervos cuestan cueste cuevas cuidaré
+cuide cuido culto cumplí cumplió cumplo cuna cuñado curado curva daban dada dados daga danza dañado dañar dare
+darías debate deberán deberás debían debiera décadas decia decida decides decido declaro declaró dedica
+dedicas dedico defecto define dejaran dejaras delgada delgado demas demente demora dental desafío deseado
+desear desee despido dibujar dicha diente dieran digital dijeras dire dirigen dirijo disparé divina dobla
+doblar docenas dolerá dolió dominar dominio dormí dormía dormiré dudar duelen duelo duende dueña duerma
+duermas duermen dulzura duque duran durar duras duró ebrio echamos echando echaron echas eché echen eches
+edición editor educado elegí elfo elfos eliges elle empacar empleos empuje enamoré enanos energia enfoque
+engañó enigma enojes enojo enrique enseñan enseñas enseñe enseñé enteras enteró entorno entrará entraré
+entrego entregó entres envían enviará eramos escáner escapé escenas esclava escoba escocés escoge escogí
+escogió escolta escoria escriba escrita escudos esfera esgrima esparta esperad espina esponja esposos estaca
+estadio estaria estreno estrés estudié etapa ética euros evacuar eventos exacta exceso exige exijo exista
+existía exitosa experta explico explota explotó extras fáciles factor factura falda fallar fallé falsas falsos
+famosos faro farsa favores fax febrero feria feroz ficción ficha fichas figuras fijado fijo filete filmar fino
+firmada firmas firmes firmó flanco flash flechas flujo forman formen fórmula forzado frágil francos frasco
+frases freno frenos frio frito frutas fuegos fuí fuma fumas fumo furiosa futbol futura ganará ganaron gancho
+gases gastado gasto gemelas genes génesis gilbert ginebra girando globos gol golfo gordos gorila gorra gotas
+grabado grabar gramos granada granero gripe grites gritó grúa guante guardan guardas guarde guardo guarida
+gusanos gustara habias hábil hábito hábitos hablara hablen habra habré habria hacéis halcón halla hallado
+halló hanzo hara haras haria helada helados helion hembra hoguera holanda hondo honores honrado hostil hoteles
+huelga huésped ibamos ideales idiomas ídolo ies ignorar imbecil impide implica indican informa inglesa inicial
+iniciar inicio injusto inmenso inodoro insecto insiste insisto insulto intenso intruso inusual inventé invento
+inventó invita invité ire iríamos irías irlanda irónico jamas jinete jinetes joda jodió joya judía jueces
+jugaba jugó juntar jurar juzgado lámpara lancha lanzado lanzó lastima lastime lastimé lastimó latas late latín
+lava lazo legales leia lenta leña leones lesión letal letrero levanté levanto levantó leve leyó libera libra
+ligero lila limón limpios linaje lino litro llamara llamará llamare llegaba llenas llevare llora llover llueve
+locuras logra logras logre lotería luchado luchas lucir lunar madrina madura man manchas mandan mandaré manden
+maní mantuvo maquina marcado marcar marcho marchó marea margen maricas marines marino marqués marrón marte
+martín masiva matanza mataran matarás matare matón matriz mear medico mejora melodía menú menuda mesas metan
+meten meteré metida meto método mezcla miedos miento migajas milla milord mínima mirado miramos miseria mocoso
+mojado molino monjes montana mordido morgue moría morimos moriría mosca moscas mostaza movido movió mudar mudo
+mudó mueran muerde muestre mueven mueves multa muñecas muñeco muriera murio músculo musica músico nadando
+náuseas navaja naval navegar negar negó neo neutral nevada niego nieta nietos niñez nobel nobles nombrar nono
+notar noté noto novedad novias novios nube nuca nudos nueces obedece obliga obligó obreros obtuve obtuvo ocupa
+ocupar ocurren odiaría ofrecen ogros oigas ojala opuesto opus oración orcos ordene oren órgano oriente oscuras
+oscuros osos ovejas paces pagamos paganos pagarán pagarás pagaría pagaron pagos paguen paisaje pala palanca
+palos pamela panel panza pañales pañuelo papeleo parados paramos paras pasadas pasarán pasemos pasto patadas
+patán patear patria pausa pavos pedo peinado peleado pelean peleen peluca peludo penas pensará pensaré pensión
+perderá perdon perdono periodo permita pésimo peste pidas pila pillado pintor pipa pita plana planea planear
+planeas planeo plasma plomo plumas pobreza poeta polis póliza pólvora pondrán pondría ponía popa pope porche
+portada portero posee postal postura potente precios precisa premios prepare preparé preparo prestas primos
+profeta promete propina propone provoca proxima pruebe publico pudiese puerco pulgar pulmón pum puñado puños
+puros pusiera pusimos quemó querés querias querrán quiebra químico quinta quitaré quitas quité quiten quites
+quito quiza raíces rama ramas ramón rana rápidos rasguño rastreo rastros ratones reactor realeza recado
+rechazo reciba reciben recibes recoge recoja record récord recto redonda reducir reflejo regular relojes
+rencor reno repita repite respeta respire retira retirar retire retorno retrato reúne reunido reunir revelar
+revise revisé revisen reza rezando rezo ríe ríes rifles rincón rindo ringo riñón riñones rio riqueza ritual
+rival roban robos rodando rodar rodea romana rompan rotas rotos rubio ruidos ruina ruptura sabés sabrías sacan
+saldrán saldría salidas salio salmón salte saludo salvará salvé sana sangra sangrar saques seguras semilla
+sendero senos sentirá sepamos separar séptimo seran seras serias series sermón servido sientan signo sillas
+similar simio simples sincera sirena sirva sirves sirvió soda soledad solían soltera sonaba sonda sonidos sonó
+sonreír sopla soplón soporte subes subido subimos subo succión suceso sucias sudor suelen sueltes suenas suene
+sueña suero suéter sugerir suiza sujeta suponer suprema supremo supuse surf surgió suyas tablero taco táctica
+tales tango tarado tarda tardar tardaré tarta tejado tejido tela tenés tenso teorías tequila tesoros texto
+tierno tigres tijeras timbre tímida tirador tirando tiras tiraste tire tiré tiren tires tito toallas tocan
+tocino tomaba tomara toqué tórax tornado toro torta tortuga trabaje trágico traía traigas tranvía traten
+tratos trece tregua tribus trineo tripas triple tristes triunfo trofeo tronco tropa trozos trueno tubería
+tubos turnos tuviese une únicas unidas unir usada usaré usaron utiliza vacías vacíos vagón valen vales valga
+valía valiosa valla vapor varón vasos vecina veis velada velo venda vendes vendí vendré vengar venían venid
+vestir viaja viajado víbora vídeo vientos vieras villano vinos violar violó vip virtud visa vito viuda viví
+viviré volado volvía votar vudú vuelan vuelos vulgar yace yanquis yardas yate zonas zorro
+`,
+  blocked: `
+caca carajo desnuda desnudo esclavo jodas mierdas pedo
+`,
+};
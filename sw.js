@@ -0,0 +1,86 @@
+// BrainGym service worker: precached app shell, runtime caches for assets and images, and an
+// update handshake. A new version installs in the background and waits; the page shows
+// "Reload to update" and posts SKIP_WAITING when the player accepts, so a running Focus Block
+// is never swapped out from under them.
+// The page registers `/sw.js?v=<build id>` (a hash of its bundle URLs), so every deploy gets its own caches
+const VERSION = new URL(self.location.href).searchParams.get('v') || 'dev';
+const SHELL_CACHE = `braingym-shell-${VERSION}`;
+const ASSET_CACHE = `braingym-assets-${VERSION}`;
+const IMAGE_CACHE = `braingym-images-${VERSION}`;
+const ASSET_MAX = 40; // entries; a build's bundles fit easily, stray lazy chunks are dropped oldest first
+const IMAGE_MAX = 60; // entries; oldest go first
+
+// Files a build may not emit (icons, manifest) are optional: a missing one must not fail the install.
+// Hashed bundles are picked up by the runtime asset cache on first load.
+const SHELL = ['/', '/index.html'];
+const SHELL_OPTIONAL = ['/manifest.webmanifest', '/favicon.ico', '/icon-192.png', '/icon-512.png'];
+
+self.addEventListener('install', (event)=>{
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache)=> Promise.all([
+    cache.addAll(SHELL),
+    ...SHELL_OPTIONAL.map((url)=> cache.add(url).catch(()=>{})),
+  ])));
+});
+
+self.addEventListener('activate', (event)=>{
+  const keep = [SHELL_CACHE, ASSET_CACHE, IMAGE_CACHE];
+  event.waitUntil(caches.keys()
+    .then((keys)=> Promise.all(keys.filter((k)=> k.startsWith('braingym-') && !keep.includes(k)).map((k)=> caches.delete(k))))
+    .then(()=> self.clients.claim()));
+});
+
+self.addEventListener('message', (event)=>{
+  if(event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+async function trimCache(name, max){
+  const cache = await caches.open(name);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map((k)=> cache.delete(k)));
+}
+
+// Pages: network first so a deploy shows up at once, cached shell when offline
+async function navigate(request){
+  try {
+    const res = await fetch(request);
+    if(res.ok){ const cache = await caches.open(SHELL_CACHE); cache.put('/', res.clone()); }
+    return res;
+  } catch {
+    return (await caches.match(request)) || (await caches.match('/')) || Response.error();
+  }
+}
+
+// Scripts, styles, fonts: serve the cached copy, refresh it in the background
+async function staleWhileRevalidate(request){
+  const cache = await caches.open(ASSET_CACHE);
+  const cached = await cache.match(request);
+  const fresh = fetch(request).then(async (res)=>{
+    if(res.ok){ await cache.put(request, res.clone()); trimCache(ASSET_CACHE, ASSET_MAX); }
+    return res;
+  }).catch(()=> null);
+  return cached || (await fresh) || Response.error();
+}
+
+// Images (puzzle pictures, icons) rarely change: cache first, fetch and keep on a miss
+async function cacheFirst(request){
+  const cache = await caches.open(IMAGE_CACHE);
+  const cached = await cache.match(request);
+  if(cached) return cached;
+  try {
+    const res = await fetch(request);
+    if(res.ok || res.type === 'opaque'){ await cache.put(request, res.clone()); trimCache(IMAGE_CACHE, IMAGE_MAX); }
+    return res;
+  } catch {
+    return Response.error();
+  }
+}
+
+self.addEventListener('fetch', (event)=>{
+  const { request } = event;
+  if(request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if(url.protocol !== 'http:' && url.protocol !== 'https:') return; // data: and blob: images never reach the network
+  if(request.mode === 'navigate') return event.respondWith(navigate(request));
+  if(request.destination === 'image') return event.respondWith(cacheFirst(request));
+  if(url.origin === self.location.origin && ['script', 'style', 'font', 'manifest', 'worker'].includes(request.destination)) return event.respondWith(staleWhileRevalidate(request));
+});